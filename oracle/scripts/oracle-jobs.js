@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Operator CLI for the oracle's job store: see what is waiting for a retry or has been
+ * dead-lettered, and replay a job by hand once whatever broke it is fixed.
+ *
+ * A job lands in the store when its handler fails: transient failures as `pending` (retried with
+ * backoff, `running` while a retry holds it), and as `dead` once MAX_RETRIES retries have failed or
+ * the failure was fatal from the start. Before this, a dead job's only trace was an alert and a
+ * log line.
+ *
+ * Usage (same env as the oracle — ENV_FILE picks the network, Postgres vs file store alike):
+ *   node scripts/oracle-jobs.js list [--status pending|running|dead|all] [--chain <id>]
+ *   node scripts/oracle-jobs.js show <txHash> [--event <EventName>] [--chain <id>]
+ *   node scripts/oracle-jobs.js replay <txHash> [--event <EventName>] [--dry-run] [--chain <id>]
+ *
+ * Every chain in ORACLE_CHAINS has its own store, so with more than one configured `--chain`
+ * picks which; with one (or none — the single-chain variables) it can be left out.
+ *
+ * `list` and `show` only read the store; they need no oracle key. `replay` boots the oracle's
+ * storage and ElizaOS runtime and runs the job through the same handler the listener would
+ * (handlePrompt, handleRegeneration, …). A replay that completes removes the job from the store;
+ * one that fails leaves it where it was and prints the error. `--dry-run` runs the inference but
+ * writes nothing: contract writes are simulated with staticCall, so a replay that would revert
+ * still reports the revert, and storage uploads, answer activity and agent triggers are skipped.
+ *
+ * With the file store (no Postgres), stop the oracle before a real replay: the running oracle
+ * holds the queue in memory and would write the replayed job back. A job it resurrects that way
+ * is harmless — the handler's isJobFinalized check turns the retry into a no-op — but noisy.
+ *
+ * Exit codes: 0 = done, 1 = the job failed or could not be found, 2 = bad usage.
+ */
+const { ethers } = require("ethers");
+// Loads ENV_FILE and .env.oracle as a side effect, exactly as the oracle does.
+const { agentContractName, loadContractArtifact } = require("../src/contractUtility");
+const { loadChainConfigs, selectChain } = require("../src/chainConfig");
+const { createJobStoreFromEnv, JOB_STATUSES } = require("../src/jobStore");
+const { formatJob, formatJobLine, findJob } = require("../src/deadLetter");
+
+const USAGE = `Usage:
+  oracle-jobs list [--status pending|running|dead|all] [--chain <id>]
+  oracle-jobs show <txHash> [--event <EventName>] [--chain <id>]
+  oracle-jobs replay <txHash> [--event <EventName>] [--dry-run] [--chain <id>]`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const opts = {
+    command,
+    positional: [],
+    status: "all",
+    event: undefined,
+    chain: undefined,
+    dryRun: false,
+  };
+  for (let i = 0; i < rest.length; i += 1) {
+    const arg = rest[i];
+    if (arg === "--dry-run") opts.dryRun = true;
+    else if (arg === "--status") opts.status = rest[++i];
+    else if (arg === "--event") opts.event = rest[++i];
+    else if (arg === "--chain") opts.chain = rest[++i];
+    else if (arg.startsWith("--")) throw new UsageError(`Unknown option ${arg}`);
+    else opts.positional.push(arg);
+  }
+
+  if (!["list", "show", "replay"].includes(command)) throw new UsageError("Unknown command");
+  if (command === "list" && opts.status !== "all" && !JOB_STATUSES.includes(opts.status)) {
+    throw new UsageError(`--status must be one of ${JOB_STATUSES.join(", ")} or all`);
+  }
+  if (command !== "list" && opts.positional.length !== 1) {
+    throw new UsageError(`${command} takes exactly one transaction hash`);
+  }
+  if (opts.dryRun && command !== "replay") throw new UsageError("--dry-run is only for replay");
+  return opts;
+}
+
+/** Names for the stored args. Optional: without compiled artifacts they print by position. */
+function agentInterface(chain) {
+  try {
+    const { abi } = loadContractArtifact(agentContractName(chain.networkName));
+    return new ethers.Interface(abi);
+  } catch (e) {
+    return null;
+  }
+}
+
+async function list(store, status) {
+  const jobs = await store.list(status === "all" ? {} : { status });
+  if (jobs.length === 0) {
+    console.log(`No ${status === "all" ? "" : `${status} `}jobs.`);
+    return;
+  }
+  for (const job of jobs) console.log(formatJobLine(job));
+}
+
+async function replay(store, job, chain, { dryRun }) {
+  // Only now: the oracle module builds its wallet and contract when required, so `list` and
+  // `show` never need the key. Validated first, as index.js does, so a bad env names itself.
+  require("../src/startupConfig").validateConfig();
+  const oracle = require("../src/aiAgentOracle");
+
+  await oracle.initForReplay();
+  console.log(
+    `Replaying ${job.eventName} from ${job.transactionHash}${dryRun ? " (dry run)" : ""}…`,
+  );
+  await oracle.replayJob(job, { dryRun, chainId: chain.id });
+
+  if (dryRun) {
+    console.log("Dry run complete; the job is left in the store.");
+    return;
+  }
+  await store.ack(job.id);
+  console.log(`Replayed; job ${job.id} removed from the store.`);
+}
+
+async function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const chain = selectChain(loadChainConfigs(), opts.chain);
+  const store = createJobStoreFromEnv({ filePath: chain.jobStoreFilePath, table: chain.jobTable });
+  if (opts.command === "list") {
+    await list(store, opts.status);
+    return 0;
+  }
+
+  const job = findJob(await store.list(), opts.positional[0], opts.event);
+  if (opts.command === "show") {
+    console.log(formatJob(job, agentInterface(chain)));
+    return 0;
+  }
+  await replay(store, job, chain, opts);
+  return 0;
+}
+
+// Explicit exit: a replay leaves the ElizaOS runtime and the store's pool holding the loop open.
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error.message);
+    process.exit(1);
+  },
+);
@@ -0,0 +1,486 @@
+/**
+ * Recurring agent-job triggers.
+ *
+ * A user asks for a recurring job by putting a `schedule` in an AgentJobSubmitted payload. Once
+ * that first run has been answered, the oracle keeps a trigger definition here and re-submits
+ * the job through the escrow's `initiateAgentJob` each time it comes due. Every fire mints a fresh
+ * trigger id and a fresh escrow on-chain, and is answered by `handleAgentJob` like any other agent
+ * job; this module only decides WHEN.
+ *
+ * KEYED BY JOB, NOT BY TRIGGER ID. A definition records the trigger id `reserveTriggerId` issued
+ * for its first run (`triggerId`) and for its newest (`lastRunId`), but it is found by `jobId`.
+ * A trigger id names one run, and every run of a recurring job asks to be scheduled again; keyed
+ * by trigger id, a run whose id the fire could not read back would start a second definition,
+ * and bill the user twice per slot from then on. The job id is the same on every run, so
+ * `register` and `remove` take it, and a cancellation, which names only the run, is mapped to its
+ * job by the contract (`triggerToJob`).
+ *
+ * What the definition holds of the job itself is opaque here: `sealed` is whatever the caller
+ * needs to rebuild the payload (the oracle keeps it encrypted, never the payload as it arrived),
+ * and `parent` is the answer the next run threads off, moved forward as each run is answered.
+ *
+ * EVERY FIRE COSTS THE USER A PROMPT FEE. That one fact drives the policy below:
+ *
+ *   - At most once, never at least once. The next fire time is persisted BEFORE the transaction
+ *     is sent, so a crash between the two loses one run rather than billing it twice on reboot.
+ *   - Missed fires COALESCE. A TEE that was down for a day owes an hourly trigger one catch-up
+ *     run on boot, not twenty-four back-to-back charges for stale answers nobody will read.
+ *   - A job the user can no longer pay for is DROPPED. When `fire` reports that the escrow refused
+ *     the run, or refunded the previous one, the trigger is removed rather than retried, and
+ *     `remove` does the same when the oracle sees a run cancelled on-chain.
+ *   - Other repeated failures PAUSE the trigger: retrying a revert every slot spends oracle gas
+ *     to be told the same thing. A paused trigger is not dropped. It is tried again after
+ *     PAUSE_RETRY_MS, twice as long after each further failure up to MAX_PAUSE_RETRY_MS, so an
+ *     RPC or gas outage costs a few runs rather than the job. Pausing sends a warning alert for
+ *     the trigger, and the run that succeeds again resolves it.
+ *
+ * The clock and the timer are injectable so the whole lifecycle runs under a fake clock in tests.
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * The floor for `intervalMs`. Anything tighter is almost certainly a unit mistake (seconds for
+ * milliseconds), and at one prompt fee per fire the mistake is expensive.
+ */
+const MIN_INTERVAL_MS = 60 * 1000;
+/** How often the loop wakes to look for due triggers. */
+const DEFAULT_POLL_MS = 30 * 1000;
+/** Consecutive failed fires before a trigger is paused rather than retried on schedule. */
+const MAX_CONSECUTIVE_FAILURES = 5;
+/** The wait before a paused trigger is tried again; it doubles with each further failure. */
+const PAUSE_RETRY_MS = 60 * 60 * 1000;
+/** The longest a paused trigger waits between attempts. */
+const MAX_PAUSE_RETRY_MS = 24 * 60 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+// A year and a day: long enough for any satisfiable five-field expression to match, so running
+// off the end means it never will (e.g. `0 0 31 2 *`).
+const CRON_SEARCH_LIMIT_MS = 366 * 24 * 60 * MINUTE_MS;
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day-of-month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day-of-week", min: 0, max: 7 },
+];
+
+function parseCronField(source, { name, min, max }) {
+  const allowed = new Set();
+
+  for (const part of source.split(",")) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} field: "${source}"`);
+    }
+    const [, range, stepText] = match;
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let [lo, hi] = range === "*" ? [min, max] : range.split("-").map(Number);
+    if (hi === undefined) hi = stepText === undefined ? lo : max;
+
+    if (step < 1 || lo < min || hi > max || lo > hi) {
+      throw new Error(`Invalid cron ${name} field: "${source}"`);
+    }
+    for (let value = lo; value <= hi; value += step) {
+      allowed.add(value);
+    }
+  }
+
+  return allowed;
+}
+
+/**
+ * Parse a standard five-field cron expression (`minute hour day-of-month month day-of-week`),
+ * evaluated in UTC — the TEE's local zone is not something a user can see or reason about.
+ * Supports `*`, values, ranges, steps and comma lists; not names or the `L`/`W`/`#` extensions.
+ *
+ * @param {string} expression
+ * @returns {{ minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>,
+ *   dayOfWeek: Set<number>, domRestricted: boolean, dowRestricted: boolean }}
+ * @throws {Error} If the expression is malformed.
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields.`);
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) =>
+    parseCronField(part, CRON_FIELDS[i]),
+  );
+  // 7 is Sunday too, as in every common cron.
+  if (dayOfWeek.delete(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Classic cron semantics: when BOTH day fields are restricted, a day matching EITHER fires.
+    domRestricted: parts[2] !== "*",
+    dowRestricted: parts[4] !== "*",
+  };
+}
+
+function cronDayMatches(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getUTCDate());
+  const dow = cron.dayOfWeek.has(date.getUTCDay());
+  if (cron.domRestricted && cron.dowRestricted) return dom || dow;
+
+  return dom && dow;
+}
+
+/**
+ * The first minute strictly after `afterMs` that the expression matches, or null if none exists
+ * within a year. Skips whole months, days and hours at a time rather than walking every minute.
+ */
+function nextCronTime(cron, afterMs) {
+  const date = new Date(Math.floor(afterMs / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = afterMs + CRON_SEARCH_LIMIT_MS;
+
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a schedule and return a function computing its next fire time after a given instant.
+ *
+ * @param {{ intervalMs?: number, cron?: string }} schedule
+ * @returns {(afterMs: number) => number | null}
+ * @throws {Error} If the schedule is malformed, too frequent, or can never fire.
+ */
+function compileSchedule(schedule) {
+  if (schedule && Number.isFinite(schedule.intervalMs)) {
+    if (schedule.intervalMs < MIN_INTERVAL_MS) {
+      throw new Error(
+        `Schedule interval ${schedule.intervalMs}ms is below the ${MIN_INTERVAL_MS}ms minimum.`,
+      );
+    }
+
+    return (afterMs) => afterMs + schedule.intervalMs;
+  }
+  if (schedule && typeof schedule.cron === "string") {
+    const cron = parseCron(schedule.cron);
+    if (nextCronTime(cron, 0) === null) {
+      throw new Error(`Cron expression "${schedule.cron}" never matches.`);
+    }
+
+    return (afterMs) => nextCronTime(cron, afterMs);
+  }
+  throw new Error("Schedule must provide either `intervalMs` or `cron`.");
+}
+
+/**
+ * JSON-file persistence for trigger definitions. The write goes to a sibling temp file and is
+ * renamed over the original, so a crash mid-write leaves the previous state intact instead of a
+ * truncated file that would silently drop every trigger on the next boot.
+ *
+ * @param {string} filePath
+ * @returns {{ load: () => Promise<object[]>, save: (triggers: object[]) => Promise<void> }}
+ */
+function createFileTriggerStore(filePath) {
+  return {
+    async load() {
+      try {
+        return JSON.parse(await fs.readFile(filePath, "utf-8"));
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+    },
+    async save(triggers) {
+      const tmpPath = path.join(
+        path.dirname(filePath),
+        `.${path.basename(filePath)}.${process.pid}.tmp`,
+      );
+      await fs.writeFile(tmpPath, JSON.stringify(triggers, null, 2));
+      await fs.rename(tmpPath, filePath);
+    },
+  };
+}
+
+/**
+ * Create the scheduler. Nothing is read from the store until the first `register` or `start`,
+ * so constructing one at module scope performs no I/O.
+ *
+ * @param {object} opts
+ * @param {{ load: Function, save: Function }} opts.store - see createFileTriggerStore
+ * @param {(trigger: object) => Promise<{ runId?: string | null, stop?: string }>} opts.fire -
+ *   submits one run of the job on-chain. Resolves to the run's trigger id, or to `stop` with the
+ *   reason when the job must not run again.
+ * @param {Function} [opts.sendAlert] - alerting.js's, told when a trigger is paused
+ * @param {Function} [opts.resolveAlert] - alerting.js's, told when it runs again
+ * @param {string} [opts.label] - the chain the triggers fire on, to tell their alerts apart
+ * @param {() => number} [opts.now] - defaults to Date.now
+ * @param {number} [opts.pollMs] - defaults to 30s
+ * @param {object} [opts.logger] - anything with `log` and `warn`
+ */
+function createAgentScheduler({
+  store,
+  fire,
+  sendAlert = async () => {},
+  resolveAlert = async () => {},
+  label = "default",
+  now = () => Date.now(),
+  pollMs = DEFAULT_POLL_MS,
+  logger = console,
+}) {
+  let triggers = null;
+  let loading = null;
+  let timer = null;
+  let running = false;
+  // Serialises ticks and registrations: both read-modify-write the same trigger list, and a
+  // registration landing mid-tick would otherwise be overwritten by the tick's save.
+  let chain = Promise.resolve();
+
+  function exclusive(fn) {
+    const result = chain.then(fn);
+    chain = result.catch(() => {});
+
+    return result;
+  }
+
+  async function ensureLoaded() {
+    if (triggers) return triggers;
+    loading ??= store.load().then((loaded) => {
+      triggers = Array.isArray(loaded) ? loaded : [];
+
+      return triggers;
+    });
+
+    return loading;
+  }
+
+  /**
+   * Persist a trigger for a job, or move an existing one's parent forward. Idempotent per JOB,
+   * not per trigger id: every fire re-submits the schedule, so the run it produces arrives back
+   * here asking to be scheduled again. Only the first trigger for a job is kept; a later run
+   * only becomes its `parent`, so the next fire follows on from that run's answer.
+   *
+   * @param {object} opts
+   * @param {{ messageId: string, messageCID: string }} opts.parent - the answer just submitted
+   * @param {object} opts.sealed - what `fire` needs to rebuild the payload
+   * @returns {Promise<object>} the stored definition (the existing one if the job is scheduled)
+   * @throws {Error} If the schedule is invalid.
+   */
+  function register({ triggerId, user, jobId, schedule, sealed, parent }) {
+    const nextFireAfter = compileSchedule(schedule);
+
+    return exclusive(async () => {
+      const list = await ensureLoaded();
+      const existing = list.find((t) => t.jobId === String(jobId));
+      if (existing) {
+        // Trigger ids only grow, so an older run answered late cannot move the parent back.
+        if (BigInt(parent.messageId) > BigInt(existing.parent.messageId)) {
+          existing.parent = parent;
+          await store.save(list);
+        }
+        return existing;
+      }
+
+      const createdAt = now();
+      const trigger = {
+        triggerId: String(triggerId),
+        user,
+        jobId: String(jobId),
+        schedule,
+        sealed,
+        parent,
+        // The newest run on-chain, answered or not: what a cancellation or refund is checked on.
+        lastRunId: String(triggerId),
+        createdAt,
+        nextFireAt: nextFireAfter(createdAt),
+        lastFiredAt: null,
+        consecutiveFailures: 0,
+        paused: false,
+      };
+      list.push(trigger);
+      await store.save(list);
+      logger.log?.(
+        `[Scheduler] Registered trigger ${trigger.triggerId} for job ${trigger.jobId}; next fire at ${new Date(trigger.nextFireAt).toISOString()}.`,
+      );
+
+      return trigger;
+    });
+  }
+
+  /** One alert per trigger: a second paused trigger is news of its own, not a repeat. */
+  function pausedFingerprint(trigger) {
+    return `Agent Job Trigger Paused:${label}:${trigger.triggerId}`;
+  }
+
+  /** Alerting never holds up the scheduler, or fails a tick. */
+  function alerting(promise) {
+    return promise.catch((error) =>
+      logger.warn?.(`[Scheduler] Could not send alert: ${String(error?.message ?? error)}`),
+    );
+  }
+
+  /** Drop a job's trigger. Resolves true if one was removed. */
+  function remove(jobId) {
+    return exclusive(async () => {
+      const list = await ensureLoaded();
+      const index = list.findIndex((t) => t.jobId === String(jobId));
+      if (index === -1) return false;
+      list.splice(index, 1);
+      await store.save(list);
+
+      return true;
+    });
+  }
+
+  /**
+   * Fire every trigger that is due, paused ones included once their retry comes round. Each
+   * one's next fire time is computed from NOW, not from the missed slot, which is what collapses
+   * any number of missed slots into a single run.
+   */
+  function tick() {
+    return exclusive(async () => {
+      const list = await ensureLoaded();
+      const at = now();
+      const due = list.filter((t) => t.nextFireAt !== null && t.nextFireAt <= at);
+
+      for (const trigger of due) {
+        const nextFireAfter = compileSchedule(trigger.schedule);
+        const missed = trigger.nextFireAt;
+        const advanced = { ...trigger, nextFireAt: nextFireAfter(at), lastFiredAt: at };
+        // Saved before firing — see the at-most-once note at the top of this file. Applied in
+        // memory only once the save lands, so a failed write leaves the slot due for the next
+        // tick instead of silently skipping it.
+        await store.save(list.map((t) => (t === trigger ? advanced : t)));
+        Object.assign(trigger, advanced);
+
+        if (at - missed >= pollMs * 2) {
+          logger.log?.(
+            `[Scheduler] Trigger ${trigger.triggerId} missed its ${new Date(missed).toISOString()} slot; firing once to catch up.`,
+          );
+        }
+
+        try {
+          const { runId = null, stop } = (await fire(trigger)) ?? {};
+          if (stop) {
+            list.splice(list.indexOf(trigger), 1);
+            logger.warn?.(
+              `[Scheduler] Removed trigger ${trigger.triggerId} for job ${trigger.jobId}: ${stop}.`,
+            );
+          } else {
+            trigger.consecutiveFailures = 0;
+            if (runId !== null) trigger.lastRunId = String(runId);
+            if (trigger.paused) {
+              trigger.paused = false;
+              logger.log?.(`[Scheduler] Trigger ${trigger.triggerId} ran again; unpaused.`);
+              await alerting(
+                resolveAlert(
+                  pausedFingerprint(trigger),
+                  `Agent job ${trigger.jobId} (trigger ${trigger.triggerId}) ran again.`,
+                ),
+              );
+            }
+          }
+        } catch (error) {
+          const reason = String(error?.message ?? error);
+          trigger.consecutiveFailures += 1;
+          const beyond = trigger.consecutiveFailures - MAX_CONSECUTIVE_FAILURES;
+          if (beyond >= 0) {
+            const retryAt = at + Math.min(PAUSE_RETRY_MS * 2 ** beyond, MAX_PAUSE_RETRY_MS);
+            trigger.nextFireAt = Math.max(trigger.nextFireAt ?? retryAt, retryAt);
+          }
+          logger.warn?.(
+            `[Scheduler] Fire failed for trigger ${trigger.triggerId} (${trigger.consecutiveFailures} in a row${beyond >= 0 ? `, paused until ${new Date(trigger.nextFireAt).toISOString()}` : ""}): ${reason}`,
+          );
+          if (beyond === 0) {
+            trigger.paused = true;
+            await alerting(
+              sendAlert(
+                "Agent Job Trigger Paused",
+                `Agent job ${trigger.jobId} for ${trigger.user} (trigger ${trigger.triggerId}) ` +
+                  `failed ${trigger.consecutiveFailures} runs in a row and is paused. It is tried ` +
+                  `again in ${PAUSE_RETRY_MS / 60000} min, then less often while it keeps ` +
+                  `failing. Last error: ${reason}`,
+                { severity: "warning", fingerprint: pausedFingerprint(trigger), lasting: true },
+              ),
+            );
+          }
+        }
+        await store.save(list);
+      }
+
+      return due.length;
+    });
+  }
+
+  function schedule() {
+    if (!running) return;
+    timer = setTimeout(run, pollMs);
+    timer.unref?.();
+  }
+
+  async function run() {
+    try {
+      await tick();
+    } catch (error) {
+      logger.warn?.(`[Scheduler] Tick failed: ${String(error?.stack ?? error?.message ?? error)}`);
+    } finally {
+      schedule();
+    }
+  }
+
+  return {
+    register,
+    remove,
+    tick,
+
+    /** A copy of the current definitions, for inspection. */
+    async list() {
+      return (await ensureLoaded()).map((t) => ({ ...t }));
+    },
+
+    /**
+     * Load persisted triggers, fire anything that came due while the oracle was down, then keep
+     * checking every `pollMs`. Chained setTimeout for the same reason as the heartbeat: a slow
+     * fire can never overlap the next tick.
+     */
+    async start() {
+      if (running) return;
+      running = true;
+      const list = await ensureLoaded();
+      logger.log?.(`[Scheduler] Loaded ${list.length} agent job trigger(s).`);
+      await run();
+    },
+
+    stop() {
+      running = false;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = {
+  createAgentScheduler,
+  createFileTriggerStore,
+  compileSchedule,
+  parseCron,
+  nextCronTime,
+  MIN_INTERVAL_MS,
+  MAX_CONSECUTIVE_FAILURES,
+  PAUSE_RETRY_MS,
+  MAX_PAUSE_RETRY_MS,
+};
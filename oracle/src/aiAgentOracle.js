@@ -6,8 +6,8 @@ const path = require("path");
 const fs = require("fs/promises");
 const { v5: uuidv5 } = require("uuid");
 const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
 const { default: PQueue } = require("p-queue");
-const { Mutex } = require("async-mutex");
 const { LRUCache } = require("lru-cache");
 const {
   ElizaOS,
@@ -22,22 +22,54 @@ const senseaiPluginModule = require("./elizaos/plugins/plugin-senseai/dist/index
 const senseaiPlugin = senseaiPluginModule.default;
 const senseAiCharacter = require("./elizaos/character.js");
 const { initializeOracle } = require("./contractUtility");
+const { loadChainConfigs, selectChain, DEFAULT_CHAIN_ID } = require("./chainConfig");
 const {
   initializeStorage,
   uploadData,
   fetchData,
   queryTransactionByTags,
+  fundingGauges,
+  replicationReport,
+  blobCacheStats,
 } = require("./storage/storage");
 const {
   createConversationFile,
   createConversationMetadataFile,
   createMessageFile,
+  createSummaryFile,
   createSearchIndexDeltaFile,
 } = require("./formatters");
 const { submitTx } = require("./roflUtility");
-const { sendAlert } = require("./alerting");
+const { createTxSubmitter, createEthersSubmitter } = require("./txSubmitter");
+const { createAnswerBatcher, answerBatchConfig } = require("./answerBatcher");
+const { sendAlert, resolveAlert } = require("./alerting");
 const { validatePayload } = require("./payloadValidator");
-const { reconcileCursor } = require("./blockCursor");
+const {
+  reconcileCursor,
+  confirmedHead,
+  recordBlockHash,
+  findReorg,
+  forgetBlocksAbove,
+} = require("./blockCursor");
+const { createAgentScheduler, createFileTriggerStore } = require("./agentScheduler");
+const { createJobStoreFromEnv, migrateLegacyFailedJobs, MAX_RETRIES } = require("./jobStore");
+const { createDryRunContract, createDryRunEffects } = require("./deadLetter");
+const { createLogSubscription } = require("./logSubscription");
+const { localLlmConfig, chatCompletion } = require("./localLlm");
+const {
+  createConversationSummaries,
+  summaryConfig,
+  withSummary,
+  SUMMARY_TIMEOUT_MS,
+} = require("./conversationSummary");
+const { upgradeMessageFile } = require("./fileSchema");
+const {
+  OracleError,
+  ContractRevertError,
+  classifyChainError,
+  isRetryable,
+  toProviderError,
+} = require("./oracleErrors");
 
 // --- Configuration & Initialization ---
 
@@ -49,25 +81,31 @@ if (process.env.ENV_FILE) {
 dotenv.config({ path: path.resolve(__dirname, "../.env.oracle") });
 
 const NAMESPACE_UUID = "f7e8a6a0-8d5d-4f7d-8f8a-8c7d6e5f4a3b";
-const STATE_FILE_PATH = path.resolve(__dirname, "../oracle-state.json");
+// Superseded by the job store; read once on boot to import anything an older oracle queued.
 const FAILED_JOBS_FILE_PATH = path.resolve(__dirname, "../failed-jobs.json");
 const AI_CONTEXT_MESSAGES_LIMIT = parseInt(process.env.AI_CONTEXT_MESSAGES_LIMIT) || 20;
 const RETRY_INTERVAL_MS = 60 * 1000; // Check for failed jobs every 60 seconds
-const MAX_RETRIES = 10;
-const BASE_RETRY_DELAY_MS = 30 * 1000; // Start with a 30-second delay
-const NETWORK_NAME = process.env.NETWORK_NAME;
-const AI_AGENT_PRIVATE_KEY = process.env.PRIVATE_KEY;
-const AI_AGENT_CONTRACT_ADDRESS = process.env.AI_AGENT_CONTRACT_ADDRESS;
 
 // --- Mock Flags (for local E2E testing without external dependencies) ---
 const { getHandles: getBrainHandles, isConfigured: isBrainConfigured } = require("./brainContext");
 const { startOracleHeartbeat } = require("./oracleHeartbeat");
+const { createBalanceWatcher, balanceWatchConfig } = require("./balanceWatcher");
 const { providerTally } = require("./providerTally");
+const { metrics, startMetricsServer } = require("./oracleMetrics");
+const { createHealth, healthConfig, startHealthServer } = require("./oracleHealth");
+const { collectVitals } = require("./oracleVitals");
 const { recordAnswerActivity } = require("./answerActivity");
 const { sourcesFromState } = require("./answerProvenance");
 const { createRunProvenance } = require("./runProvenance");
 const { selectAnswer } = require("./answerSelection");
-const { sanitizeAnswer } = require("./outboundSanitizer");
+const { sanitizeAnswer, sanitizeDraft } = require("./outboundSanitizer");
+const {
+  createAnswerStreamer,
+  createSseSink,
+  startAnswerStreamServer,
+  streamId,
+  NOOP_STREAM,
+} = require("./answerStream");
 const { runServerLevelMigrations } = require("./agentSchemaMigrator");
 
 const MOCK_AI = process.env.MOCK_AI === "true";
@@ -112,30 +150,131 @@ const MOCK_E2E_SOURCES = [
 ];
 const MOCK_E2E_REASONING_DURATION = 3; // seconds — the dApp renders "Thought for {n} seconds"
 
-// This single function from our utility handles all environment-specific setup.
-let { provider, signer, contract, isSapphire } = initializeOracle(
-  NETWORK_NAME,
-  AI_AGENT_PRIVATE_KEY,
-  AI_AGENT_CONTRACT_ADDRESS,
-);
+// --- CHAINS ---
+//
+// One process can serve several AI agent deployments (see chainConfig): each is a "chain" below,
+// holding everything that must not be shared between them — the wallet and contract, the cursor
+// file, the retry queue, the trigger schedule, and the transaction submitter and job queue. Storage,
+// ElizaOS and the answer stream are per process and shared.
+//
+// The handlers never take a chain argument. They run inside `chainScope.run(chain, …)` — entered
+// once where an event is dispatched (the catch-up, the poll loop, a retry, a trigger firing) —
+// and read it back with `currentChain()`. AsyncLocalStorage carries the chain through every await
+// below that point, so the dozens of call sites between the dispatcher and `submitAnswer` stay as
+// they were instead of each growing a parameter that only the last one uses.
+
+const chainScope = new AsyncLocalStorage();
 
-// This function allows tests to inject mocked components.
-function initForTest(testComponents) {
-  provider = testComponents.provider;
-  signer = testComponents.signer;
-  contract = testComponents.contract;
-  isSapphire = testComponents.isSapphire;
+/**
+ * Build one served deployment. `initializeOracle` runs here, at module load, exactly as it always
+ * has — so a bad key still fails the require (startupConfig validates first; see index.js).
+ */
+function createChain(config) {
+  const components = initializeOracle(
+    config.networkName,
+    config.privateKey,
+    config.contractAddress,
+  );
+  const chain = {
+    ...config,
+    ...components,
+    // How this chain's writes are sent: the PRIVATE_KEY wallet, or ROFL appd with the TEE's own
+    // key. Every write goes through it, and the handlers call it concurrently: it, not they, keeps
+    // the sender's nonces in order. See txSubmitter.
+    txSubmitter: createTxSubmitter({
+      kind: config.txSubmitter,
+      isSapphire: components.isSapphire,
+      signer: components.signer,
+      provider: components.provider,
+      senderAddress: process.env.ROFL_TX_SENDER_ADDRESS?.trim(),
+      chain: config.id,
+    }),
+    // Job Queue: Limits concurrency to 5 per chain, so a backlog on one cannot starve the other.
+    // The "Promise queue with concurrency control" pattern from the p-queue docs.
+    queue: new PQueue({ concurrency: 5 }),
+    // Retry queue for transiently failed events — Postgres when the agent DB is configured, a
+    // local file otherwise (see jobStore). Built on first use by getJobStore(): choosing Postgres
+    // materialises client certs, which importing this module must not do.
+    jobStore: null,
+    // Hashes of the blocks the cursor has passed, persisted with it (see blockCursor): how a
+    // reorg that replaces blocks without lowering the head is noticed. Loaded by catchUpChain.
+    blockHashes: {},
+    // What a handler writes besides the transaction, read from the scope rather than called
+    // directly so that a dry-run replay can swap them for stand-ins (see replayJob). The storage
+    // and the activity record themselves are per process.
+    uploadData,
+    recordAnswerActivity,
+  };
+  // Answers from concurrent handlers, sent together when the contract takes a multicall.
+  chain.answerBatcher = createAnswerBatcher({
+    contract: chain.contract,
+    txSubmitter: chain.txSubmitter,
+    provider: chain.provider,
+    ...answerBatchConfig(),
+  });
+  // Recurring agent jobs. Constructed here so handleAgentJob can register a trigger during the
+  // catch-up replay, before start() turns the timer on; nothing touches disk until then.
+  chain.agentScheduler = createAgentScheduler({
+    store: createFileTriggerStore(config.triggersFilePath),
+    fire: (trigger) => inChain(chain, () => fireAgentTrigger(trigger)),
+    sendAlert,
+    resolveAlert,
+    label: config.id,
+  });
+  return chain;
 }
 
-// --- CONCURRENCY & MEMORY CONTROL ---
+const chains = loadChainConfigs().map(createChain);
+
+/**
+ * The chain the current event belongs to. Outside any scope that is only answerable when there is
+ * one chain — which is every single-chain deployment and every test that calls a handler
+ * directly. With several, a missing scope is a bug in a dispatcher, and guessing would send the
+ * answer to the wrong contract, so it throws instead.
+ */
+function currentChain() {
+  const scoped = chainScope.getStore();
+  if (scoped) return scoped;
+  if (chains.length === 1) return chains[0];
+  throw new Error("No chain in scope — dispatch through inChain() when serving several chains.");
+}
+
+/** Run `fn` (and everything it awaits) as `chain`'s work. */
+function inChain(chain, fn) {
+  return chainScope.run(chain, fn);
+}
+
+/**
+ * Add a task to the current chain's queue, bound to that chain. The binding matters: p-queue
+ * starts a waiting task from whichever task just finished, so an unbound one would inherit the
+ * scope of whatever happened to run before it.
+ */
+function enqueueForChain(task) {
+  const chain = currentChain();
+  return chain.queue.add(() => inChain(chain, task));
+}
 
-// Transaction Mutex: Ensures we NEVER send 2 transactions simultaneously (prevents Nonce errors)
-// This implements the "Mutual Exclusion" pattern from the async-mutex docs.
-const txMutex = new Mutex();
+// This function allows tests to inject mocked components into the (single) chain.
+function initForTest(testComponents) {
+  Object.assign(chains[0], {
+    provider: testComponents.provider,
+    signer: testComponents.signer,
+    contract: testComponents.contract,
+    isSapphire: testComponents.isSapphire,
+    wsUrl: testComponents.wsUrl ?? null,
+    confirmationDepth: testComponents.confirmationDepth ?? 0,
+    blockHashes: testComponents.blockHashes ?? {},
+    txSubmitter: testComponents.txSubmitter ?? createEthersSubmitter(testComponents.signer),
+  });
+  // No window: a handler under test submits alone, and should not wait for company.
+  chains[0].answerBatcher = createAnswerBatcher({
+    contract: chains[0].contract,
+    txSubmitter: chains[0].txSubmitter,
+    windowMs: 0,
+  });
+}
 
-// Job Queue: Limits concurrency to 5.
-// This implements the "Promise queue with concurrency control" pattern from p-queue docs.
-const queue = new PQueue({ concurrency: 5 });
+// --- CONCURRENCY & MEMORY CONTROL ---
 
 // We store the raw ENCRYPTED string (IV + Ciphertext).
 // Average size ~1KB - 4KB.
@@ -146,12 +285,56 @@ const rawMessageCache = new LRUCache({
   ttl: 1000 * 60 * 60 * 24, // 24 Hours (Renamed from maxAge)
 });
 
-console.log(`--- AI AGENT ORACLE STARTING ON: ${NETWORK_NAME.toUpperCase()} ---`);
-console.log(`Oracle signer address: ${signer.address}`);
-console.log(`Contract address: ${contract.target}`);
-console.log(
-  `Operating in ${isSapphire ? "Sapphire (confidential)" : "Public EVM (encrypted)"} mode.`,
-);
+// Streaming side channel — off unless ANSWER_STREAM_PORT is set, in which case start() serves the
+// sink over SSE. Off means every handle is a no-op, so the answer path never branches on it.
+const answerStreamSink = process.env.ANSWER_STREAM_PORT ? createSseSink() : null;
+// What /healthz and /readyz report: start() marks its steps done, each poll loop its passes. Kept
+// whether or not HEALTH_PORT serves it, like the metrics.
+const health = createHealth(healthConfig());
+
+const answerStreamer = createAnswerStreamer({
+  sink: answerStreamSink,
+  encrypt: encryptSymmetrically,
+});
+
+// Rolling summaries of the turns older than the history window. Written by the local model, so
+// off when there is none to write them (and under MOCK_AI, a fixed text).
+const conversationSummaries = createConversationSummaries({
+  enabled:
+    summaryConfig().enabled &&
+    (MOCK_AI || Boolean(process.env.OLLAMA_URL) || Boolean(localLlmConfig())),
+  generate: generateSummary,
+  readMessage: readMessageFile,
+  readFile: async (cid, sessionKey) => decryptSymmetrically(await fetchData(cid), sessionKey),
+  writeFile: async (file, sessionKey) =>
+    currentChain().uploadData(Buffer.from(encryptSymmetrically(file, sessionKey))),
+  createSummaryFile,
+});
+
+/** The current chain's retry queue, built on first use. */
+function getJobStore() {
+  const chain = currentChain();
+  if (!chain.jobStore) {
+    chain.jobStore = createJobStoreFromEnv({
+      filePath: chain.jobStoreFilePath,
+      table: chain.jobTable,
+    });
+  }
+  return chain.jobStore;
+}
+
+for (const chain of chains) {
+  const label = chains.length > 1 ? ` [${chain.id}]` : "";
+  console.log(`--- AI AGENT ORACLE STARTING ON: ${chain.networkName.toUpperCase()}${label} ---`);
+  console.log(`Oracle signer address: ${chain.signer.address}`);
+  if (chain.txSubmitter.kind === "appd") {
+    console.log(`Writes signed by ROFL appd, sent from: ${chain.txSubmitter.address}`);
+  }
+  console.log(`Contract address: ${chain.contract.target}`);
+  console.log(
+    `Operating in ${chain.isSapphire ? "Sapphire (confidential)" : "Public EVM (encrypted)"} mode.`,
+  );
+}
 
 let elizaOS = null;
 
@@ -434,13 +617,14 @@ function decryptSymmetrically(encryptedString, key) {
 /**
  * Retrieves the session key for an operation. It first checks the event payload.
  * If the key is not present (e.g., for a scheduled job), it falls back to querying the
- * storage provider for a deterministically tagged "Key File" associated with the conversation/job.
+ * storage provider for a deterministically tagged "Key File" associated with the conversation.
  * @param {string} payload - The raw payload from the event.
  * @param {string} roflEncryptedKey - The encrypted key from the event payload.
  * @param {string} conversationId - The conversation ID, used for the fallback query.
  * @returns {Promise<Buffer>} The 32-byte symmetric session key.
  */
 async function getSessionKey(payload, roflEncryptedKey, conversationId) {
+  const { provider, isSapphire, privateKey } = currentChain();
   console.log(`[Crypto] Resolving session key for conversation: ${conversationId}...`);
   if (isSapphire) {
     const parsedPayload = JSON.parse(payload);
@@ -449,7 +633,7 @@ async function getSessionKey(payload, roflEncryptedKey, conversationId) {
     }
   } else if (roflEncryptedKey && roflEncryptedKey !== "0x") {
     const cipherBlob = Buffer.from(strip0xPrefix(roflEncryptedKey), "hex");
-    return await eciesDecrypt(AI_AGENT_PRIVATE_KEY, cipherBlob);
+    return await eciesDecrypt(privateKey, cipherBlob);
   }
 
   if (conversationId) {
@@ -465,7 +649,7 @@ async function getSessionKey(payload, roflEncryptedKey, conversationId) {
       throw new Error(`Could not find Key File for conversation ${conversationId}.`);
     }
     const fetchedHex = await fetchData(keyFileCID);
-    return await eciesDecrypt(AI_AGENT_PRIVATE_KEY, Buffer.from(fetchedHex, "hex"));
+    return await eciesDecrypt(privateKey, Buffer.from(fetchedHex, "hex"));
   }
 
   throw new Error(
@@ -475,28 +659,67 @@ async function getSessionKey(payload, roflEncryptedKey, conversationId) {
 
 // --- Storage & History Helpers ---
 
-// Takes an encrypted string (from cache or new upload), decrypts it, and returns object
+// Takes an encrypted string (from cache or new upload), decrypts it, and returns the object in
+// the current MessageFile shape — a conversation's early messages predate schemaVersion.
 function decryptMessageFile(encryptedString, sessionKey) {
-  return decryptSymmetrically(encryptedString, sessionKey);
+  return upgradeMessageFile(decryptSymmetrically(encryptedString, sessionKey));
+}
+
+/** One MessageFile, decrypted, through the message cache. */
+async function readMessageFile(cid, sessionKey) {
+  let encryptedString = rawMessageCache.get(cid);
+  if (encryptedString === undefined) {
+    encryptedString = await fetchData(cid);
+    rawMessageCache.set(cid, encryptedString);
+  }
+  return decryptMessageFile(encryptedString, sessionKey);
 }
 
 /**
  * Walks backwards up the message chain on decentralised storage to reconstruct conversation history.
+ *
+ * The chain is walked by parentCID, one file at a time, but not FETCHED that way: the oracle's
+ * own files carry `ancestorCIDs`, the CIDs above their parent, so once the first file is read the
+ * rest of the window is requested at once and the walk finds each parent already on its way —
+ * two storage round trips for a cold conversation instead of one per message. A file without the
+ * list (anything the dApp wrote, anything written before it) is fetched when the walk reaches it,
+ * and its own list, if it has one, starts the next batch. The list only decides what is fetched
+ * early; what goes into the history is still decided by each file's parentCID, so a list that is
+ * stale or wrong costs some wasted fetches and nothing else.
+ *
  * @param {string} startMessageCID The CID of the latest message in the thread.
  * @param {string | null} sessionKey The key for decryption (EVM only).
- * @returns {Promise<Array<object>>} An array of message objects for the AI context.
+ * @returns {Promise<{ history: Array<object>, cids: string[], summaryCID: string | null,
+ *   olderCID: string | null }>} the messages for the AI context, oldest first, and the CIDs they
+ *   were read from, newest first — the ancestry a new file's skip list is taken from
+ *   (ancestorsAbove). `summaryCID` is the newest summary linked from the window; `olderCID` the
+ *   message just below it, null when the walk reached the start of the conversation or stopped
+ *   early (conversationSummary.js).
  */
-async function reconstructHistory(startMessageCID, sessionKey) {
+async function walkHistory(startMessageCID, sessionKey) {
   if (!startMessageCID) {
     console.log("[History] No start message CID provided. History is empty.");
-    return [];
+    return { history: [], cids: [], summaryCID: null, olderCID: null };
   }
 
   // Limit history fetching to avoid infinite loops and excessive costs.
   const history = [];
+  const cids = [];
+  let summaryCID = null;
   let currentCid = startMessageCID;
   let cacheHits = 0;
   let networkFetches = 0;
+  /** Fetches started ahead of the walk, by CID; the walk awaits these rather than refetching. */
+  const prefetches = new Map();
+  const fetchOnce = (cid) => {
+    if (!prefetches.has(cid)) {
+      const fetching = fetchData(cid);
+      // Awaited only if the walk gets there; one it never reaches must not surface as unhandled.
+      fetching.catch(() => {});
+      prefetches.set(cid, fetching);
+    }
+    return prefetches.get(cid);
+  };
   console.log(`[History] Starting reconstruction from CID: ${startMessageCID}`);
 
   // Limit history fetching to avoid infinite loops and excessive costs.
@@ -511,12 +734,14 @@ async function reconstructHistory(startMessageCID, sessionKey) {
     if (rawMessageCache.has(currentCid)) {
       encryptedString = rawMessageCache.get(currentCid);
       cacheHits += 1;
+      metrics.messageCacheHits.inc();
       // console.log(`[Cache] Hit for CID: ${currentCid.slice(0, 8)}...`);
     } else {
-      // 2. Fetch from Network (Miss = ~500ms+ latency)
+      // 2. Fetch from Network (Miss = ~500ms+ latency, less when prefetched)
       // console.log(`[Cache] Miss for CID: ${currentCid.slice(0, 8)}...`);
+      metrics.messageCacheMisses.inc();
       try {
-        encryptedString = await fetchData(currentCid);
+        encryptedString = await fetchOnce(currentCid);
         // 3. Populate Cache for next time
         rawMessageCache.set(currentCid, encryptedString);
         networkFetches += 1;
@@ -534,9 +759,27 @@ async function reconstructHistory(startMessageCID, sessionKey) {
         role: messageFile.role,
         content: messageFile.content,
       });
+      cids.push(currentCid);
+      if (!summaryCID && typeof messageFile.summaryCID === "string") {
+        summaryCID = messageFile.summaryCID;
+      }
 
       // The parentCID of a MessageFile is the CID of the parent message (whether promptMessageCID or answerMessageCID).
       currentCid = messageFile.parentCID;
+
+      // 5. Fetch ahead, when the parent is neither cached nor already on its way.
+      const ancestors = messageFile.ancestorCIDs;
+      if (
+        currentCid &&
+        Array.isArray(ancestors) &&
+        !rawMessageCache.has(currentCid) &&
+        !prefetches.has(currentCid)
+      ) {
+        [currentCid, ...ancestors]
+          .slice(0, AI_CONTEXT_MESSAGES_LIMIT - history.length)
+          .filter((cid) => typeof cid === "string" && cid && !rawMessageCache.has(cid))
+          .forEach(fetchOnce);
+      }
     } catch (error) {
       console.error(
         `[History] Failed to reconstruct history at CID ${currentCid}. Stopping history build.`,
@@ -548,10 +791,56 @@ async function reconstructHistory(startMessageCID, sessionKey) {
   }
 
   console.log(
-    `[History] Reconstructed ${history.length} messages. Cache Hits: ${cacheHits}, Network Fetches: ${networkFetches}`,
+    `[History] Reconstructed ${history.length} messages. Cache Hits: ${cacheHits}, Network Fetches: ${networkFetches} (${prefetches.size} requested)`,
   );
 
-  return history;
+  // Full window with more above it: what a summary has to cover.
+  const olderCID = history.length === AI_CONTEXT_MESSAGES_LIMIT ? currentCid || null : null;
+  return { history, cids, summaryCID, olderCID };
+}
+
+/**
+ * The conversation history ending at `startMessageCID`, oldest first. See walkHistory.
+ * @param {string} startMessageCID
+ * @param {string | null} sessionKey
+ * @returns {Promise<Array<object>>}
+ */
+async function reconstructHistory(startMessageCID, sessionKey) {
+  return (await walkHistory(startMessageCID, sessionKey)).history;
+}
+
+/**
+ * The AI context for a new answer: the window ending at `startMessageCID`, led by the summary of
+ * the turns older than it. Also what the new files need: the ancestry for their skip lists, and
+ * the summary the answer should link, a promise that settles once that summary is written (it
+ * never rejects; see conversationSummary.js).
+ * @param {string} startMessageCID
+ * @param {string | null} sessionKey
+ * @param {string} conversationId
+ * @returns {Promise<{ history: Array<object>, ancestry: string[],
+ *   answerSummaryCID: Promise<string | null> }>}
+ */
+async function historyForAnswer(startMessageCID, sessionKey, conversationId) {
+  const { history, cids, summaryCID, olderCID } = await walkHistory(startMessageCID, sessionKey);
+  const summary = await conversationSummaries.load(summaryCID, sessionKey);
+  return {
+    history: withSummary(history, summary),
+    ancestry: cids,
+    answerSummaryCID: conversationSummaries.roll({ conversationId, summary, olderCID, sessionKey }),
+  };
+}
+
+/**
+ * The skip list for a new file whose parent is `parentCID`: the CIDs above that parent in
+ * `cids` (newest first, as walkHistory returns them), as many as the rest of one history window
+ * can use. Empty when the parent is not among them.
+ * @param {string[]} cids
+ * @param {string | null} parentCID
+ * @returns {string[]}
+ */
+function ancestorsAbove(cids, parentCID) {
+  const at = parentCID ? cids.indexOf(parentCID) : -1;
+  return at === -1 ? [] : cids.slice(at + 1, at + 1 + Math.max(0, AI_CONTEXT_MESSAGES_LIMIT - 2));
 }
 
 // --- AI Model Query Functions ---
@@ -580,9 +869,17 @@ async function queryDeepSeek(conversationHistory) {
       messages,
       stream: false,
     }),
+  }).catch((e) => {
+    throw toProviderError("ollama", e);
   });
 
-  if (!res.ok) throw new Error(`Ollama server responded with status: ${res.status}`);
+  if (!res.ok) {
+    throw toProviderError(
+      "ollama",
+      new Error(`Ollama server responded with status: ${res.status}`),
+      { status: res.status },
+    );
+  }
   const json = await res.json();
 
   const responseText = json.message?.content || "Error: Malformed response from DeepSeek.";
@@ -590,6 +887,25 @@ async function queryDeepSeek(conversationHistory) {
   return responseText;
 }
 
+/**
+ * Query the local OpenAI-compatible server (llama.cpp, vLLM, LM Studio) named by LOCAL_LLM_URL.
+ * @param {Array<object>} conversationHistory - The full, ordered history of the conversation.
+ * @returns {Promise<string>} The content of the AI's response.
+ */
+async function queryLocalLlm(conversationHistory) {
+  const config = localLlmConfig();
+  console.log(`[LocalLLM] Querying ${config?.model ?? "the local model"}...`);
+
+  const messages = conversationHistory.map((turn) => ({
+    role: turn.role,
+    content: turn.content,
+  }));
+  const responseText = await chatCompletion(messages, config);
+
+  console.log(`[LocalLLM] Response received (${responseText.length} chars)`);
+  return responseText;
+}
+
 /**
  * Query the ChainGPT API for a response.
  * @param {Array<object>} conversationHistory - The full, ordered history of the conversation.
@@ -626,9 +942,17 @@ async function queryChainGPT(conversationHistory, conversationId) {
       aiTone: "PRE_SET_TONE",
       selectedTone: "FRIENDLY",
     }),
+  }).catch((e) => {
+    throw toProviderError("chaingpt", e);
   });
 
-  if (!res.ok) throw new Error(`ChainGPT API responded with status: ${res.status}`);
+  if (!res.ok) {
+    throw toProviderError(
+      "chaingpt",
+      new Error(`ChainGPT API responded with status: ${res.status}`),
+      { status: res.status },
+    );
+  }
   const answerText = (await res.text()).trim();
   console.log(`[ChainGPT] Response received (${answerText.length} chars)`);
 
@@ -694,7 +1018,11 @@ async function queryTradableAssistant(conversationHistory, userWallet) {
         }
       } catch (e) {} // Ignore json parse errors on error response
 
-      throw new Error(`Tradable Assistant error (${response.status}): ${errorMsg}`);
+      throw toProviderError(
+        "tradable-assistant",
+        new Error(`Tradable Assistant error (${response.status}): ${errorMsg}`),
+        { status: response.status },
+      );
     }
 
     const json = await response.json();
@@ -710,7 +1038,8 @@ async function queryTradableAssistant(conversationHistory, userWallet) {
     return answer;
   } catch (error) {
     console.error("[Routing] Error querying Tradable Assistant:", error);
-    throw error; // Propagate error so queryWithFailover can handle fallback
+    // Propagate error so queryWithFailover can handle fallback; a dropped connection is typed
+    throw toProviderError("tradable-assistant", error);
   }
 }
 
@@ -773,9 +1102,10 @@ function registerProvenanceHandlers(runtime) {
  * @param {Array<object>} conversationHistory - The full, ordered history of the conversation.
  * @param {string} conversationId - The on-chain conversation ID, used as the room ID.
  * @param {string} userWallet - The user's wallet address for entity/room isolation.
+ * @param {object} [stream] - answerStream handle; receives sources, thoughts and drafts as they occur.
  * @returns {Promise<string>} The content of the AI's response.
  */
-async function queryElizaOS(conversationHistory, conversationId, userWallet) {
+async function queryElizaOS(conversationHistory, conversationId, userWallet, stream = NOOP_STREAM) {
   console.log("[Routing] Path (i): Initializing ElizaOS structured I/O loop...");
 
   if (!elizaOS) await initializeEliza();
@@ -889,6 +1219,7 @@ async function queryElizaOS(conversationHistory, conversationId, userWallet) {
       true,
     );
     composedSources = sourcesFromState(composed);
+    stream.sources(composedSources);
   } catch (err) {
     console.error(
       `[ElizaOS] Context composition failed, answering without it: ${String(err?.message ?? err)}`,
@@ -944,6 +1275,7 @@ async function queryElizaOS(conversationHistory, conversationId, userWallet) {
             // action in flight (from ACTION_STARTED) titles the step; see runProvenance.
             if (content.thought) {
               runProvenance.recordThought(runId, content.thought);
+              stream.reasoning(content.thought);
             }
 
             // Keep the ATTRIBUTION, not just the text. Every emitter tags its callback with the
@@ -955,6 +1287,11 @@ async function queryElizaOS(conversationHistory, conversationId, userWallet) {
                 text: content.text,
                 actions: Array.isArray(content.actions) ? content.actions : [],
               });
+              // Streamed only once it has passed the sanitiser, and dropped if it fails. An
+              // emission is not yet the answer — selectAnswer has not chosen — so unlike the
+              // stored text it can be withheld at no cost. Not awaited: the stream must never
+              // hold up the run it is reporting on.
+              sanitizeDraft(content.text).then((draft) => draft && stream.draft(draft));
             }
           },
           // Triggered if the internal pipeline crashes
@@ -1021,6 +1358,76 @@ async function queryElizaOS(conversationHistory, conversationId, userWallet) {
   });
 }
 
+/**
+ * The router runs before every answer, so a slow classifier delays them all; past this it is
+ * quicker to take the MARKET default than to wait.
+ */
+const ROUTER_TIMEOUT_MS = 15 * 1000;
+
+/**
+ * Ask the local Ollama model to classify `classificationPrompt`.
+ * @param {string} classificationPrompt
+ * @returns {Promise<string>} The model's raw JSON text.
+ */
+async function classifyWithOllama(classificationPrompt) {
+  const res = await fetch(`${process.env.OLLAMA_URL}/api/generate`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      model: "gemma3:1b",
+      prompt: classificationPrompt,
+      stream: false,
+      format: "json", // Forces Ollama to ensure the output is JSON
+      options: {
+        temperature: 0.1, // Low temperature for higher consistency
+        stop: ["<thought>", "</thought>"], // Attempt to prevent thought overflow
+      },
+    }),
+  });
+
+  if (!res.ok) throw new Error(`Ollama error: ${res.status}`);
+
+  const json = await res.json();
+  return json.response;
+}
+
+/**
+ * Write a conversation summary (conversationSummary.js) with the local model, chosen as the
+ * router chooses it: Ollama when it is there, else LOCAL_LLM_URL. The conversation stays inside
+ * the TEE, and a summary on every long-thread answer costs no API calls.
+ * @param {string} prompt
+ * @returns {Promise<string>} the summary text
+ */
+async function generateSummary(prompt) {
+  if (MOCK_AI) return "[MOCK] A deterministic summary of the earlier conversation.";
+
+  const localLlm = process.env.OLLAMA_URL ? null : localLlmConfig();
+  if (localLlm) {
+    return chatCompletion([{ role: "user", content: prompt }], localLlm, {
+      maxTokens: 512,
+      temperature: 0.2,
+      timeoutMs: SUMMARY_TIMEOUT_MS,
+    });
+  }
+
+  const res = await fetch(`${process.env.OLLAMA_URL}/api/generate`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      model: "gemma3:1b",
+      prompt,
+      stream: false,
+      options: { temperature: 0.2 },
+    }),
+    // The summary's own race only stops the answer waiting; this stops the request.
+    signal: AbortSignal.timeout(SUMMARY_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`Ollama error: ${res.status}`);
+
+  const json = await res.json();
+  return json.response ?? "";
+}
+
 /**
  * Classifies the user's latest query to determine routing.
  * @param {Array<object>} conversationHistory - The full conversation history with roles.
@@ -1051,25 +1458,19 @@ async function routeQueryIntent(conversationHistory) {
   `;
 
   try {
-    const res = await fetch(`${process.env.OLLAMA_URL}/api/generate`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        model: "gemma3:1b",
-        prompt: classificationPrompt,
-        stream: false,
-        format: "json", // Forces Ollama to ensure the output is JSON
-        options: {
-          temperature: 0.1, // Low temperature for higher consistency
-          stop: ["<thought>", "</thought>"], // Attempt to prevent thought overflow
-        },
-      }),
-    });
-
-    if (!res.ok) throw new Error(`Ollama error: ${res.status}`);
-
-    const json = await res.json();
-    let responseText = json.response;
+    let responseText;
+    // Ollama when it is there, as before. An oracle whose only local runtime is an
+    // OpenAI-compatible one asks that instead, rather than routing every query to MARKET.
+    const localLlm = process.env.OLLAMA_URL ? null : localLlmConfig();
+    if (localLlm) {
+      responseText = await chatCompletion(
+        [{ role: "user", content: classificationPrompt }],
+        localLlm,
+        { json: true, maxTokens: 64, temperature: 0.1, timeoutMs: ROUTER_TIMEOUT_MS },
+      );
+    } else {
+      responseText = await classifyWithOllama(classificationPrompt);
+    }
 
     // Reasoning models (e.g. DeepSeek-R1) can emit <thought> blocks even in JSON
     // mode; strip everything up to and including the closing tag. gemma3:1b
@@ -1190,7 +1591,10 @@ function asAnswer(text) {
   return { text, reasoning: [], sources: [] };
 }
 
-async function queryAIModel(conversationHistory, conversationId, userWallet) {
+async function queryAIModel(conversationHistory, conversationId, userWallet, options = {}) {
+  // Opening brace kept on the signature line: providerTally's structural guard finds this body by
+  // brace-counting from it.
+  const { stream = NOOP_STREAM } = options;
   // --- MOCK MODE: Return deterministic response ---
   if (MOCK_AI) {
     const latestUserMessage =
@@ -1234,6 +1638,20 @@ async function queryAIModel(conversationHistory, conversationId, userWallet) {
       return asAnswer("Error: Could not generate a response from the ChainGPT service.");
     }
   }
+  if (aiProvider === "LocalLLM") {
+    try {
+      const answer = asAnswer(await queryLocalLlm(conversationHistory));
+      providerTally.recordServed("local");
+
+      return answer;
+    } catch (err) {
+      console.error("[queryAIModel] Local LLM provider failed.", err.message);
+      // Bypass configured but the provider failed — no answer produced.
+      providerTally.recordServed("none");
+
+      return asAnswer("Error: Could not generate a response from the local model.");
+    }
+  }
   if (aiProvider === "DeepSeek") {
     try {
       const answer = asAnswer(await queryDeepSeek(conversationHistory));
@@ -1269,7 +1687,7 @@ async function queryAIModel(conversationHistory, conversationId, userWallet) {
   // 3. Path B: 3rd Party ElizaOS (Google Vertex/Gemini via Plugin)
   try {
     // We pass conversationId here to ensure proper room isolation in Eliza
-    const answer = await queryElizaOS(conversationHistory, conversationId, userWallet);
+    const answer = await queryElizaOS(conversationHistory, conversationId, userWallet, stream);
     providerTally.recordServed("elizaos");
 
     return answer;
@@ -1286,7 +1704,7 @@ async function queryAIModel(conversationHistory, conversationId, userWallet) {
     try {
       const answer = asAnswer(await queryChainGPT(conversationHistory, conversationId));
       // AFTER the await. Recording first means a ChainGPT throw is counted as a chaingpt
-      // success AND as whatever the inner catch then records (deepseek or none).
+      // success AND as whatever the inner catch then records (local, deepseek or none).
       providerTally.recordServed("chaingpt");
 
       return answer;
@@ -1295,7 +1713,19 @@ async function queryAIModel(conversationHistory, conversationId, userWallet) {
         "[Failover] All external providers failed. Executing final local TEE fallback.",
       );
 
-      // 5. Failover 2: Local TEE Model (DeepSeek)
+      // 5. Failover 2: Local OpenAI-compatible server, when one is configured
+      if (localLlmConfig()) {
+        try {
+          const answer = asAnswer(await queryLocalLlm(conversationHistory));
+          providerTally.recordServed("local");
+
+          return answer;
+        } catch (err3) {
+          console.error("[Failover] Local LLM failed. Falling back to Ollama.", err3.message);
+        }
+      }
+
+      // 6. Failover 3: Local TEE Model (DeepSeek via Ollama)
       try {
         const answer = asAnswer(await queryDeepSeek(conversationHistory));
         providerTally.recordServed("deepseek");
@@ -1315,6 +1745,27 @@ async function queryAIModel(conversationHistory, conversationId, userWallet) {
   }
 }
 
+/**
+ * queryAIModel with the run's intermediate signals streamed to the dApp under the current chain
+ * and `answerMessageId`, encrypted with the conversation's session key. The stream closes when
+ * inference does, however it ends — the answer itself still arrives only through the MessageFile
+ * and submitAnswer.
+ */
+async function queryAIModelStreamed(
+  answerMessageId,
+  sessionKey,
+  conversationHistory,
+  conversationId,
+  userWallet,
+) {
+  const stream = answerStreamer.open(streamId(currentChain().id, answerMessageId), sessionKey);
+  try {
+    return await queryAIModel(conversationHistory, conversationId, userWallet, { stream });
+  } finally {
+    stream.close();
+  }
+}
+
 // --- Event Handlers ---
 
 /**
@@ -1340,7 +1791,14 @@ function isBadInputError(error) {
 
 // Helper to check for specific contract errors using Ethers v6 Interface
 function isContractError(error, errorName) {
+  const { contract } = currentChain();
   try {
+    // 0. A revert already decoded — by ethers, or by classifyChainError from its selector
+    const decoded = classifyChainError(error, contract.interface);
+    if (decoded instanceof ContractRevertError && decoded.errorName) {
+      return decoded.errorName === errorName;
+    }
+
     // 1. Get the specific error fragment from the ABI
     const errorFragment = contract.interface.getError(errorName);
     if (!errorFragment) return false;
@@ -1375,13 +1833,22 @@ async function handlePrompt(
   roflEncryptedKey, // This is the top-level argument for EVM
   event,
 ) {
+  const {
+    provider,
+    contract,
+    isSapphire,
+    answerBatcher,
+    privateKey,
+    uploadData,
+    recordAnswerActivity,
+  } = currentChain();
   console.log(
     `[EVENT] Processing PromptSubmitted for convId: ${conversationId} in block ${event.blockNumber}`,
   );
 
-  // Did the answer actually reach the chain? The isJobFinalized guard inside the tx mutex returns
-  // from that arrow function, not this handler, so nothing downstream can otherwise tell a
-  // submitted answer from a cancelled one. Declared out here to survive the try/catch.
+  // Did the answer actually reach the chain? Set only once the receipt is in: the isJobFinalized
+  // guard before sending returns early, and a failed send lands in the catch, so nothing
+  // downstream can mistake either for an answer. Declared out here to survive the try/catch.
   let submitted = false;
 
   // --- Idempotency Check ---
@@ -1436,11 +1903,21 @@ async function handlePrompt(
         : {};
 
     console.log("  Reconstructing history for regeneration...");
-    const history = await reconstructHistory(previousMessageCID, sessionKey);
+    const { history, ancestry, answerSummaryCID } = await historyForAnswer(
+      previousMessageCID,
+      sessionKey,
+      conversationId.toString(),
+    );
 
     history.push({ role: "user", content: promptText, createdAt: Date.now() });
 
-    const answer = await queryAIModel(history, conversationId.toString(), user);
+    const answer = await queryAIModelStreamed(
+      answerMessageId,
+      sessionKey,
+      history,
+      conversationId.toString(),
+      user,
+    );
     const answerText = answer.text;
     // Real reasoning/sources from the answer path (empty on string-only
     // providers). In handlePrompt the e2e sentinel extras spread AFTER these,
@@ -1470,6 +1947,7 @@ async function handlePrompt(
     const now = Date.now();
     let cidBundle = {};
     let answerMessageCID = "";
+    const summaryCID = await answerSummaryCID;
 
     // Prepare files
     const promptMessageFile = createMessageFile({
@@ -1477,6 +1955,7 @@ async function handlePrompt(
       conversationId: conversationId.toString(),
       parentId: previousMessageId || null,
       parentCID: previousMessageCID || null,
+      ancestorCIDs: ancestorsAbove(ancestry, previousMessageCID),
       createdAt: now,
       role: "user",
       content: promptText,
@@ -1535,7 +2014,7 @@ async function handlePrompt(
       // We must now encrypt it for persistent storage.
       let keyToStore;
       if (isSapphire) {
-        const AI_AGENT_PUBLIC_KEY = publicKeyFromPrivateKey(AI_AGENT_PRIVATE_KEY);
+        const AI_AGENT_PUBLIC_KEY = publicKeyFromPrivateKey(privateKey);
         keyToStore = await eciesEncrypt(AI_AGENT_PUBLIC_KEY, Buffer.from(sessionKey));
       } else {
         keyToStore = Buffer.from(strip0xPrefix(roflEncryptedKey), "hex");
@@ -1576,9 +2055,11 @@ async function handlePrompt(
         conversationId: conversationId.toString(),
         parentId: promptMessageId.toString(),
         parentCID: promptMessageCID,
+        ancestorCIDs: ancestorsAbove([promptMessageCID, ...ancestry], promptMessageCID),
         createdAt: now + 1,
         role: "assistant",
         content: answerText,
+        summaryCID,
         ...realAnswerExtras,
         ...mockAnswerExtras,
       });
@@ -1611,9 +2092,11 @@ async function handlePrompt(
         conversationId: conversationId.toString(),
         parentId: promptMessageId.toString(),
         parentCID: promptMessageCID,
+        ancestorCIDs: ancestorsAbove([promptMessageCID, ...ancestry], promptMessageCID),
         createdAt: now + 1,
         role: "assistant",
         content: answerText,
+        summaryCID,
         ...realAnswerExtras,
         ...mockAnswerExtras,
       });
@@ -1633,31 +2116,22 @@ async function handlePrompt(
       };
     }
 
-    // We lock the wallet to ensure Nonces are used sequentially.
-    await txMutex.runExclusive(async () => {
-      // Double-check finalization on-chain right before sending
-      // This catches race conditions where user cancelled while we were uploading
-      const isFinalized = await contract.isJobFinalized(answerMessageId);
-
-      if (isFinalized) {
-        console.log(
-          `  ℹ️ Skipped (in mutex): Prompt ${promptMessageId} finalized or cancelled just now.`,
-        );
-        return;
-      }
-      console.log(`  Submitting transaction for prompt ${promptMessageId}...`);
-
-      const tx = await contract.submitAnswer(promptMessageId, answerMessageId, cidBundle);
+    console.log(`  Submitting transaction for prompt ${promptMessageId}...`);
 
-      const receipt = await tx.wait();
-      // After the receipt: an unconfirmed submission is not an answer. Accepted blind spot — if
-      // the connection drops after the tx lands but before this resolves, the escrow settles
-      // unrecorded. Recording before confirmation would be the worse error.
-      submitted = true;
+    // The batcher reads isJobFinalized once more right before sending, which catches a user
+    // cancelling while we were uploading or while the answer waited for its batch.
+    const result = await answerBatcher.submit([promptMessageId, answerMessageId, cidBundle]);
+    if (result.finalized) {
       console.log(
-        `  ✅ Success! Answer for prompt ${promptMessageId} submitted. Tx: ${receipt.hash}`,
+        `  ℹ️ Skipped (checked before sending): Prompt ${promptMessageId} finalized or cancelled just now.`,
       );
-    });
+      return;
+    }
+    // After the receipt: an unconfirmed submission is not an answer. Accepted blind spot — if
+    // the connection drops after the tx lands but before this resolves, the escrow settles
+    // unrecorded. Recording before confirmation would be the worse error.
+    submitted = true;
+    console.log(`  ✅ Success! Answer for prompt ${promptMessageId} submitted. Tx: ${result.hash}`);
   } catch (error) {
     if (isContractError(error, "JobAlreadyFinalized")) {
       console.log(
@@ -1714,8 +2188,7 @@ async function handlePrompt(
   }
 
   // Outside the try/catch so a telemetry throw could never be caught below and recorded as a
-  // failure for an answer that succeeded; outside the mutex so a Postgres round-trip does not
-  // serialise submissions behind the tx lock.
+  // failure for an answer that succeeded.
   if (submitted) {
     await recordAnswerActivity({
       answerMessageId,
@@ -1737,12 +2210,12 @@ async function handleRegeneration(
   roflEncryptedKey,
   event,
 ) {
+  const { contract, isSapphire, answerBatcher, uploadData, recordAnswerActivity } = currentChain();
   console.log(
     `[EVENT] Processing RegenerationRequested for promptId: ${promptMessageId} in block ${event.blockNumber}`,
   );
 
-  // Did the answer actually reach the chain? See handlePrompt — the mutex's isJobFinalized guard
-  // returns from that arrow function, not this handler.
+  // Did the answer actually reach the chain? See handlePrompt.
   let submitted = false;
 
   // --- Idempotency Check ---
@@ -1770,7 +2243,11 @@ async function handleRegeneration(
     const { instructions, promptMessageCID, originalAnswerMessageCID } = clientPayload;
 
     console.log("  Reconstructing history for regeneration...");
-    const history = await reconstructHistory(originalAnswerMessageCID, sessionKey);
+    const { history, ancestry, answerSummaryCID } = await historyForAnswer(
+      originalAnswerMessageCID,
+      sessionKey,
+      conversationId.toString(),
+    );
     if (instructions) {
       history.push({
         role: "user",
@@ -1779,7 +2256,13 @@ async function handleRegeneration(
       });
     }
 
-    const answer = await queryAIModel(history, conversationId.toString(), user);
+    const answer = await queryAIModelStreamed(
+      answerMessageId,
+      sessionKey,
+      history,
+      conversationId.toString(),
+      user,
+    );
     const answerText = answer.text;
     // Real reasoning/sources from the answer path (empty on string-only
     // providers). In handlePrompt the e2e sentinel extras spread AFTER these,
@@ -1813,9 +2296,11 @@ async function handleRegeneration(
       conversationId: conversationId.toString(),
       parentId: promptMessageId.toString(),
       parentCID: promptMessageCID ? promptMessageCID.toString() : "",
+      ancestorCIDs: ancestorsAbove(ancestry, promptMessageCID?.toString()),
       createdAt: now,
       role: "assistant",
       content: answerText,
+      summaryCID: await answerSummaryCID,
       ...realAnswerExtras,
     });
     const encryptedAnswer = encryptSymmetrically(answerMessageFile, sessionKey);
@@ -1833,31 +2318,24 @@ async function handleRegeneration(
       searchDeltaCID: "",
     };
 
-    // We lock the wallet to ensure Nonces are used sequentially.
-    await txMutex.runExclusive(async () => {
-      // Double-check finalization on-chain right before sending
-      // This catches race conditions where user cancelled while we were uploading
-      const isFinalized = await contract.isJobFinalized(answerMessageId);
-
-      if (isFinalized) {
-        console.log(
-          `  ℹ️ Skipped (in mutex): Prompt ${promptMessageId} finalized or cancelled just now.`,
-        );
-        return;
-      }
-      console.log(`  Submitting transaction for prompt ${promptMessageId}...`);
-
-      const tx = await contract.submitAnswer(promptMessageId, answerMessageId, cidBundle);
+    console.log(`  Submitting transaction for prompt ${promptMessageId}...`);
 
-      const receipt = await tx.wait();
-      // After the receipt: an unconfirmed submission is not an answer. Accepted blind spot — if
-      // the connection drops after the tx lands but before this resolves, the escrow settles
-      // unrecorded. Recording before confirmation would be the worse error.
-      submitted = true;
+    // The batcher reads isJobFinalized once more right before sending, which catches a user
+    // cancelling while we were uploading or while the answer waited for its batch.
+    const result = await answerBatcher.submit([promptMessageId, answerMessageId, cidBundle]);
+    if (result.finalized) {
       console.log(
-        `  ✅ Success! Regeneration for prompt ${promptMessageId} submitted. Tx: ${receipt.hash}`,
+        `  ℹ️ Skipped (checked before sending): Prompt ${promptMessageId} finalized or cancelled just now.`,
       );
-    });
+      return;
+    }
+    // After the receipt: an unconfirmed submission is not an answer. Accepted blind spot — if
+    // the connection drops after the tx lands but before this resolves, the escrow settles
+    // unrecorded. Recording before confirmation would be the worse error.
+    submitted = true;
+    console.log(
+      `  ✅ Success! Regeneration for prompt ${promptMessageId} submitted. Tx: ${result.hash}`,
+    );
   } catch (error) {
     if (isContractError(error, "JobAlreadyFinalized")) {
       console.log(
@@ -1907,8 +2385,7 @@ async function handleRegeneration(
   }
 
   // Outside the try/catch so a telemetry throw could never be caught below and recorded as a
-  // failure for an answer that succeeded; outside the mutex so a Postgres round-trip does not
-  // serialise submissions behind the tx lock.
+  // failure for an answer that succeeded.
   if (submitted) {
     await recordAnswerActivity({
       answerMessageId,
@@ -1920,64 +2397,417 @@ async function handleRegeneration(
   }
 }
 
-async function handleBranch(
-  user,
-  originalConversationId,
-  branchPointMessageId,
-  newConversationId,
-  payload,
-  roflEncryptedKey,
-  event,
-) {
+/**
+ * Handles an AgentJobSubmitted event: a scheduled or oracle-initiated agent run that reports
+ * into one of the user's existing conversations.
+ *
+ * The trigger id IS the answer id. `initiateAgentJob` escrows the payment under
+ * `escrowId = triggerId`, and `submitAnswer` finalises both `isJobFinalized` and the escrow
+ * under its `_answerMessageId` — so answering under any other id would leave the payment
+ * pending until refund, which is exactly the failure this handler exists to close.
+ *
+ * The event names no conversation, so a session key missing from it is resolved through the
+ * conversationId in the payload — the conversation's Key File, as for every other event. That
+ * only works on Sapphire, where the payload is plaintext. On EVM the conversationId is encrypted
+ * under the very key being looked for, so a job without roflEncryptedKey can never be read; it is
+ * dropped as bad input rather than retried. Runs this oracle fires always carry the key.
+ */
+async function handleAgentJob(user, jobId, triggerId, payload, roflEncryptedKey, event) {
+  const { contract, isSapphire, answerBatcher, agentScheduler, uploadData, recordAnswerActivity } =
+    currentChain();
   console.log(
-    `[EVENT] Processing BranchRequested for original convId: ${originalConversationId} in block ${event.blockNumber}`,
+    `[EVENT] Processing AgentJobSubmitted for jobId: ${jobId}, triggerId: ${triggerId} in block ${event.blockNumber}`,
   );
 
+  // Did the answer actually reach the chain? See handlePrompt.
+  let submitted = false;
+  let conversationId;
+  let promptMessageId;
+  let schedule;
+  let promptText;
+  let sessionKey;
+  let answerMessageCID;
+
+  // --- Idempotency Check ---
   try {
-    const sessionKey = await getSessionKey(
-      payload,
-      roflEncryptedKey,
-      originalConversationId.toString(),
+    const isAlreadyDone = await contract.isJobFinalized(triggerId);
+    if (isAlreadyDone) {
+      console.log(`  ℹ️ Skipped: Agent job trigger ${triggerId} is already finalized on-chain.`);
+      return;
+    }
+  } catch (err) {
+    console.warn(
+      `  ⚠️ Could not check isJobFinalized status (RPC error?), proceeding anyway.`,
+      err.message,
     );
+  }
+
+  try {
+    if (isSapphire) {
+      const { conversationId: payloadConversationId } = JSON.parse(payload);
+      sessionKey = await getSessionKey(
+        payload,
+        roflEncryptedKey,
+        payloadConversationId?.toString(),
+      );
+    } else if (roflEncryptedKey && roflEncryptedKey !== "0x") {
+      sessionKey = await getSessionKey(payload, roflEncryptedKey);
+    } else {
+      throw new Error(
+        "Validation Failed for AgentJobSubmitted: no roflEncryptedKey, and the conversation whose Key File could stand in for it is inside the encrypted payload.",
+      );
+    }
 
     const decryptedData = isSapphire
       ? payload
       : decryptSymmetrically(ethers.toUtf8String(payload), sessionKey);
 
-    const clientPayload = validatePayload(decryptedData, "BranchRequested");
+    const clientPayload = validatePayload(decryptedData, "AgentJobSubmitted");
 
-    const { originalTitle } = clientPayload;
+    const { previousMessageCID } = clientPayload;
+    ({ promptText, conversationId, promptMessageId, schedule } = clientPayload);
 
-    const now = Date.now();
-    const newTitle = `Branch of ${originalTitle}`;
+    console.log("  Reconstructing history for agent job...");
+    const { history, ancestry, answerSummaryCID } = await historyForAnswer(
+      previousMessageCID,
+      sessionKey,
+      String(conversationId),
+    );
 
-    const { chainId } = await provider.getNetwork();
-    const newKeyFileTags = [
-      { name: "Content-Type", value: "application/rofl-key" },
-      { name: "SenseAI-Key-For-Conversation", value: `${chainId}-${newConversationId}` },
-    ];
-    // For Sapphire, the sessionKey is received raw in the payload.
-    // We must now encrypt it for persistent storage.
-    let keyToStore;
-    if (isSapphire) {
-      const AI_AGENT_PUBLIC_KEY = publicKeyFromPrivateKey(AI_AGENT_PRIVATE_KEY);
-      keyToStore = await eciesEncrypt(AI_AGENT_PUBLIC_KEY, Buffer.from(sessionKey));
-    } else {
-      keyToStore = Buffer.from(strip0xPrefix(roflEncryptedKey), "hex");
-    }
+    history.push({ role: "user", content: promptText, createdAt: Date.now() });
 
-    await uploadData(keyToStore, newKeyFileTags);
+    const answer = await queryAIModelStreamed(triggerId, sessionKey, history, conversationId, user);
+    const realAnswerExtras = {
+      ...(answer.reasoning?.length ? { reasoning: answer.reasoning } : {}),
+      ...(answer.sources?.length ? { sources: answer.sources } : {}),
+      ...(answer.reasoningDuration !== undefined
+        ? { reasoningDuration: answer.reasoningDuration }
+        : {}),
+    };
 
-    const conversationFile = createConversationFile({
-      id: newConversationId.toString(),
-      ownerAddress: user,
-      createdAt: now,
-      branchedFromConversationId: originalConversationId.toString(),
-      branchedAtMessageId: branchPointMessageId.toString(),
-    });
-    const conversationMetadataFile = createConversationMetadataFile({
-      title: newTitle,
-      isDeleted: false,
+    // Check again before paying for storage
+    try {
+      const isDoneNow = await contract.isJobFinalized(triggerId);
+      if (isDoneNow) {
+        console.log(
+          `  ℹ️ Skipped: Agent job trigger ${triggerId} was finalized during AI processing.`,
+        );
+        return;
+      }
+    } catch (err) {
+      console.warn(
+        `  ⚠️ Could not check isJobFinalized status (RPC error?), proceeding anyway.`,
+        err.message,
+      );
+    }
+
+    const answerMessageFile = createMessageFile({
+      id: triggerId.toString(),
+      conversationId,
+      parentId: promptMessageId,
+      parentCID: previousMessageCID || null,
+      ancestorCIDs: ancestorsAbove(ancestry, previousMessageCID),
+      createdAt: Date.now(),
+      role: "assistant",
+      content: answer.text,
+      summaryCID: await answerSummaryCID,
+      ...realAnswerExtras,
+    });
+    const encryptedAnswer = encryptSymmetrically(answerMessageFile, sessionKey);
+
+    answerMessageCID = await uploadData(Buffer.from(encryptedAnswer));
+
+    // Cache Injection
+    rawMessageCache.set(answerMessageCID, encryptedAnswer);
+
+    // Answer only: the anchor prompt is already on storage and on-chain, and a non-empty
+    // promptMessageCID would re-emit PromptMessageAdded over it.
+    const cidBundle = {
+      conversationCID: "",
+      metadataCID: "",
+      promptMessageCID: "",
+      answerMessageCID,
+      searchDeltaCID: "",
+    };
+
+    console.log(`  Submitting transaction for agent job trigger ${triggerId}...`);
+
+    const result = await answerBatcher.submit([promptMessageId, triggerId, cidBundle]);
+    if (result.finalized) {
+      console.log(
+        `  ℹ️ Skipped (checked before sending): Agent job trigger ${triggerId} finalized or cancelled just now.`,
+      );
+      return;
+    }
+    submitted = true;
+    console.log(
+      `  ✅ Success! Agent job trigger ${triggerId} answered in conversation ${conversationId}. Tx: ${result.hash}`,
+    );
+  } catch (error) {
+    if (isContractError(error, "JobAlreadyFinalized")) {
+      console.log(
+        `  ℹ️ Skipped: Transaction reverted with 'JobAlreadyFinalized' for agent job trigger ${triggerId}.`,
+      );
+
+      return; // Exit gracefully
+    }
+
+    // --- Fallback State Check ---
+    try {
+      const isFinalized = await contract.isJobFinalized(triggerId);
+
+      if (isFinalized) {
+        console.log(
+          `  ℹ️ Transaction failed but agent job trigger ${triggerId} is finalized on-chain. Treating as cancelled/completed.`,
+        );
+
+        return; // Exit gracefully
+      }
+    } catch (checkErr) {
+      console.warn(
+        "  ⚠️ Could not verify job finalization status after error — recording answer_failed UNVERIFIED.",
+      );
+    }
+
+    if (!isBadInputError(error)) {
+      await recordAnswerActivity({
+        answerMessageId: triggerId,
+        kind: "answer_failed",
+        userWallet: user,
+        conversationId,
+        promptMessageId,
+      });
+    }
+
+    console.error(`Error in handleAgentJob for triggerId ${triggerId}:`, error);
+
+    throw error;
+  }
+
+  if (submitted) {
+    await recordAnswerActivity({
+      answerMessageId: triggerId,
+      kind: "answer",
+      userWallet: user,
+      conversationId,
+      promptMessageId,
+    });
+  }
+
+  // Only once the first run has been answered, so a payload that never produces an answer never
+  // starts billing on a timer. Every later run lands here too, and its answer becomes the parent
+  // the next fire threads off. Swallowed like the telemetry above: the answer is on-chain, and a
+  // throw here would send a paid, finished job back through the retry queue.
+  if (submitted && schedule) {
+    try {
+      await agentScheduler.register({
+        triggerId,
+        user,
+        jobId,
+        schedule,
+        sealed: await sealAgentJob({ promptText, conversationId, schedule }, sessionKey),
+        parent: { messageId: triggerId.toString(), messageCID: answerMessageCID },
+      });
+    } catch (error) {
+      console.warn(
+        `  ⚠️ Could not schedule agent job ${jobId} from trigger ${triggerId}: ${error.message}`,
+      );
+    }
+  }
+}
+
+// The escrow as fireAgentTrigger uses it: the entry point, the escrow records, and the reverts
+// that mean it will not take another run from this user.
+const ESCROW_AGENT_JOB_ABI = [
+  "function escrows(uint256) view returns (address user, uint256 amount, uint256 createdAt, uint8 status)",
+  "error NoActiveSpendingLimit()",
+  "error SpendingLimitExpired()",
+  "error InsufficientSpendingLimitAllowance()",
+  "error InsufficientDeposit()",
+];
+const ESCROW_REFUSALS = [
+  "NoActiveSpendingLimit",
+  "SpendingLimitExpired",
+  "InsufficientSpendingLimitAllowance",
+  "InsufficientDeposit",
+];
+const ESCROW_STATUS_REFUNDED = 2;
+
+/**
+ * What a scheduled job keeps on disk between runs. Never the payload as it arrived: on Sapphire
+ * that is plaintext with the session key inside it. The prompt is encrypted with the session key,
+ * and the session key is sealed to the oracle's own key, as a Key File is.
+ */
+async function sealAgentJob(job, sessionKey) {
+  const { privateKey } = currentChain();
+  const key = await eciesEncrypt(publicKeyFromPrivateKey(privateKey), Buffer.from(sessionKey));
+  return { key: Buffer.from(key).toString("hex"), job: encryptSymmetrically(job, sessionKey) };
+}
+
+/**
+ * Submits one run of a scheduled agent job by calling the escrow's `initiateAgentJob`. The
+ * escrow — not the agent contract — is the entry point because it takes the prompt fee and
+ * reserves the new trigger id; the resulting AgentJobSubmitted event then reaches handleAgentJob
+ * through the normal polling path.
+ *
+ * The payload is rebuilt from the sealed job each time, threaded off the last answered run, so
+ * each run sees the ones before it. The job stops instead when the previous run was refunded
+ * (cancelled by the user, or never answered) or the escrow refuses the fee.
+ *
+ * @returns {Promise<{ runId?: string | null, stop?: string }>} see agentScheduler
+ */
+async function fireAgentTrigger(trigger) {
+  const { signer, provider, contract, isSapphire, txSubmitter, privateKey } = currentChain();
+  const escrowAddress = await contract.aiAgentEscrow();
+  const escrow = new ethers.Contract(
+    escrowAddress,
+    [
+      isSapphire
+        ? "function initiateAgentJob(address _user, uint256 _jobId, string _payload)"
+        : "function initiateAgentJob(address _user, uint256 _jobId, bytes _encryptedPayload, bytes _roflEncryptedKey)",
+      ...ESCROW_AGENT_JOB_ABI,
+    ],
+    signer,
+  );
+
+  const { status } = await escrow.escrows(trigger.lastRunId);
+  if (Number(status) === ESCROW_STATUS_REFUNDED) {
+    return { stop: `run ${trigger.lastRunId} was cancelled or refunded` };
+  }
+
+  const sealedKey = Buffer.from(trigger.sealed.key, "hex");
+  const sessionKey = await eciesDecrypt(privateKey, sealedKey);
+  const clientPayload = {
+    ...decryptSymmetrically(trigger.sealed.job, sessionKey),
+    promptMessageId: trigger.parent.messageId,
+    previousMessageCID: trigger.parent.messageCID,
+  };
+
+  console.log(`[Scheduler] Initiating run of agent job ${trigger.jobId}...`);
+  // On EVM the sealed key doubles as the roflEncryptedKey: both are ECIES to the oracle's key.
+  const args = isSapphire
+    ? [
+        trigger.user,
+        trigger.jobId,
+        JSON.stringify({ ...clientPayload, sessionKey: Buffer.from(sessionKey).toString("hex") }),
+      ]
+    : [
+        trigger.user,
+        trigger.jobId,
+        ethers.toUtf8Bytes(encryptSymmetrically(clientPayload, sessionKey)),
+        sealedKey,
+      ];
+  let receipt;
+  try {
+    receipt = await txSubmitter.submit(escrow, "initiateAgentJob", args);
+  } catch (error) {
+    const failure = classifyChainError(error, escrow.interface);
+    if (ESCROW_REFUSALS.includes(failure?.errorName)) {
+      return { stop: `the escrow refused the run (${failure.errorName})` };
+    }
+    throw error;
+  }
+  console.log(`  ✅ Agent job ${trigger.jobId} initiated. Tx: ${receipt.hash}`);
+
+  // The new run's trigger id, for the refund check before the next fire. The submitters return
+  // only the hash (appd has no logs to give), so the receipt is read back. The run is mined and
+  // billed by now: a failed lookup must not count as a failed fire, which would leave the refund
+  // check on the run before it and push the trigger towards a pause. It only costs the id.
+  let mined = null;
+  try {
+    mined = await provider.getTransactionReceipt(receipt.hash);
+  } catch (error) {
+    console.warn(
+      `  ⚠️ Could not read back the receipt of ${receipt.hash}; the run's trigger id is unknown: ${error.message}`,
+    );
+  }
+  const submittedLog = (mined?.logs ?? [])
+    .map((log) => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch (e) {
+        return null;
+      }
+    })
+    .find((parsed) => parsed?.name === "AgentJobSubmitted");
+  return { runId: submittedLog ? submittedLog.args.triggerId.toString() : null };
+}
+
+/**
+ * Handles a PromptCancelled event. The oracle has nothing to answer, but a cancelled run of a
+ * scheduled job means the user wants the job stopped, so its trigger is dropped before it bills
+ * them again.
+ */
+async function handleCancellation(user, answerMessageId, event) {
+  const { contract, agentScheduler } = currentChain();
+  const jobId = await contract.triggerToJob(answerMessageId);
+  if (jobId === 0n) return;
+  if (await agentScheduler.remove(jobId)) {
+    console.log(
+      `[EVENT] Run ${answerMessageId} of agent job ${jobId} was cancelled in block ${event.blockNumber}; its schedule is removed.`,
+    );
+  }
+}
+
+async function handleBranch(
+  user,
+  originalConversationId,
+  branchPointMessageId,
+  newConversationId,
+  payload,
+  roflEncryptedKey,
+  event,
+) {
+  const { provider, contract, isSapphire, txSubmitter, privateKey, uploadData } = currentChain();
+  console.log(
+    `[EVENT] Processing BranchRequested for original convId: ${originalConversationId} in block ${event.blockNumber}`,
+  );
+
+  try {
+    const sessionKey = await getSessionKey(
+      payload,
+      roflEncryptedKey,
+      originalConversationId.toString(),
+    );
+
+    const decryptedData = isSapphire
+      ? payload
+      : decryptSymmetrically(ethers.toUtf8String(payload), sessionKey);
+
+    const clientPayload = validatePayload(decryptedData, "BranchRequested");
+
+    const { originalTitle } = clientPayload;
+
+    const now = Date.now();
+    const newTitle = `Branch of ${originalTitle}`;
+
+    const { chainId } = await provider.getNetwork();
+    const newKeyFileTags = [
+      { name: "Content-Type", value: "application/rofl-key" },
+      { name: "SenseAI-Key-For-Conversation", value: `${chainId}-${newConversationId}` },
+    ];
+    // For Sapphire, the sessionKey is received raw in the payload.
+    // We must now encrypt it for persistent storage.
+    let keyToStore;
+    if (isSapphire) {
+      const AI_AGENT_PUBLIC_KEY = publicKeyFromPrivateKey(privateKey);
+      keyToStore = await eciesEncrypt(AI_AGENT_PUBLIC_KEY, Buffer.from(sessionKey));
+    } else {
+      keyToStore = Buffer.from(strip0xPrefix(roflEncryptedKey), "hex");
+    }
+
+    await uploadData(keyToStore, newKeyFileTags);
+
+    const conversationFile = createConversationFile({
+      id: newConversationId.toString(),
+      ownerAddress: user,
+      createdAt: now,
+      branchedFromConversationId: originalConversationId.toString(),
+      branchedAtMessageId: branchPointMessageId.toString(),
+    });
+    const conversationMetadataFile = createConversationMetadataFile({
+      title: newTitle,
+      isDeleted: false,
       lastUpdatedAt: now,
     });
 
@@ -1989,23 +2819,19 @@ async function handleBranch(
       uploadData(Buffer.from(encryptedMeta)),
     ]);
 
-    await txMutex.runExclusive(async () => {
-      console.log(`  Submitting branch ${newConversationId}...`);
+    console.log(`  Submitting branch ${newConversationId}...`);
 
-      const tx = await contract.submitBranch(
-        user,
-        originalConversationId,
-        branchPointMessageId,
-        newConversationId,
-        conversationCID,
-        metadataCID,
-      );
-
-      const receipt = await tx.wait();
-      console.log(
-        `  ✅ Success! Branch submitted. New convId: ${newConversationId}. Tx: ${receipt.hash}`,
-      );
-    });
+    const receipt = await txSubmitter.submit(contract, "submitBranch", [
+      user,
+      originalConversationId,
+      branchPointMessageId,
+      newConversationId,
+      conversationCID,
+      metadataCID,
+    ]);
+    console.log(
+      `  ✅ Success! Branch submitted. New convId: ${newConversationId}. Tx: ${receipt.hash}`,
+    );
   } catch (error) {
     console.error(`Error in handleBranch for convId ${originalConversationId}:`, error);
     throw error;
@@ -2013,6 +2839,7 @@ async function handleBranch(
 }
 
 async function handleMetadataUpdate(user, conversationId, payload, roflEncryptedKey, event) {
+  const { contract, isSapphire, txSubmitter, uploadData } = currentChain();
   console.log(
     `[EVENT] Processing MetadataUpdateRequested for convId: ${conversationId} in block ${event.blockNumber}`,
   );
@@ -2038,16 +2865,15 @@ async function handleMetadataUpdate(user, conversationId, payload, roflEncrypted
 
     const metadataCID = await uploadData(Buffer.from(encryptedMeta));
 
-    await txMutex.runExclusive(async () => {
-      console.log(`  Submitting metadata update for ${conversationId}...`);
-
-      const tx = await contract.submitConversationMetadata(conversationId, metadataCID);
+    console.log(`  Submitting metadata update for ${conversationId}...`);
 
-      const receipt = await tx.wait();
-      console.log(
-        `  ✅ Success! Metadata updated for conversation ${conversationId}. Tx: ${receipt.hash}`,
-      );
-    });
+    const receipt = await txSubmitter.submit(contract, "submitConversationMetadata", [
+      conversationId,
+      metadataCID,
+    ]);
+    console.log(
+      `  ✅ Success! Metadata updated for conversation ${conversationId}. Tx: ${receipt.hash}`,
+    );
   } catch (error) {
     console.error(`Error in handleMetadataUpdate for convId ${conversationId}:`, error);
 
@@ -2060,32 +2886,36 @@ async function handleMetadataUpdate(user, conversationId, payload, roflEncrypted
 /**
  * Ensures the oracle's address is correctly registered in the smart contract.
  * For Sapphire, this can be a TEE-signed transaction to securely update the key.
+ * The address is the one the chain's writes are sent from (see txSubmitter).
  * For EVM, this is a critical health check, as the function is owner-only.
  */
 async function setOracleAddress() {
+  const { txSubmitter, contract, isSapphire, networkName, contractAddress } = currentChain();
+  // Whoever sends the writes: PRIVATE_KEY's wallet, or the app key when they go through appd.
+  const oracleAddress = txSubmitter.address;
   const onChainOracle = await contract.oracle();
-  if (onChainOracle.toLowerCase() === signer.address.toLowerCase()) {
-    console.log(`Oracle address is correctly set: ${signer.address}`);
+  if (onChainOracle.toLowerCase() === oracleAddress.toLowerCase()) {
+    console.log(`Oracle address is correctly set: ${oracleAddress}`);
     return;
   }
-  console.log(`Updating on-chain oracle address from ${onChainOracle} to ${signer.address}`);
+  console.log(`Updating on-chain oracle address from ${onChainOracle} to ${oracleAddress}`);
 
   try {
     if (isSapphire) {
-      const isLocalnet = NETWORK_NAME === "sapphire-localnet";
+      const isLocalnet = networkName === "sapphire-localnet";
 
-      if (isLocalnet) {
+      if (isLocalnet && txSubmitter.kind === "ethers") {
         // On localnet, we can send a direct transaction as we control the TEE simulation.
-        const tx = await contract.setOracle(signer.address, { gasLimit: 1000000 });
+        const tx = await contract.setOracle(oracleAddress, { gasLimit: 1000000 });
 
         await tx.wait();
       } else {
         // On testnet/mainnet, the transaction must be signed by the ROFL TEE.
         console.log("Populating setOracle transaction...");
-        const txUnsigned = await contract.setOracle.populateTransaction(signer.address);
+        const txUnsigned = await contract.setOracle.populateTransaction(oracleAddress);
 
         const txParams = {
-          to: AI_AGENT_CONTRACT_ADDRESS,
+          to: contractAddress,
           gas: 2000000, // setOracle is a simple transaction, a fixed high limit is safe
           value: 0,
           data: txUnsigned.data,
@@ -2095,18 +2925,18 @@ async function setOracleAddress() {
         console.log(`setOracle transaction submitted: ${txHash}`);
       }
 
-      console.log(`Successfully updated oracle address to ${signer.address}`);
+      console.log(`Successfully updated oracle address to ${oracleAddress}`);
     } else {
       // For EVM, this is a health check. The contract's owner must set the address.
       // This oracle process does not have the permissions.
-      const errorMessage = `FATAL: Oracle address mismatch on EVM chain. On-chain oracle is ${onChainOracle}, but this oracle's key is for ${signer.address}. The contract owner must call setOracle().`;
+      const errorMessage = `FATAL: Oracle address mismatch on EVM chain. On-chain oracle is ${onChainOracle}, but this oracle's key is for ${oracleAddress}. The contract owner must call setOracle().`;
 
       await sendAlert("CRITICAL: Oracle Address Mismatch", errorMessage);
 
       throw new Error(errorMessage);
     }
   } catch (err) {
-    const errorMessage = `FATAL: Failed to update oracle address. The on-chain oracle is ${onChainOracle}, but this oracle's address is ${signer.address}. Error: ${err.message}`;
+    const errorMessage = `FATAL: Failed to update oracle address. The on-chain oracle is ${onChainOracle}, but this oracle's address is ${oracleAddress}. Error: ${err.message}`;
 
     await sendAlert("CRITICAL: Oracle Setup Failed", errorMessage);
 
@@ -2114,14 +2944,27 @@ async function setOracleAddress() {
   }
 }
 
+/**
+ * The alert fingerprint for one job: each lost job is an incident of its own, where the title
+ * alone would fold a second job's alert into the first's cooldown as a mere count.
+ */
+function jobAlertFingerprint(title, eventName, transactionHash) {
+  return `${title}:${eventName}:${transactionHash}`;
+}
+
 /**
  * A wrapper for event handlers that distinguishes between retryable and fatal errors.
  * Retryable errors are saved to a queue for later processing.
+ *
+ * It never moves the cursor. Only the scan loops do, once every event of the range they scanned
+ * is settled: an event the subscription pushed is handled ahead of the scan, while older events
+ * may still be in flight, and saving its block would skip them after a restart.
  * @param {string} eventName - The name of the event being processed.
  * @param {Function} handler - The async event handler function to execute.
  * @param  {...any} args - The arguments passed by the ethers.js event listener.
  */
 async function handleAndRecord(eventName, handler, ...args) {
+  const { contract } = currentChain();
   const event = args[args.length - 1];
 
   try {
@@ -2131,16 +2974,22 @@ async function handleAndRecord(eventName, handler, ...args) {
     const lagInSeconds = nowTimestamp - eventTimestamp;
     const lagThreshold = 300; // 5 minutes
 
+    // Checked for every event, so a backlog repeats it hundreds of times; alerting groups the
+    // repeats into one incident, and the first event back under the threshold resolves it.
     if (lagInSeconds > lagThreshold) {
       await sendAlert(
         "High Oracle Processing Lag Detected",
         `The oracle is currently processing events that are over ${Math.floor(lagInSeconds / 60)} minutes old. The system is under heavy load and may not be keeping up. Consider deploying additional oracle instances to handle the demand.`,
+        { lasting: true },
+      );
+    } else {
+      await resolveAlert(
+        "High Oracle Processing Lag Detected",
+        `Events are being processed within ${Math.floor(lagThreshold / 60)} minutes again.`,
       );
     }
 
     await handler(...args);
-
-    await fs.writeFile(STATE_FILE_PATH, JSON.stringify({ lastProcessedBlock: event.blockNumber }));
   } catch (error) {
     // 1. MALICIOUS / BAD INPUT ERRORS (Drop silently or log warning, DO NOT RETRY)
     // "Validation Failed" covers all schema mismatches from payloadValidator.js
@@ -2149,216 +2998,323 @@ async function handleAndRecord(eventName, handler, ...args) {
         `[Security] Dropping malformed/invalid payload for ${eventName} in block ${event.blockNumber}. Error: ${error.message}`,
       );
       // We do NOT throw, we do NOT alert, we do NOT queue for retry.
-      // We update state and move on.
-      await fs.writeFile(
-        STATE_FILE_PATH,
-        JSON.stringify({ lastProcessedBlock: event.blockNumber }),
-      );
-
+      // We move on; the scan loop moves the cursor past it.
       return;
     }
 
-    // 2. RETRYABLE ERRORS (Network, API limits)
-    // For now, we'll treat most I/O errors (like from Irys) as retryable.
-    // We can add more specific checks here later (e.g., based on error codes).
-    const isRetryable =
-      error.message.includes("Irys") ||
-      error.message.includes("fetch") ||
-      error.message.includes("insufficient funds") ||
-      error.message.includes("Autonomys") ||
-      error.message.includes("Bad Gateway") ||
-      error.message.includes("502") ||
-      error.message.includes("503") ||
-      error.message.includes("ETIMEDOUT");
-
-    if (isRetryable) {
+    // 2. RETRYABLE ERRORS (storage outages, unfunded wallets, an unreachable RPC or appd)
+    // Retryability is a property of the error type (see oracleErrors.js). Storage and appd
+    // failures arrive typed from their modules; ethers errors from contract calls are typed here.
+    // Anything still untyped is an unknown failure and goes to a human below.
+    const failure = classifyChainError(error, contract.interface);
+
+    if (isRetryable(failure)) {
       console.warn(
         `Encountered a retryable error for ${eventName}. Adding to retry queue. Error: ${error.message}`,
       );
 
-      let failedJobs = [];
       try {
-        const fileContent = await fs.readFile(FAILED_JOBS_FILE_PATH, "utf-8");
-
-        const parsed = JSON.parse(fileContent);
-
-        // Ensure what we read is actually an array. If it's {}, treat as [].
-        if (Array.isArray(parsed)) {
-          failedJobs = parsed;
-        }
-      } catch (e) {
-        /* File doesn't exist or is corrupt, start with empty array */
+        await getJobStore().enqueue({ eventName, event, error });
+      } catch (storeError) {
+        // Nothing else holds this event now — the batch loops advance the cursor regardless — so
+        // the alert carries the transaction hash an operator needs to replay it by hand.
+        const alertMessage = `Could not queue a retry for event '${eventName}' in block ${event.blockNumber} (tx ${event.transactionHash}). Original error: ${error.message}. Queue error: ${storeError.message}`;
+        console.error(alertMessage);
+        Sentry.captureException(storeError, {
+          tags: { site: "job_store_enqueue", eventName, blockNumber: event.blockNumber },
+        });
+        await sendAlert("CRITICAL: Retry Queue Unavailable", alertMessage, { lasting: true });
+        return;
       }
-
-      failedJobs.push({
-        eventName,
-        event: {
-          args: event.args,
-          blockNumber: event.blockNumber,
-          transactionHash: event.transactionHash,
-        },
-        retryCount: 0,
-        nextAttemptAt: Date.now() + BASE_RETRY_DELAY_MS,
-      });
-
-      await fs.writeFile(FAILED_JOBS_FILE_PATH, JSON.stringify(failedJobs, null, 2));
-
-      // Still save the block progress, because we have successfully QUEUED the failed job.
-      // This prevents it from being picked up again by the catch-up scanner.
-      await fs.writeFile(
-        STATE_FILE_PATH,
-        JSON.stringify({ lastProcessedBlock: event.blockNumber }),
+      await resolveAlert(
+        "CRITICAL: Retry Queue Unavailable",
+        "Failed events are being queued for retry again.",
       );
     } else {
-      const alertMessage = `Encountered a FATAL, non-retryable error for event '${eventName}' in block ${event.blockNumber}. Manual intervention required. Error: ${error.message}`;
+      const reverted = failure?.errorName ? ` (reverted with ${failure.errorName})` : "";
+      const alertMessage = `Encountered a FATAL, non-retryable error for event '${eventName}' in block ${event.blockNumber}${reverted}. Manual intervention required. Error: ${error.message}`;
       console.error(alertMessage, error);
 
       Sentry.captureException(error, {
-        tags: { site: "handle_and_record_fatal", eventName, blockNumber: event.blockNumber },
+        tags: {
+          site: "handle_and_record_fatal",
+          eventName,
+          blockNumber: event.blockNumber,
+          errorType: failure?.name ?? "Error",
+        },
+      });
+      const title = "CRITICAL: Oracle Fatal Error";
+      await sendAlert(title, alertMessage, {
+        fingerprint: jobAlertFingerprint(title, eventName, event.transactionHash),
       });
-      await sendAlert("CRITICAL: Oracle Fatal Error", alertMessage);
+
+      // Kept as a dead job, so the event can be inspected and replayed with scripts/oracle-jobs.js
+      // once whatever made it fatal is fixed. Best effort: the alert above is what pages someone.
+      if (event.transactionHash) {
+        try {
+          await getJobStore().bury({ eventName, event, error });
+        } catch (storeError) {
+          console.error(`Could not dead-letter the failed ${eventName}: ${storeError.message}`);
+        }
+      }
     }
   }
 }
 
 /**
- * Periodically checks for and retries failed jobs from a persistent queue file.
- * Uses exponential backoff to space out retries.
+ * Rebuild the ethers event a queued job came from. The store keeps only decimal-string args, for
+ * reading; a handler needs the real decoded log, so it is re-parsed from the transaction receipt.
+ *
+ * @param {{ eventName: string, transactionHash: string }} job
+ * @returns {Promise<object>} the parsed event, with `blockNumber` and `getBlock` attached
  */
-async function retryFailedJobs() {
-  let failedJobs = [];
-  try {
-    const fileContent = await fs.readFile(FAILED_JOBS_FILE_PATH, "utf-8");
+async function reconstructJobEvent(job) {
+  const { provider, contract } = currentChain();
+  // Re-fetch the full event object to pass to the handler
+  const receipt = await provider.getTransactionReceipt(job.transactionHash);
 
-    const parsed = JSON.parse(fileContent);
-    // Ensure failedJobs is iterable (Array). If it's an object {}, ignore it.
-    if (Array.isArray(parsed)) {
-      failedJobs = parsed;
-    } else {
-      // If the file contains {}, we treat it as empty.
-      // We don't write back immediately to avoid disk thrashing,
-      // but the next write will correct the file format.
-      failedJobs = [];
-    }
-  } catch (e) {
-    return; // No failed jobs file, nothing to do.
+  if (!receipt) {
+    throw new Error(`Could not find transaction receipt for hash ${job.transactionHash}`);
   }
 
-  if (failedJobs.length === 0) return;
+  const fullEvent = receipt.logs
+    .map((log) => {
+      try {
+        if (log.address.toLowerCase() === contract.target.toLowerCase()) {
+          // Return a combined object that includes the transactionHash for the find filter
+          const parsed = contract.interface.parseLog(log);
+          if (parsed) {
+            return { ...parsed, transactionHash: log.transactionHash };
+          }
+        }
+        return null;
+      } catch (e) {
+        return null;
+      }
+    })
+    .find(
+      (parsedLog) =>
+        parsedLog &&
+        parsedLog.name === job.eventName &&
+        parsedLog.transactionHash === job.transactionHash,
+    );
 
-  console.log(`[Retry] Checking ${failedJobs.length} failed job(s)...`);
-  const remainingJobs = [];
-  let processed = false;
-  for (const job of failedJobs) {
-    if (Date.now() >= job.nextAttemptAt) {
-      // An attempt is being made, so we know the file will need to be updated
-      processed = true;
+  if (!fullEvent) {
+    throw new Error(`Could not re-parse event '${job.eventName}' from transaction receipt.`);
+  }
 
-      console.log(
-        `[Retry] Retrying job for event: ${job.eventName} from block ${job.event.blockNumber}`,
-      );
-      try {
-        // Re-fetch the full event object to pass to the handler
-        const receipt = await provider.getTransactionReceipt(job.event.transactionHash);
+  return {
+    ...fullEvent,
+    blockNumber: receipt.blockNumber,
+    getBlock: () => provider.getBlock(receipt.blockNumber),
+  };
+}
 
-        if (!receipt) {
-          throw new Error(
-            `Could not find transaction receipt for hash ${job.event.transactionHash}`,
-          );
-        }
+/** Run the live listener's handler for `eventName` on an event it has already parsed. */
+async function runEventHandler(eventName, event) {
+  switch (eventName) {
+    case "PromptSubmitted":
+      return handlePrompt(...event.args, event);
+    case "RegenerationRequested":
+      return handleRegeneration(...event.args, event);
+    case "BranchRequested":
+      return handleBranch(...event.args, event);
+    case "AgentJobSubmitted":
+      return handleAgentJob(...event.args, event);
+    case "PromptCancelled":
+      return handleCancellation(...event.args, event);
+    case "MetadataUpdateRequested":
+      return handleMetadataUpdate(...event.args, event);
+    default:
+      throw new Error(`No handler for event '${eventName}'.`);
+  }
+}
 
-        const fullEvent = receipt.logs
-          .map((log) => {
-            try {
-              if (log.address.toLowerCase() === contract.target.toLowerCase()) {
-                // Return a combined object that includes the transactionHash for the find filter
-                const parsed = contract.interface.parseLog(log);
-                if (parsed) {
-                  return { ...parsed, transactionHash: log.transactionHash };
-                }
-              }
-              return null;
-            } catch (e) {
-              return null;
-            }
-          })
-          .find(
-            (parsedLog) =>
-              parsedLog &&
-              parsedLog.name === job.eventName &&
-              parsedLog.transactionHash === job.event.transactionHash,
-          );
+/**
+ * Re-run one queued or dead-lettered job through its handler, for scripts/oracle-jobs.js.
+ *
+ * Deliberately NOT through handleAndRecord: an operator is watching, so a failure is thrown back
+ * to them instead of being queued, buried or paged about, and the block cursor is not touched.
+ * The handlers' own isJobFinalized checks make replaying an already-answered job a no-op.
+ *
+ * `dryRun` swaps in a contract whose writes are simulated with staticCall and never sent, so a
+ * replay that would revert still says so. The other writes get stand-ins too: storage uploads
+ * nothing, no answer activity is recorded, and the agent scheduler neither registers nor removes
+ * a trigger (see createDryRunEffects). The inference and every read are real. The swap is a copy
+ * of the chain scoped to this replay, so the live chain object never holds a stand-in.
+ *
+ * The copy also sends through the contract, whatever the chain's submitter: appd would sign and
+ * submit calldata it encoded itself, straight past the simulation. The staticCall then runs from
+ * PRIVATE_KEY's address, so on an appd chain a dry run reports UnauthorizedOracle for what would
+ * be sent from the app key.
+ *
+ * @param {{ eventName: string, transactionHash: string }} job
+ * @param {{ dryRun?: boolean, chainId?: string }} [opts] - `chainId` may be omitted when only one
+ *   chain is configured
+ */
+async function replayJob(job, { dryRun = false, chainId } = {}) {
+  const chain = selectChain(chains, chainId);
+  let scope = chain;
+  if (dryRun) {
+    const contract = createDryRunContract(chain.contract);
+    const txSubmitter = createEthersSubmitter(chain.signer);
+    // Never a multicall: it is sent through a contract of its own, around the proxy.
+    const answerBatcher = createAnswerBatcher({ contract, txSubmitter, multicall: false });
+    scope = { ...chain, contract, txSubmitter, answerBatcher, ...createDryRunEffects() };
+  }
+  await inChain(scope, async () => {
+    const event = await reconstructJobEvent(job);
+    await runEventHandler(job.eventName, event);
+  });
+}
 
-        if (!fullEvent) {
-          throw new Error(`Could not re-parse event '${job.eventName}' from transaction receipt.`);
-        }
+/**
+ * What start() brings up before any handler can run — storage and the ElizaOS runtime — without
+ * its listeners, timers, servers or the setOracle check. For the replay CLI.
+ */
+async function initForReplay() {
+  await initializeStorage();
+  await initializeEliza();
+}
 
-        const eventWithBlock = {
-          ...fullEvent,
-          blockNumber: receipt.blockNumber,
-          getBlock: () => provider.getBlock(receipt.blockNumber),
-        };
+/**
+ * Periodically claims due jobs from the job store and retries them. The store owns the schedule —
+ * exponential backoff, and dead-lettering once MAX_RETRIES retries have failed — so this only
+ * reports each outcome back. A claim is leased, so an overlapping sweep never retries the same
+ * job twice, and a job whose retry dies with the process is picked up again when its lease lapses.
+ */
+async function retryFailedJobs() {
+  const { contract } = currentChain();
+  const store = getJobStore();
+  let dueJobs;
+  try {
+    dueJobs = await store.claimDue();
+  } catch (error) {
+    console.error(`[Retry] Could not read the job store: ${error.message}`);
+    return;
+  }
 
-        // Add the retry to the concurrency queue as well
-        await queue.add(async () => {
-          switch (job.eventName) {
-            case "PromptSubmitted":
-              await handlePrompt(...eventWithBlock.args, eventWithBlock);
+  if (dueJobs.length === 0) return;
 
-              break;
-            case "RegenerationRequested":
-              await handleRegeneration(...eventWithBlock.args, eventWithBlock);
+  console.log(`[Retry] Retrying ${dueJobs.length} due job(s)...`);
+  for (const job of dueJobs) {
+    console.log(`[Retry] Retrying job for event: ${job.eventName} from block ${job.blockNumber}`);
+    try {
+      const eventWithBlock = await reconstructJobEvent(job);
 
-              break;
-            case "BranchRequested":
-              await handleBranch(...eventWithBlock.args, eventWithBlock);
+      // Add the retry to the concurrency queue as well
+      await enqueueForChain(() => runEventHandler(job.eventName, eventWithBlock));
+      console.log(`[Retry] Successfully re-queued job.`);
+    } catch (error) {
+      console.error(
+        `[Retry] Attempt #${job.attempts + 1} failed for event ${job.eventName}. Error: ${error.message}`,
+      );
 
-              break;
-            case "MetadataUpdateRequested":
-              await handleMetadataUpdate(...eventWithBlock.args, eventWithBlock);
+      // A failure typed as permanent — a revert, a malformed stored payload — will fail the same
+      // way on every remaining retry, so it is dead-lettered now. An untyped one keeps its backoff:
+      // it was retryable when it was queued, and one unexplained failure does not change that.
+      const failure = classifyChainError(error, contract.interface);
+      const retryable = !(failure instanceof OracleError) || failure.retryable;
 
-              break;
-          }
+      let updated;
+      try {
+        updated = await store.fail(job.id, error, { retryable });
+      } catch (storeError) {
+        // Left claimed; the lease lapsing brings it back, with this attempt uncounted.
+        console.error(`[Retry] Could not record the failed attempt: ${storeError.message}`);
+        continue;
+      }
+
+      if (updated?.status === "dead") {
+        Sentry.captureException(error, {
+          tags: {
+            site: "retry_permanent_failure",
+            eventName: job.eventName,
+            blockNumber: job.blockNumber,
+          },
         });
-        console.log(`[Retry] Successfully re-queued job.`);
-        // On success, we DON'T add it to remainingJobs, so it's removed from the queue.
-      } catch (error) {
-        console.error(
-          `[Retry] Attempt #${job.retryCount + 1} failed for event ${job.eventName}. Error: ${error.message}`,
+        const title = "CRITICAL: Job Failed Permanently";
+        await sendAlert(
+          title,
+          `A job for event ${job.eventName} from block ${job.blockNumber} (tx ${job.transactionHash}) ${retryable ? `has failed all ${MAX_RETRIES} retries` : `failed with a non-retryable ${failure.name}`} and has been moved to the dead-letter queue. Manual intervention required. Final error: ${error.message}`,
+          { fingerprint: jobAlertFingerprint(title, job.eventName, job.transactionHash) },
         );
-
-        job.retryCount += 1;
-        if (job.retryCount >= MAX_RETRIES) {
-          Sentry.captureException(error, {
-            tags: {
-              site: "retry_permanent_failure",
-              eventName: job.eventName,
-              blockNumber: job.event.blockNumber,
-            },
-          });
-          await sendAlert(
-            "CRITICAL: Job Failed Permanently",
-            `A job for event ${job.eventName} from block ${job.event.blockNumber} has failed all ${MAX_RETRIES} retries and has been dropped. Manual intervention required. Final error: ${error.message}`,
-          );
-          // On permanent failure, we also DON'T add it to remainingJobs.
-        } else {
-          const delay = BASE_RETRY_DELAY_MS * Math.pow(2, job.retryCount);
-          job.nextAttemptAt = Date.now() + delay;
-          remainingJobs.push(job); // Add it back to the queue for the next attempt
-        }
       }
-    } else {
-      remainingJobs.push(job); // Not time to retry yet, keep it in the queue
+      continue;
+    }
+
+    // Outside the handler's try: a store hiccup here must not be booked as a failed attempt of a
+    // job that just succeeded. Unacked, it is retried when the lease lapses, and the handlers'
+    // finalisation checks turn that second run into a no-op.
+    try {
+      await store.ack(job.id);
+    } catch (storeError) {
+      console.error(`[Retry] Could not acknowledge job ${job.id}: ${storeError.message}`);
     }
   }
+}
 
-  // If we processed any jobs, this means the queue has changed (either by removing a job
-  // or by updating its retry count), so we must write the new state back to the file.
-  if (processed) {
-    await fs.writeFile(FAILED_JOBS_FILE_PATH, JSON.stringify(remainingJobs, null, 2));
+/**
+ * Persist the cursor, with the hashes of the blocks behind it, to the chain's state file.
+ * `lastProcessedBlock` keeps its name and meaning: the heartbeat and older tooling read it.
+ *
+ * @param {number} lastProcessedBlock
+ */
+async function saveCursor(lastProcessedBlock) {
+  const { stateFilePath, blockHashes } = currentChain();
+  await fs.writeFile(stateFilePath, JSON.stringify({ lastProcessedBlock, blockHashes }));
+}
+
+/**
+ * Record the hashes a scan of `[.. toBlock]` saw: each event's block (free — it came with the
+ * log) and `toBlock` itself, the checkpoint the next reorg check starts from. Best-effort: a
+ * provider that cannot say costs the check a checkpoint, not the scan its progress.
+ *
+ * @param {Array<{ blockNumber: number, blockHash?: string }>} events
+ * @param {number} toBlock
+ */
+async function recordScanned(events, toBlock) {
+  const { provider, blockHashes } = currentChain();
+  for (const event of events) recordBlockHash(blockHashes, event.blockNumber, event.blockHash);
+  try {
+    recordBlockHash(blockHashes, toBlock, (await provider.getBlock(toBlock))?.hash);
+  } catch (error) {
+    console.warn(`  ⚠️ Could not read the hash of block ${toBlock}: ${error.message}`);
   }
 }
 
+/**
+ * If blocks the cursor has already passed were replaced, rewind it to the last block the chain
+ * still agrees on, so the next scan re-reads everything above it. Events found again are
+ * re-dispatched as usual; the handlers' isJobFinalized check makes that a no-op for any whose
+ * answer survived the reorg, and a real answer for any whose answer did not.
+ *
+ * @param {number} cursor - the last processed block
+ * @returns {Promise<number>} the cursor to continue from
+ */
+async function rewindOnReorg(cursor) {
+  const { id, provider, blockHashes } = currentChain();
+  const reorg = await findReorg(
+    blockHashes,
+    async (blockNumber) => (await provider.getBlock(blockNumber))?.hash ?? null,
+  );
+  if (!reorg) return cursor;
+
+  const rewound = Math.min(cursor, reorg.ancestor);
+  forgetBlocksAbove(blockHashes, rewound);
+  const replaced = reorg.replaced.join(", ");
+  console.warn(
+    `  ↩ Processed block(s) ${replaced} on ${id} were replaced (reorg) — rewinding cursor from ${cursor} to ${rewound}.`,
+  );
+  // Fire-and-forget, as for the head-drop rewind in pollEvents: the alert must not hold it up.
+  sendAlert(
+    "Chain reorg detected — processed blocks replaced",
+    `Block(s) ${replaced} on chain ${id} no longer match the hashes the oracle processed. Rewound the cursor from ${cursor} to ${rewound}; events in the replaced blocks will be re-processed.`,
+  ).catch((err) => console.error("sendAlert (reorg) failed:", err.message));
+  await saveCursor(rewound);
+  return rewound;
+}
+
 /**
  * Scans for and processes any events that were missed while the oracle was offline.
  * Uses batching to respect RPC limits on block ranges.
@@ -2366,6 +3322,7 @@ async function retryFailedJobs() {
  * @param {number} toBlock - The latest block number to scan up to.
  */
 async function processPastEvents(fromBlock, toBlock) {
+  const { contract } = currentChain();
   if (fromBlock > toBlock) {
     return;
   }
@@ -2388,6 +3345,8 @@ async function processPastEvents(fromBlock, toBlock) {
         contract.queryFilter(contract.filters.RegenerationRequested(), currentStart, currentEnd),
         contract.queryFilter(contract.filters.BranchRequested(), currentStart, currentEnd),
         contract.queryFilter(contract.filters.MetadataUpdateRequested(), currentStart, currentEnd),
+        contract.queryFilter(contract.filters.AgentJobSubmitted(), currentStart, currentEnd),
+        contract.queryFilter(contract.filters.PromptCancelled(), currentStart, currentEnd),
       ];
 
       const allEventsNested = await Promise.all(eventPromises);
@@ -2406,41 +3365,7 @@ async function processPastEvents(fromBlock, toBlock) {
         console.log(`     Found ${allEvents.length} events in batch. Queueing...`);
 
         // Map all events to queue tasks
-        const tasks = allEvents.map((event) => {
-          return queue.add(async () => {
-            // Use a switch on the event name to call the correct handler
-            switch (event.eventName) {
-              case "PromptSubmitted":
-                await handleAndRecord("PromptSubmitted", handlePrompt, ...event.args, event);
-
-                break;
-              case "RegenerationRequested":
-                await handleAndRecord(
-                  "RegenerationRequested",
-                  handleRegeneration,
-                  ...event.args,
-                  event,
-                );
-
-                break;
-              case "BranchRequested":
-                await handleAndRecord("BranchRequested", handleBranch, ...event.args, event);
-
-                break;
-              case "MetadataUpdateRequested":
-                await handleAndRecord(
-                  "MetadataUpdateRequested",
-                  handleMetadataUpdate,
-                  ...event.args,
-                  event,
-                );
-
-                break;
-              default:
-                console.warn(`Unknown event encountered during catch-up: ${event.eventName}`);
-            }
-          });
-        });
+        const tasks = allEvents.map(dispatchEvent);
 
         // Wait for ALL tasks in this batch to complete before updating state.
         // This ensures if the process crashes, we re-process this batch rather than skipping it.
@@ -2448,7 +3373,8 @@ async function processPastEvents(fromBlock, toBlock) {
       }
 
       // Update checkpoint after every successful batch to avoid re-processing
-      await fs.writeFile(STATE_FILE_PATH, JSON.stringify({ lastProcessedBlock: currentEnd }));
+      await recordScanned(allEvents, currentEnd);
+      await saveCursor(currentEnd);
 
       // Move window forward
       currentStart = currentEnd + 1;
@@ -2469,28 +3395,206 @@ async function processPastEvents(fromBlock, toBlock) {
   console.log("Catch-up complete.");
 }
 
+/**
+ * Queue `event`'s handler on the current chain, wrapped in handleAndRecord. The one place the
+ * catch-up, the poll loop and the live subscription all hand events to.
+ */
+function dispatchEvent(event) {
+  return enqueueForChain(async () => {
+    // Use a switch on the event name to call the correct handler
+    switch (event.eventName) {
+      case "PromptSubmitted":
+        await handleAndRecord("PromptSubmitted", handlePrompt, ...event.args, event);
+
+        break;
+      case "RegenerationRequested":
+        await handleAndRecord("RegenerationRequested", handleRegeneration, ...event.args, event);
+
+        break;
+      case "BranchRequested":
+        await handleAndRecord("BranchRequested", handleBranch, ...event.args, event);
+
+        break;
+      case "MetadataUpdateRequested":
+        await handleAndRecord(
+          "MetadataUpdateRequested",
+          handleMetadataUpdate,
+          ...event.args,
+          event,
+        );
+
+        break;
+      case "AgentJobSubmitted":
+        await handleAndRecord("AgentJobSubmitted", handleAgentJob, ...event.args, event);
+
+        break;
+      case "PromptCancelled":
+        await handleAndRecord("PromptCancelled", handleCancellation, ...event.args, event);
+
+        break;
+      default:
+        console.warn(`Unknown event encountered: ${event.eventName}`);
+    }
+  });
+}
+
+/**
+ * The events the oracle acts on — what the catch-up and poll loop query, one filter each. All
+ * but the last are answered; a cancellation only stops a scheduled job.
+ */
+const AGENT_EVENT_NAMES = [
+  "PromptSubmitted",
+  "RegenerationRequested",
+  "BranchRequested",
+  "MetadataUpdateRequested",
+  "AgentJobSubmitted",
+  "PromptCancelled",
+];
+
+/**
+ * A raw log from `eth_subscribe` in the shape `queryFilter` gives the handlers: parsed args,
+ * numeric positions, and `getBlock`. Null for a log that is not one of the agent's events.
+ */
+function eventFromLog(log) {
+  const { provider, contract } = currentChain();
+  const parsed = contract.interface.parseLog({ topics: log.topics, data: log.data });
+  if (!parsed || !AGENT_EVENT_NAMES.includes(parsed.name)) return null;
+  const blockNumber = Number(log.blockNumber);
+  return {
+    eventName: parsed.name,
+    args: parsed.args,
+    blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    transactionIndex: Number(log.transactionIndex),
+    index: Number(log.logIndex),
+    getBlock: () => provider.getBlock(blockNumber),
+  };
+}
+
+/**
+ * The poll loop's position, for /metrics. The lag is head minus cursor, so it includes the
+ * confirmation depth the loop deliberately stays behind by: a steady lag of that depth is health.
+ */
+function recordPollProgress(chainId, head, cursor) {
+  metrics.chainHeadBlock.set({ chain: chainId }, head);
+  metrics.cursorBlock.set({ chain: chainId }, cursor);
+  metrics.chainHeadLag.set({ chain: chainId }, Math.max(0, head - cursor));
+}
+
+/** How often the loop scans while a subscription is live: reconciliation, not discovery. */
+const SUBSCRIBED_SCAN_INTERVAL_MS = 30 * 1000;
+/** How often it scans without one — the only way new events are found. */
+const POLL_INTERVAL_MS = 4000;
+
 /**
  * Continuously polls the blockchain for new events in specific block ranges.
  * Updates the state file after every batch to ensure progress is saved even during periods of inactivity.
+ *
+ * When the chain has a WebSocket RPC (`wsUrl`), events are also pushed over `eth_subscribe` and
+ * queued the moment they arrive. The scan below stays the source of truth — it alone moves the
+ * cursor — and slows to a reconciliation pass every SUBSCRIBED_SCAN_INTERVAL_MS while the
+ * subscription is up. When the socket drops it is back to every 4s, and every (re)connect
+ * triggers an immediate scan from the persisted cursor, so nothing emitted while the socket was
+ * down is missed. An event seen by both paths is queued once: `dispatched` remembers it until a
+ * scan has passed its block, and the scan waits for its task before saving the cursor past it.
+ *
+ * Scans stop `confirmationDepth` blocks short of the head, and each starts by checking that the
+ * blocks already processed are still the chain's (rewindOnReorg). The subscription is only used
+ * at depth 0, since a pushed log is by definition unconfirmed.
+ *
  * @param {number} startBlock - The block to start polling from.
+ * @param {{ signal?: AbortSignal }} [opts] - ends the loop (tests; production never stops it)
  */
-async function pollEvents(startBlock) {
+async function pollEvents(startBlock, { signal } = {}) {
+  const chain = currentChain();
+  const { provider, contract, wsUrl, confirmationDepth } = chain;
   console.log(`✅ Oracle is running and listening for new events from block ${startBlock}.`);
 
   // Use the same batch size config as catch-up to respect RPC limits
   const BATCH_SIZE = parseInt(process.env.EVENT_BATCH_SIZE) || 2000;
 
-  const filters = [
-    contract.filters.PromptSubmitted(),
-    contract.filters.RegenerationRequested(),
-    contract.filters.BranchRequested(),
-    contract.filters.MetadataUpdateRequested(),
-  ];
+  const filters = AGENT_EVENT_NAMES.map((name) => contract.filters[name]());
 
   let currentBlock = startBlock;
-  while (true) {
+
+  // Queued events by `${transactionHash}:${index}`, until a scan has passed their block.
+  const dispatched = new Map();
+  function dispatchOnce(event) {
+    const key = `${event.transactionHash}:${event.index}`;
+    if (!dispatched.has(key)) {
+      const task = dispatchEvent(event);
+      // Forgotten if it throws, so the scan that re-reads its block queues it afresh.
+      task.catch(() => dispatched.delete(key));
+      dispatched.set(key, { blockNumber: event.blockNumber, task });
+    }
+    return dispatched.get(key).task;
+  }
+
+  // The wait between scans, cut short when the subscription connects or drops.
+  let wake = null;
+  const sleep = (ms) =>
+    new Promise((resolve) => {
+      const timer = setTimeout(done, ms);
+      function done() {
+        clearTimeout(timer);
+        wake = null;
+        resolve();
+      }
+      wake = done;
+    });
+
+  let subscription = null;
+  if (wsUrl && confirmationDepth > 0) {
+    // A pushed log is at depth 0; acting on it would skip the wait the depth exists for, and
+    // waiting for it is exactly what the scan already does.
+    console.log(
+      `[Subscription] Not used on ${chain.id}: events wait for ${confirmationDepth} confirmations.`,
+    );
+  } else if (wsUrl) {
+    try {
+      subscription = createLogSubscription({
+        url: wsUrl,
+        filter: {
+          address: contract.target,
+          topics: [AGENT_EVENT_NAMES.map((name) => contract.interface.getEvent(name).topicHash)],
+        },
+        onLog: (log) =>
+          inChain(chain, () => {
+            // A log the node takes back is a reorg; the scan's cursor reconciliation owns those.
+            if (log.removed) return;
+            let event;
+            try {
+              event = eventFromLog(log);
+            } catch (error) {
+              console.warn(`[Subscription] Unparseable log ignored: ${error.message}`);
+              return;
+            }
+            // Already scanned past it: the scan found it, and queued it, first.
+            if (!event || event.blockNumber <= currentBlock) return;
+            console.log(`  ⚡ ${event.eventName} pushed from block ${event.blockNumber}.`);
+            dispatchOnce(event);
+          }),
+        // Reconciliation: re-scan from the persisted cursor now rather than at the next tick.
+        onConnect: () => wake?.(),
+        onDisconnect: () => wake?.(),
+      });
+    } catch (error) {
+      console.warn(`[Subscription] Not available, polling only: ${error.message}`);
+    }
+  }
+  signal?.addEventListener("abort", () => {
+    subscription?.stop();
+    wake?.();
+  });
+
+  while (!signal?.aborted) {
     try {
+      // Blocks already processed that the chain has since replaced, at any height.
+      currentBlock = await rewindOnReorg(currentBlock);
+
       const latestBlock = await provider.getBlockNumber();
+      recordPollProgress(chain.id, latestBlock, currentBlock);
 
       // Reorg/revert reconciliation: if the head has dropped below our cursor (a
       // chain reorg, or a localnet Hardhat evm_revert between e2e tests), rewind
@@ -2509,13 +3613,17 @@ async function pollEvents(startBlock) {
           `Head ${latestBlock} dropped below cursor ${currentBlock}. Rewound to ${reconciledBlock}; re-mined events will be re-processed.`,
         ).catch((err) => console.error("sendAlert (reorg) failed:", err.message));
         currentBlock = reconciledBlock;
-        await fs.writeFile(STATE_FILE_PATH, JSON.stringify({ lastProcessedBlock: currentBlock }));
+        forgetBlocksAbove(chain.blockHashes, currentBlock);
+        await saveCursor(currentBlock);
       }
 
+      // Only blocks `confirmationDepth` behind the head are processed (see blockCursor).
+      const confirmedBlock = confirmedHead(latestBlock, confirmationDepth);
+
       // Only proceed if there are new blocks to check
-      if (latestBlock > currentBlock) {
-        // Determine the end of the batch (don't exceed RPC limit or latest block)
-        const toBlock = Math.min(currentBlock + BATCH_SIZE, latestBlock);
+      if (confirmedBlock > currentBlock) {
+        // Determine the end of the batch (don't exceed RPC limit or latest confirmed block)
+        const toBlock = Math.min(currentBlock + BATCH_SIZE, confirmedBlock);
         const fromQueryBlock = currentBlock + 1; // For logging clarity
 
         // Query all filters in parallel for the specific range
@@ -2535,47 +3643,21 @@ async function pollEvents(startBlock) {
           return a.index - b.index;
         });
 
-        // Process any found events
-        const tasks = allEvents.map((event) => {
-          return queue.add(async () => {
-            switch (event.eventName) {
-              case "PromptSubmitted":
-                await handleAndRecord("PromptSubmitted", handlePrompt, ...event.args, event);
-
-                break;
-              case "RegenerationRequested":
-                await handleAndRecord(
-                  "RegenerationRequested",
-                  handleRegeneration,
-                  ...event.args,
-                  event,
-                );
-
-                break;
-              case "BranchRequested":
-                await handleAndRecord("BranchRequested", handleBranch, ...event.args, event);
-
-                break;
-              case "MetadataUpdateRequested":
-                await handleAndRecord(
-                  "MetadataUpdateRequested",
-                  handleMetadataUpdate,
-                  ...event.args,
-                  event,
-                );
-
-                break;
-            }
-          });
-        });
+        // Process any found events — those the subscription already queued are not queued again
+        allEvents.forEach(dispatchOnce);
 
-        // Wait for the queue to accept and process the batch
-        await Promise.all(tasks);
+        // Wait for the queue to process the batch, pushed events in it included, so the cursor
+        // never passes an event that is still in flight.
+        const covered = [...dispatched].filter(([, d]) => d.blockNumber <= toBlock);
+        await Promise.all(covered.map(([, d]) => d.task));
+        for (const [key] of covered) dispatched.delete(key);
 
         // Update the state file to the block we just finished checking (toBlock).
         // This happens even if allEvents.length is 0.
+        await recordScanned(allEvents, toBlock);
         currentBlock = toBlock;
-        await fs.writeFile(STATE_FILE_PATH, JSON.stringify({ lastProcessedBlock: currentBlock }));
+        await saveCursor(currentBlock);
+        recordPollProgress(chain.id, latestBlock, currentBlock);
 
         // This confirms the oracle is moving forward and saving state.
         if (allEvents.length > 0) {
@@ -2587,21 +3669,25 @@ async function pollEvents(startBlock) {
         }
 
         // If we are lagging far behind (e.g. more batches needed), don't wait. Loop immediately.
-        if (toBlock < latestBlock) {
+        if (toBlock < confirmedBlock) {
+          health.polled(chain.id);
           // Optional: Small delay to be nice to the RPC
           await new Promise((resolve) => setTimeout(resolve, 500));
 
           continue;
         }
       }
+      health.polled(chain.id);
     } catch (error) {
       console.error(`Error in polling loop: ${error.message}`);
       // Wait a bit longer before retrying if RPC is erroring
       await new Promise((resolve) => setTimeout(resolve, 5000));
     }
 
-    // Wait before next poll (Base block time is ~2s, so 2s-4s is healthy)
-    await new Promise((resolve) => setTimeout(resolve, 4000));
+    if (signal?.aborted) break;
+    // Wait before next poll (Base block time is ~2s, so 2s-4s is healthy). With a live
+    // subscription this is only the reconciliation cadence; a (re)connect or drop ends it early.
+    await sleep(subscription?.connected ? SUBSCRIBED_SCAN_INTERVAL_MS : POLL_INTERVAL_MS);
   }
 }
 
@@ -2621,70 +3707,209 @@ async function start() {
   // Unreachable in production (index.js has already exited), but reachable from tests and from
   // any wrapper importing start() directly.
 
+  // The heartbeat's figures, which /readyz?verbose shows as well. Read lazily, so the health
+  // server can start before the things they describe exist.
+  let balanceWatcher = null;
+  const [primary] = chains;
+  const vitalsDeps = {
+    provider: primary.provider,
+    // The address that pays for the writes — the app key's, when they go through appd.
+    walletAddress: primary.txSubmitter.address,
+    queue: primary.queue,
+    readState: async () => JSON.parse(await fs.readFile(primary.stateFilePath, "utf-8")),
+    // The retry backlog; dead letters are reported through alerts, not as a growing count here.
+    readFailedJobs: async () => {
+      const backlogs = await Promise.all(
+        chains.map((chain) =>
+          inChain(chain, () => getJobStore().list({ status: ["pending", "running"] })),
+        ),
+      );
+      return backlogs.flat();
+    },
+    fetchAccountInfo: () => require("./storage/autonomys").fetchAccountInfo(),
+    readBalances: async () => balanceWatcher?.snapshot() ?? null,
+    readReplication: async () => replicationReport(),
+    readBlobCache: async () => blobCacheStats(),
+    diskPath: path.dirname(primary.stateFilePath),
+  };
+
+  // Probes first, so an orchestrator sees a live-but-not-ready process through the minutes of
+  // initialization and catch-up below, rather than nothing it can tell from a hung one.
+  health.expect({
+    steps: ["storage", "eliza", ...chains.map((chain) => `setOracle:${chain.id}`)],
+    chains: chains.map((chain) => chain.id),
+  });
+  if (process.env.HEALTH_PORT) {
+    await startHealthServer({
+      port: Number(process.env.HEALTH_PORT),
+      health,
+      vitals: () => collectVitals({ providerTally, ...vitalsDeps }),
+    });
+  }
+
   // Initialize the connection to the decentralised storage provider.
   await initializeStorage();
+  health.done("storage");
 
   // Initialize the AI model interface.
   await initializeEliza();
+  health.done("eliza");
+
+  // Catch each chain up in turn — one RPC's backlog at a time is easier on the shared ElizaOS
+  // runtime than all of them at once, and a chain that cannot start still stops the process
+  // before anything is listening, as it always did with one.
+  const startBlocks = new Map();
+  for (const chain of chains) {
+    startBlocks.set(chain, await inChain(chain, catchUpChain));
+  }
+
+  // Start background retry mechanism, one sweep per chain so each re-parses against its own RPC.
+  for (const chain of chains) {
+    setInterval(() => inChain(chain, retryFailedJobs), RETRY_INTERVAL_MS);
+  }
+
+  if (answerStreamSink) {
+    await startAnswerStreamServer({
+      port: Number(process.env.ANSWER_STREAM_PORT),
+      sink: answerStreamSink,
+      defaultChainId: chains.length === 1 ? chains[0].id : undefined,
+    });
+  }
+
+  // After the catch-up, so triggers registered by replayed AgentJobSubmitted events are on disk
+  // before the scheduler loads them and fires anything that came due while we were down.
+  for (const chain of chains) {
+    await chain.agentScheduler.start();
+  }
+
+  // What the oracle pays with: each chain's sending wallet, and the storage account if the
+  // oracle's own. Alerts while there is runway left to top up, rather than at the first
+  // "insufficient funds"; its last figures ride along in the heartbeat. Unref'd, like the beat.
+  balanceWatcher = createBalanceWatcher({
+    wallets: chains.map((chain) => ({
+      label: chain.id === DEFAULT_CHAIN_ID ? chain.networkName : chain.id,
+      provider: chain.provider,
+      address: chain.txSubmitter.address,
+    })),
+    gauges: fundingGauges(),
+    sendAlert,
+    resolveAlert,
+    ...balanceWatchConfig(),
+  });
+  balanceWatcher.start();
+
+  // Prometheus scrape endpoint — off unless METRICS_PORT is set. The figures other modules keep
+  // themselves are read at scrape time; the rest are recorded as they happen (see oracleMetrics).
+  if (process.env.METRICS_PORT) {
+    metrics.registry.collect(async () => {
+      for (const chain of chains) {
+        metrics.queueSize.set({ chain: chain.id }, chain.queue.size);
+        metrics.queueInFlight.set({ chain: chain.id }, chain.queue.pending);
+      }
+      for (const [tier, served] of Object.entries(providerTally.snapshot())) {
+        metrics.answersServed.set({ tier }, served);
+      }
+      const hits = metrics.messageCacheHits.value();
+      const reads = hits + metrics.messageCacheMisses.value();
+      metrics.messageCacheHitRatio.set({}, reads === 0 ? 0 : hits / reads);
+    });
+    metrics.registry.collect(async () => {
+      for (const chain of chains) {
+        const backlog = await inChain(chain, () =>
+          getJobStore().list({ status: ["pending", "running"] }),
+        );
+        metrics.retryQueueSize.set({ chain: chain.id }, backlog.length);
+      }
+    });
+    await startMetricsServer({
+      port: Number(process.env.METRICS_PORT),
+      registry: metrics.registry,
+    });
+  }
+
+  // Liveness beat. Standalone and entirely off the prompt path — core reads the newest
+  // `kind: "heartbeat"` row and checks its AGE, which is what distinguishes a silent oracle from
+  // a healthy-but-idle one. Awaited only to resolve the Brain handles; the chain itself is
+  // self-rescheduling and unref'd, so it neither blocks boot nor holds the process open.
+  //
+  // Not assigned to anything: nothing in this process stops the oracle short of exit, and the
+  // returned handle exists for tests. Disk is measured where oracle-state.json actually lives —
+  // the volume this process writes to — rather than core's dead PGLITE_DATA_DIR.
+  //
+  // One beat per process, not per chain: what core checks is that THIS process is alive. Its
+  // vitals describe the primary (first-listed) chain, except the retry backlog, which counts
+  // every chain's.
+  await startOracleHeartbeat(vitalsDeps);
+
+  // 2. Listening Phase — fire-and-forget; the infinite poll loops never resolve
+  for (const chain of chains) {
+    inChain(chain, () => pollEvents(startBlocks.get(chain))).catch((err) => {
+      console.error(`Fatal polling loop error on ${chain.id}:`, err);
+      process.exit(1);
+    });
+  }
+}
+
+/**
+ * Everything start() does for one chain before it listens: the setOracle check, the retry
+ * backlog and the catch-up from its cursor. Runs in the chain's scope.
+ *
+ * @returns {Promise<number>} the block the poll loop starts from
+ */
+async function catchUpChain() {
+  const chain = currentChain();
+  const { id, stateFilePath, provider, confirmationDepth } = chain;
 
   // Ensure the on-chain oracle address is correctly set to this wallet.
   await setOracleAddress();
-
-  // Process any failed jobs from previous runs before catching up on past events.
+  health.done(`setOracle:${id}`);
+
+  // Carry over anything an older oracle left in failed-jobs.json, then process failed jobs from
+  // previous runs before catching up on past events. The legacy file predates multi-chain
+  // configs, so it can only belong to the chain the single-chain variables describe.
+  if (id === DEFAULT_CHAIN_ID) {
+    await migrateLegacyFailedJobs({
+      store: getJobStore(),
+      filePath: FAILED_JOBS_FILE_PATH,
+      fsImpl: fs,
+    });
+  }
   await retryFailedJobs();
 
   // Catch up on any events that were missed while the oracle was offline.
   let state;
   try {
-    state = JSON.parse(await fs.readFile(STATE_FILE_PATH, "utf-8"));
+    state = JSON.parse(await fs.readFile(stateFilePath, "utf-8"));
   } catch (e) {
     // If the state file doesn't exist or is invalid, create a default state.
     state = { lastProcessedBlock: 0 };
     console.log("No valid state file found. Will start processing from a recent block.");
   }
 
-  const latestBlock = await provider.getBlockNumber();
+  // A state file from before hashes were tracked has none; checks start with the first scan.
+  chain.blockHashes = state.blockHashes ?? {};
+  // A reorg while the oracle was down replaced blocks it had processed: start below them.
+  const lastProcessedBlock =
+    state.lastProcessedBlock === 0 ? 0 : await rewindOnReorg(state.lastProcessedBlock);
+
+  const latestBlock = confirmedHead(await provider.getBlockNumber(), confirmationDepth);
   // On a fresh start, look back ~1 hour (1800 blocks on Base).
   // Otherwise, start from the next block after the last processed one.
   const lookback = 1800;
   const fromBlock =
-    state.lastProcessedBlock === 0
-      ? Math.max(0, latestBlock - lookback)
-      : state.lastProcessedBlock + 1;
+    lastProcessedBlock === 0 ? Math.max(0, latestBlock - lookback) : lastProcessedBlock + 1;
 
   // 1. Catch Up Phase
   // Note: processPastEvents will update the state file as it goes.
   await processPastEvents(fromBlock, latestBlock);
 
-  // Ensure state is synced to latest before starting poll (redundant safety save)
-  await fs.writeFile(STATE_FILE_PATH, JSON.stringify({ lastProcessedBlock: latestBlock }));
-
-  // Start background retry mechanism
-  setInterval(retryFailedJobs, RETRY_INTERVAL_MS);
-
-  // Liveness beat. Standalone and entirely off the prompt path — core reads the newest
-  // `kind: "heartbeat"` row and checks its AGE, which is what distinguishes a silent oracle from
-  // a healthy-but-idle one. Awaited only to resolve the Brain handles; the chain itself is
-  // self-rescheduling and unref'd, so it neither blocks boot nor holds the process open.
-  //
-  // Not assigned to anything: nothing in this process stops the oracle short of exit, and the
-  // returned handle exists for tests. Disk is measured where oracle-state.json actually lives —
-  // the volume this process writes to — rather than core's dead PGLITE_DATA_DIR.
-  await startOracleHeartbeat({
-    provider,
-    walletAddress: signer.address,
-    queue,
-    readState: async () => JSON.parse(await fs.readFile(STATE_FILE_PATH, "utf-8")),
-    readFailedJobs: async () => JSON.parse(await fs.readFile(FAILED_JOBS_FILE_PATH, "utf-8")),
-    fetchAccountInfo: () => require("./storage/autonomys").fetchAccountInfo(),
-    diskPath: path.dirname(STATE_FILE_PATH),
-  });
-
-  // 2. Listening Phase — fire-and-forget; the infinite poll loop never resolves
-  pollEvents(latestBlock).catch((err) => {
-    console.error("Fatal polling loop error:", err);
-    process.exit(1);
-  });
+  // Ensure state is synced to latest before starting poll (redundant safety save). Never
+  // backwards: a confirmation depth raised since the last run puts the confirmed head below
+  // blocks already processed, and moving the cursor back would only re-read them. Rewinds the
+  // chain calls for were made above, by rewindOnReorg.
+  const cursor = Math.max(lastProcessedBlock, latestBlock);
+  await saveCursor(cursor);
+  return cursor;
 }
 
 module.exports = {
@@ -2696,8 +3921,13 @@ module.exports = {
   handleRegeneration,
   handleBranch,
   handleMetadataUpdate,
+  handleAgentJob,
+  fireAgentTrigger,
+  handleCancellation,
   queryAIModel,
   reconstructHistory,
+  walkHistory,
+  ancestorsAbove,
   parseMockDelayMs,
   hasMockDropSentinel,
   hasMockReasoningSentinel,
@@ -2708,6 +3938,9 @@ module.exports = {
   handleAndRecord,
   setOracleAddress,
   processPastEvents,
+  pollEvents,
   retryFailedJobs,
+  replayJob,
+  initForReplay,
   wireAgentDbForPluginSql,
 };
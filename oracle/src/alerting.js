@@ -1,11 +1,49 @@
 const { WebClient } = require("@slack/web-api");
 
+/**
+ * How bad an alert is, most severe first. Every alert carries one, and each channel is sent only
+ * the severities routed to it (see channelSeverities).
+ *
+ *   critical  someone must act now: the oracle cannot answer, or an answer has been lost
+ *   warning   it will need attention soon: low funds, lag, a failure that is being retried
+ *   info      for the record: an automatic top-up that worked
+ */
+const SEVERITIES = ["critical", "warning", "info"];
+
+/**
+ * The severity of an alert sent without one. Alerts have always been titled "CRITICAL: ..." when
+ * they were, so the title says it; anything else is a warning.
+ * @param {string} title
+ * @returns {"critical" | "warning"}
+ */
+function severityFromTitle(title) {
+  return /^CRITICAL\b/i.test(title) ? "critical" : "warning";
+}
+
+const SLACK_ICONS = { critical: "🚨", warning: "⚠️", info: "ℹ️" };
+
+/** The icon for an alert: its severity's, or a tick once it has resolved. */
+function iconFor(severity, { resolved } = {}) {
+  if (resolved) return "✅";
+  return SLACK_ICONS[severity] ?? SLACK_ICONS.critical;
+}
+
+/**
+ * What a channel is told besides title, message and severity.
+ * @typedef {object} AlertContext
+ * @property {string} [fingerprint] - the same for every alert about one incident
+ * @property {boolean} [resolved] - the incident is over
+ * @property {number} [occurrences] - how many times it happened that this alert stands for
+ */
+
 /**
  * Sends a formatted alert message to a specified Slack channel.
  * @param {string} title The title of the alert.
  * @param {string} message The detailed alert message.
+ * @param {string} [severity] One of SEVERITIES; critical if omitted.
+ * @param {AlertContext} [context]
  */
-async function sendSlackAlert(title, message) {
+async function sendSlackAlert(title, message, severity = "critical", context = {}) {
   const token = process.env.SLACK_ACCESS_TOKEN;
   const channel = process.env.SLACK_ALERT_CHANNEL;
 
@@ -16,7 +54,10 @@ async function sendSlackAlert(title, message) {
 
   try {
     const slack = new WebClient(token);
-    const text = `🚨 *${title}* 🚨\n\n${message}\n\n*Timestamp:* ${new Date().toISOString()}`;
+    const icon = iconFor(severity, context);
+    const text =
+      `${icon} *${title}* ${icon}\n\n${message}\n\n` +
+      `*Severity:* ${severity}\n*Timestamp:* ${new Date().toISOString()}`;
     await slack.chat.postMessage({ channel, text });
     console.log("Successfully sent Slack alert.");
   } catch (error) {
@@ -49,8 +90,9 @@ function isEmailAlertingEnabled() {
  * Sends a formatted alert email via SendGrid.
  * @param {string} title The title of the alert.
  * @param {string} message The detailed alert message.
+ * @param {string} [severity] One of SEVERITIES, passed to the template as `alert_severity`.
  */
-async function sendEmailAlert(title, message) {
+async function sendEmailAlert(title, message, severity = "critical") {
   // Email is mainnet-only by default (see isEmailAlertingEnabled). Return silently
   // on non-mainnet rather than logging per call: this path is hit on exactly the
   // high-frequency noise the gate exists to suppress (reorg/nonce alerts during
@@ -78,6 +120,7 @@ async function sendEmailAlert(title, message) {
         dynamic_template_data: {
           alert_title: title,
           alert_message: message.replace(/\n/g, "<br>"),
+          alert_severity: severity,
           timestamp: new Date().toISOString(),
         },
       },
@@ -106,15 +149,346 @@ async function sendEmailAlert(title, message) {
   }
 }
 
+/** Alert HTTP calls give up after this, so a hung endpoint cannot stall the caller's alert. */
+const ALERT_HTTP_TIMEOUT_MS = 10 * 1000;
+
+/** POST `body` as JSON, throwing on a non-2xx so the channel's catch reports it. */
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(ALERT_HTTP_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    const errorBody = await response.text();
+    throw new Error(`responded with status ${response.status}: ${errorBody}`);
+  }
+}
+
+/**
+ * Posts the alert as JSON to ALERT_WEBHOOK_URL, for anything that takes a plain webhook (an
+ * incident bot, a Zapier hook, the team's own relay). ALERT_WEBHOOK_SECRET, if set, is sent as a
+ * Bearer token.
+ */
+async function sendWebhookAlert(title, message, severity, context = {}) {
+  const url = process.env.ALERT_WEBHOOK_URL;
+  if (!url) return;
+
+  const secret = process.env.ALERT_WEBHOOK_SECRET;
+  try {
+    await postJson(
+      url,
+      {
+        title,
+        message,
+        severity,
+        status: context.resolved ? "resolved" : "triggered",
+        fingerprint: context.fingerprint ?? title,
+        occurrences: context.occurrences ?? 1,
+        source: "oracle",
+        network: process.env.NETWORK_NAME || null,
+        timestamp: new Date().toISOString(),
+      },
+      secret ? { Authorization: `Bearer ${secret}` } : {},
+    );
+    console.log("Successfully sent webhook alert.");
+  } catch (error) {
+    console.error("Failed to send webhook alert:", error.message);
+  }
+}
+
+/**
+ * Triggers an incident through a PagerDuty Events API v2 endpoint (or anything that speaks it;
+ * PAGERDUTY_EVENTS_URL overrides the host). The alert's fingerprint is the dedup key, so a repeat
+ * of the same alert adds to the open incident instead of paging again, and its resolution closes
+ * that incident.
+ */
+async function sendPagerDutyAlert(title, message, severity, context = {}) {
+  const routingKey = process.env.PAGERDUTY_ROUTING_KEY;
+  if (!routingKey) return;
+
+  const url = process.env.PAGERDUTY_EVENTS_URL || "https://events.pagerduty.com/v2/enqueue";
+  const network = process.env.NETWORK_NAME || "unknown";
+  const dedupKey = `oracle:${network}:${context.fingerprint ?? title}`;
+  try {
+    if (context.resolved) {
+      await postJson(url, {
+        routing_key: routingKey,
+        event_action: "resolve",
+        dedup_key: dedupKey,
+      });
+      console.log("Successfully resolved PagerDuty alert.");
+      return;
+    }
+    await postJson(url, {
+      routing_key: routingKey,
+      event_action: "trigger",
+      dedup_key: dedupKey,
+      payload: {
+        summary: title,
+        source: `oracle (${process.env.NETWORK_NAME || "unknown network"})`,
+        severity,
+        timestamp: new Date().toISOString(),
+        custom_details: { message },
+      },
+    });
+    console.log("Successfully sent PagerDuty alert.");
+  } catch (error) {
+    console.error("Failed to send PagerDuty alert:", error.message);
+  }
+}
+
+/**
+ * Sends the alert to a Telegram chat through a bot. Plain text, not Markdown: alert messages
+ * carry error text and addresses, and one stray underscore would make Telegram reject the lot.
+ */
+async function sendTelegramAlert(title, message, severity, context = {}) {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  const chatId = process.env.TELEGRAM_CHAT_ID;
+  if (!token || !chatId) return;
+
+  const apiUrl = process.env.TELEGRAM_API_URL || "https://api.telegram.org";
+  const icon = iconFor(severity, context);
+  try {
+    await postJson(`${apiUrl}/bot${token}/sendMessage`, {
+      chat_id: chatId,
+      text:
+        `${icon} ${title}\n\n${message}\n\n` +
+        `Severity: ${severity}\nTimestamp: ${new Date().toISOString()}`,
+      disable_web_page_preview: true,
+    });
+    console.log("Successfully sent Telegram alert.");
+  } catch (error) {
+    console.error("Failed to send Telegram alert:", error.message);
+  }
+}
+
 /**
- * Sends a critical alert to all configured channels (Slack, Email).
+ * Every channel an alert can go to, by name. A channel is `{ send, defaultSeverities }`: `send`
+ * checks its own configuration and returns quietly when it has none, and never throws. Which
+ * severities reach it is ALERT_<NAME>_SEVERITIES (a comma-separated list of SEVERITIES), or its
+ * `defaultSeverities` when that is blank.
+ *
+ * Slack and email take everything by default, as they always have. PagerDuty pages a person, so
+ * it takes only critical alerts unless told otherwise.
+ *
+ * @typedef {object} AlertChannel
+ * @property {(title: string, message: string, severity: string, context: AlertContext) =>
+ *   Promise<void>} send
+ * @property {string[]} defaultSeverities
+ *
+ * @type {Map<string, AlertChannel>}
+ */
+const channels = new Map();
+
+/**
+ * Add (or replace) an alert channel.
+ * @param {string} name - also names its routing variable: "slack" reads ALERT_SLACK_SEVERITIES
+ * @param {object} channel
+ * @param {(title: string, message: string, severity: string, context: AlertContext) =>
+ *   Promise<void>} channel.send - `context` may be ignored by a channel that has no use for it
+ * @param {string[]} [channel.defaultSeverities] - every severity by default
+ */
+function registerAlertChannel(name, { send, defaultSeverities = SEVERITIES }) {
+  channels.set(name, { send, defaultSeverities });
+}
+
+registerAlertChannel("slack", { send: sendSlackAlert });
+registerAlertChannel("email", { send: sendEmailAlert });
+registerAlertChannel("webhook", { send: sendWebhookAlert });
+registerAlertChannel("pagerduty", { send: sendPagerDutyAlert, defaultSeverities: ["critical"] });
+registerAlertChannel("telegram", { send: sendTelegramAlert });
+
+/** The routing variable for a channel, e.g. ALERT_PAGERDUTY_SEVERITIES. */
+function routingVariable(name) {
+  return `ALERT_${name.toUpperCase()}_SEVERITIES`;
+}
+
+/**
+ * The severities routed to a channel. "none" routes nothing, which turns a configured channel
+ * off without unsetting its credentials.
+ * @param {string} name
+ * @returns {string[]}
+ */
+function channelSeverities(name) {
+  const raw = process.env[routingVariable(name)]?.trim();
+  if (!raw) return channels.get(name).defaultSeverities;
+  if (raw.toLowerCase() === "none") return [];
+  return raw.split(",").map((s) => s.trim().toLowerCase());
+}
+
+/** Sends to every channel the severity is routed to, in parallel; one failing stops no other. */
+async function deliver(title, message, severity, context) {
+  await Promise.all(
+    [...channels]
+      .filter(([name]) => channelSeverities(name).includes(severity))
+      .map(([, channel]) => channel.send(title, message, severity, context)),
+  );
+}
+
+const DEFAULT_COOLDOWN_MS = 15 * 60 * 1000;
+
+/**
+ * Groups repeats of one alert into one incident, so a burst is one message and not hundreds.
+ *
+ * Some alerts fire per occurrence of a condition that lasts: the processing-lag check runs for
+ * every event of a backlog, the reorg check on every poll. The first alert with a fingerprint is
+ * sent at once and opens a cooldown of `cooldownMs`. Repeats inside it are counted, not sent; when
+ * it ends, one alert says how many there were and carries the latest message, and the next window
+ * begins. A window with no repeats ends quietly, and the next occurrence is sent at once again.
+ *
+ * A `lasting` incident — a condition someone will report cleared — stays open until `resolve` is
+ * called for its fingerprint, which sends a resolution to the same channels (and closes the
+ * PagerDuty incident). Resolving a fingerprint with no open incident sends nothing, so a caller
+ * may resolve on every healthy check. Any other incident is forgotten when a window ends without
+ * a repeat: alerts about one item each, a lost job fingerprinted by its transaction, are never
+ * resolved, and would otherwise stay in memory for as long as the process runs.
+ *
+ * @param {object} opts
+ * @param {number} opts.cooldownMs - 0 sends every occurrence, as if there were no grouping
+ * @param {(title: string, message: string, severity: string, context: AlertContext) =>
+ *   Promise<void>} opts.deliver
+ */
+function createAlertDeduper({ cooldownMs, deliver }) {
+  // By fingerprint: the first alert's title and severity, when it opened, how many repeats wait
+  // for the next summary (and the latest message), how many in all, and the window's timer.
+  const incidents = new Map();
+
+  function openWindow(fingerprint, incident) {
+    if (cooldownMs <= 0) return;
+    incident.timer = setTimeout(() => endWindow(fingerprint), cooldownMs);
+    incident.timer.unref?.();
+  }
+
+  function endWindow(fingerprint) {
+    const incident = incidents.get(fingerprint);
+    incident.timer = null;
+    if (incident.repeats === 0) {
+      if (!incident.lasting) incidents.delete(fingerprint);
+      return;
+    }
+
+    const { title, severity, repeats, latest } = incident;
+    incident.repeats = 0;
+    openWindow(fingerprint, incident);
+    const minutes = Math.round(cooldownMs / 60000);
+    deliver(
+      `${title} (${repeats} more occurrence${repeats === 1 ? "" : "s"})`,
+      `Repeated ${repeats} more time${repeats === 1 ? "" : "s"} in the last ${minutes} min. ` +
+        `Latest:\n\n${latest}`,
+      severity,
+      { fingerprint, occurrences: repeats },
+    ).catch((error) => console.error("Failed to send alert summary:", error.message));
+  }
+
+  return {
+    /** Send now, or count it against the incident's open window. */
+    async trigger(fingerprint, title, message, severity, lasting = false) {
+      const incident = incidents.get(fingerprint);
+      if (incident?.timer) {
+        incident.repeats += 1;
+        incident.total += 1;
+        incident.latest = message;
+        return;
+      }
+      if (incident) {
+        incident.total += 1;
+      } else {
+        incidents.set(fingerprint, {
+          title,
+          severity,
+          lasting,
+          since: Date.now(),
+          repeats: 0,
+          total: 1,
+        });
+      }
+      openWindow(fingerprint, incidents.get(fingerprint));
+      await deliver(title, message, severity, { fingerprint, occurrences: 1 });
+    },
+
+    /** Open incidents — exposed so that forgetting them can be asserted rather than assumed. */
+    size() {
+      return incidents.size;
+    },
+
+    /** Close the incident and say so, if there is one. Unsummarised repeats are counted in. */
+    async resolve(fingerprint, message) {
+      const incident = incidents.get(fingerprint);
+      if (!incident) return;
+      clearTimeout(incident.timer);
+      incidents.delete(fingerprint);
+
+      const { title, severity, since, total } = incident;
+      const minutes = Math.max(1, Math.round((Date.now() - since) / 60000));
+      const summary =
+        `Resolved after ${minutes} min and ${total} occurrence${total === 1 ? "" : "s"}.` +
+        (message ? `\n\n${message}` : "");
+      await deliver(`RESOLVED: ${title.replace(/^CRITICAL:\s*/i, "")}`, summary, severity, {
+        fingerprint,
+        resolved: true,
+        occurrences: total,
+      });
+    },
+  };
+}
+
+/** ALERT_COOLDOWN_MS, read when the first alert is sent. */
+function alertCooldownMs(env = process.env) {
+  const raw = env.ALERT_COOLDOWN_MS?.trim();
+  const value = Number(raw);
+  return raw && Number.isInteger(value) && value >= 0 ? value : DEFAULT_COOLDOWN_MS;
+}
+
+let deduper = null;
+function getDeduper() {
+  deduper ??= createAlertDeduper({ cooldownMs: alertCooldownMs(), deliver });
+  return deduper;
+}
+
+/**
+ * Sends an alert to every channel its severity is routed to — unless the same alert was sent
+ * within the cooldown, in which case it is counted into the next summary (see createAlertDeduper).
+ * Every occurrence is still logged.
+ *
  * @param {string} title The title of the alert.
  * @param {string} message The detailed alert message.
+ * @param {object} [options]
+ * @param {"critical" | "warning" | "info"} [options.severity] from the title if omitted (see
+ *   severityFromTitle)
+ * @param {string} [options.fingerprint] what makes two alerts the same incident; the title by
+ *   default, since messages carry the figures that change between repeats. An alert about one
+ *   item (a job, a transaction) names the item, or a second item's alert is only counted
+ * @param {boolean} [options.lasting] the condition will be reported cleared with resolveAlert, so
+ *   its incident is kept until then; otherwise it is forgotten once it stops repeating
+ */
+async function sendAlert(
+  title,
+  message,
+  { severity = severityFromTitle(title), fingerprint = title, lasting = false } = {},
+) {
+  console.error(`🚨 ALERT [${severity}]: ${title} - ${message}`);
+  await getDeduper().trigger(fingerprint, title, message, severity, lasting);
+}
+
+/**
+ * Reports that the condition behind an alert has cleared. Sends a resolution to the channels the
+ * alert went to if, and only if, that alert is still open; otherwise does nothing. Only an alert
+ * sent as `lasting` is sure to be open until then.
+ *
+ * @param {string} fingerprint the alert's fingerprint — its title, unless it was given one
+ * @param {string} [message] what changed
  */
-async function sendAlert(title, message) {
-  console.error(`🚨 ALERT: ${title} - ${message}`);
-  // Run both in parallel and don't let one failure stop the other.
-  await Promise.all([sendSlackAlert(title, message), sendEmailAlert(title, message)]);
+async function resolveAlert(fingerprint, message) {
+  await getDeduper().resolve(fingerprint, message);
 }
 
-module.exports = { sendAlert };
+module.exports = {
+  sendAlert,
+  resolveAlert,
+  registerAlertChannel,
+  routingVariable,
+  createAlertDeduper,
+  SEVERITIES,
+};
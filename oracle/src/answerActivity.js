@@ -3,9 +3,9 @@ const { getHandles: getBrainHandles } = require("./brainContext");
 /**
  * Oracle-side `senseai.daily_activity` telemetry.
  *
- * A module rather than two inline calls because an answer reaches the chain from two places —
- * `handlePrompt` and `handleRegeneration` — and a regeneration is billed identically, since
- * `submitAnswer` finalises the escrow in the same transaction either way.
+ * A module rather than inline calls because an answer reaches the chain from three places —
+ * `handlePrompt`, `handleRegeneration` and `handleAgentJob` — and regenerations and agent jobs are
+ * billed identically, since `submitAnswer` finalises the escrow in the same transaction either way.
  */
 
 /**
@@ -0,0 +1,204 @@
+/**
+ * Gathers the answers that are ready at about the same time and sends them as one transaction.
+ *
+ * Each `submitAnswer` costs ~150k gas (gas-report.txt), and during a burst the oracle sends one
+ * per prompt. A contract that inherits OpenZeppelin's Multicall takes any number of its own calls
+ * in one `multicall(bytes[])` transaction. Multicall delegatecalls into the contract itself, so
+ * the inner calls still come from the oracle and pass onlyOracle. Answers that become ready within
+ * `windowMs` of the first one are sent together, up to `maxBatch` per transaction.
+ *
+ * The agent contracts in this repository do not inherit Multicall, so the batcher asks the
+ * deployed contract rather than the ABI. It looks once for the multicall selector in the
+ * deployed bytecode — the implementation's, when the address is an ERC-1967 proxy as EVMAIAgent
+ * is, since the proxy's own code only forwards. Where the selector is missing, every answer is
+ * sent on its own as soon as it is ready, with no window, exactly as before. An upgrade is seen
+ * at the next restart; until then a batch the new implementation rejects reverts, and is sent
+ * again one answer at a time as below.
+ *
+ * Cancellation. The user can cancel a prompt while its answer waits in a batch, and one cancelled
+ * answer would revert the whole multicall (JobAlreadyFinalized). Every answer's isJobFinalized is
+ * therefore read just before sending; a finalized one is taken out and reported back as
+ * `{ finalized: true }`. If the batch still reverts, it is not retried as a batch: each answer is
+ * checked and sent on its own, so the revert reaches only the caller it belongs to. Any other
+ * failure (nothing mined, the RPC down) goes to every caller in the batch, and each retries as
+ * its handler always has.
+ *
+ *   ANSWER_BATCH_WINDOW_MS  how long the first ready answer waits for others, default 1000;
+ *                           0 turns batching off
+ *   ANSWER_BATCH_MAX        answers per transaction, default 10. appd sends with a fixed gas
+ *                           limit (APPD_GAS_LIMIT, 2M), which fits about ten
+ */
+
+const { ethers } = require("ethers");
+const { classifyChainError, ContractRevertError } = require("./oracleErrors");
+
+const MULTICALL_ABI = ["function multicall(bytes[] data) returns (bytes[] results)"];
+const MULTICALL_SELECTOR = ethers.id("multicall(bytes[])").slice(2, 10);
+/** ERC-1967's implementation slot, where a UUPS or transparent proxy keeps its logic contract. */
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+const DEFAULT_WINDOW_MS = 1000;
+const DEFAULT_MAX_BATCH = 10;
+
+function nonNegativeInt(raw, fallback) {
+  if (raw === undefined || raw.trim() === "") return fallback;
+  const value = Number(raw);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * @param {Record<string, string | undefined>} [env] defaults to `process.env`
+ * @returns {{ windowMs: number, maxBatch: number }}
+ */
+function answerBatchConfig(env = process.env) {
+  return {
+    windowMs: nonNegativeInt(env.ANSWER_BATCH_WINDOW_MS, DEFAULT_WINDOW_MS),
+    maxBatch: nonNegativeInt(env.ANSWER_BATCH_MAX, 0) || DEFAULT_MAX_BATCH,
+  };
+}
+
+/**
+ * Whether the contract at `address` has a `multicall(bytes[])`. Solidity's dispatcher compares
+ * each selector with a PUSH4 (0x63) of it, so the selector follows a 0x63 in the runtime code.
+ * Behind an ERC-1967 proxy that is the implementation's code; an empty slot means no proxy.
+ */
+async function hasMulticall(provider, address) {
+  const slot = await provider.getStorage(address, IMPLEMENTATION_SLOT);
+  const implementation =
+    BigInt(slot) === 0n ? address : ethers.getAddress(ethers.dataSlice(slot, 12));
+  const code = (await provider.getCode(implementation)).toLowerCase();
+  return code.includes(`63${MULTICALL_SELECTOR}`);
+}
+
+/**
+ * @param {object} opts
+ * @param {import("ethers").Contract} opts.contract - the agent contract
+ * @param {import("./txSubmitter").TxSubmitter} opts.txSubmitter
+ * @param {import("ethers").Provider} [opts.provider] - to read the deployed code; the
+ *   contract's runner's by default
+ * @param {number} [opts.windowMs]
+ * @param {number} [opts.maxBatch]
+ * @param {boolean} [opts.multicall] - skip the bytecode check: `false` never batches (the dry
+ *   run, whose contract proxy a multicall would go around)
+ * @param {object} [opts.logger] - anything with `log` and `warn`
+ */
+function createAnswerBatcher({
+  contract,
+  txSubmitter,
+  provider,
+  windowMs = DEFAULT_WINDOW_MS,
+  maxBatch = DEFAULT_MAX_BATCH,
+  multicall,
+  logger = console,
+}) {
+  let pending = [];
+  let timer = null;
+  // A promise, so answers arriving during the first check share it. Cleared on a failed read:
+  // an RPC blip at startup should not turn batching off until the next restart.
+  let supported = multicall === undefined ? null : Promise.resolve(multicall);
+
+  function canBatch() {
+    if (windowMs === 0) return Promise.resolve(false);
+    if (!supported) {
+      supported = hasMulticall(provider ?? contract.runner.provider, contract.target).then(
+        (found) => {
+          logger.log(
+            found
+              ? `[Batch] Contract has multicall; batching answers ready within ${windowMs}ms.`
+              : "[Batch] Contract has no multicall; answers are sent one per transaction.",
+          );
+          return found;
+        },
+        (error) => {
+          supported = null;
+          logger.warn(`[Batch] Could not check the contract for multicall: ${error.message}`);
+          return false;
+        },
+      );
+    }
+    return supported;
+  }
+
+  /** Sends one answer, unless it has been finalized in the meantime. */
+  async function sendOne(args) {
+    if (await contract.isJobFinalized(args[1])) return { finalized: true };
+    const { hash } = await txSubmitter.submit(contract, "submitAnswer", args);
+    return { hash };
+  }
+
+  function settle(item, promise) {
+    promise.then(item.resolve, item.reject);
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const batch = pending;
+    pending = [];
+    // Settling a promise twice is a no-op, so this reaches only the callers still waiting.
+    sendBatch(batch).catch((error) => {
+      for (const item of batch) item.reject(error);
+    });
+  }
+
+  async function sendBatch(batch) {
+    const finalized = await Promise.allSettled(
+      batch.map((item) => contract.isJobFinalized(item.args[1])),
+    );
+    const live = [];
+    batch.forEach((item, i) => {
+      const check = finalized[i];
+      if (check.status === "rejected") item.reject(check.reason);
+      else if (check.value) item.resolve({ finalized: true });
+      else live.push(item);
+    });
+
+    if (live.length === 1) {
+      settle(live[0], txSubmitter.submit(contract, "submitAnswer", live[0].args));
+      return;
+    }
+    if (live.length === 0) return;
+
+    const calls = live.map((item) =>
+      contract.interface.encodeFunctionData("submitAnswer", item.args),
+    );
+    const batchContract = new ethers.Contract(contract.target, MULTICALL_ABI, contract.runner);
+    try {
+      const { hash } = await txSubmitter.submit(batchContract, "multicall", [calls]);
+      logger.log(`[Batch] ${live.length} answers submitted in one transaction. Tx: ${hash}`);
+      for (const item of live) item.resolve({ hash });
+    } catch (error) {
+      if (!(classifyChainError(error, contract.interface) instanceof ContractRevertError)) {
+        for (const item of live) item.reject(error);
+        return;
+      }
+      const reason = error.shortMessage ?? error.message;
+      logger.warn(
+        `[Batch] ${live.length} answers reverted together (${reason}); sending each alone.`,
+      );
+      for (const item of live) settle(item, sendOne(item.args));
+    }
+  }
+
+  return {
+    /**
+     * Submit one answer, alone or in a batch.
+     *
+     * @param {[bigint, bigint, object]} args - submitAnswer's `(promptMessageId, answerMessageId,
+     *   cidBundle)`
+     * @returns {Promise<{ hash: string } | { finalized: true }>} the transaction it was mined in,
+     *   or `finalized` when the job was cancelled or answered before it could be sent
+     * @throws whatever the send threw, as a lone `submitAnswer` would have
+     */
+    async submit(args) {
+      if (!(await canBatch())) return sendOne(args);
+      return new Promise((resolve, reject) => {
+        pending.push({ args, resolve, reject });
+        if (pending.length >= maxBatch) flush();
+        else if (!timer) timer = setTimeout(flush, windowMs);
+      });
+    },
+  };
+}
+
+module.exports = { createAnswerBatcher, answerBatchConfig, hasMulticall, MULTICALL_SELECTOR };
@@ -7,7 +7,8 @@
  * `sources?: Array<{title, url}>` and `reasoning?: Array<{title, description}>`. They are NOT
  * on-chain and NOT indexed by the subgraph (which carries only `messageCID`), so changing a
  * shape here means changing the dApp in the same breath — and e2e T-REASON-01 asserts both
- * sources' hrefs round-trip.
+ * sources' hrefs round-trip. It also means a new SCHEMA_VERSION in fileSchema.js, with a
+ * migration and fixtures, because every answer already uploaded keeps the old shape for good.
  *
  * Nothing in this module may throw. Provenance is decoration on an answer the user has already
  * paid for; losing a citation list is a blemish, losing the answer is a refund.
@@ -0,0 +1,332 @@
+/**
+ * Streaming answer delivery over an encrypted side channel.
+ *
+ * An ElizaOS run knows its sources before inference and its thoughts during it (see
+ * runProvenance), but the user sees nothing until the MessageFile is on storage and the answer is
+ * on-chain — tens of seconds on a tool-heavy prompt. This pushes those intermediate signals to
+ * the dApp as they happen, keyed by the chain and the answerMessageId it already learned from its
+ * own PromptSubmitted receipt. Message ids are per contract, so with several chains served (see
+ * chainConfig) the id alone could name two answers.
+ *
+ * A SIDE CHANNEL, NOT A SECOND ANSWER. The immutable MessageFile and `submitAnswer` are untouched
+ * and remain the only record of what the user paid for. Everything streamed is provisional: the
+ * dApp renders it while waiting and replaces it with the on-chain answer when that lands. That is
+ * why a chunk may be dropped, why publishing never throws, and why the stream ends when inference
+ * ends rather than when the transaction confirms.
+ *
+ * ENCRYPTED UNDER THE SESSION KEY, in the same `iv.ciphertext+tag` envelope as every MessageFile.
+ * The endpoint is unauthenticated — anyone can subscribe to any answerMessageId — and that is
+ * fine precisely because only the holder of the conversation's session key can read a chunk.
+ * Only the chunk's `type` and sequence number travel in the clear. For the same reason a
+ * subscriber never creates or evicts a stream: only the oracle's own publishing does, and a
+ * subscriber that arrives first waits in a separately capped room (see createSseSink).
+ *
+ * The transport is a SINK: anything with `publish(streamId, chunk)` and `close(streamId)`. The
+ * SSE sink below is the one the oracle hosts; a WebSocket server plugs in behind the same two
+ * methods.
+ */
+
+const http = require("http");
+
+/** Chunk types, in the order a run produces them. `end` is always last. */
+const CHUNK_TYPES = ["sources", "reasoning", "draft", "end"];
+
+/** Streams held at once. Each is small, but a stuck run must not grow this without bound. */
+const DEFAULT_MAX_STREAMS = 500;
+/** Subscribers waiting, across all ids, for a stream that has not started. */
+const DEFAULT_MAX_WAITING = 1000;
+/** How long one waits before it is let go; an EventSource then reconnects on its own. */
+const DEFAULT_WAIT_MS = 60 * 1000;
+/** Chunks kept per stream for a subscriber that connects late. */
+const DEFAULT_REPLAY_LIMIT = 200;
+/**
+ * How long a finished stream stays replayable. The dApp learns the answerMessageId from its own
+ * transaction receipt, so on a fast run inference can finish before it has even subscribed.
+ */
+const DEFAULT_LINGER_MS = 5 * 60 * 1000;
+
+/**
+ * The sink's key for one answer's stream.
+ *
+ * @param {string} chainId - the served chain's id (chainConfig)
+ * @param {*} answerMessageId
+ * @returns {string}
+ */
+function streamId(chainId, answerMessageId) {
+  return `${chainId}/${answerMessageId}`;
+}
+
+/** A handle that accepts everything and sends nothing — what callers get when streaming is off. */
+const NOOP_STREAM = Object.freeze({
+  sources() {},
+  reasoning() {},
+  draft() {},
+  close() {},
+});
+
+/**
+ * Create the per-answer stream factory.
+ *
+ * @param {object} opts
+ * @param {{ publish: Function, close: Function } | null} opts.sink - null disables streaming
+ * @param {(data: object, sessionKey: Buffer) => string} opts.encrypt - the MessageFile envelope
+ * @param {object} [opts.logger] - anything with `warn`
+ * @returns {{ enabled: boolean, open: (streamKey: string, sessionKey: Buffer) => object }} -
+ *   `streamKey` from streamId
+ */
+function createAnswerStreamer({ sink, encrypt, logger = console }) {
+  if (!sink) {
+    return { enabled: false, open: () => NOOP_STREAM };
+  }
+
+  function open(streamKey, sessionKey) {
+    const id = String(streamKey);
+    let seq = 0;
+    let closed = false;
+
+    function send(type, data) {
+      if (closed) return;
+      // Never throws. A failed encrypt or a broken socket costs the user a progress update on an
+      // answer they will receive regardless; letting it propagate would cost them the answer.
+      try {
+        seq += 1;
+        const chunk = { seq, type };
+        if (data !== undefined) chunk.payload = encrypt({ type, data }, sessionKey);
+        sink.publish(id, chunk);
+      } catch (error) {
+        logger.warn?.(
+          `[AnswerStream] Dropped a ${type} chunk for answer ${id}: ${String(error?.message ?? error)}`,
+        );
+      }
+    }
+
+    return {
+      sources(sources) {
+        if (Array.isArray(sources) && sources.length) send("sources", sources);
+      },
+      reasoning(thought) {
+        if (typeof thought === "string" && thought.trim()) send("reasoning", thought.trim());
+      },
+      draft(text) {
+        if (typeof text === "string" && text.trim()) send("draft", text);
+      },
+      /** Idempotent. Emits `end` so a subscriber can stop waiting for chunks and wait for the chain. */
+      close() {
+        if (closed) return;
+        send("end");
+        closed = true;
+        try {
+          sink.close(id);
+        } catch (error) {
+          logger.warn?.(
+            `[AnswerStream] Could not close stream ${id}: ${String(error?.message ?? error)}`,
+          );
+        }
+      },
+    };
+  }
+
+  return { enabled: true, open };
+}
+
+/**
+ * Server-Sent Events sink. Buffers each stream's chunks so a late subscriber replays from the
+ * start, fans every new chunk out to live subscribers, and forgets a stream `lingerMs` after it
+ * closes.
+ *
+ * Streams are created by `publish` alone, so `maxStreams` bounds what the oracle's own runs hold
+ * and no request can push one of them out. A subscriber to a stream that has not started — the
+ * dApp is usually quicker than inference — waits for it outside those slots: at most
+ * `maxWaiting` at once, each let go after `waitMs`, and turned away with a 503 when the room is
+ * full.
+ *
+ * SSE rather than WebSockets for the built-in transport: the channel is one-way, browsers
+ * reconnect an EventSource on their own (resuming via `Last-Event-ID`, which is why every event
+ * carries its sequence number as its id), and it needs nothing beyond `http`.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.maxStreams]
+ * @param {number} [opts.replayLimit]
+ * @param {number} [opts.lingerMs]
+ * @param {number} [opts.maxWaiting]
+ * @param {number} [opts.waitMs]
+ */
+function createSseSink({
+  maxStreams = DEFAULT_MAX_STREAMS,
+  replayLimit = DEFAULT_REPLAY_LIMIT,
+  lingerMs = DEFAULT_LINGER_MS,
+  maxWaiting = DEFAULT_MAX_WAITING,
+  waitMs = DEFAULT_WAIT_MS,
+} = {}) {
+  // Map preserves insertion order, which gives oldest-first eviction for free.
+  const streams = new Map();
+  // Subscribers to streams not started yet: id -> (response -> its wait timer).
+  const waiting = new Map();
+  let waitingCount = 0;
+
+  function write(res, chunk) {
+    res.write(`id: ${chunk.seq}\nevent: ${chunk.type}\ndata: ${JSON.stringify(chunk)}\n\n`);
+  }
+
+  function drop(id) {
+    const stream = streams.get(id);
+    if (!stream) return;
+    streams.delete(id);
+    if (stream.timer) clearTimeout(stream.timer);
+    for (const res of stream.subscribers) res.end();
+  }
+
+  function stopWaiting(id, res) {
+    const room = waiting.get(id);
+    if (!room?.has(res)) return false;
+    clearTimeout(room.get(res));
+    room.delete(res);
+    if (room.size === 0) waiting.delete(id);
+    waitingCount -= 1;
+    return true;
+  }
+
+  /** Only ever called by publish: see the header. */
+  function streamFor(id) {
+    let stream = streams.get(id);
+    if (stream) return stream;
+
+    while (streams.size >= maxStreams) {
+      const oldest = streams.keys().next().value;
+      if (oldest === undefined) break;
+      drop(oldest);
+    }
+    stream = { chunks: [], subscribers: new Set(), closed: false, timer: null };
+    streams.set(id, stream);
+    for (const res of [...(waiting.get(id)?.keys() ?? [])]) {
+      stopWaiting(id, res);
+      stream.subscribers.add(res);
+    }
+
+    return stream;
+  }
+
+  return {
+    publish(id, chunk) {
+      const stream = streamFor(id);
+      if (stream.closed) return;
+      stream.chunks.push(chunk);
+      if (stream.chunks.length > replayLimit) stream.chunks.shift();
+      for (const res of stream.subscribers) write(res, chunk);
+    },
+
+    close(id) {
+      const stream = streams.get(id);
+      if (!stream || stream.closed) return;
+      stream.closed = true;
+      for (const res of stream.subscribers) res.end();
+      stream.subscribers.clear();
+      stream.timer = setTimeout(() => drop(id), lingerMs);
+      stream.timer.unref?.();
+    },
+
+    /**
+     * Attach an HTTP response as a subscriber. A dApp that subscribes before the oracle has even
+     * picked the prompt up waits for the stream to start, without starting it.
+     *
+     * @param {string} id - from streamId
+     * @param {http.ServerResponse} res
+     * @param {number} [afterSeq] - from `Last-Event-ID`; chunks at or below it are not replayed
+     */
+    subscribe(id, res, afterSeq = 0) {
+      const stream = streams.get(id);
+      if (!stream && waitingCount >= maxWaiting) {
+        res.writeHead(503, { "Retry-After": String(Math.ceil(waitMs / 1000)) }).end();
+        return;
+      }
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      res.on("close", () => {
+        if (!stopWaiting(id, res)) streams.get(id)?.subscribers.delete(res);
+      });
+      if (!stream) {
+        const timer = setTimeout(() => {
+          stopWaiting(id, res);
+          res.end();
+        }, waitMs);
+        timer.unref?.();
+        if (!waiting.has(id)) waiting.set(id, new Map());
+        waiting.get(id).set(res, timer);
+        waitingCount += 1;
+        return;
+      }
+      for (const chunk of stream.chunks) {
+        if (chunk.seq > afterSeq) write(res, chunk);
+      }
+      if (stream.closed) {
+        res.end();
+        return;
+      }
+      stream.subscribers.add(res);
+    },
+
+    /** Live stream count — exposed so the bound can be asserted rather than assumed. */
+    size() {
+      return streams.size;
+    },
+
+    /** Subscribers waiting for a stream to start, likewise. */
+    waiting() {
+      return waitingCount;
+    },
+  };
+}
+
+const STREAM_PATH = /^\/(?:chains\/([a-z][a-z0-9_]*)\/)?answers\/(\d+)\/stream$/;
+
+/**
+ * Host an SSE sink at `GET /chains/<chainId>/answers/<answerMessageId>/stream`.
+ *
+ * `defaultChainId` also serves the shorter `/answers/<answerMessageId>/stream`, as before chains
+ * were told apart. Set it only when one chain is served: with several, that path is a 404 rather
+ * than a guess.
+ *
+ * CORS is open: the dApp is served from another origin, and there is nothing here to protect
+ * from it — every payload is ciphertext.
+ *
+ * @param {object} opts
+ * @param {number} opts.port - 0 picks a free port (tests)
+ * @param {ReturnType<typeof createSseSink>} opts.sink
+ * @param {string} [opts.defaultChainId]
+ * @param {object} [opts.logger]
+ * @returns {Promise<http.Server>} once listening
+ */
+function startAnswerStreamServer({ port, sink, defaultChainId, logger = console }) {
+  const server = http.createServer((req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    const match = req.method === "GET" && STREAM_PATH.exec(req.url.split("?")[0]);
+    const chainId = match && (match[1] ?? defaultChainId);
+    if (!chainId) {
+      res.writeHead(404).end();
+      return;
+    }
+    const afterSeq = Number.parseInt(req.headers["last-event-id"] ?? "", 10);
+    sink.subscribe(streamId(chainId, match[2]), res, Number.isFinite(afterSeq) ? afterSeq : 0);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, () => {
+      server.off("error", reject);
+      logger.log?.(`[AnswerStream] Serving answer streams on port ${server.address().port}.`);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  createAnswerStreamer,
+  createSseSink,
+  startAnswerStreamServer,
+  streamId,
+  NOOP_STREAM,
+  CHUNK_TYPES,
+};
@@ -0,0 +1,254 @@
+/**
+ * Watches what the oracle spends from — each chain's sending wallet, and the storage account
+ * that pays for uploads — and alerts while there is still time to top it up.
+ *
+ * Before this, the first sign of an empty wallet was an "insufficient funds" failure in
+ * handleAndRecord: the answer was already paid for, the retry queue was filling, and nobody had
+ * been told anything until the oracle was broke. Storage was checked only at startup and at
+ * upload time.
+ *
+ * Wallets are judged mostly by RUNWAY: hours left at the rate the balance has been falling over
+ * the last SPEND_WINDOW_MS. A fixed balance threshold means nothing across chains (0.5 is a week
+ * of gas on one and an hour on another), and a busy day is exactly when the wallet runs out
+ * early. The rate is taken from the balance samples, not from receipts, so it counts every
+ * transaction the address sends, appd's included. A rise between samples is a top-up and counts
+ * as no spend. An optional absolute floor (WALLET_BALANCE_ALERT_THRESHOLD) covers a wallet too
+ * new to have a rate.
+ *
+ * One alert per episode. A gauge alerts when it first reads low and stays quiet until it has
+ * read healthy again, so a low balance is reported once, not on every check until someone tops
+ * it up; reading healthy again resolves the alert. Each gauge is read on its own, and one that
+ * fails to read is logged and skipped.
+ *
+ *   BALANCE_CHECK_INTERVAL_MS       how often, default 5 min; 0 turns the watcher off
+ *   WALLET_RUNWAY_ALERT_HOURS       alert when a wallet has less than this left, default 48
+ *   WALLET_BALANCE_ALERT_THRESHOLD  alert below this balance (native units), off by default
+ *
+ * Storage thresholds are the ones the storage modules already use (IRYS_BALANCE_ALERT_THRESHOLD,
+ * AUTONOMYS_*_CREDIT_THRESHOLD); see fundingGauges in storage/storage.js.
+ */
+
+const { ethers } = require("ethers");
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+const DEFAULT_RUNWAY_ALERT_HOURS = 48;
+/** How far back the spend rate looks. A day smooths over quiet nights and busy hours. */
+const SPEND_WINDOW_MS = 24 * 60 * 60 * 1000;
+/** Less history than this gives a rate too noisy to alert on. */
+const MIN_SPEND_SPAN_MS = 30 * 60 * 1000;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * @typedef {object} Gauge
+ * @property {string} key - its field in the snapshot
+ * @property {string} label - how alerts name it
+ * @property {() => Promise<number | null>} read - null when there is nothing to measure
+ * @property {number} threshold - low below this
+ * @property {(value: number) => string} [format]
+ * @property {string} [hint] - what to do about it, appended to the alert
+ * @property {() => Promise<void>} [onLow] - replaces the alert, for a gauge that can fix itself
+ */
+
+/**
+ * @param {Record<string, string | undefined>} [env] defaults to `process.env`
+ * @returns {{ intervalMs: number, runwayAlertHours: number, balanceAlertWei: bigint | null }}
+ */
+function balanceWatchConfig(env = process.env) {
+  const interval = Number(env.BALANCE_CHECK_INTERVAL_MS?.trim() || NaN);
+  const runway = Number(env.WALLET_RUNWAY_ALERT_HOURS?.trim() || NaN);
+  const floor = env.WALLET_BALANCE_ALERT_THRESHOLD?.trim();
+  return {
+    intervalMs: Number.isInteger(interval) && interval >= 0 ? interval : DEFAULT_INTERVAL_MS,
+    runwayAlertHours: runway > 0 ? runway : DEFAULT_RUNWAY_ALERT_HOURS,
+    balanceAlertWei: floor ? ethers.parseEther(floor) : null,
+  };
+}
+
+/**
+ * Spend per hour, in wei, from timestamped balance samples (oldest first): the sum of every drop
+ * between consecutive samples over the time they span. Null until MIN_SPEND_SPAN_MS of history.
+ *
+ * @param {Array<{ at: number, wei: bigint }>} samples
+ * @returns {bigint | null}
+ */
+function spendPerHour(samples) {
+  if (samples.length < 2) return null;
+  const span = samples[samples.length - 1].at - samples[0].at;
+  if (span < MIN_SPEND_SPAN_MS) return null;
+  let spent = 0n;
+  for (let i = 1; i < samples.length; i += 1) {
+    const drop = samples[i - 1].wei - samples[i].wei;
+    if (drop > 0n) spent += drop;
+  }
+  return (spent * BigInt(MS_PER_HOUR)) / BigInt(span);
+}
+
+/**
+ * @param {object} opts
+ * @param {Array<{ label: string, provider: import("ethers").Provider, address: string }>}
+ *   opts.wallets - one per chain: the address its writes are sent from
+ * @param {Gauge[]} [opts.gauges] - everything else, e.g. storage.fundingGauges()
+ * @param {(title: string, message: string) => Promise<void>} opts.sendAlert
+ * @param {(title: string, message: string) => Promise<void>} [opts.resolveAlert] - told, with the
+ *   alert's title, when a low reading recovers
+ * @param {number} [opts.intervalMs]
+ * @param {number} [opts.runwayAlertHours]
+ * @param {bigint | null} [opts.balanceAlertWei]
+ * @param {() => number} [opts.now]
+ * @param {object} [opts.logger] - anything with `log` and `warn`
+ */
+function createBalanceWatcher({
+  wallets,
+  gauges = [],
+  sendAlert,
+  resolveAlert = async () => {},
+  intervalMs = DEFAULT_INTERVAL_MS,
+  runwayAlertHours = DEFAULT_RUNWAY_ALERT_HOURS,
+  balanceAlertWei = null,
+  now = Date.now,
+  logger = console,
+}) {
+  const samples = new Map(wallets.map((w) => [w.label, []]));
+  // Gauges (and wallets, by label) that have alerted and not yet read healthy again.
+  const low = new Set();
+  let latest = null;
+  let timer = null;
+  // Not `timer === null`: that is also true while the first check is in flight, so a stop()
+  // then would not stop the schedule that check goes on to start.
+  let running = false;
+
+  /**
+   * Alert on the way into a low episode; resolve it on the way out. Alerted once, not on every
+   * check, so the alert is sent as lasting: alerting keeps it open until the resolution.
+   */
+  async function report(key, isLow, alert, recover) {
+    if (!isLow) {
+      if (!low.delete(key)) return;
+      logger.log(`[Balance] ${key} is back above its alert level.`);
+      await recover();
+      return;
+    }
+    if (low.has(key)) return;
+    low.add(key);
+    await alert();
+  }
+
+  async function checkWallet({ label, provider, address }) {
+    const wei = await provider.getBalance(address);
+    const at = now();
+    const history = samples.get(label);
+    history.push({ at, wei });
+    // Keep one sample older than the window, so the rate always spans the whole of it.
+    while (history.length > 2 && history[1].at <= at - SPEND_WINDOW_MS) history.shift();
+
+    const perHour = spendPerHour(history);
+    const runwayHours = perHour && perHour > 0n ? Number((wei * 1000n) / perHour) / 1000 : null;
+    const status = {
+      address,
+      balance: Number(ethers.formatEther(wei)),
+      spendPerHour: perHour === null ? null : Number(ethers.formatEther(perHour)),
+      runwayHours,
+    };
+
+    const shortRunway = runwayHours !== null && runwayHours < runwayAlertHours;
+    const belowFloor = balanceAlertWei !== null && wei < balanceAlertWei;
+    const title = `Oracle Wallet Running Low: ${label}`;
+    await report(
+      label,
+      shortRunway || belowFloor,
+      () => {
+        const left = runwayHours === null ? "no" : `about ${Math.floor(runwayHours)}h of`;
+        const rate =
+          perHour === null
+            ? "No spend rate yet."
+            : `Spending ${ethers.formatEther(perHour)}/h; ${left} runway left.`;
+        return sendAlert(
+          title,
+          `The ${label} wallet ${address} holds ${ethers.formatEther(wei)}. ${rate} ` +
+            "Fund it before it runs out: every answer it cannot pay for goes to the retry queue.",
+          { lasting: true },
+        );
+      },
+      () => resolveAlert(title, `The ${label} wallet holds ${ethers.formatEther(wei)}.`),
+    );
+    return status;
+  }
+
+  async function checkGauge(gauge) {
+    const value = await gauge.read();
+    if (value === null) return null;
+    const format = gauge.format ?? String;
+    const title = `${gauge.label} Low`;
+    await report(
+      gauge.key,
+      value < gauge.threshold,
+      () =>
+        gauge.onLow
+          ? gauge.onLow()
+          : sendAlert(
+              title,
+              `${gauge.label}: ${format(value)}, below the alert level of ` +
+                `${format(gauge.threshold)}.${gauge.hint ? ` ${gauge.hint}` : ""}`,
+              { lasting: true },
+            ),
+      // A gauge that handles itself sent no alert of ours to resolve.
+      () => (gauge.onLow ? undefined : resolveAlert(title, `${gauge.label}: ${format(value)}.`)),
+    );
+    return value;
+  }
+
+  /** Read one thing; a failure is logged and leaves its field null. */
+  async function attempt(name, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      logger.warn(`[Balance] Could not check ${name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function check() {
+    const walletStatus = await Promise.all(
+      wallets.map((w) => attempt(`the ${w.label} wallet`, () => checkWallet(w))),
+    );
+    const gaugeValues = await Promise.all(gauges.map((g) => attempt(g.label, () => checkGauge(g))));
+    latest = {
+      checkedAt: new Date(now()).toISOString(),
+      wallets: Object.fromEntries(wallets.map((w, i) => [w.label, walletStatus[i]])),
+      ...Object.fromEntries(gauges.map((g, i) => [g.key, gaugeValues[i]])),
+    };
+    return latest;
+  }
+
+  function schedule() {
+    if (!running) return;
+    timer = setTimeout(async () => {
+      await check();
+      schedule();
+    }, intervalMs);
+    timer.unref?.();
+  }
+
+  return {
+    check,
+    /** The last check's figures, or null before the first. */
+    snapshot: () => latest,
+    /** Check now and then every `intervalMs`. A zero interval leaves the watcher off. */
+    start() {
+      if (intervalMs <= 0) {
+        logger.log("[Balance] Watcher disabled (BALANCE_CHECK_INTERVAL_MS=0).");
+        return;
+      }
+      if (running) return;
+      running = true;
+      check().finally(schedule);
+    },
+    stop() {
+      running = false;
+      clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = { createBalanceWatcher, balanceWatchConfig, spendPerHour, SPEND_WINDOW_MS };
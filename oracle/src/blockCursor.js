@@ -27,4 +27,128 @@ function reconcileCursor(currentBlock, latestBlock) {
   return currentBlock;
 }
 
-module.exports = { reconcileCursor };
+/**
+ * How many blocks behind the head an event must be before the oracle acts on it, per network.
+ *
+ * Answering a prompt is not free to undo: it spends inference, uploads a MessageFile and sends a
+ * transaction. Acting on a block that is then replaced does all of that for an event that may
+ * not exist on the canonical chain, or exists in a different order.
+ *
+ * Sapphire's consensus gives instant finality, so there is nothing to wait for. Base's sequencer
+ * head can be replaced until the batch lands on L1; shallow reorgs there are rare but real, and
+ * 5 blocks (~10s) is where they stop in practice. Localnets are 0 so the e2e suite does not wait.
+ * An unknown network gets the cautious default. CONFIRMATION_DEPTH (or `confirmationDepth` in an
+ * ORACLE_CHAINS entry) overrides the table — see chainConfig.
+ */
+const DEFAULT_CONFIRMATION_DEPTHS = {
+  sapphire: 0,
+  "sapphire-testnet": 0,
+  "sapphire-localnet": 0,
+  base: 5,
+  baseSepolia: 5,
+  "base-localnet": 0,
+};
+const FALLBACK_CONFIRMATION_DEPTH = 5;
+
+/**
+ * @param {string} networkName
+ * @param {number} [configured] - an explicit depth, which wins over the network's default
+ * @returns {number}
+ */
+function confirmationDepthFor(networkName, configured) {
+  if (configured !== undefined) return configured;
+  return DEFAULT_CONFIRMATION_DEPTHS[networkName] ?? FALLBACK_CONFIRMATION_DEPTH;
+}
+
+/**
+ * The newest block the oracle may process: `depth` blocks behind the head, clamped at 0.
+ *
+ * @param {number} latestBlock - the chain head
+ * @param {number} depth
+ * @returns {number}
+ */
+function confirmedHead(latestBlock, depth) {
+  return Math.max(0, latestBlock - depth);
+}
+
+/**
+ * How many processed blocks' hashes the cursor keeps. Entries are sparse — the end of each scan
+ * and the blocks events came from — so this covers far more than 256 blocks of history.
+ */
+const MAX_TRACKED_BLOCKS = 256;
+
+/**
+ * Remember that `blockNumber` had `hash` when it was processed. `hashes` is the plain
+ * `{ [blockNumber]: hash }` object persisted next to lastProcessedBlock; it is updated in place
+ * and trimmed to the newest MAX_TRACKED_BLOCKS entries. A missing hash is not recorded.
+ *
+ * @param {Record<string, string>} hashes
+ * @param {number} blockNumber
+ * @param {string | null | undefined} hash
+ */
+function recordBlockHash(hashes, blockNumber, hash) {
+  if (!hash) return;
+  hashes[blockNumber] = hash;
+  const numbers = Object.keys(hashes)
+    .map(Number)
+    .sort((a, b) => a - b);
+  for (const n of numbers.slice(0, Math.max(0, numbers.length - MAX_TRACKED_BLOCKS))) {
+    delete hashes[n];
+  }
+}
+
+/**
+ * Check the processed blocks against the canonical chain and find where they part ways.
+ *
+ * This is the case reconcileCursor cannot see: a reorg that replaces blocks without lowering the
+ * head, so the cursor looks fine while the events it passed may be gone or different. Only the
+ * newest tracked block is fetched while the chain agrees — each block's hash commits to its
+ * parent, so if the newest still matches every older one does too. On a mismatch the walk goes
+ * back, newest first, to the first block that still matches: the common ancestor. Everything
+ * above it has to be scanned again.
+ *
+ * When no tracked block matches, the reorg is deeper than the history kept, and the ancestor is
+ * taken to be just below the oldest tracked block — the most that can be re-scanned honestly.
+ *
+ * @param {Record<string, string>} hashes - from recordBlockHash
+ * @param {(blockNumber: number) => Promise<string | null>} canonicalHash - null for a block the
+ *   chain no longer has
+ * @returns {Promise<{ ancestor: number, replaced: number[] } | null>} null when nothing changed
+ */
+async function findReorg(hashes, canonicalHash) {
+  const numbers = Object.keys(hashes)
+    .map(Number)
+    .sort((a, b) => b - a);
+  const replaced = [];
+  for (const n of numbers) {
+    if ((await canonicalHash(n)) === hashes[n]) {
+      return replaced.length > 0 ? { ancestor: n, replaced } : null;
+    }
+    replaced.push(n);
+  }
+  if (replaced.length === 0) return null;
+  return { ancestor: Math.max(0, numbers[numbers.length - 1] - 1), replaced };
+}
+
+/**
+ * Drop the hashes of blocks above `blockNumber` — after a rewind, those blocks will be processed
+ * again and recorded with their new hashes.
+ *
+ * @param {Record<string, string>} hashes
+ * @param {number} blockNumber
+ */
+function forgetBlocksAbove(hashes, blockNumber) {
+  for (const n of Object.keys(hashes)) {
+    if (Number(n) > blockNumber) delete hashes[n];
+  }
+}
+
+module.exports = {
+  reconcileCursor,
+  confirmationDepthFor,
+  confirmedHead,
+  recordBlockHash,
+  findReorg,
+  forgetBlocksAbove,
+  MAX_TRACKED_BLOCKS,
+};
@@ -0,0 +1,238 @@
+/**
+ * The (network, contract) deployments one oracle process serves, and where each keeps its state.
+ *
+ * By default that is exactly one, described by NETWORK_NAME / AI_AGENT_CONTRACT_ADDRESS /
+ * PRIVATE_KEY, with the file names every existing deployment already has on disk
+ * (oracle-state.json, oracle-jobs.json, agent-triggers.json) — so a single-chain oracle upgrades
+ * without moving its cursor or orphaning its retry queue.
+ *
+ * Setting ORACLE_CHAINS replaces that with a list, so the Sapphire and Base deployments can share
+ * one TEE instead of paying for one each:
+ *
+ *   ORACLE_CHAINS='[
+ *     { "id": "sapphire", "network": "sapphire", "contractAddress": "0x…" },
+ *     { "id": "base", "network": "base", "contractAddress": "0x…", "privateKeyEnv": "BASE_PRIVATE_KEY" }
+ *   ]'
+ *
+ * The list is plaintext bundle config; keys stay ROFL secrets and are only NAMED here
+ * (`privateKeyEnv`, default PRIVATE_KEY). Each entry gets its own cursor file, job store (file, or
+ * table in the agent DB) and trigger file, suffixed with its id — a shared cursor would let one
+ * chain's block numbers skip the other's events, and a shared retry queue would re-parse a job's
+ * receipt against the wrong RPC.
+ *
+ * An entry may also name how its writes are sent (`"txSubmitter": "appd"`, see txSubmitter.js);
+ * the single-chain default takes TX_SUBMITTER.
+ *
+ * Nothing here reads a key or touches the network, so the jobs CLI can resolve a chain's store on
+ * a machine without the oracle's secrets. startupConfig reports a malformed list; this module only
+ * throws, with a message written to sit after the variable's name.
+ */
+
+const path = require("path");
+const { DEFAULT_JOB_STORE_FILE_PATH, DEFAULT_JOB_TABLE } = require("./jobStore");
+const { confirmationDepthFor } = require("./blockCursor");
+const { TX_SUBMITTERS } = require("./txSubmitter");
+
+/** The id of the chain described by the single-chain variables. */
+const DEFAULT_CHAIN_ID = "default";
+
+/**
+ * Lower-case, starting with a letter: the id ends up in file names and in a Postgres table name,
+ * and this is the shape that is safe in both without quoting.
+ */
+const CHAIN_ID = /^[a-z][a-z0-9_]{0,31}$/;
+
+const STATE_DIR = path.resolve(__dirname, "..");
+
+const KINDS = `expected ${TX_SUBMITTERS.map((k) => `"${k}"`).join(" or ")}`;
+
+/**
+ * CONFIRMATION_DEPTH as a number, or undefined when unset (the network's default applies).
+ *
+ * @param {string | undefined} raw
+ * @throws {Error} when set to anything but a non-negative integer
+ */
+function parseConfirmationDepth(raw) {
+  if (typeof raw !== "string" || !raw.trim()) return undefined;
+  const depth = Number(raw.trim());
+  if (!Number.isInteger(depth) || depth < 0) {
+    throw new Error(`must be a non-negative integer, got: ${JSON.stringify(raw)}`);
+  }
+  return depth;
+}
+
+/**
+ * Parse ORACLE_CHAINS into entries. Shape only: whether each network is supported and each key
+ * is present is startupConfig's job, which reports every problem at once.
+ *
+ * @param {string} raw - the variable's value
+ * @returns {Array<{
+ *   id: string,
+ *   network: string,
+ *   contractAddress: string,
+ *   privateKeyEnv: string,
+ *   confirmationDepth: number | undefined,
+ *   txSubmitter: string | undefined,
+ * }>}
+ * @throws {Error} when the value is not a list of well-formed entries with unique ids
+ */
+function parseChainList(raw) {
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`is not valid JSON: ${e.message}`);
+  }
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error("must be a non-empty JSON array of { id, network, contractAddress } entries");
+  }
+
+  const seen = new Set();
+  return list.map((entry, i) => {
+    const where = `entry ${i}`;
+    if (!entry || typeof entry !== "object") throw new Error(`${where} is not an object`);
+    const {
+      id,
+      network,
+      contractAddress,
+      privateKeyEnv = "PRIVATE_KEY",
+      confirmationDepth,
+      txSubmitter,
+    } = entry;
+    if (typeof id !== "string" || !CHAIN_ID.test(id)) {
+      throw new Error(
+        `${where} has id ${JSON.stringify(id)} — expected lower-case letters, digits and ` +
+          `underscores, starting with a letter`,
+      );
+    }
+    if (seen.has(id)) throw new Error(`id "${id}" appears more than once`);
+    seen.add(id);
+    for (const [name, value] of Object.entries({ network, contractAddress, privateKeyEnv })) {
+      if (typeof value !== "string" || !value) {
+        throw new Error(`entry "${id}" needs a string "${name}"`);
+      }
+    }
+    if (
+      confirmationDepth !== undefined &&
+      !(Number.isInteger(confirmationDepth) && confirmationDepth >= 0)
+    ) {
+      throw new Error(`entry "${id}" needs a non-negative integer "confirmationDepth"`);
+    }
+    if (txSubmitter !== undefined && !TX_SUBMITTERS.includes(txSubmitter)) {
+      throw new Error(`entry "${id}" has "txSubmitter" ${JSON.stringify(txSubmitter)} — ${KINDS}`);
+    }
+    return { id, network, contractAddress, privateKeyEnv, confirmationDepth, txSubmitter };
+  });
+}
+
+function singleChainSubmitter(env) {
+  const kind = env.TX_SUBMITTER?.trim();
+  if (!kind) return "ethers";
+  if (!TX_SUBMITTERS.includes(kind)) {
+    throw new Error(`TX_SUBMITTER is ${JSON.stringify(kind)} — ${KINDS}`);
+  }
+  return kind;
+}
+
+function singleChainDepth(env) {
+  try {
+    return parseConfirmationDepth(env.CONFIRMATION_DEPTH);
+  } catch (e) {
+    throw new Error(`CONFIRMATION_DEPTH ${e.message}`);
+  }
+}
+
+/**
+ * Every chain this process serves, in configured order. The first is the primary: the one the
+ * heartbeat reports on.
+ *
+ * `confirmationDepth` is how far behind the head the chain's events are processed: the entry's
+ * own, or CONFIRMATION_DEPTH for the single-chain default, else the network's (see blockCursor).
+ * `txSubmitter` likewise comes from the entry or TX_SUBMITTER, and is "ethers" when neither says.
+ *
+ * @param {Record<string, string | undefined>} [env] defaults to `process.env`
+ * @returns {Array<{
+ *   id: string,
+ *   networkName: string,
+ *   contractAddress: string,
+ *   privateKeyEnv: string,
+ *   privateKey: string | undefined,
+ *   confirmationDepth: number,
+ *   txSubmitter: "ethers" | "appd",
+ *   stateFilePath: string,
+ *   jobStoreFilePath: string,
+ *   jobTable: string,
+ *   triggersFilePath: string,
+ * }>}
+ */
+function loadChainConfigs(env = process.env) {
+  const raw = env.ORACLE_CHAINS;
+  if (typeof raw !== "string" || !raw.trim()) {
+    return [
+      {
+        id: DEFAULT_CHAIN_ID,
+        networkName: env.NETWORK_NAME,
+        contractAddress: env.AI_AGENT_CONTRACT_ADDRESS,
+        privateKeyEnv: "PRIVATE_KEY",
+        privateKey: env.PRIVATE_KEY,
+        confirmationDepth: confirmationDepthFor(env.NETWORK_NAME, singleChainDepth(env)),
+        txSubmitter: singleChainSubmitter(env),
+        stateFilePath: path.join(STATE_DIR, "oracle-state.json"),
+        jobStoreFilePath: DEFAULT_JOB_STORE_FILE_PATH,
+        jobTable: DEFAULT_JOB_TABLE,
+        triggersFilePath: path.join(STATE_DIR, "agent-triggers.json"),
+      },
+    ];
+  }
+
+  let entries;
+  try {
+    entries = parseChainList(raw);
+  } catch (e) {
+    throw new Error(`ORACLE_CHAINS ${e.message}`);
+  }
+  return entries.map((entry) => ({
+    id: entry.id,
+    networkName: entry.network,
+    contractAddress: entry.contractAddress,
+    privateKeyEnv: entry.privateKeyEnv,
+    privateKey: env[entry.privateKeyEnv],
+    confirmationDepth: confirmationDepthFor(entry.network, entry.confirmationDepth),
+    txSubmitter: entry.txSubmitter ?? "ethers",
+    stateFilePath: path.join(STATE_DIR, `oracle-state.${entry.id}.json`),
+    jobStoreFilePath: path.join(STATE_DIR, `oracle-jobs.${entry.id}.json`),
+    jobTable: `${DEFAULT_JOB_TABLE}_${entry.id}`,
+    triggersFilePath: path.join(STATE_DIR, `agent-triggers.${entry.id}.json`),
+  }));
+}
+
+/**
+ * The configured chain called `id`, or the only one when `id` is omitted.
+ *
+ * @param {ReturnType<typeof loadChainConfigs>} chains
+ * @param {string} [id]
+ * @throws {Error} when `id` is unknown, or omitted while several chains are configured
+ */
+function selectChain(chains, id) {
+  if (id === undefined) {
+    if (chains.length === 1) return chains[0];
+    throw new Error(
+      `Several chains are configured (${chains.map((c) => c.id).join(", ")}); pass --chain.`,
+    );
+  }
+  const chain = chains.find((c) => c.id === id);
+  if (!chain) {
+    throw new Error(
+      `No chain "${id}" is configured (have: ${chains.map((c) => c.id).join(", ")}).`,
+    );
+  }
+  return chain;
+}
+
+module.exports = {
+  loadChainConfigs,
+  parseChainList,
+  parseConfirmationDepth,
+  selectChain,
+  DEFAULT_CHAIN_ID,
+};
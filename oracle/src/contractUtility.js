@@ -25,6 +25,19 @@ const RPC_URL_MAP = {
   "base-localnet": process.env.BASE_LOCALNET_RPC,
 };
 
+/**
+ * Optional WebSocket endpoints, for pushing new events over `eth_subscribe` instead of waiting
+ * for the next poll (see logSubscription). A network without one is polled, as before.
+ */
+const WS_RPC_URL_MAP = {
+  sapphire: process.env.SAPPHIRE_MAINNET_WS_RPC,
+  "sapphire-testnet": process.env.SAPPHIRE_TESTNET_WS_RPC,
+  "sapphire-localnet": process.env.SAPPHIRE_LOCALNET_WS_RPC,
+  base: process.env.BASE_MAINNET_WS_RPC,
+  baseSepolia: process.env.BASE_SEPOLIA_TESTNET_WS_RPC,
+  "base-localnet": process.env.BASE_LOCALNET_WS_RPC,
+};
+
 /**
  * An internal helper to load a contract's ABI from the artifacts directory.
  * @param {string} contractName The name of the contract (e.g., 'EVMAIAgent').
@@ -47,6 +60,16 @@ function loadContractArtifact(contractName) {
   return { abi };
 }
 
+/**
+ * The AIAgent contract deployed on `networkName` — Sapphire networks run the confidential variant,
+ * whose events carry the payload as a string rather than bytes.
+ * @param {string} networkName
+ * @returns {"SapphireAIAgent"|"EVMAIAgent"}
+ */
+function agentContractName(networkName) {
+  return SAPPHIRE_NETWORKS.has(networkName) ? "SapphireAIAgent" : "EVMAIAgent";
+}
+
 /**
  * Initializes and configures the provider, signer, and contract instance for the oracle.
  * This is the single, unified entry point for all environment-specific setup, encapsulating
@@ -59,8 +82,10 @@ function loadContractArtifact(contractName) {
  *   provider: ethers.Provider,
  *   signer: ethers.Signer,
  *   contract: ethers.Contract,
- *   isSapphire: boolean
- * }} A comprehensive setup object containing everything the oracle needs to operate.
+ *   isSapphire: boolean,
+ *   wsUrl: string | null
+ * }} A comprehensive setup object containing everything the oracle needs to operate. `wsUrl` is
+ *   the network's WebSocket RPC when one is configured, for the event subscription.
  */
 function initializeOracle(networkName, privateKey, contractAddress) {
   if (!privateKey) {
@@ -79,8 +104,7 @@ function initializeOracle(networkName, privateKey, contractAddress) {
   }
 
   const isSapphire = SAPPHIRE_NETWORKS.has(networkName);
-  const contractName = isSapphire ? "SapphireAIAgent" : "EVMAIAgent";
-  const { abi } = loadContractArtifact(contractName);
+  const { abi } = loadContractArtifact(agentContractName(networkName));
 
   let provider = new ethers.JsonRpcProvider(networkRpc);
 
@@ -97,17 +121,22 @@ function initializeOracle(networkName, privateKey, contractAddress) {
 
   const contract = new ethers.Contract(contractAddress, abi, signer);
 
-  return { provider, signer, contract, isSapphire };
+  const wsUrl = WS_RPC_URL_MAP[networkName]?.trim() || null;
+
+  return { provider, signer, contract, isSapphire, wsUrl };
 }
 
 module.exports = {
   initializeOracle,
+  agentContractName,
   /**
    * The network names this oracle can actually run against — the keys of RPC_URL_MAP, exported
    * so startupConfig can reject a typo at boot rather than duplicating the list and letting the
    * two drift apart.
    */
   SUPPORTED_NETWORKS: Object.keys(RPC_URL_MAP),
+  /** The networks that run the confidential contract — and the only ones ROFL appd can write to. */
+  SAPPHIRE_NETWORKS,
   // Export internal functions for testing purposes
   loadContractArtifact,
 };
@@ -0,0 +1,206 @@
+/**
+ * Rolling summaries of the turns that fall out of a conversation's history window.
+ *
+ * WHY. The AI is given the last AI_CONTEXT_MESSAGES_LIMIT messages (default 20), and until now
+ * everything older was simply not there: the twenty-first message of a long research thread
+ * forgot what the first was about. Sending the whole conversation instead would make every
+ * answer cost more the longer the thread got. A summary keeps the older turns at a fixed size.
+ *
+ * WHERE IT LIVES. A summary is a SummaryFile, encrypted with the conversation's session key like
+ * every other file of the conversation, and linked from the answer MessageFile written alongside
+ * it (`summaryCID`). Each SummaryFile records `throughCID`, the newest message it covers. The
+ * next prompt's walk finds the newest link inside its window, and the summary goes in front of
+ * the history as one extra turn.
+ *
+ * ROLLING. Each answer past the window makes a new summary from the previous one plus the
+ * messages that have fallen out since it (its `throughCID` up to the one just below the window):
+ * usually the two messages of the last exchange, so the summary is never rebuilt from the whole
+ * conversation. With nothing new to fold in, the answer links the previous summary again, so a
+ * link always stays inside the window. A conversation that was already long before summaries
+ * existed gets its first one from the MAX_GAP_MESSAGES just below the window; anything older than
+ * that is still forgotten.
+ *
+ * OFF THE ANSWER'S PATH. The summary this answer reads is the one already there. The new one is
+ * generated while the answer is, and only the answer's upload waits for it. It cannot hold that
+ * upload longer than SUMMARY_TIMEOUT_MS, and a summary that fails, times out or cannot read a
+ * message it needs is logged and skipped. The answer then links the previous summary, and the
+ * next answer folds in what this one missed. Nothing about a summary can fail an answer.
+ *
+ * The summary is written by the local model in the TEE (Ollama or LOCAL_LLM_URL, the one the
+ * intent router uses), which never sends the conversation to anyone else. Without a local model,
+ * or with CONVERSATION_SUMMARY_ENABLED=false, summaries are off: older turns are dropped as
+ * before, and summaries already written are not read.
+ */
+
+/** How many fallen-out messages one summary will read, when there is no previous one to extend. */
+const MAX_GAP_MESSAGES = 20;
+/** How long the answer's upload waits for its summary. */
+const SUMMARY_TIMEOUT_MS = 30 * 1000;
+
+const SUMMARY_PREFIX = "Summary of the earlier part of this conversation, no longer shown in full:";
+
+/**
+ * @param {Record<string, string | undefined>} [env] defaults to `process.env`
+ * @returns {{ enabled: boolean }}
+ */
+function summaryConfig(env = process.env) {
+  return { enabled: env.CONVERSATION_SUMMARY_ENABLED !== "false" };
+}
+
+/**
+ * The instruction for the model: the previous summary, if any, and the turns to fold into it,
+ * oldest first.
+ *
+ * @param {string | null} previous
+ * @param {Array<{ role: string, content: string | null }>} turns
+ * @returns {string}
+ */
+function summaryPrompt(previous, turns) {
+  const transcript = turns.map(({ role, content }) => `${role}: ${content ?? ""}`).join("\n\n");
+  return [
+    "You keep a running summary of a conversation between a user and an AI assistant.",
+    "Write an updated summary that keeps the facts, figures, names, decisions and open questions",
+    "the rest of the conversation may need, in at most 250 words of plain prose. Reply with the",
+    "summary only.",
+    "",
+    `Summary so far:\n${previous ?? "(none)"}`,
+    "",
+    `Turns to add:\n${transcript}`,
+  ].join("\n");
+}
+
+/**
+ * The history with `summary` in front of it, as a user turn: every provider accepts that role
+ * first, where some would read anything else as the assistant speaking.
+ *
+ * @param {Array<object>} history
+ * @param {{ content: string } | null} summary
+ * @returns {Array<object>} a new array
+ */
+function withSummary(history, summary) {
+  if (!summary) return [...history];
+  return [{ role: "user", content: `${SUMMARY_PREFIX}\n${summary.content}` }, ...history];
+}
+
+/**
+ * @param {object} opts
+ * @param {boolean} opts.enabled
+ * @param {(prompt: string) => Promise<string>} opts.generate - the summary text for a prompt
+ * @param {(cid: string, sessionKey: Buffer) => Promise<object>} opts.readMessage - a decrypted
+ *   MessageFile
+ * @param {(cid: string, sessionKey: Buffer) => Promise<object>} opts.readFile - any other
+ *   decrypted file
+ * @param {(file: object, sessionKey: Buffer) => Promise<string>} opts.writeFile - encrypts and
+ *   uploads, resolving to the CID
+ * @param {(fields: object) => object} opts.createSummaryFile
+ * @param {number} [opts.timeoutMs]
+ * @param {object} [opts.logger]
+ */
+function createConversationSummaries({
+  enabled,
+  generate,
+  readMessage,
+  readFile,
+  writeFile,
+  createSummaryFile,
+  timeoutMs = SUMMARY_TIMEOUT_MS,
+  logger = console,
+}) {
+  if (!enabled) {
+    return { load: async () => null, roll: async () => null };
+  }
+
+  /** Resolves to `fallback` after timeoutMs, without holding the process open. */
+  function timeout(fallback) {
+    return new Promise((resolve) => {
+      setTimeout(() => resolve(fallback), timeoutMs).unref();
+    });
+  }
+
+  /**
+   * The turns below the window that the summary does not cover yet, oldest first: from
+   * `olderCID` down to, not including, `throughCID`.
+   */
+  async function gapTurns(olderCID, throughCID, sessionKey) {
+    const turns = [];
+    let cid = olderCID;
+    while (cid && cid !== throughCID && turns.length < MAX_GAP_MESSAGES) {
+      const file = await readMessage(cid, sessionKey);
+      turns.unshift({ role: file.role, content: file.content });
+      cid = file.parentCID;
+    }
+    return turns;
+  }
+
+  async function rollNow({ conversationId, summary, olderCID, sessionKey }) {
+    const turns = await gapTurns(olderCID, summary?.throughCID, sessionKey);
+    const content = (await generate(summaryPrompt(summary?.content ?? null, turns))).trim();
+    if (!content) throw new Error("The model returned an empty summary.");
+
+    const cid = await writeFile(
+      createSummaryFile({
+        conversationId,
+        throughCID: olderCID,
+        previousSummaryCID: summary?.cid ?? null,
+        createdAt: Date.now(),
+        content,
+      }),
+      sessionKey,
+    );
+    logger.log(`[Summary] Folded ${turns.length} messages of ${conversationId} into ${cid}.`);
+    return cid;
+  }
+
+  return {
+    /**
+     * The summary at `summaryCID`, or null when there is none or it cannot be read.
+     * @returns {Promise<{ cid: string, content: string, throughCID: string } | null>}
+     */
+    async load(summaryCID, sessionKey) {
+      if (!summaryCID) return null;
+      try {
+        const file = await readFile(summaryCID, sessionKey);
+        if (typeof file?.content !== "string" || typeof file.throughCID !== "string") {
+          throw new Error("not a SummaryFile");
+        }
+        return { cid: summaryCID, content: file.content, throughCID: file.throughCID };
+      } catch (error) {
+        logger.warn(`[Summary] Could not read ${summaryCID}; going without: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * The summary the new answer should link: a new one when messages have fallen out of the
+     * window since `summary`, `summary` itself when none have, and null below the window.
+     * Never rejects; on any failure it resolves to the previous summary's CID.
+     *
+     * @param {object} opts
+     * @param {string} opts.conversationId
+     * @param {{ cid: string, content: string, throughCID: string } | null} opts.summary - from
+     *   load
+     * @param {string | null} opts.olderCID - the newest message below the window; null when the
+     *   window reaches the start of the conversation
+     * @param {Buffer} opts.sessionKey
+     * @returns {Promise<string | null>} a SummaryFile CID
+     */
+    async roll({ conversationId, summary, olderCID, sessionKey }) {
+      const fallback = summary?.cid ?? null;
+      if (!olderCID || olderCID === summary?.throughCID) return fallback;
+      const rolling = rollNow({ conversationId, summary, olderCID, sessionKey }).catch((error) => {
+        logger.warn(`[Summary] Not updated for ${conversationId}: ${error.message}`);
+        return fallback;
+      });
+      return Promise.race([rolling, timeout(fallback)]);
+    },
+  };
+}
+
+module.exports = {
+  createConversationSummaries,
+  summaryConfig,
+  summaryPrompt,
+  withSummary,
+  MAX_GAP_MESSAGES,
+  SUMMARY_TIMEOUT_MS,
+};
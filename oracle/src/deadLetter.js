@@ -0,0 +1,187 @@
+/**
+ * Operator views of the job store, and the dry-run stand-ins that `replayJob` swaps in.
+ *
+ * Kept apart from aiAgentOracle.js because that module builds a wallet and a contract the moment
+ * it is required. Listing and inspecting the dead-letter queue needs neither — only the store and
+ * the agent ABI, to put names on the stored args — so scripts/oracle-jobs.js can do both on a
+ * machine that holds no oracle key.
+ */
+
+/** A state-changing call: everything except view and pure. */
+const WRITE_MUTABILITIES = new Set(["nonpayable", "payable"]);
+
+/** The hash a dry-run "transaction" reports: all zeros, so it cannot pass for a real one. */
+const DRY_RUN_TX_HASH = `0x${"0".repeat(64)}`;
+/** The CID a dry-run "upload" reports: not a CID at all, so nothing can mistake it for a file. */
+const DRY_RUN_CID = "dry-run-not-uploaded";
+
+/** Hex longer than a word is an encrypted payload or key; its length says more than its bytes. */
+function abbreviate(value) {
+  if (typeof value === "string" && /^0x[0-9a-fA-F]{65,}$/.test(value)) {
+    return `${value.slice(0, 18)}… (${(value.length - 2) / 2} bytes)`;
+  }
+  if (typeof value === "string" && value.length > 120) {
+    return `${value.slice(0, 117)}… (${value.length} chars)`;
+  }
+  return value;
+}
+
+/**
+ * A job's stored args, named from the event's ABI inputs — positional (`arg0`, …) when the ABI
+ * is not at hand or does not know the event.
+ *
+ * @param {{ eventName: string, args: Array<*> }} job
+ * @param {import("ethers").Interface} [contractInterface]
+ * @returns {Array<{ name: string, value: * }>}
+ */
+function namedArgs(job, contractInterface) {
+  let inputs = null;
+  try {
+    inputs = contractInterface?.getEvent(job.eventName)?.inputs ?? null;
+  } catch (e) {
+    /* ambiguous or unknown event name — fall back to positions */
+  }
+  return (job.args ?? []).map((value, i) => ({
+    name: inputs?.[i]?.name || `arg${i}`,
+    value: abbreviate(value),
+  }));
+}
+
+function isoTime(ms) {
+  return ms === null || ms === undefined ? "—" : new Date(ms).toISOString();
+}
+
+/** One line per job, for `list`. */
+function formatJobLine(job) {
+  const error = job.lastError ? abbreviate(job.lastError.replace(/\s+/g, " ")) : "";
+  return [
+    String(job.id).padStart(5),
+    job.status.padEnd(7),
+    String(job.attempts).padStart(2),
+    job.eventName.padEnd(23),
+    job.transactionHash,
+    error,
+  ].join("  ");
+}
+
+/** Everything known about one job, for `show`. */
+function formatJob(job, contractInterface) {
+  const lines = [
+    `Job ${job.id} — ${job.eventName} (${job.status})`,
+    `  transaction:   ${job.transactionHash}`,
+    `  block:         ${job.blockNumber ?? "—"}`,
+    `  attempts:      ${job.attempts}`,
+    `  next attempt:  ${job.status === "pending" ? isoTime(job.nextAttemptAt) : "—"}`,
+    `  queued:        ${isoTime(job.createdAt)}`,
+    `  last error:    ${job.lastError ?? "—"}`,
+    "  args:",
+    ...namedArgs(job, contractInterface).map(({ name, value }) => `    ${name}: ${value}`),
+    "  history:",
+    ...(job.history ?? []).map((h) => `    #${h.attempt}  ${isoTime(h.at)}  ${h.error}`),
+  ];
+  return lines.join("\n");
+}
+
+/**
+ * The job for `transactionHash`, narrowed to `eventName` when one transaction queued several
+ * events (a branch and its metadata update, say). Throws when nothing matches, or when several
+ * do and no event name was given to choose between them.
+ *
+ * @param {Array<object>} jobs
+ * @param {string} transactionHash
+ * @param {string} [eventName]
+ */
+function findJob(jobs, transactionHash, eventName) {
+  const hash = transactionHash.toLowerCase();
+  const matches = jobs.filter(
+    (j) =>
+      j.transactionHash.toLowerCase() === hash &&
+      (eventName === undefined || j.eventName === eventName),
+  );
+  if (matches.length === 0) {
+    throw new Error(
+      `No job for transaction ${transactionHash}${eventName ? ` and event ${eventName}` : ""}.`,
+    );
+  }
+  if (matches.length > 1) {
+    const names = matches.map((j) => j.eventName).join(", ");
+    throw new Error(`Transaction ${transactionHash} has several jobs (${names}); pass --event.`);
+  }
+  return matches[0];
+}
+
+/**
+ * Wrap an ethers Contract so that its state-changing methods are simulated and never sent.
+ *
+ * Each write runs as a `staticCall` from the oracle's own address — so a replay that would
+ * revert still throws the revert, which is usually what the operator is trying to find out — and
+ * then resolves to a stand-in transaction whose `wait()` succeeds. Views and everything else
+ * pass straight through, so the handlers' isJobFinalized checks still read the real chain.
+ *
+ * @param {import("ethers").Contract} contract
+ * @param {{ log?: (message: string) => void }} [opts]
+ */
+function createDryRunContract(contract, { log = console.log } = {}) {
+  return new Proxy(contract, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop);
+      if (typeof prop !== "string" || typeof value !== "function") return value;
+
+      // Every overload, not getFunction: that throws on an ambiguous name, and a lookup that
+      // fails quietly here would let a write through for real.
+      const writes = target.interface.fragments.some(
+        (f) =>
+          f.type === "function" && f.name === prop && WRITE_MUTABILITIES.has(f.stateMutability),
+      );
+      if (!writes) return value;
+
+      return async (...args) => {
+        await value.staticCall(...args);
+        log(`[dry-run] ${prop} would succeed; not sent.`);
+        return {
+          hash: DRY_RUN_TX_HASH,
+          wait: async () => ({ hash: DRY_RUN_TX_HASH, status: 1 }),
+        };
+      };
+    },
+  });
+}
+
+/**
+ * Stand-ins for the writes a handler makes besides its transaction, in the shape of the chain
+ * fields they replace: the storage upload, the answer-activity record and the agent scheduler.
+ * Each logs what it would have done and does nothing else; an upload resolves to DRY_RUN_CID,
+ * which the simulated submission then carries.
+ *
+ * @param {{ log?: (message: string) => void }} [opts]
+ */
+function createDryRunEffects({ log = console.log } = {}) {
+  return {
+    uploadData: async (data) => {
+      log(`[dry-run] Upload of ${data.length} bytes skipped.`);
+      return DRY_RUN_CID;
+    },
+    recordAnswerActivity: async ({ answerMessageId, kind }) => {
+      log(`[dry-run] ${kind} for answer ${answerMessageId} not recorded.`);
+    },
+    agentScheduler: {
+      register: async ({ jobId }) =>
+        log(`[dry-run] Trigger for agent job ${jobId} not registered.`),
+      remove: async (jobId) => {
+        log(`[dry-run] Trigger for agent job ${jobId} not removed.`);
+        return false;
+      },
+    },
+  };
+}
+
+module.exports = {
+  namedArgs,
+  formatJob,
+  formatJobLine,
+  findJob,
+  createDryRunContract,
+  createDryRunEffects,
+  DRY_RUN_TX_HASH,
+  DRY_RUN_CID,
+};
@@ -0,0 +1,92 @@
+/**
+ * The version of the file shapes formatters.js writes, and the reader that brings an older
+ * MessageFile up to it.
+ *
+ * A MessageFile is immutable once uploaded and is read back for as long as the conversation
+ * lives: reconstructHistory walks the parentCID chain through every answer the oracle ever wrote
+ * for it, and the dApp renders them all. So the reader meets every shape the writer has ever
+ * produced, and until now nothing in the file said which one it was looking at.
+ *
+ * Versions:
+ *
+ *   0  no `schemaVersion` field. Everything written before this module, and every user message
+ *      the dApp still writes. Assistant answers come in three generations, all version 0:
+ *      content only (before provenance), with `sources` (before reasoning), and with
+ *      `sources` + `reasoning`, sometimes `reasoningDuration`.
+ *   1  `schemaVersion: 1`. Assistant answers always carry `sources` and `reasoning` arrays
+ *      (empty when there is nothing to show); `reasoningDuration` stays optional.
+ *
+ * `ancestorCIDs`, the skip list the oracle writes on its own files, is optional in every version
+ * and did not bump it: it is only a hint for fetching ahead, never read in place of parentCID, so
+ * a file without one (any dApp-written message, anything older) is walked exactly as before.
+ * Neither did `summaryCID` on answers, which links a SummaryFile (conversationSummary.js) that
+ * only the oracle reads: an answer without one has no summary, as every answer before it had.
+ *
+ * Changing a shape — most likely one of answerProvenance.js's, which the dApp also reads — means
+ * bumping SCHEMA_VERSION, adding the step from the previous version to MIGRATIONS, and adding a
+ * fixture for the outgoing shape to test/fixtures/messageFiles. Upgrading happens on read only;
+ * nothing is ever rewritten in storage.
+ */
+
+/** The version formatters.js stamps on every file it creates. */
+const SCHEMA_VERSION = 1;
+
+/**
+ * MIGRATIONS[n] takes a version-n MessageFile to version n+1. Each step may assume only what
+ * version n guaranteed, and must not mutate its input (the raw file may be cached).
+ */
+const MIGRATIONS = {
+  0: (file) => {
+    const upgraded = {
+      ...file,
+      parentId: file.parentId ?? null,
+      parentCID: file.parentCID ?? null,
+      schemaVersion: 1,
+    };
+    if (upgraded.role === "assistant") {
+      upgraded.sources = Array.isArray(file.sources) ? file.sources : [];
+      upgraded.reasoning = Array.isArray(file.reasoning) ? file.reasoning : [];
+    }
+    return upgraded;
+  },
+};
+
+function isNullableString(value) {
+  return value === null || value === undefined || typeof value === "string";
+}
+
+/**
+ * Brings a decrypted MessageFile up to SCHEMA_VERSION.
+ *
+ * A file from a NEWER writer (a dApp or oracle release ahead of this one) is returned as it is:
+ * the fields history reconstruction reads — role, content, parentCID — are the ones no version
+ * may drop, so it can still be walked. Those fields are checked on every file, whatever its
+ * version, because a file missing them cannot be walked at all.
+ *
+ * @param {object} file a decrypted MessageFile, of any version
+ * @returns {object} the same message in the current shape (a copy when anything changed)
+ * @throws {Error} when the file is not a MessageFile this reader can walk
+ */
+function upgradeMessageFile(file) {
+  if (!file || typeof file !== "object" || Array.isArray(file)) {
+    throw new Error("MessageFile is not an object.");
+  }
+  const version = file.schemaVersion ?? 0;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`MessageFile has an invalid schemaVersion: ${JSON.stringify(version)}`);
+  }
+  if (typeof file.role !== "string" || !isNullableString(file.content)) {
+    throw new Error("MessageFile has no role or content.");
+  }
+  if (!isNullableString(file.parentCID)) {
+    throw new Error("MessageFile has an invalid parentCID.");
+  }
+
+  let upgraded = file;
+  for (let v = version; v < SCHEMA_VERSION; v += 1) {
+    upgraded = MIGRATIONS[v](upgraded);
+  }
+  return upgraded;
+}
+
+module.exports = { SCHEMA_VERSION, upgradeMessageFile };
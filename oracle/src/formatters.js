@@ -1,4 +1,8 @@
 const { removeStopwords, eng } = require("stopword");
+const { SCHEMA_VERSION } = require("./fileSchema");
+
+// Every file below carries `schemaVersion` (see fileSchema.js), so a reader years from now can
+// tell which shape it is holding instead of inferring it from which fields happen to be present.
 
 /**
  * Creates a ConversationFile object. This file represents the immutable core
@@ -22,6 +26,7 @@ function createConversationFile({
   branchedAtMessageId,
 }) {
   const conversationFile = {
+    schemaVersion: SCHEMA_VERSION,
     id,
     ownerAddress,
     createdAt,
@@ -48,6 +53,7 @@ function createConversationFile({
  */
 function createConversationMetadataFile({ title, isDeleted, lastUpdatedAt }) {
   return {
+    schemaVersion: SCHEMA_VERSION,
     title,
     isDeleted,
     lastUpdatedAt,
@@ -61,13 +67,19 @@ function createConversationMetadataFile({ title, isDeleted, lastUpdatedAt }) {
  *   conversationId: string,
  *   parentId: string | null,
  *   parentCID: string | null,
+ *   ancestorCIDs?: string[],
  *   createdAt: number,
  *   role: 'user' | 'assistant',
  *   content: string | null,
  *   sources?: Array<{title: string, url: string}>,
  *   reasoning?: Array<{title: string, description: string}>,
- *   reasoningDuration?: number
+ *   reasoningDuration?: number,
+ *   summaryCID?: string | null
  * }} params
+ * `ancestorCIDs` are the CIDs above the parent, nearest first, as far back as the caller walked
+ * them: a skip list that lets history be fetched all at once rather than one parent at a time.
+ * Left out when empty. `summaryCID` links an answer to the SummaryFile of the turns older than
+ * its history window (conversationSummary.js); left out when there is none.
  * @returns {object} A valid MessageFile object.
  */
 function createMessageFile({
@@ -75,14 +87,17 @@ function createMessageFile({
   conversationId,
   parentId,
   parentCID,
+  ancestorCIDs = [],
   createdAt,
   role,
   content,
   sources = [],
   reasoning = [],
   reasoningDuration,
+  summaryCID,
 }) {
   const messageFile = {
+    schemaVersion: SCHEMA_VERSION,
     id,
     conversationId,
     parentId,
@@ -91,6 +106,9 @@ function createMessageFile({
     role,
     content,
   };
+  if (parentCID && ancestorCIDs.length > 0) {
+    messageFile.ancestorCIDs = ancestorCIDs;
+  }
   // User messages do not have these AI-specific fields.
   if (role === "assistant") {
     messageFile.sources = sources;
@@ -98,10 +116,36 @@ function createMessageFile({
     if (reasoningDuration !== undefined) {
       messageFile.reasoningDuration = reasoningDuration;
     }
+    if (summaryCID) {
+      messageFile.summaryCID = summaryCID;
+    }
   }
   return messageFile;
 }
 
+/**
+ * Creates a SummaryFile object: the summary of a conversation's turns up to and including
+ * `throughCID`, rolled from the one at `previousSummaryCID`. Read by the oracle only.
+ * @param {{
+ *   conversationId: string,
+ *   throughCID: string,
+ *   previousSummaryCID: string | null,
+ *   createdAt: number,
+ *   content: string
+ * }} params
+ * @returns {object} A valid SummaryFile object.
+ */
+function createSummaryFile({ conversationId, throughCID, previousSummaryCID, createdAt, content }) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    conversationId,
+    throughCID,
+    previousSummaryCID,
+    createdAt,
+    content,
+  };
+}
+
 /**
  * Generates a string of keywords from a given text content, consistent
  * with the frontend search service.
@@ -128,13 +172,15 @@ function generateKeywords(content = "") {
  *   messageId: string,
  *   userMessageContent: string
  * }} params
- * @returns {object} A valid SearchIndexDeltaFile object, e.g., { "msg_123": { cid: "conv_456", c: "keywords..." } }.
+ * @returns {object} A valid SearchIndexDeltaFile object, e.g., { "msg_123": { schemaVersion: 1, cid: "conv_456", c: "keywords..." } }.
  */
 function createSearchIndexDeltaFile({ conversationId, messageId, userMessageContent }) {
   const keywords = generateKeywords(userMessageContent);
-  // The key is the messageId. The value is an object.
+  // The key is the messageId. The value is an object. The version goes inside the entry, not
+  // beside it: the dApp merges every top-level key of a delta into its index as a message id.
   return {
     [messageId]: {
+      schemaVersion: SCHEMA_VERSION,
       cid: conversationId,
       c: keywords,
     },
@@ -145,6 +191,7 @@ module.exports = {
   createConversationFile,
   createConversationMetadataFile,
   createMessageFile,
+  createSummaryFile,
   createSearchIndexDeltaFile,
   // also export for testing or direct use if needed
   generateKeywords,
@@ -0,0 +1,550 @@
+/**
+ * Durable retry queue for events whose handler hit a transient failure.
+ *
+ * This replaces `failed-jobs.json`, which `handleAndRecord` and `retryFailedJobs` each
+ * read-modified-wrote whole. The p-queue runs five handlers at once, so two failures landing
+ * together could each read the same array and the second write would silently drop the first
+ * job — and a dropped job is a prompt the user paid for that never gets answered. Every operation
+ * here is atomic on its own, so callers never hold the queue in memory across an await.
+ *
+ * LIFECYCLE. `enqueue` records a job as `pending`, due one base delay after the original failure.
+ * `claimDue` moves due jobs to `running` under a LEASE: a worker that dies mid-retry leaves the
+ * job claimed, and it becomes claimable again when the lease lapses instead of being stuck. `ack`
+ * deletes a job that finally succeeded. `fail` counts the attempt, appends it to the job's history
+ * and either re-schedules it with exponential backoff or, once MAX_RETRIES attempts have failed
+ * (or sooner, when the caller knows the failure is permanent), parks it as `dead` — kept, not
+ * dropped, so an operator can see what happened and replay it. `bury` puts an event whose FIRST
+ * run failed for good — `handleAndRecord`'s fatal branch — straight into `dead` beside them.
+ *
+ * TWO BACKENDS, ONE INTERFACE. Production uses a table in the oracle's own Postgres agent DB (the
+ * one `wireAgentDbForPluginSql` points plugin-sql at), where SKIP LOCKED makes a claim atomic even
+ * across processes. Localnet and e2e have no Postgres, so they fall back to a JSON file whose
+ * operations are serialised through a mutex and written via rename.
+ *
+ * Every timestamp comes from the injected `now`, epoch milliseconds, in both backends — the SQL
+ * never calls NOW() — so a fake clock drives due-times, leases and backoff identically.
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const { Mutex } = require("async-mutex");
+
+const JOB_STATUSES = ["pending", "running", "dead"];
+
+/** Failed retries before a job is dead-lettered. The first, pre-queue failure is not counted. */
+const MAX_RETRIES = 10;
+/** Delay before the first retry; retry n waits BASE_RETRY_DELAY_MS * 2^n. */
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+/**
+ * How long a claim holds a job. Generous on purpose: a retried prompt runs a full ElizaOS
+ * inference plus an upload and a transaction, and a lease that lapses mid-run hands the same job
+ * to the next sweep. The handlers' finalisation checks make that harmless, but not free.
+ */
+const DEFAULT_LEASE_MS = 15 * 60 * 1000;
+const DEFAULT_CLAIM_LIMIT = 50;
+/** The file backend's home, next to oracle-state.json — shared by the oracle and its CLI. */
+const DEFAULT_JOB_STORE_FILE_PATH = path.resolve(__dirname, "../oracle-jobs.json");
+/** The Postgres backend's table. A multi-chain oracle suffixes it per chain (see chainConfig). */
+const DEFAULT_JOB_TABLE = "oracle_jobs";
+
+/** Backoff after `attempts` failed retries. */
+function retryDelayMs(attempts, baseDelayMs = BASE_RETRY_DELAY_MS) {
+  return baseDelayMs * Math.pow(2, attempts);
+}
+
+function errorText(error) {
+  return String(error?.message ?? error ?? "unknown error");
+}
+
+/**
+ * ethers event args are a Result full of BigInts, which JSON.stringify refuses outright. Only
+ * ever read back for inspection — a retry re-parses the event from its receipt — so decimal
+ * strings lose nothing that matters.
+ */
+function serializeArgs(args) {
+  return JSON.parse(
+    JSON.stringify(Array.from(args ?? []), (_key, value) =>
+      typeof value === "bigint" ? value.toString() : value,
+    ),
+  );
+}
+
+/**
+ * Durable queue in a single JSON file. For deployments without Postgres (localnet, e2e).
+ *
+ * One process owns the file, so the queue is read once and then kept in memory; the mutex makes
+ * each operation's update-and-save indivisible, and the write goes through a temp file and a
+ * rename so a crash mid-save leaves the previous queue intact rather than a truncated one.
+ *
+ * @param {object} opts
+ * @param {string} opts.filePath
+ * @param {() => number} [opts.now] - defaults to Date.now
+ * @param {number} [opts.maxRetries]
+ * @param {number} [opts.baseDelayMs]
+ * @param {number} [opts.leaseMs]
+ */
+function createFileJobStore({
+  filePath,
+  now = () => Date.now(),
+  maxRetries = MAX_RETRIES,
+  baseDelayMs = BASE_RETRY_DELAY_MS,
+  leaseMs = DEFAULT_LEASE_MS,
+}) {
+  const mutex = new Mutex();
+  let doc = null;
+
+  async function load() {
+    if (doc) return doc;
+    try {
+      doc = JSON.parse(await fs.readFile(filePath, "utf-8"));
+    } catch (error) {
+      // Only an ABSENT file is an empty queue. Reading a corrupt one as empty would let the next
+      // save overwrite every job on disk, so that surfaces instead.
+      if (error.code !== "ENOENT") throw error;
+      doc = { nextId: 1, jobs: [] };
+    }
+    return doc;
+  }
+
+  async function save() {
+    const tmpPath = path.join(
+      path.dirname(filePath),
+      `.${path.basename(filePath)}.${process.pid}.tmp`,
+    );
+    await fs.writeFile(tmpPath, JSON.stringify(doc, null, 2));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  /** Run `fn` on the loaded queue and persist it, all under the lock. */
+  function update(fn) {
+    return mutex.runExclusive(async () => {
+      const before = JSON.stringify(await load());
+      try {
+        const result = fn(doc);
+        // An empty sweep changes nothing; it should not rewrite the file once a minute.
+        if (JSON.stringify(doc) !== before) await save();
+        return result;
+      } catch (error) {
+        // A failed save must not leave memory ahead of disk.
+        doc = JSON.parse(before);
+        throw error;
+      }
+    });
+  }
+
+  const copy = (job) => (job ? JSON.parse(JSON.stringify(job)) : null);
+
+  return {
+    backend: "file",
+
+    /**
+     * Queue a failed event. Idempotent per (eventName, transactionHash): a replay of an event
+     * that is already queued returns the existing job rather than queueing a second retry.
+     *
+     * @param {object} job
+     * @param {string} job.eventName
+     * @param {{ args?: *, blockNumber?: number, transactionHash: string }} job.event
+     * @param {*} [job.error] - the failure that put it here; recorded as attempt 0
+     * @param {number} [job.attempts] - carried over from a legacy queue
+     * @param {number} [job.nextAttemptAt] - carried over from a legacy queue
+     */
+    enqueue({ eventName, event, error, attempts = 0, nextAttemptAt }) {
+      return update((queue) => {
+        const existing = queue.jobs.find(
+          (j) => j.eventName === eventName && j.transactionHash === event.transactionHash,
+        );
+        if (existing) return copy(existing);
+
+        const at = now();
+        const job = {
+          id: queue.nextId++,
+          eventName,
+          transactionHash: event.transactionHash,
+          blockNumber: event.blockNumber ?? null,
+          args: serializeArgs(event.args),
+          status: "pending",
+          attempts,
+          nextAttemptAt: nextAttemptAt ?? at + baseDelayMs,
+          leaseUntil: null,
+          lastError: error === undefined ? null : errorText(error),
+          history: error === undefined ? [] : [{ attempt: 0, at, error: errorText(error) }],
+          createdAt: at,
+          updatedAt: at,
+        };
+        queue.jobs.push(job);
+        return copy(job);
+      });
+    },
+
+    /** Claim up to `limit` due jobs — pending and due, or running with a lapsed lease. */
+    claimDue({ limit = DEFAULT_CLAIM_LIMIT } = {}) {
+      return update((queue) => {
+        const at = now();
+        const due = queue.jobs
+          .filter(
+            (j) =>
+              (j.status === "pending" && j.nextAttemptAt <= at) ||
+              (j.status === "running" && j.leaseUntil <= at),
+          )
+          .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+          .slice(0, limit);
+        for (const job of due) {
+          job.status = "running";
+          job.leaseUntil = at + leaseMs;
+          job.updatedAt = at;
+        }
+        return due.map(copy);
+      });
+    },
+
+    /**
+     * Dead-letter an event that failed for good, queued or not. An operator replays it from
+     * here (scripts/oracle-jobs.js) once whatever made it fatal is fixed.
+     *
+     * @param {object} job - as for `enqueue`
+     */
+    bury({ eventName, event, error }) {
+      return update((queue) => {
+        const at = now();
+        let job = queue.jobs.find(
+          (j) => j.eventName === eventName && j.transactionHash === event.transactionHash,
+        );
+        if (!job) {
+          job = {
+            id: queue.nextId++,
+            eventName,
+            transactionHash: event.transactionHash,
+            blockNumber: event.blockNumber ?? null,
+            args: serializeArgs(event.args),
+            attempts: 0,
+            nextAttemptAt: at,
+            history: [],
+            createdAt: at,
+          };
+          queue.jobs.push(job);
+        }
+        job.status = "dead";
+        job.leaseUntil = null;
+        job.lastError = errorText(error);
+        job.history.push({ attempt: job.attempts, at, error: job.lastError });
+        job.updatedAt = at;
+        return copy(job);
+      });
+    },
+
+    /** The retry succeeded: forget the job. */
+    ack(id) {
+      return update((queue) => {
+        queue.jobs = queue.jobs.filter((j) => j.id !== id);
+      });
+    },
+
+    /**
+     * The retry failed: count it, and either back off or dead-letter.
+     * @param {*} id
+     * @param {*} error
+     * @param {{ retryable?: boolean }} [opts] - false dead-letters now, whatever retries are left
+     * @returns {Promise<object|null>} the updated job — `status: "dead"` means it is out of retries
+     */
+    fail(id, error, { retryable = true } = {}) {
+      return update((queue) => {
+        const job = queue.jobs.find((j) => j.id === id);
+        if (!job) return null;
+        const at = now();
+        job.attempts += 1;
+        job.lastError = errorText(error);
+        job.history.push({ attempt: job.attempts, at, error: job.lastError });
+        job.leaseUntil = null;
+        job.updatedAt = at;
+        if (!retryable || job.attempts >= maxRetries) {
+          job.status = "dead";
+        } else {
+          job.status = "pending";
+          job.nextAttemptAt = at + retryDelayMs(job.attempts, baseDelayMs);
+        }
+        return copy(job);
+      });
+    },
+
+    /** @param {{ status?: string | string[] }} [filter] */
+    list({ status } = {}) {
+      return mutex.runExclusive(async () => {
+        const wanted = status === undefined ? null : [].concat(status);
+        return (await load()).jobs.filter((j) => !wanted || wanted.includes(j.status)).map(copy);
+      });
+    },
+  };
+}
+
+function createTableSql(table) {
+  return `
+  CREATE TABLE IF NOT EXISTS ${table} (
+    id               BIGSERIAL PRIMARY KEY,
+    event_name       TEXT    NOT NULL,
+    transaction_hash TEXT    NOT NULL,
+    block_number     BIGINT,
+    args             JSONB   NOT NULL DEFAULT '[]',
+    status           TEXT    NOT NULL DEFAULT 'pending',
+    attempts         INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at  BIGINT  NOT NULL,
+    lease_until      BIGINT,
+    last_error       TEXT,
+    history          JSONB   NOT NULL DEFAULT '[]',
+    created_at       BIGINT  NOT NULL,
+    updated_at       BIGINT  NOT NULL,
+    UNIQUE (event_name, transaction_hash)
+  );
+  CREATE INDEX IF NOT EXISTS ${table}_due_idx ON ${table} (status, next_attempt_at);
+`;
+}
+
+/** pg hands BIGINT back as a string; every one of ours is an epoch-ms or block number. */
+function rowToJob(row) {
+  const num = (v) => (v === null || v === undefined ? null : Number(v));
+  return {
+    id: num(row.id),
+    eventName: row.event_name,
+    transactionHash: row.transaction_hash,
+    blockNumber: num(row.block_number),
+    args: row.args,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: num(row.next_attempt_at),
+    leaseUntil: num(row.lease_until),
+    lastError: row.last_error,
+    history: row.history,
+    createdAt: num(row.created_at),
+    updatedAt: num(row.updated_at),
+  };
+}
+
+/**
+ * Durable queue in Postgres. Each operation is a single statement, so atomicity is the
+ * database's: two sweeps (or two oracle processes) claiming at once skip each other's locked rows
+ * instead of both taking the same job, and `fail` computes the backoff from the row it updates
+ * rather than from a copy read earlier.
+ *
+ * @param {object} opts
+ * @param {{ query: Function }} opts.pool - a pg Pool (or anything with its `query`)
+ * @param {() => number} [opts.now] - defaults to Date.now
+ * @param {number} [opts.maxRetries]
+ * @param {number} [opts.baseDelayMs]
+ * @param {number} [opts.leaseMs]
+ * @param {string} [opts.table] - interpolated into the SQL, so only ever from chainConfig
+ */
+function createPostgresJobStore({
+  pool,
+  table = DEFAULT_JOB_TABLE,
+  now = () => Date.now(),
+  maxRetries = MAX_RETRIES,
+  baseDelayMs = BASE_RETRY_DELAY_MS,
+  leaseMs = DEFAULT_LEASE_MS,
+}) {
+  // Memoize the in-flight promise, not a flag: the first enqueue and the first sweep can race.
+  let ready = null;
+  function init() {
+    if (!ready) {
+      ready = pool.query(createTableSql(table)).catch((error) => {
+        ready = null;
+        throw error;
+      });
+    }
+    return ready;
+  }
+
+  async function query(sql, params) {
+    await init();
+    return (await pool.query(sql, params)).rows;
+  }
+
+  return {
+    backend: "postgres",
+
+    async enqueue({ eventName, event, error, attempts = 0, nextAttemptAt }) {
+      const at = now();
+      const history = error === undefined ? [] : [{ attempt: 0, at, error: errorText(error) }];
+      const inserted = await query(
+        `INSERT INTO ${table}
+           (event_name, transaction_hash, block_number, args, attempts, next_attempt_at,
+            last_error, history, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9)
+         ON CONFLICT (event_name, transaction_hash) DO NOTHING
+         RETURNING *`,
+        [
+          eventName,
+          event.transactionHash,
+          event.blockNumber ?? null,
+          JSON.stringify(serializeArgs(event.args)),
+          attempts,
+          nextAttemptAt ?? at + baseDelayMs,
+          error === undefined ? null : errorText(error),
+          JSON.stringify(history),
+          at,
+        ],
+      );
+      if (inserted.length) return rowToJob(inserted[0]);
+
+      const [existing] = await query(
+        `SELECT * FROM ${table} WHERE event_name = $1 AND transaction_hash = $2`,
+        [eventName, event.transactionHash],
+      );
+      return existing ? rowToJob(existing) : null;
+    },
+
+    async claimDue({ limit = DEFAULT_CLAIM_LIMIT } = {}) {
+      const at = now();
+      const rows = await query(
+        `UPDATE ${table}
+            SET status = 'running', lease_until = $2, updated_at = $1
+          WHERE id IN (
+                SELECT id FROM ${table}
+                 WHERE (status = 'pending' AND next_attempt_at <= $1)
+                    OR (status = 'running' AND lease_until <= $1)
+                 ORDER BY next_attempt_at
+                 LIMIT $3
+                   FOR UPDATE SKIP LOCKED)
+         RETURNING *`,
+        [at, at + leaseMs, limit],
+      );
+      return rows.map(rowToJob).sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+    },
+
+    async bury({ eventName, event, error }) {
+      const at = now();
+      const [row] = await query(
+        `INSERT INTO ${table}
+           (event_name, transaction_hash, block_number, args, status, attempts, next_attempt_at,
+            last_error, history, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, 'dead', 0, $5::bigint, $6::text,
+                 jsonb_build_array(
+                   jsonb_build_object('attempt', 0, 'at', $5::bigint, 'error', $6::text)),
+                 $5::bigint, $5::bigint)
+         ON CONFLICT (event_name, transaction_hash) DO UPDATE
+            SET status = 'dead',
+                lease_until = NULL,
+                last_error = EXCLUDED.last_error,
+                history = ${table}.history || jsonb_build_array(jsonb_build_object(
+                  'attempt', ${table}.attempts, 'at', $5::bigint, 'error', $6::text)),
+                updated_at = EXCLUDED.updated_at
+         RETURNING *`,
+        [
+          eventName,
+          event.transactionHash,
+          event.blockNumber ?? null,
+          JSON.stringify(serializeArgs(event.args)),
+          at,
+          errorText(error),
+        ],
+      );
+      return rowToJob(row);
+    },
+
+    async ack(id) {
+      await query(`DELETE FROM ${table} WHERE id = $1`, [id]);
+    },
+
+    async fail(id, error, { retryable = true } = {}) {
+      // `attempts` on the right-hand side is the value BEFORE this update, so attempts + 1 is the
+      // attempt that just failed — the same arithmetic as the file backend.
+      const [row] = await query(
+        `UPDATE ${table}
+            SET attempts = attempts + 1,
+                status = CASE WHEN NOT $6::boolean OR attempts + 1 >= $3::int
+                              THEN 'dead' ELSE 'pending' END,
+                next_attempt_at = CASE WHEN NOT $6::boolean OR attempts + 1 >= $3::int
+                                       THEN next_attempt_at
+                                       ELSE $1::bigint + $4::bigint * (2 ^ (attempts + 1))::bigint END,
+                lease_until = NULL,
+                last_error = $5::text,
+                history = history || jsonb_build_array(
+                  jsonb_build_object('attempt', attempts + 1, 'at', $1::bigint, 'error', $5::text)),
+                updated_at = $1::bigint
+          WHERE id = $2
+         RETURNING *`,
+        [now(), id, maxRetries, baseDelayMs, errorText(error), retryable],
+      );
+      return row ? rowToJob(row) : null;
+    },
+
+    async list({ status } = {}) {
+      const rows =
+        status === undefined
+          ? await query(`SELECT * FROM ${table} ORDER BY id`)
+          : await query(`SELECT * FROM ${table} WHERE status = ANY($1) ORDER BY id`, [
+              [].concat(status),
+            ]);
+      return rows.map(rowToJob);
+    },
+  };
+}
+
+/**
+ * Pick the backend the way the rest of the oracle picks its storage: Postgres when the agent DB
+ * is actually configured (a bare database name without credentials is not), the local file
+ * otherwise. Nothing connects until the first operation.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.filePath] - the file backend's location
+ * @param {string} [opts.table] - the Postgres backend's table
+ */
+function createJobStoreFromEnv({
+  filePath = DEFAULT_JOB_STORE_FILE_PATH,
+  table = DEFAULT_JOB_TABLE,
+} = {}) {
+  const { bootstrapPostgresFromEnv, isPostgresConfigured } = require("./postgresBootstrap");
+  const agentDb = process.env.POSTGRES_AGENT_DATABASE;
+  if (!agentDb || !agentDb.trim() || !isPostgresConfigured()) {
+    return createFileJobStore({ filePath });
+  }
+
+  // writeEnv: false — POSTGRES_URL belongs to plugin-sql (see wireAgentDbForPluginSql).
+  const connectionString = bootstrapPostgresFromEnv({ database: agentDb, writeEnv: false });
+  // Lazy require so localnet/e2e runs never load pg.
+  const { Pool } = require("pg");
+  return createPostgresJobStore({ pool: new Pool({ connectionString, max: 2 }), table });
+}
+
+/**
+ * One-time import of a `failed-jobs.json` left by an older oracle, so jobs queued before an
+ * upgrade are retried rather than orphaned. The file is renamed aside afterwards, never deleted.
+ *
+ * @param {object} opts
+ * @param {ReturnType<typeof createFileJobStore>} opts.store
+ * @param {string} opts.filePath - the legacy file
+ * @param {object} [opts.fsImpl] - `fs/promises`; injectable so the oracle's tests see the reads
+ * @returns {Promise<number>} jobs imported
+ */
+async function migrateLegacyFailedJobs({ store, filePath, fsImpl = fs }) {
+  let legacy;
+  try {
+    legacy = JSON.parse(await fsImpl.readFile(filePath, "utf-8"));
+  } catch (error) {
+    return 0; // absent — the normal case — or unreadable, which the old code also treated as empty
+  }
+  // The old writer could leave `{}` behind; that, too, meant "no jobs".
+  const jobs = Array.isArray(legacy) ? legacy : [];
+  for (const job of jobs) {
+    if (!job?.eventName || !job.event?.transactionHash) continue;
+    await store.enqueue({
+      eventName: job.eventName,
+      event: job.event,
+      attempts: Number(job.retryCount) || 0,
+      nextAttemptAt: Number(job.nextAttemptAt) || 0,
+    });
+  }
+  await fsImpl.rename(filePath, `${filePath}.migrated`);
+  return jobs.length;
+}
+
+module.exports = {
+  createFileJobStore,
+  createPostgresJobStore,
+  createJobStoreFromEnv,
+  migrateLegacyFailedJobs,
+  retryDelayMs,
+  JOB_STATUSES,
+  DEFAULT_JOB_STORE_FILE_PATH,
+  DEFAULT_JOB_TABLE,
+  MAX_RETRIES,
+  BASE_RETRY_DELAY_MS,
+};
@@ -0,0 +1,119 @@
+/**
+ * A local model behind an OpenAI-compatible chat-completions endpoint — llama.cpp's
+ * `llama-server`, vLLM, LM Studio, or anything else that speaks `POST /v1/chat/completions`.
+ *
+ * The only local tier before this was Ollama, through its own `/api/chat` and `/api/generate`
+ * with `gemma3:1b` written into the call. Every other local runtime speaks the OpenAI shape
+ * instead, so supporting that one shape covers them all; which runtime, which model and how long
+ * to wait are configuration:
+ *
+ *   LOCAL_LLM_URL         base URL up to and including `/v1`, e.g. http://llama:8080/v1
+ *   LOCAL_LLM_MODEL       the model id the server expects (llama.cpp ignores it; vLLM does not)
+ *   LOCAL_LLM_API_KEY     optional bearer token (vLLM `--api-key`); a ROFL secret when set
+ *   LOCAL_LLM_TIMEOUT_MS  per request, default 60s — CPU inference in a TEE is not fast
+ *   LOCAL_LLM_MAX_TOKENS  answer length cap, default 1024
+ *
+ * Failures are typed the way the other AI tiers type theirs (toProviderError): unreachable,
+ * timed out or 5xx/429 is a ProviderUnavailableError, so the dispatcher fails over and a
+ * handler would retry; a 4xx is our request's fault and stays a plain Error.
+ */
+
+const { toProviderError } = require("./oracleErrors");
+
+/** The name failures carry as `provider`, and the tier providerTally counts. */
+const PROVIDER = "local";
+
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+const DEFAULT_MAX_TOKENS = 1024;
+
+function positiveInt(raw, fallback) {
+  const value = Number(raw);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * The server to use, from the environment, or null when LOCAL_LLM_URL is not set (the tier is
+ * then skipped, never attempted).
+ *
+ * @param {Record<string, string | undefined>} [env] defaults to `process.env`
+ * @returns {{ baseUrl: string, model: string, apiKey: string | null, timeoutMs: number,
+ *   maxTokens: number } | null}
+ */
+function localLlmConfig(env = process.env) {
+  const baseUrl = env.LOCAL_LLM_URL?.trim();
+  if (!baseUrl) return null;
+  return {
+    baseUrl: baseUrl.replace(/\/+$/, ""),
+    model: env.LOCAL_LLM_MODEL?.trim() || "local",
+    apiKey: env.LOCAL_LLM_API_KEY?.trim() || null,
+    timeoutMs: positiveInt(env.LOCAL_LLM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    maxTokens: positiveInt(env.LOCAL_LLM_MAX_TOKENS, DEFAULT_MAX_TOKENS),
+  };
+}
+
+/**
+ * Reasoning models (DeepSeek-R1 and its distills, Qwen3) put their chain of thought in the
+ * content, ahead of the answer. It is not the answer, and it is not meant for the user.
+ */
+function stripThinking(text) {
+  return text.replace(/^\s*<think>[\s\S]*?<\/think>\s*/, "");
+}
+
+/**
+ * One chat completion.
+ *
+ * @param {Array<{ role: string, content: string }>} messages
+ * @param {ReturnType<typeof localLlmConfig>} config
+ * @param {object} [opts]
+ * @param {number} [opts.maxTokens] - overrides the configured cap (the router needs a few dozen)
+ * @param {number} [opts.timeoutMs] - overrides the configured timeout
+ * @param {boolean} [opts.json] - ask for a JSON object (`response_format`)
+ * @param {number} [opts.temperature]
+ * @returns {Promise<string>} the assistant message's content
+ */
+async function chatCompletion(messages, config, opts = {}) {
+  if (!config) throw new Error("LOCAL_LLM_URL is not set in the environment file.");
+  const { maxTokens = config.maxTokens, timeoutMs = config.timeoutMs, json, temperature } = opts;
+
+  const res = await fetch(`${config.baseUrl}/chat/completions`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+    },
+    body: JSON.stringify({
+      model: config.model,
+      messages,
+      max_tokens: maxTokens,
+      stream: false,
+      ...(temperature !== undefined ? { temperature } : {}),
+      ...(json ? { response_format: { type: "json_object" } } : {}),
+    }),
+    signal: AbortSignal.timeout(timeoutMs),
+  }).catch((e) => {
+    throw toProviderError(PROVIDER, e);
+  });
+
+  if (!res.ok) {
+    throw toProviderError(
+      PROVIDER,
+      new Error(`Local LLM server responded with status: ${res.status}`),
+      { status: res.status },
+    );
+  }
+
+  let body;
+  try {
+    body = await res.json();
+  } catch (e) {
+    // A body cut off mid-stream by the timeout lands here, not in the fetch above.
+    throw toProviderError(PROVIDER, e);
+  }
+  const content = body?.choices?.[0]?.message?.content;
+  if (typeof content !== "string" || !content.trim()) {
+    throw new Error("Local LLM server returned no message content.");
+  }
+  return stripThinking(content).trim();
+}
+
+module.exports = { localLlmConfig, chatCompletion, PROVIDER };
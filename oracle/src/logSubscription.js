@@ -0,0 +1,154 @@
+/**
+ * Push delivery of the agent contract's logs over a WebSocket RPC's `eth_subscribe`.
+ *
+ * The poll loop in aiAgentOracle.js sleeps 4s between `queryFilter` batches, so every answer
+ * starts, on average, two seconds after its prompt was mined — longer on Sapphire, whose RPC
+ * is slower to answer a range query. A subscription hands the log over as soon as the node has
+ * it. It is an accelerator, not the source of truth: the poll loop keeps the cursor and keeps
+ * scanning, so a log the socket never delivered is still found, just later.
+ *
+ * Raw JSON-RPC rather than ethers' WebSocketProvider, because what this needs most is the one
+ * thing that provider does not do: notice the socket is gone and come back. Here a closed socket
+ * reports `onDisconnect`, reconnects with capped backoff, and re-subscribes; `onConnect` fires
+ * each time a subscription is (re)established, which is the caller's cue to re-scan from its
+ * cursor for whatever was emitted while nobody was listening.
+ *
+ * Uses the WHATWG `WebSocket` global (Node 22+). Injectable, so tests drive a fake socket.
+ */
+
+const SUBSCRIBE_REQUEST_ID = 1;
+const DEFAULT_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30 * 1000;
+
+/**
+ * Subscribe to logs matching `filter` and keep the subscription alive until `stop()`.
+ *
+ * @param {object} opts
+ * @param {string} opts.url - ws:// or wss:// RPC endpoint
+ * @param {{ address: string, topics?: Array<string|string[]|null> }} opts.filter
+ * @param {(log: object) => void} opts.onLog - a raw log, hex fields as the node sent them
+ * @param {() => void} [opts.onConnect] - a subscription is live (first time, or after a drop)
+ * @param {() => void} [opts.onDisconnect] - a live subscription was lost
+ * @param {Function} [opts.WebSocketImpl] - defaults to the global WebSocket
+ * @param {number} [opts.reconnectDelayMs] - first retry; doubles per failure up to 30s
+ * @param {object} [opts.logger] - anything with `log` and `warn`
+ * @returns {{ stop: () => void, readonly connected: boolean }}
+ */
+function createLogSubscription({
+  url,
+  filter,
+  onLog,
+  onConnect = () => {},
+  onDisconnect = () => {},
+  WebSocketImpl = globalThis.WebSocket,
+  reconnectDelayMs = DEFAULT_RECONNECT_DELAY_MS,
+  logger = console,
+}) {
+  if (typeof WebSocketImpl !== "function") {
+    throw new Error("No WebSocket implementation available (Node 22+ provides one globally).");
+  }
+
+  let socket = null;
+  let subscriptionId = null;
+  let failures = 0;
+  let retryTimer = null;
+  let stopped = false;
+
+  function scheduleReconnect() {
+    if (stopped || retryTimer) return;
+    const delay = Math.min(reconnectDelayMs * 2 ** failures, MAX_RECONNECT_DELAY_MS);
+    failures += 1;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      connect();
+    }, delay);
+    // A reconnect timer must never be what keeps the process alive.
+    retryTimer.unref?.();
+  }
+
+  function handleMessage(ws, { data }) {
+    let message;
+    try {
+      message = JSON.parse(typeof data === "string" ? data : String(data));
+    } catch (e) {
+      return;
+    }
+
+    if (message.id === SUBSCRIBE_REQUEST_ID) {
+      if (message.error || !message.result) {
+        // A node without eth_subscribe answers every retry the same way; the backoff keeps that
+        // to a warning every 30s while the poll loop carries on alone.
+        logger.warn(`[Subscription] eth_subscribe refused: ${message.error?.message ?? "no id"}`);
+        ws.close();
+        return;
+      }
+      subscriptionId = message.result;
+      failures = 0;
+      logger.log("[Subscription] Subscribed to contract logs.");
+      onConnect();
+      return;
+    }
+
+    if (
+      message.method === "eth_subscription" &&
+      subscriptionId !== null &&
+      message.params?.subscription === subscriptionId
+    ) {
+      onLog(message.params.result);
+    }
+  }
+
+  function handleClose() {
+    const wasLive = subscriptionId !== null;
+    subscriptionId = null;
+    socket = null;
+    if (wasLive) {
+      logger.warn("[Subscription] WebSocket closed; polling until it reconnects.");
+      onDisconnect();
+    }
+    scheduleReconnect();
+  }
+
+  function connect() {
+    if (stopped) return;
+    let ws;
+    try {
+      ws = new WebSocketImpl(url);
+    } catch (error) {
+      logger.warn(`[Subscription] Could not open the WebSocket RPC: ${error.message}`);
+      scheduleReconnect();
+      return;
+    }
+    socket = ws;
+    ws.addEventListener("open", () => {
+      ws.send(
+        JSON.stringify({
+          jsonrpc: "2.0",
+          id: SUBSCRIBE_REQUEST_ID,
+          method: "eth_subscribe",
+          params: ["logs", filter],
+        }),
+      );
+    });
+    ws.addEventListener("message", (event) => handleMessage(ws, event));
+    // "error" is always followed by "close", which is where the reconnect happens.
+    ws.addEventListener("error", () => {});
+    ws.addEventListener("close", handleClose);
+  }
+
+  connect();
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      socket?.close();
+    },
+    get connected() {
+      return subscriptionId !== null;
+    },
+  };
+}
+
+module.exports = { createLogSubscription };
@@ -0,0 +1,220 @@
+/**
+ * Nonces and fees for the oracle's own wallet, so its transactions can be in flight together.
+ *
+ * Every write used to run inside one mutex that was held until `tx.wait()` returned: with five
+ * prompts answered at once, the fifth answer's transaction was not even signed until the four
+ * before it had been mined. Only choosing the nonce and broadcasting needs to be one at a time.
+ * Here the lock covers exactly that, and each caller waits for its own receipt outside it, so the
+ * transactions queue in the mempool instead of in this process.
+ *
+ * Three things come with handing out nonces ourselves:
+ *
+ *   Restart. The next nonce is read from the node's pending count on first use, so a restart
+ *   carries on after whatever the previous process left in the mempool. It is read again after
+ *   any broadcast whose outcome is unknown (a timeout, a dropped connection) or which the node
+ *   rejected for its nonce, rather than trusting a count that may now be wrong.
+ *
+ *   Fees. EIP-1559 fees from the node's suggestion, with headroom on the cap for a base-fee spike
+ *   between signing and inclusion — the getSafeFees recipe from scripts/deploy.js, without its
+ *   testnet floors: a 1.5 gwei tip is the going rate on a busy testnet and a thousand times it on
+ *   Base. A chain that reports no base fee gets a legacy gas price.
+ *
+ *   Stuck transactions. A nonce that is not mined holds up every nonce after it. One that has
+ *   waited `stuckAfterMs` is re-sent with the same nonce and calldata and fees raised by
+ *   BUMP_PERCENT (nodes refuse a replacement under +10%), up to `maxBumps` times — sendWithBump,
+ *   also from deploy.js, triggered by time instead of by "replacement underpriced". Whichever
+ *   version is mined is the answer.
+ */
+
+const { Mutex } = require("async-mutex");
+const { isError, makeError } = require("ethers");
+const { ProviderUnavailableError } = require("./oracleErrors");
+
+const DEFAULT_STUCK_AFTER_MS = 60 * 1000;
+const DEFAULT_MAX_BUMPS = 3;
+const BUMP_PERCENT = 125n;
+
+/** The node rejected the nonce itself: taken already, or not the next one it expects. */
+function isNonceError(error) {
+  return (
+    isError(error, "NONCE_EXPIRED") ||
+    isError(error, "REPLACEMENT_UNDERPRICED") ||
+    /nonce too (low|high)|already known|replacement transaction underpriced/i.test(
+      String(error?.message),
+    )
+  );
+}
+
+/** Rejected before it was broadcast, so the nonce was not spent. */
+function neverBroadcast(error) {
+  return isError(error, "CALL_EXCEPTION") || isError(error, "INSUFFICIENT_FUNDS");
+}
+
+/**
+ * Fees for a transaction sent now.
+ *
+ * @param {import("ethers").Provider} provider
+ * @param {{ minPriorityFee?: bigint }} [opts]
+ * @returns {Promise<{ maxFeePerGas: bigint, maxPriorityFeePerGas: bigint } | { gasPrice: bigint }>}
+ */
+async function feesFor(provider, { minPriorityFee = 0n } = {}) {
+  const fd = await provider.getFeeData();
+  if (fd.maxFeePerGas == null || fd.maxPriorityFeePerGas == null) {
+    return { gasPrice: fd.gasPrice };
+  }
+  const maxPriorityFeePerGas =
+    fd.maxPriorityFeePerGas > minPriorityFee ? fd.maxPriorityFeePerGas : minPriorityFee;
+  // +20% over the suggested cap. It is a ceiling, not the price: what is paid is base fee + tip.
+  const headroom = (fd.maxFeePerGas * 12n) / 10n;
+  return {
+    maxFeePerGas: headroom > maxPriorityFeePerGas ? headroom : maxPriorityFeePerGas,
+    maxPriorityFeePerGas,
+  };
+}
+
+/** The same fees, raised enough for a node to accept a replacement. */
+function bumpFees(fees) {
+  const up = (value) => (value * BUMP_PERCENT) / 100n;
+  if (fees.gasPrice !== undefined) return { gasPrice: up(fees.gasPrice) };
+  return {
+    maxFeePerGas: up(fees.maxFeePerGas),
+    maxPriorityFeePerGas: up(fees.maxPriorityFeePerGas),
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {import("ethers").Signer} opts.signer - the wallet whose nonces these are
+ * @param {import("ethers").Provider} [opts.provider] - defaults to the signer's
+ * @param {number} [opts.stuckAfterMs] - how long a transaction may wait before it is re-sent
+ * @param {number} [opts.maxBumps] - re-sends before giving up on it (as a retryable failure)
+ * @param {bigint} [opts.minPriorityFee] - a floor under the node's suggested tip, in wei
+ * @param {object} [opts.logger] - anything with `log` and `warn`
+ */
+function createNonceManager({
+  signer,
+  provider = signer.provider,
+  stuckAfterMs = DEFAULT_STUCK_AFTER_MS,
+  maxBumps = DEFAULT_MAX_BUMPS,
+  minPriorityFee = 0n,
+  logger = console,
+}) {
+  const lock = new Mutex();
+  // null: read it from the node before the next send.
+  let nextNonce = null;
+
+  async function syncNonce() {
+    const address = await signer.getAddress();
+    const [pending, latest] = await Promise.all([
+      provider.getTransactionCount(address, "pending"),
+      provider.getTransactionCount(address, "latest"),
+    ]);
+    if (pending > latest) {
+      logger.warn(
+        `[Nonce] ${pending - latest} transaction(s) from ${address} not yet mined; ` +
+          `continuing from nonce ${pending}.`,
+      );
+    }
+    nextNonce = pending;
+  }
+
+  /** Assign the next nonce and broadcast. Resolves as soon as the node has the transaction. */
+  function broadcast(request) {
+    return lock.runExclusive(async () => {
+      for (let attempt = 1; ; attempt += 1) {
+        if (nextNonce === null) await syncNonce();
+        const fees = await feesFor(provider, { minPriorityFee });
+        try {
+          const tx = await signer.sendTransaction({ ...request, nonce: nextNonce, ...fees });
+          nextNonce += 1;
+          return { tx, fees };
+        } catch (error) {
+          if (neverBroadcast(error)) throw error;
+          nextNonce = null;
+          // Our count was wrong — another sender on this key, or a node that lost our last
+          // transaction. Once more from a fresh count; a second refusal is not a counting error.
+          if (!isNonceError(error) || attempt > 1) throw error;
+        }
+      }
+    });
+  }
+
+  /** Wait for one version of the transaction to be mined, re-sending it while it is stuck. */
+  async function confirm(first, request, firstFees) {
+    let current = first;
+    let fees = firstFees;
+    let bumps = 0;
+    // Matched by hash, not by ethers' "repriced": on Sapphire every send encrypts the calldata
+    // afresh, so two versions of one call never have the same data.
+    const sent = new Set([first.hash]);
+    for (;;) {
+      try {
+        return await current.wait(1, stuckAfterMs);
+      } catch (error) {
+        if (isError(error, "TRANSACTION_REPLACED") && sent.has(error.hash)) {
+          // Another version of this same call was mined instead.
+          if (error.receipt.status === 0) {
+            throw makeError("transaction execution reverted", "CALL_EXCEPTION", {
+              action: "sendTransaction",
+              data: null,
+              reason: null,
+              invocation: null,
+              revert: null,
+              transaction: { to: request.to, from: error.receipt.from, data: request.data },
+              receipt: error.receipt,
+            });
+          }
+          return error.receipt;
+        }
+        if (!isError(error, "TIMEOUT")) throw error;
+      }
+
+      if (bumps >= maxBumps) {
+        throw new ProviderUnavailableError(
+          "rpc",
+          `Transaction ${current.hash} (nonce ${first.nonce}) not mined after ${maxBumps} fee bumps.`,
+        );
+      }
+      bumps += 1;
+      fees = bumpFees(fees);
+      try {
+        const replacement = await signer.sendTransaction({
+          ...request,
+          nonce: first.nonce,
+          gasLimit: first.gasLimit,
+          ...fees,
+        });
+        logger.warn(
+          `[Nonce] ${current.hash} not mined after ${stuckAfterMs}ms; ` +
+            `re-sent with higher fees as ${replacement.hash}.`,
+        );
+        sent.add(replacement.hash);
+        current = replacement;
+      } catch (error) {
+        // The nonce is taken: a version already sent has just been mined, which the next wait
+        // reports as a replacement. Anything else is a real failure.
+        if (!isNonceError(error)) throw error;
+      }
+    }
+  }
+
+  return {
+    /**
+     * Send `contract.method(...args)` from the wallet and wait for it to be mined.
+     *
+     * @param {import("ethers").Contract} contract
+     * @param {string} method
+     * @param {any[]} args
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     * @throws the revert (CALL_EXCEPTION) as ethers reports it; ProviderUnavailableError when it
+     *   stays unmined through every bump
+     */
+    async send(contract, method, args) {
+      const request = await contract[method].populateTransaction(...args);
+      const { tx, fees } = await broadcast(request);
+      return confirm(tx, request, fees);
+    },
+  };
+}
+
+module.exports = { createNonceManager, feesFor, bumpFees, DEFAULT_STUCK_AFTER_MS };
@@ -0,0 +1,246 @@
+/**
+ * Typed failures, so that whether an event is retried is decided by WHAT failed rather than by
+ * how its message happens to be worded.
+ *
+ * `handleAndRecord` used to grep the message for "Irys", "fetch", "502", "ETIMEDOUT" and a few
+ * more. That misfired in both directions: a storage SDK that rewords an error silently turned a
+ * transient outage into a fatal alert, and any message that merely mentioned one of the words —
+ * a revert string quoting a URL, a validation error naming Irys — was retried ten times. Each
+ * layer now throws one of the classes below at the point where it actually knows what happened:
+ * the storage providers know the HTTP status, `submitTx` knows appd's answer, the AI tiers know
+ * which upstream failed, and ethers' error codes say what a contract call did.
+ *
+ * Every class carries `retryable`. Anything NOT from this taxonomy is treated as not retryable by
+ * `isRetryable` — an unknown failure is an alert for a human, not ten silent attempts. Messages
+ * are left exactly as the layer below worded them; what failed lives in properties (`provider`,
+ * `account`, `status`, `errorName`), not in the text.
+ */
+
+/** Base class. `cause` keeps the original error (and its stack) for Sentry. */
+class OracleError extends Error {
+  constructor(message, { retryable = false, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = this.constructor.name;
+    this.retryable = retryable;
+  }
+}
+
+/** A storage provider refused or could not serve a request, and asking again will not help. */
+class StorageError extends OracleError {
+  constructor(provider, message, { status, retryable = false, cause } = {}) {
+    super(message, { retryable, cause });
+    this.provider = provider;
+    this.status = status ?? null;
+  }
+}
+
+/** A storage provider is down, slow or rate-limiting. The same upload should succeed later. */
+class TransientStorageError extends StorageError {
+  constructor(provider, message, opts = {}) {
+    super(provider, message, { ...opts, retryable: true });
+  }
+}
+
+/**
+ * A storage provider answered, but with bytes that are not the requested file: they do not hash
+ * to the CID, or to the Arweave transaction's data root. Retryable — what gets here is far more
+ * often a truncated body or a bad gateway cache than a substituted file, and by the time it
+ * reaches the event handler every other gateway and replica has already been tried.
+ */
+class IntegrityError extends StorageError {
+  constructor(provider, message, { cid, cause } = {}) {
+    super(provider, message, { retryable: true, cause });
+    this.cid = cid ?? null;
+  }
+}
+
+/**
+ * A wallet or account cannot pay: the oracle's gas wallet, the Irys balance, Auto Drive credits.
+ * Retryable — topping up is an operator action that does not need a redeploy, and the queued
+ * work should go through once it has happened.
+ */
+class InsufficientFundsError extends OracleError {
+  constructor(account, message, { cause } = {}) {
+    super(message, { retryable: true, cause });
+    this.account = account;
+  }
+}
+
+/** An upstream service the oracle depends on — an AI tier, the RPC, rofl-appd — is unavailable. */
+class ProviderUnavailableError extends OracleError {
+  constructor(provider, message, { status, cause } = {}) {
+    super(message, { retryable: true, cause });
+    this.provider = provider;
+    this.status = status ?? null;
+  }
+}
+
+/**
+ * The contract rejected the call. Never retryable: the same call against the same state reverts
+ * the same way. `errorName` is the decoded custom error (e.g. "JobAlreadyFinalized") when the ABI
+ * knows it, null for a bare revert.
+ */
+class ContractRevertError extends OracleError {
+  constructor(message, { errorName = null, errorArgs = null, cause } = {}) {
+    super(message, { retryable: false, cause });
+    this.errorName = errorName;
+    this.errorArgs = errorArgs;
+  }
+}
+
+/** Node's connection-level failure codes: the request never got an answer. */
+const TRANSIENT_NETWORK_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+  "UND_ERR_BODY_TIMEOUT",
+  "UND_ERR_SOCKET",
+]);
+
+/** ethers v6 codes for "the node did not give a usable answer", as opposed to a revert. */
+const TRANSIENT_ETHERS_CODES = new Set(["NETWORK_ERROR", "SERVER_ERROR", "TIMEOUT"]);
+
+/**
+ * True when `error` never reached the other side, or got no answer. Global fetch reports this as
+ * a TypeError("fetch failed") with the socket error as its `cause`, so the cause is checked too.
+ */
+function isNetworkFailure(error) {
+  for (let e = error, depth = 0; e && depth < 3; e = e.cause, depth += 1) {
+    if (TRANSIENT_NETWORK_CODES.has(e.code)) return true;
+    if (e.name === "AbortError" || e.name === "TimeoutError") return true;
+  }
+  return error instanceof TypeError && error.message === "fetch failed";
+}
+
+/** Timeouts, rate limits and server-side failures. Everything else in 4xx is our request's fault. */
+function isTransientStatus(status) {
+  return status === 408 || status === 425 || status === 429 || (status >= 500 && status <= 599);
+}
+
+/**
+ * Type a failure from a storage provider.
+ *
+ * An HTTP status decides when there is one. Without one, an error is transient unless it is one
+ * we raised ourselves about our own setup (`permanent`): what is left is the provider's SDK
+ * failing in a way it does not describe, and a bounded retry is cheaper than an alert for a blip.
+ *
+ * @param {string} provider - "autonomys", "irys", "ipfs"
+ * @param {*} error
+ * @param {object} [opts]
+ * @param {number} [opts.status] - the HTTP status, when the caller saw one
+ * @param {boolean} [opts.permanent] - known not to improve on retry
+ */
+function toStorageError(provider, error, { status, permanent = false } = {}) {
+  if (error instanceof OracleError) return error;
+  const message = String(error?.message ?? error);
+  const retryable =
+    status !== undefined && status !== null
+      ? isTransientStatus(status)
+      : !permanent || isNetworkFailure(error);
+  const ErrorClass = retryable ? TransientStorageError : StorageError;
+  return new ErrorClass(provider, message, { status, cause: error });
+}
+
+/**
+ * Type a failure from an HTTP upstream that is not storage — an AI tier, rofl-appd.
+ * Returns the error untouched when it is neither a transport failure nor a transient status.
+ */
+function toProviderError(provider, error, { status } = {}) {
+  if (error instanceof OracleError) return error;
+  const transient =
+    status !== undefined && status !== null ? isTransientStatus(status) : isNetworkFailure(error);
+  if (!transient) return error;
+  return new ProviderUnavailableError(provider, String(error?.message ?? error), {
+    status,
+    cause: error,
+  });
+}
+
+/** The revert payload, wherever this transport put it. */
+function revertData(error) {
+  const data = error?.data ?? error?.info?.error?.data ?? error?.error?.data;
+  return typeof data === "string" && data.startsWith("0x") ? data : null;
+}
+
+/**
+ * Type a failure from a contract call or transaction. Already-typed errors pass through, so this
+ * is safe to apply to anything a handler throws.
+ *
+ * @param {*} error
+ * @param {import("ethers").Interface} [contractInterface] - decodes custom errors by selector
+ * @returns {*} a typed error, or `error` itself when it is not a recognisable chain failure
+ */
+function classifyChainError(error, contractInterface) {
+  if (!error || error instanceof OracleError) return error;
+
+  // The pattern is for nodes whose rejection ethers passes through uncoded; it matches geth's
+  // txpool wording, which is what Sapphire and Base both run.
+  if (
+    error.code === "INSUFFICIENT_FUNDS" ||
+    /insufficient funds for (gas|intrinsic)/i.test(String(error.message))
+  ) {
+    return new InsufficientFundsError("oracle wallet", error.shortMessage ?? error.message, {
+      cause: error,
+    });
+  }
+
+  if (error.code === "CALL_EXCEPTION") {
+    // ethers decodes custom errors it has the ABI for into `revert`; fall back to decoding the
+    // selector ourselves, which also covers a revert surfaced through a wrapped RPC error.
+    let errorName = error.revert?.name ?? null;
+    let errorArgs = error.revert?.args ? Array.from(error.revert.args) : null;
+    const data = revertData(error);
+    if (!errorName && data && contractInterface) {
+      try {
+        const parsed = contractInterface.parseError(data);
+        if (parsed) {
+          errorName = parsed.name;
+          errorArgs = Array.from(parsed.args);
+        }
+      } catch (e) {
+        /* unknown selector — a bare revert as far as we can tell */
+      }
+    }
+    return new ContractRevertError(error.shortMessage ?? "execution reverted", {
+      errorName,
+      errorArgs,
+      cause: error,
+    });
+  }
+
+  if (TRANSIENT_ETHERS_CODES.has(error.code) || isNetworkFailure(error)) {
+    return new ProviderUnavailableError("rpc", error.shortMessage ?? String(error.message), {
+      cause: error,
+    });
+  }
+
+  return error;
+}
+
+/** Whether an event that failed with `error` should go to the retry queue. */
+function isRetryable(error) {
+  return error instanceof OracleError && error.retryable === true;
+}
+
+module.exports = {
+  OracleError,
+  StorageError,
+  TransientStorageError,
+  IntegrityError,
+  InsufficientFundsError,
+  ProviderUnavailableError,
+  ContractRevertError,
+  toStorageError,
+  toProviderError,
+  classifyChainError,
+  isNetworkFailure,
+  isRetryable,
+};
@@ -0,0 +1,142 @@
+/**
+ * `GET /healthz` and `GET /readyz`, for compose and Kubernetes probes, when HEALTH_PORT is set.
+ *
+ * The heartbeat (oracleHeartbeat) proves liveness to core, fifteen minutes late and through the
+ * Brain. An orchestrator needs to ask the process itself, and needs two different answers:
+ *
+ *   /healthz  LIVENESS — should this process be restarted? 503 only when a chain's poll loop has
+ *             run before and has now gone HEALTH_POLL_STALE_MS without completing a pass. That
+ *             is the one failure a restart fixes: the process is up, the event loop turns, and
+ *             no prompt will ever be answered. Startup (storage, ElizaOS, the catch-up replay)
+ *             can take minutes and is NOT a reason to restart, so it does not fail this probe.
+ *
+ *   /readyz   READINESS — is it doing its job? 503 until every startup step has finished
+ *             (storage and ElizaOS initialized, each chain's setOracle check passed) and while
+ *             any chain's loop has not completed a pass within HEALTH_POLL_STALE_MS.
+ *
+ * The status codes come from in-process state only, so a probe answers in microseconds even
+ * with the RPC down — a probe that waits on the RPC times out, and a timed-out liveness probe
+ * restarts a process that was only waiting. Add `?verbose` for the heartbeat's vitals in the
+ * body (collectVitals), which does go to the RPC and the disk.
+ *
+ * A pass that has a batch of prompts to answer waits for them, so a long batch delays the next
+ * pass; the stale limit (default 10 minutes) is well above any one answer's timeouts.
+ */
+
+const http = require("http");
+
+const DEFAULT_POLL_STALE_MS = 10 * 60 * 1000;
+
+/**
+ * @param {Record<string, string | undefined>} [env] defaults to `process.env`
+ * @returns {{ pollStaleMs: number }}
+ */
+function healthConfig(env = process.env) {
+  const stale = Number(env.HEALTH_POLL_STALE_MS?.trim() || NaN);
+  return { pollStaleMs: Number.isInteger(stale) && stale > 0 ? stale : DEFAULT_POLL_STALE_MS };
+}
+
+/**
+ * What the probes report. Steps are free-form names; a step readiness should wait for is
+ * `expect`ed before it can be `done`, so a step that has not started yet still counts against it.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.pollStaleMs]
+ * @param {() => number} [opts.now]
+ */
+function createHealth({ pollStaleMs = DEFAULT_POLL_STALE_MS, now = Date.now } = {}) {
+  const steps = new Map();
+  /** chain id -> time of its loop's last completed pass, null before the first */
+  const polls = new Map();
+
+  function pollStatus() {
+    const at = now();
+    return Object.fromEntries(
+      [...polls].map(([chain, last]) => [
+        chain,
+        {
+          lastPollAt: last === null ? null : new Date(last).toISOString(),
+          stale: last !== null && at - last > pollStaleMs,
+        },
+      ]),
+    );
+  }
+
+  return {
+    /** Steps readiness waits for, and chains whose poll loops it waits on. */
+    expect({ steps: names = [], chains = [] }) {
+      for (const name of names) if (!steps.has(name)) steps.set(name, false);
+      for (const chain of chains) if (!polls.has(chain)) polls.set(chain, null);
+    },
+    done(step) {
+      steps.set(step, true);
+    },
+    /** A chain's poll loop finished a pass, with or without events. */
+    polled(chain) {
+      polls.set(chain, now());
+    },
+
+    /** @returns {{ live: boolean, polls: object }} */
+    liveness() {
+      const status = pollStatus();
+      return { live: Object.values(status).every((p) => !p.stale), polls: status };
+    },
+
+    /** @returns {{ ready: boolean, steps: Record<string, boolean>, polls: object }} */
+    readiness() {
+      const status = pollStatus();
+      const stepStatus = Object.fromEntries(steps);
+      const ready =
+        Object.values(stepStatus).every(Boolean) &&
+        Object.values(status).every((p) => p.lastPollAt !== null && !p.stale);
+      return { ready, steps: stepStatus, polls: status };
+    },
+  };
+}
+
+/**
+ * Serve `/healthz` and `/readyz`.
+ *
+ * @param {object} opts
+ * @param {number} opts.port - 0 picks a free port (tests)
+ * @param {ReturnType<typeof createHealth>} opts.health
+ * @param {() => Promise<object>} [opts.vitals] - the `?verbose` body, e.g. collectVitals
+ * @param {object} [opts.logger]
+ * @returns {Promise<http.Server>} once listening
+ */
+function startHealthServer({ port, health, vitals, logger = console }) {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    let ok;
+    let body;
+    if (req.method === "GET" && url.pathname === "/healthz") {
+      const status = health.liveness();
+      ok = status.live;
+      body = { status: ok ? "ok" : "stalled", polls: status.polls };
+    } else if (req.method === "GET" && url.pathname === "/readyz") {
+      const status = health.readiness();
+      ok = status.ready;
+      body = { status: ok ? "ready" : "not ready", steps: status.steps, polls: status.polls };
+    } else {
+      res.writeHead(404).end();
+      return;
+    }
+
+    if (url.searchParams.has("verbose") && vitals) {
+      body.vitals = await vitals().catch((error) => ({ error: error.message }));
+    }
+    res.writeHead(ok ? 200 : 503, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, () => {
+      server.off("error", reject);
+      logger.log?.(`[Health] Serving /healthz and /readyz on port ${server.address().port}.`);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { createHealth, healthConfig, startHealthServer, DEFAULT_POLL_STALE_MS };
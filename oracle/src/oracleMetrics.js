@@ -0,0 +1,273 @@
+/**
+ * Prometheus metrics for the oracle, served at `GET /metrics` when METRICS_PORT is set.
+ *
+ * The heartbeat (oracleVitals) answers "is it alive?" every fifteen minutes, into the Brain. This
+ * answers "how is it doing?" at whatever resolution Grafana scrapes, without going through the
+ * Brain: how deep the queues are, how far each chain's cursor trails its head, how long storage
+ * and transactions take, and which AI tier served the answers.
+ *
+ * NO CLIENT LIBRARY. The text exposition format is a few lines of `name{labels} value`, and the
+ * three metric kinds needed here fit in this file; prom-client would be the oracle's first
+ * dependency for something this small, and its default process collectors duplicate what the
+ * heartbeat already reports. Only what is below is exposed.
+ *
+ * Two ways a value gets here. Hot-path timings and counts are RECORDED where they happen (storage
+ * calls, transactions, the message cache). Figures that already live somewhere — queue depth, the
+ * provider tally, the retry backlog — are COLLECTED at scrape time by a callback, rather than
+ * copied on every change. A collector that throws is skipped for that scrape and the rest are
+ * still served: a broken retry store must not take the queue figures down with it.
+ *
+ * Recording is always on and costs a map update; without METRICS_PORT nothing is served.
+ */
+
+const http = require("http");
+
+/** Seconds. Storage calls take from tens of ms (local IPFS) to a minute (Irys under load). */
+const STORAGE_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+/** Seconds. A Sapphire block is ~6s; a bumped transaction can take several minutes. */
+const TX_BUCKETS = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600];
+
+/** `{a="1",b="x"}`, or "" with no labels. Values escaped as the format requires. */
+function labelString(labels) {
+  const entries = Object.entries(labels ?? {});
+  if (entries.length === 0) return "";
+  const escape = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+  return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(",")}}`;
+}
+
+/** One series per distinct label set, keyed by its label string. */
+function seriesMap() {
+  const series = new Map();
+  return {
+    get(labels, init) {
+      const key = labelString(labels);
+      if (!series.has(key)) series.set(key, { labels, value: init() });
+      return series.get(key).value;
+    },
+    set(labels, value) {
+      series.set(labelString(labels), { labels, value });
+    },
+    entries: () => [...series.values()],
+  };
+}
+
+function createRegistry() {
+  /** name -> { type, help, render(): string[] } */
+  const metrics = new Map();
+  const collectors = [];
+
+  function define(name, type, help, render) {
+    if (metrics.has(name)) throw new Error(`Metric ${name} is already registered.`);
+    metrics.set(name, { type, help, render });
+  }
+
+  return {
+    /** A monotonic count. */
+    counter(name, help) {
+      const series = seriesMap();
+      define(name, "counter", help, () =>
+        series.entries().map(({ labels, value }) => `${name}${labelString(labels)} ${value.n}`),
+      );
+      return {
+        inc(labels = {}, by = 1) {
+          series.get(labels, () => ({ n: 0 })).n += by;
+        },
+        /** Replace the count outright, for a counter kept elsewhere and collected at scrape. */
+        set(labels, n) {
+          series.set(labels, { n });
+        },
+        /** The count so far, 0 for a label set never incremented. */
+        value(labels = {}) {
+          return series.get(labels, () => ({ n: 0 })).n;
+        },
+      };
+    },
+
+    /** A value that goes up and down. */
+    gauge(name, help) {
+      const series = seriesMap();
+      define(name, "gauge", help, () =>
+        series.entries().map(({ labels, value }) => `${name}${labelString(labels)} ${value}`),
+      );
+      return {
+        set(labels, value) {
+          series.set(labels, value);
+        },
+      };
+    },
+
+    /** Observations counted into cumulative buckets, with their count and sum. */
+    histogram(name, help, buckets) {
+      const series = seriesMap();
+      define(name, "histogram", help, () =>
+        series
+          .entries()
+          .flatMap(({ labels, value }) => [
+            ...buckets.map(
+              (le, i) => `${name}_bucket${labelString({ ...labels, le })} ${value.counts[i]}`,
+            ),
+            `${name}_bucket${labelString({ ...labels, le: "+Inf" })} ${value.count}`,
+            `${name}_sum${labelString(labels)} ${value.sum}`,
+            `${name}_count${labelString(labels)} ${value.count}`,
+          ]),
+      );
+      return {
+        observe(labels, seconds) {
+          const h = series.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+          buckets.forEach((le, i) => {
+            if (seconds <= le) h.counts[i] += 1;
+          });
+          h.sum += seconds;
+          h.count += 1;
+        },
+        /**
+         * Time `fn`, labelled with its outcome: a failed storage call and a slow one are
+         * different problems.
+         */
+        async time(labels, fn) {
+          const started = process.hrtime.bigint();
+          let outcome = "error";
+          try {
+            const result = await fn();
+            outcome = "ok";
+            return result;
+          } finally {
+            this.observe({ ...labels, outcome }, Number(process.hrtime.bigint() - started) / 1e9);
+          }
+        },
+      };
+    },
+
+    /** Run `fn` before each scrape, to set gauges and counters from wherever they are kept. */
+    collect(fn) {
+      collectors.push(fn);
+    },
+
+    /** The exposition text (format 0.0.4). */
+    async render(logger = console) {
+      for (const fn of collectors) {
+        try {
+          await fn();
+        } catch (error) {
+          logger.warn?.(`[Metrics] A collector failed; its figures are stale: ${error.message}`);
+        }
+      }
+      const lines = [];
+      for (const [name, { type, help, render }] of metrics) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...render());
+      }
+      return `${lines.join("\n")}\n`;
+    },
+  };
+}
+
+/**
+ * The oracle's metrics. Labelled by `chain` (an ORACLE_CHAINS id, "default" for one chain) where a
+ * figure is per chain.
+ */
+function createOracleMetrics(registry = createRegistry()) {
+  return {
+    registry,
+    queueSize: registry.gauge("oracle_queue_size", "Events waiting in the processing queue."),
+    queueInFlight: registry.gauge("oracle_queue_in_flight", "Events being processed now."),
+    cursorBlock: registry.gauge("oracle_cursor_block", "Last block the poll loop has processed."),
+    chainHeadBlock: registry.gauge("oracle_chain_head_block", "Chain head at the last poll."),
+    chainHeadLag: registry.gauge(
+      "oracle_chain_head_lag_blocks",
+      "Blocks between the chain head and the cursor at the last poll.",
+    ),
+    retryQueueSize: registry.gauge(
+      "oracle_retry_queue_size",
+      "Failed events pending or running in the retry queue.",
+    ),
+    answersServed: registry.counter(
+      "oracle_answers_served_total",
+      "Answers by the AI tier that produced them; tier none is every tier failing.",
+    ),
+    storageUpload: registry.histogram(
+      "oracle_storage_upload_seconds",
+      "Time to upload one file to storage.",
+      STORAGE_BUCKETS,
+    ),
+    storageFetch: registry.histogram(
+      "oracle_storage_fetch_seconds",
+      "Time to fetch one file from storage.",
+      STORAGE_BUCKETS,
+    ),
+    storageIntegrity: registry.counter(
+      "oracle_storage_integrity_checks_total",
+      "Fetched files by integrity outcome: verified, mismatch, or unverifiable from the bytes.",
+    ),
+    storageReplicationPending: registry.gauge(
+      "oracle_storage_replication_pending",
+      "Copies to a replica backend started and not yet finished (STORAGE_REPLICAS).",
+    ),
+    storageReplicationLag: registry.histogram(
+      "oracle_storage_replication_lag_seconds",
+      "Time a replica's copy finished after the primary had the file.",
+      STORAGE_BUCKETS,
+    ),
+    messageCacheHits: registry.counter(
+      "oracle_message_cache_hits_total",
+      "History reads served from the in-memory message cache.",
+    ),
+    messageCacheMisses: registry.counter(
+      "oracle_message_cache_misses_total",
+      "History reads that had to fetch from storage.",
+    ),
+    messageCacheHitRatio: registry.gauge(
+      "oracle_message_cache_hit_ratio",
+      "Hits over all reads of the message cache since start.",
+    ),
+    txConfirmation: registry.histogram(
+      "oracle_tx_confirmation_seconds",
+      "Time from sending a contract write to its inclusion.",
+      TX_BUCKETS,
+    ),
+  };
+}
+
+/**
+ * Serve `GET /metrics`.
+ *
+ * @param {object} opts
+ * @param {number} opts.port - 0 picks a free port (tests)
+ * @param {ReturnType<typeof createRegistry>} opts.registry
+ * @param {object} [opts.logger]
+ * @returns {Promise<http.Server>} once listening
+ */
+function startMetricsServer({ port, registry, logger = console }) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== "GET" || req.url.split("?")[0] !== "/metrics") {
+      res.writeHead(404).end();
+      return;
+    }
+    registry.render(logger).then(
+      (body) => {
+        res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+        res.end(body);
+      },
+      (error) => {
+        res.writeHead(500).end(error.message);
+      },
+    );
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, () => {
+      server.off("error", reject);
+      logger.log?.(`[Metrics] Serving /metrics on port ${server.address().port}.`);
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * Module-level singleton, like providerTally's: storage, the submitters and the dispatcher all
+ * record into it and none of them owns the others. createOracleMetrics stays exported so tests
+ * get fresh counts.
+ */
+const metrics = createOracleMetrics();
+
+module.exports = { metrics, createOracleMetrics, createRegistry, startMetricsServer };
@@ -77,8 +77,11 @@ async function probeDisk(diskPath) {
  * @param {string} [deps.walletAddress] - the oracle signer that pays gas to submit answers
  * @param {object} [deps.queue] - the p-queue instance (`pending` / `size`)
  * @param {Function} [deps.readState] - resolves `{ lastProcessedBlock }` from oracle-state.json
- * @param {Function} [deps.readFailedJobs] - resolves the failed-jobs array
+ * @param {Function} [deps.readFailedJobs] - resolves the array of jobs awaiting retry
  * @param {Function} [deps.fetchAccountInfo] - Auto-Drive account info (upload/download credits)
+ * @param {Function} [deps.readBalances] - the balance watcher's last snapshot (see balanceWatcher)
+ * @param {Function} [deps.readReplication] - how far each storage replica trails (replication.js)
+ * @param {Function} [deps.readBlobCache] - the on-disk file cache's figures (blobCache.js)
  * @param {object} [deps.providerTally] - AI tier counters (`snapshot()`); see providerTally.js
  * @param {string} [deps.diskPath] - a real path to measure
  * @returns {Promise<object>} vitals, every field either a value or null
@@ -91,6 +94,9 @@ async function collectVitals(deps = {}) {
     readState,
     readFailedJobs,
     fetchAccountInfo,
+    readBalances,
+    readReplication,
+    readBlobCache,
     providerTally,
     diskPath,
   } = deps;
@@ -106,15 +112,34 @@ async function collectVitals(deps = {}) {
 
   // Probes run concurrently — a slow RPC should not serialise behind a slow disk when the whole
   // snapshot is meant to be a cheap periodic sample.
-  const [chainHead, walletBalanceWei, state, failedJobs, accountInfo, disk] = await Promise.all([
+  const [
+    chainHead,
+    walletBalanceWei,
+    state,
+    failedJobs,
+    accountInfo,
+    balances,
+    replication,
+    blobCache,
+    disk,
+  ] = await Promise.all([
     safe(() => (provider ? provider.getBlockNumber() : null)),
     safe(() => (provider && walletAddress ? provider.getBalance(walletAddress) : null)),
     safe(() => (readState ? readState() : null)),
     safe(() => (readFailedJobs ? readFailedJobs() : null)),
     safe(() => (fetchAccountInfo ? fetchAccountInfo() : null)),
+    safe(() => (readBalances ? readBalances() : null)),
+    safe(() => (readReplication ? readReplication() : null)),
+    safe(() => (readBlobCache ? readBlobCache() : null)),
     safe(() => (diskPath ? probeDisk(diskPath) : null)),
   ]);
 
+  // The watcher samples every chain's wallet; the beat reports the one it already reports the
+  // balance of. Its spend rate needs half an hour of history, so early beats carry nulls here.
+  const wallet = Object.values(balances?.wallets ?? {}).find(
+    (w) => w && w.address === walletAddress,
+  );
+
   const lastProcessedBlock =
     typeof state?.lastProcessedBlock === "number" ? state.lastProcessedBlock : null;
 
@@ -148,6 +173,8 @@ async function collectVitals(deps = {}) {
 
     walletBalanceEth:
       walletBalanceWei === null ? null : Number(walletBalanceWei) / WEI_PER_ETH,
+    walletSpendPerHourEth: wallet?.spendPerHour ?? null,
+    walletRunwayHours: wallet?.runwayHours ?? null,
 
     failedJobsCount: Array.isArray(failedJobs) ? failedJobs.length : null,
     queuePending: typeof queue?.pending === "number" ? queue.pending : null,
@@ -161,6 +188,14 @@ async function collectVitals(deps = {}) {
       typeof accountInfo?.pendingDownloadCredits === "number"
         ? accountInfo.pendingDownloadCredits
         : null,
+    irysBalance: typeof balances?.irysBalance === "number" ? balances.irysBalance : null,
+    // Per replica backend: copies pending and failed, and how long the last one trailed the
+    // primary. Null without STORAGE_REPLICAS, rather than an empty object core would render.
+    storageReplication:
+      replication && Object.keys(replication).length > 0 ? replication : null,
+    // Size, hits and evictions since start, and what the directory held at startup (warmup).
+    // Null with BLOB_CACHE_MAX_MB=0, and in mock and local-IPFS runs, which do not use it.
+    blobCache,
 
     // Cumulative per-tier answer counts. Core diffs consecutive beats to get the mix; a sudden
     // collapse of `elizaos` into `chaingpt` is the signature of the silent Gemini failover that
@@ -177,6 +177,34 @@ async function sanitizeAnswer(answer) {
   return answer;
 }
 
+/**
+ * Sanitises a provisional emission for the streaming side channel, FAILING CLOSED.
+ *
+ * The inverse of `sanitizeAnswer`'s fallback rule, and for the inverse reason. That function
+ * cannot drop text because an empty answer fails a paid prompt; a streamed draft can always be
+ * dropped, because the real answer follows on-chain regardless. So here a rejection, a throw, or
+ * an unavailable Brain all yield null — the same posture core takes with its own autonomous
+ * output, where skipping costs nothing. Never rejects, and logs nothing: a draft is dropped on
+ * every leak, and the answer path already reports the ones that matter.
+ *
+ * @param {string|null|undefined} text an intermediate emission
+ * @returns {Promise<string|null>} the cleaned text, or null when it must not be sent
+ */
+async function sanitizeDraft(text) {
+  if (typeof text !== "string" || !text.trim()) return null;
+
+  const sanitize = await loadSanitizer();
+  if (!sanitize) return null;
+
+  try {
+    const cleaned = sanitize(text);
+
+    return typeof cleaned === "string" && cleaned.trim() ? cleaned : null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Test seam. Pass a sanitiser function to bypass the Brain entirely, or `null` plus
  * `{ loader }` / `{ loadFails: true }` to drive the load path itself.
@@ -221,4 +249,4 @@ function _resetForTests() {
   loadAttempts = 0;
 }
 
-module.exports = { sanitizeAnswer, _setSanitizerForTests, _resetForTests };
+module.exports = { sanitizeAnswer, sanitizeDraft, _setSanitizerForTests, _resetForTests };
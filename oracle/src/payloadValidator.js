@@ -32,7 +32,26 @@ const BranchRequestedSchema = z.object({
   sessionKey: z.string().optional(),
 });
 
-// 4. MetadataUpdateRequested
+// 4. AgentJobSubmitted
+// An agent job reports into an existing conversation: the job's answer threads off
+// `promptMessageId`, which must already be registered on-chain for submitAnswer to accept it.
+// IDs arrive as decimal strings because JSON cannot carry a uint256 losslessly.
+const AgentJobSubmittedSchema = z.object({
+  promptText: z.string().min(1).max(MAX_PROMPT_LENGTH),
+  conversationId: z.string().regex(/^\d+$/),
+  promptMessageId: z.string().regex(/^\d+$/),
+  previousMessageCID: z.string().nullable().optional(),
+  sessionKey: z.string().optional(),
+  // Recurring jobs only. agentScheduler enforces the interval floor and the cron syntax.
+  schedule: z
+    .union([
+      z.object({ intervalMs: z.number().int().positive() }),
+      z.object({ cron: z.string().min(1).max(100) }),
+    ])
+    .optional(),
+});
+
+// 5. MetadataUpdateRequested
 const MetadataUpdateRequestedSchema = z.object({
   title: z.string().min(1).max(MAX_TITLE_LENGTH),
   isDeleted: z.boolean(),
@@ -62,6 +81,9 @@ function validatePayload(input, eventName) {
       case "BranchRequested":
         schema = BranchRequestedSchema;
         break;
+      case "AgentJobSubmitted":
+        schema = AgentJobSubmittedSchema;
+        break;
       case "MetadataUpdateRequested":
         schema = MetadataUpdateRequestedSchema;
         break;
@@ -22,14 +22,15 @@
  */
 
 /**
- * The tiers `queryAIModel` can return from, in dispatch order.
+ * The tiers `queryAIModel` can return from, in dispatch order. `local` is the OpenAI-compatible
+ * server (localLlm.js), `deepseek` the Ollama one.
  *
  * `none` is a real outcome, not a placeholder: it means every tier failed and the user received
  * the "All AI providers are currently unavailable" string. Without it, a total provider outage
  * would show as zeros across the board — indistinguishable from an hour in which nobody asked
  * anything. Those two must not look the same.
  */
-const TIERS = ["tradable", "elizaos", "chaingpt", "deepseek", "mock", "none"];
+const TIERS = ["tradable", "elizaos", "chaingpt", "local", "deepseek", "mock", "none"];
 
 function createTally() {
   const counts = Object.fromEntries(TIERS.map((t) => [t, 0]));
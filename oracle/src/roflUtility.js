@@ -2,6 +2,14 @@ const cbor = require("cbor");
 const http = require("http");
 const net = require("net");
 const { URL } = require("url");
+const {
+  ContractRevertError,
+  InsufficientFundsError,
+  ProviderUnavailableError,
+} = require("./oracleErrors");
+
+/** Where ROFL mounts appd's socket into the container. */
+const APPD_SOCKET_PATH = "/run/rofl-appd.sock";
 
 /**
  * Helper to POST to the ROFL appd UNIX socket.
@@ -11,7 +19,7 @@ const { URL } = require("url");
  * @param {string} [socketPath]
  * @returns {Promise<any>}
  */
-function appdPost(path, payload, socketPath = "/run/rofl-appd.sock") {
+function appdPost(path, payload, socketPath = APPD_SOCKET_PATH) {
   return new Promise((resolve, reject) => {
     const body = JSON.stringify(payload);
     const options = {
@@ -30,6 +38,13 @@ function appdPost(path, payload, socketPath = "/run/rofl-appd.sock") {
         responseData += chunk;
       });
       res.on("end", () => {
+        if (res.statusCode >= 500) {
+          return reject(
+            new ProviderUnavailableError("rofl-appd", `Status ${res.statusCode}: ${responseData}`, {
+              status: res.statusCode,
+            }),
+          );
+        }
         if (res.statusCode >= 400) {
           return reject(new Error(`Status ${res.statusCode}: ${responseData}`));
         }
@@ -49,7 +64,11 @@ function appdPost(path, payload, socketPath = "/run/rofl-appd.sock") {
       });
     });
 
-    req.on("error", reject);
+    // Any socket error — ENOENT while appd is (re)starting, ECONNREFUSED, a reset — means the
+    // request never got an answer, so it is the daemon that is unavailable, not the request.
+    req.on("error", (e) =>
+      reject(new ProviderUnavailableError("rofl-appd", e.message, { cause: e })),
+    );
     req.write(body);
     req.end();
   });
@@ -61,7 +80,7 @@ function appdPost(path, payload, socketPath = "/run/rofl-appd.sock") {
  * @param {string} [socketPath]
  * @returns {Promise<string>}
  */
-async function fetchKey(id, socketPath = "/run/rofl-appd.sock") {
+async function fetchKey(id, socketPath = APPD_SOCKET_PATH) {
   console.log(`Using unix domain socket: ${socketPath}`);
   const payload = {
     key_id: id,
@@ -76,9 +95,11 @@ async function fetchKey(id, socketPath = "/run/rofl-appd.sock") {
  * Submits a transaction to the ROFL appd.
  * @param {Object} tx
  * @param {string} [socketPath]
+ * @param {{ encrypt?: boolean }} [opts] - `encrypt` has appd encrypt the calldata to the
+ *   Sapphire ParaTime; off by default, as setOracle has always been sent
  * @returns {Promise<string>} The transaction hash.
  */
-async function submitTx(tx, socketPath = "/run/rofl-appd.sock") {
+async function submitTx(tx, socketPath = APPD_SOCKET_PATH, { encrypt = false } = {}) {
   console.log(`Using unix domain socket: ${socketPath}`);
   const payload = {
     tx: {
@@ -90,9 +111,14 @@ async function submitTx(tx, socketPath = "/run/rofl-appd.sock") {
         data: tx.data.replace(/^0x/, ""),
       },
     },
-    encrypt: false,
+    encrypt,
   };
-  console.log(`  Posting ${JSON.stringify(payload)} to /rofl/v1/tx/sign-submit`);
+  // The method and size only: calldata carries CIDs, and with `encrypt` it is meant to stay
+  // between this process and the ParaTime.
+  const calldata = payload.tx.data.data;
+  console.log(
+    `  Posting 0x${calldata.slice(0, 8)} to 0x${payload.tx.data.to} (${calldata.length / 2} bytes${encrypt ? ", encrypted" : ""}) to /rofl/v1/tx/sign-submit`,
+  );
 
   const response = await appdPost("/rofl/v1/tx/sign-submit", payload, socketPath);
 
@@ -105,8 +131,16 @@ async function submitTx(tx, socketPath = "/run/rofl-appd.sock") {
     return response.data;
   }
   if (response.message) {
-    // This is a decoded CBOR error.
-    throw new Error(`Transaction reverted: ${response.message}`);
+    // This is a decoded CBOR error. appd reports a gas wallet that cannot pay the same way as
+    // a revert, but only the revert is final. The txpool's wording is matched, not a bare
+    // "insufficient funds", which is as likely to be a contract's own revert reason.
+    if (/insufficient funds for (gas|intrinsic)/i.test(response.message)) {
+      throw new InsufficientFundsError(
+        "oracle wallet",
+        `Transaction reverted: ${response.message}`,
+      );
+    }
+    throw new ContractRevertError(`Transaction reverted: ${response.message}`);
   }
 
   throw new Error(
@@ -117,4 +151,5 @@ async function submitTx(tx, socketPath = "/run/rofl-appd.sock") {
 module.exports = {
   fetchKey,
   submitTx,
+  APPD_SOCKET_PATH,
 };
@@ -20,7 +20,10 @@
  * build, an on-chain update and a restart.
  */
 
-const { SUPPORTED_NETWORKS } = require("./contractUtility");
+const { SUPPORTED_NETWORKS, SAPPHIRE_NETWORKS } = require("./contractUtility");
+const { parseChainList, parseConfirmationDepth } = require("./chainConfig");
+const { TX_SUBMITTERS } = require("./txSubmitter");
+const { SEVERITIES } = require("./alerting");
 
 /** Thrown when the process must not continue. Typed so callers can distinguish it from bugs. */
 class ConfigError extends Error {
@@ -95,6 +98,8 @@ const PRIVATE_KEY_HEX = /^(?:0x)?[0-9a-fA-F]{64}$/;
  *   STORAGE_PROVIDER === "irys"  → Irys ONLY               → IRYS_PAYMENT_PRIVATE_KEY
  *   anything else, INCLUDING unset → Irys AND Autonomys     → both credentials
  *
+ * except that Irys with "autonomys" in STORAGE_REPLICAS initialises both, for the copies.
+ *
  * The second branch is the normal case, not an error: `.env.oracle.example` ships
  * `STORAGE_PROVIDER=` empty, and the comment there explains why — both are initialised so old
  * Arweave data stays readable while new writes go to Autonomys. So an unrecognised or missing
@@ -106,90 +111,168 @@ const PRIVATE_KEY_HEX = /^(?:0x)?[0-9a-fA-F]{64}$/;
  * therefore have failed after the user had paid.
  *
  * @param {string} provider lower-cased STORAGE_PROVIDER, possibly ""
+ * @param {string[]} [replicas] lower-cased STORAGE_REPLICAS entries
  * @returns {string[]} env var names that must be present
  */
-function requiredStorageCredentials(provider) {
-  return provider === "irys"
+function requiredStorageCredentials(provider, replicas = []) {
+  return provider === "irys" && !replicas.includes("autonomys")
     ? ["IRYS_PAYMENT_PRIVATE_KEY"]
     : ["IRYS_PAYMENT_PRIVATE_KEY", "AUTONOMYS_API_KEY"];
 }
 
-/** Required regardless of network, storage provider, or mode. */
+/** The backends STORAGE_REPLICAS can name (storage.js's BACKENDS). */
+const STORAGE_BACKENDS = ["autonomys", "irys"];
+
+/** Required regardless of storage provider or mode, when no ORACLE_CHAINS list is set. */
 const ALWAYS_REQUIRED = ["NETWORK_NAME", "PRIVATE_KEY", "AI_AGENT_CONTRACT_ADDRESS"];
 
 /**
- * Validates the oracle's configuration, or throws naming every problem found.
+ * A typo'd network name is the same class of bug as the placeholder address: accepted here,
+ * rejected somewhere downstream. contractUtility does already throw a readable error for it, but
+ * one at a time and at module load — so it costs a restart per typo instead of joining the single
+ * report. The list is IMPORTED rather than restated so the two cannot drift.
  *
- * @param {Record<string, string | undefined>} [env] defaults to `process.env`
- * @throws {ConfigError}
+ * @param {string} label how the report names the value, e.g. `NETWORK_NAME`
  */
-function validateConfig(env = process.env) {
-  const problems = [];
+function checkNetwork(label, network, problems) {
+  if (!isBlank(network) && !SUPPORTED_NETWORKS.includes(network.trim())) {
+    problems.push(
+      `${label} "${network.trim()}" is not a supported network — expected one of: ` +
+        SUPPORTED_NETWORKS.join(", "),
+    );
+  }
+}
 
-  for (const name of ALWAYS_REQUIRED) {
-    if (isBlank(env[name])) problems.push(`${name} is missing or empty`);
+/**
+ * Shape-check the key for the same reason as the address, and with the same "only if present"
+ * rule so one mistake never produces two problems.
+ *
+ * TESTED RAW, NOT TRIMMED — deliberately, and this is the whole point of the check.
+ * `contractUtility.initializeOracle` passes the env value straight into
+ * `new ethers.Wallet(privateKey, provider)` with no trim of its own. Validating a trimmed copy
+ * would therefore approve " 0x59c6…" — a leading space from a compose-file quoting mistake — and
+ * hand ethers a value it rejects, producing exactly the opaque error this guard exists to
+ * replace. The guard must validate the bytes the consumer actually receives.
+ *
+ * @param {string} name the env var holding the key
+ */
+function checkPrivateKey(name, privateKey, problems) {
+  if (isBlank(privateKey)) return;
+  // Placeholder FIRST, same as the address. Both are "you forgot to fill this in", and telling an
+  // operator their copied example value "is not a 32-byte hex key" describes the symptom while
+  // hiding the cause — they read it as a formatting problem and go looking for the wrong thing.
+  if (PLAIN_PLACEHOLDER.test(privateKey.trim())) {
+    problems.push(
+      `${name} is still the example-file placeholder "${privateKey.trim()}" — replace it ` +
+        `with a real 32-byte hex private key`,
+    );
+  } else if (!PRIVATE_KEY_HEX.test(privateKey)) {
+    problems.push(
+      `${name} is not a 32-byte hex key (0x + 64 hex characters, no surrounding ` +
+        "whitespace) — ethers rejects it at Wallet construction, which happens at module load " +
+        "and so cannot name the variable",
+    );
   }
+}
 
-  // A typo'd network name is the same class of bug as the placeholder address: accepted here,
-  // rejected somewhere downstream. contractUtility does already throw a readable error for it,
-  // but one at a time and at module load — so it costs a restart per typo instead of joining the
-  // single report. The list is IMPORTED rather than restated so the two cannot drift.
-  const network = env.NETWORK_NAME;
-  if (!isBlank(network) && !SUPPORTED_NETWORKS.includes(network.trim())) {
+/**
+ * Only shape-check the address once we know something is there — otherwise a missing value would
+ * produce two problems for one mistake, which makes the report harder to act on. Raw, for the
+ * same reason as the key: `new ethers.Contract(contractAddress, …)` receives the value verbatim,
+ * so a padded value must fail HERE rather than downstream. The placeholder check trims only to
+ * keep its message readable, never to decide validity.
+ *
+ * @param {string} label how the report names the value, e.g. `AI_AGENT_CONTRACT_ADDRESS`
+ */
+function checkContractAddress(label, address, problems) {
+  if (isBlank(address)) return;
+  if (PLACEHOLDER.test(address.trim())) {
     problems.push(
-      `NETWORK_NAME "${network.trim()}" is not a supported network — expected one of: ` +
-        SUPPORTED_NETWORKS.join(", "),
+      `${label} is still the placeholder "${address.trim()}" — ethers would ` +
+        `accept this and fail later with "contract runner does not support name resolution"`,
+    );
+  } else if (!ADDRESS.test(address)) {
+    problems.push(
+      `${label} "${address}" is not a valid address (0x + 40 hex characters, ` +
+        `no surrounding whitespace) — ethers treats a non-address as an ENS name and fails ` +
+        `asynchronously on first call`,
     );
   }
+}
 
-  // Shape-check the key for the same reason as the address, and with the same "only if present"
-  // rule so one mistake never produces two problems.
-  //
-  // TESTED RAW, NOT TRIMMED — deliberately, and this is the whole point of the check.
-  // `contractUtility.initializeOracle` passes `process.env.PRIVATE_KEY` straight into
-  // `new ethers.Wallet(privateKey, provider)` with no trim of its own. Validating a trimmed copy
-  // would therefore approve " 0x59c6…" — a leading space from a compose-file quoting mistake —
-  // and hand ethers a value it rejects, producing exactly the opaque error this guard exists to
-  // replace. The guard must validate the bytes the consumer actually receives.
-  const privateKey = env.PRIVATE_KEY;
-  if (!isBlank(privateKey)) {
-    // Placeholder FIRST, same as the address. Both are "you forgot to fill this in", and telling
-    // an operator their copied example value "is not a 32-byte hex key" describes the symptom
-    // while hiding the cause — they read it as a formatting problem and go looking for the wrong
-    // thing.
-    if (PLAIN_PLACEHOLDER.test(privateKey.trim())) {
-      problems.push(
-        `PRIVATE_KEY is still the example-file placeholder "${privateKey.trim()}" — replace it ` +
-          `with a real 32-byte hex private key`,
-      );
-    } else if (!PRIVATE_KEY_HEX.test(privateKey)) {
-      problems.push(
-        "PRIVATE_KEY is not a 32-byte hex key (0x + 64 hex characters, no surrounding " +
-          "whitespace) — ethers rejects it at Wallet construction, which happens at module load " +
-          "and so cannot name the variable",
-      );
+/**
+ * ORACLE_CHAINS, entry by entry, with the same checks the single-chain variables get. Each entry
+ * builds its wallet and contract at module load just as NETWORK_NAME's does, so the reasons above
+ * apply unchanged — one bad entry would otherwise take the other chains down with it.
+ */
+function checkChainList(env, problems) {
+  let entries;
+  try {
+    entries = parseChainList(env.ORACLE_CHAINS);
+  } catch (e) {
+    problems.push(`ORACLE_CHAINS ${e.message}`);
+    return;
+  }
+  for (const { id, network, contractAddress, privateKeyEnv, txSubmitter } of entries) {
+    checkNetwork(`ORACLE_CHAINS "${id}" network`, network, problems);
+    if (isBlank(env[privateKeyEnv])) {
+      problems.push(`${privateKeyEnv} (the key for chain "${id}") is missing or empty`);
     }
+    checkPrivateKey(privateKeyEnv, env[privateKeyEnv], problems);
+    checkContractAddress(`ORACLE_CHAINS "${id}" contractAddress`, contractAddress, problems);
+    if (txSubmitter === "appd") checkAppdSubmitter(`chain "${id}"`, network, env, problems);
   }
+}
 
-  // Only shape-check the address once we know something is there — otherwise a missing value
-  // would produce two problems for one mistake, which makes the report harder to act on.
-  // Raw, for the same reason as the key above: `new ethers.Contract(contractAddress, …)` receives
-  // process.env verbatim, so a padded value must fail HERE rather than downstream. The
-  // placeholder check trims only to keep its message readable, never to decide validity.
-  const address = env.AI_AGENT_CONTRACT_ADDRESS;
-  if (!isBlank(address)) {
-    if (PLACEHOLDER.test(address.trim())) {
-      problems.push(
-        `AI_AGENT_CONTRACT_ADDRESS is still the placeholder "${address.trim()}" — ethers would ` +
-          `accept this and fail later with "contract runner does not support name resolution"`,
-      );
-    } else if (!ADDRESS.test(address)) {
-      problems.push(
-        `AI_AGENT_CONTRACT_ADDRESS "${address}" is not a valid address (0x + 40 hex characters, ` +
-          `no surrounding whitespace) — ethers treats a non-address as an ENS name and fails ` +
-          `asynchronously on first call`,
-      );
+/**
+ * Writes through ROFL appd (see txSubmitter) need a Sapphire network, which is all appd can
+ * submit to, and ROFL_TX_SENDER_ADDRESS, the address they arrive from. Without that address
+ * setOracleAddress would register PRIVATE_KEY's, and every answer would then revert as
+ * UnauthorizedOracle — after the user had paid for it.
+ *
+ * @param {string} label how the report names the chain, e.g. `TX_SUBMITTER`
+ */
+function checkAppdSubmitter(label, network, env, problems) {
+  if (!isBlank(network) && !SAPPHIRE_NETWORKS.has(network.trim())) {
+    problems.push(`${label} submits through appd, which only writes to Sapphire, not "${network}"`);
+  }
+  const sender = env.ROFL_TX_SENDER_ADDRESS;
+  if (isBlank(sender)) {
+    problems.push(`ROFL_TX_SENDER_ADDRESS is missing or empty, but ${label} submits through appd`);
+  } else {
+    checkContractAddress("ROFL_TX_SENDER_ADDRESS", sender, problems);
+  }
+}
+
+/**
+ * Validates the oracle's configuration, or throws naming every problem found.
+ *
+ * @param {Record<string, string | undefined>} [env] defaults to `process.env`
+ * @throws {ConfigError}
+ */
+function validateConfig(env = process.env) {
+  const problems = [];
+
+  if (isBlank(env.ORACLE_CHAINS)) {
+    for (const name of ALWAYS_REQUIRED) {
+      if (isBlank(env[name])) problems.push(`${name} is missing or empty`);
+    }
+    checkNetwork("NETWORK_NAME", env.NETWORK_NAME, problems);
+    checkPrivateKey("PRIVATE_KEY", env.PRIVATE_KEY, problems);
+    checkContractAddress("AI_AGENT_CONTRACT_ADDRESS", env.AI_AGENT_CONTRACT_ADDRESS, problems);
+    try {
+      parseConfirmationDepth(env.CONFIRMATION_DEPTH);
+    } catch (e) {
+      problems.push(`CONFIRMATION_DEPTH ${e.message}`);
+    }
+    const submitter = env.TX_SUBMITTER?.trim();
+    if (submitter && !TX_SUBMITTERS.includes(submitter)) {
+      problems.push(`TX_SUBMITTER must be one of ${TX_SUBMITTERS.join(", ")}, got: "${submitter}"`);
+    } else if (submitter === "appd") {
+      checkAppdSubmitter("TX_SUBMITTER", env.NETWORK_NAME, env, problems);
     }
+  } else {
+    checkChainList(env, problems);
   }
 
   // Both of storage.js's early returns, mirrored. Mock storage never touches a credential
@@ -201,7 +284,22 @@ function validateConfig(env = process.env) {
   if (usesRemoteStorage) {
     const provider = (env.STORAGE_PROVIDER || "").trim().toLowerCase();
     const describe = provider ? `STORAGE_PROVIDER is "${provider}"` : "STORAGE_PROVIDER is unset";
-    for (const credential of requiredStorageCredentials(provider)) {
+    // storage.js drops names it does not know, so a typo would quietly mean no replica at all.
+    const replicas = (env.STORAGE_REPLICAS || "")
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+    const primary = provider === "irys" ? "irys" : "autonomys";
+    for (const name of replicas) {
+      if (!STORAGE_BACKENDS.includes(name)) {
+        problems.push(
+          `STORAGE_REPLICAS names "${name}", expected any of: ${STORAGE_BACKENDS.join(", ")}`,
+        );
+      } else if (name === primary) {
+        problems.push(`STORAGE_REPLICAS names "${name}", which is already the primary backend`);
+      }
+    }
+    for (const credential of requiredStorageCredentials(provider, replicas)) {
       if (isMissingOrPlaceholder(env[credential])) {
         const state = isBlank(env[credential])
           ? "is missing or empty"
@@ -214,6 +312,124 @@ function validateConfig(env = process.env) {
     }
   }
 
+  // Read as a plain number, a typo would silently fall back to the default size.
+  const blobCacheMax = env.BLOB_CACHE_MAX_MB;
+  if (
+    !isBlank(blobCacheMax) &&
+    !(Number.isInteger(Number(blobCacheMax)) && Number(blobCacheMax) >= 0)
+  ) {
+    problems.push(
+      `BLOB_CACHE_MAX_MB must be a non-negative integer, got: ${JSON.stringify(blobCacheMax)}`,
+    );
+  }
+
+  // Optional, so checked only when set. Left to `listen()`, a bad value surfaces as a RangeError
+  // or EADDRINUSE halfway through start() — after the catch-up replay has already run — instead
+  // of as a named variable here.
+  const portsInUse = new Map();
+  for (const name of ["ANSWER_STREAM_PORT", "METRICS_PORT", "HEALTH_PORT"]) {
+    const raw = env[name];
+    if (isBlank(raw)) continue;
+    const port = Number(raw.trim());
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      problems.push(`${name} must be an integer between 1 and 65535, got: ${JSON.stringify(raw)}`);
+    } else if (portsInUse.has(port)) {
+      problems.push(`${name} and ${portsInUse.get(port)} must be different ports`);
+    } else {
+      portsInUse.set(port, name);
+    }
+  }
+  const pollStale = env.HEALTH_POLL_STALE_MS;
+  if (!isBlank(pollStale) && !(Number.isInteger(Number(pollStale)) && Number(pollStale) > 0)) {
+    problems.push(
+      `HEALTH_POLL_STALE_MS must be a positive integer, got: ${JSON.stringify(pollStale)}`,
+    );
+  }
+
+  // The local OpenAI-compatible tier. Asked for by name with nowhere to send it, every answer
+  // would be the "could not generate" string; a bad number would quietly fall back to the default.
+  if (env.AI_PROVIDER === "LocalLLM" && isBlank(env.LOCAL_LLM_URL)) {
+    problems.push("LOCAL_LLM_URL is missing or empty, but AI_PROVIDER is LocalLLM");
+  }
+  if (!isBlank(env.LOCAL_LLM_URL) && !/^https?:\/\//i.test(env.LOCAL_LLM_URL.trim())) {
+    problems.push("LOCAL_LLM_URL must be an http:// or https:// URL");
+  }
+  for (const name of ["LOCAL_LLM_TIMEOUT_MS", "LOCAL_LLM_MAX_TOKENS"]) {
+    const value = env[name];
+    if (!isBlank(value) && !(Number.isInteger(Number(value.trim())) && Number(value) > 0)) {
+      problems.push(`${name} must be a positive integer, got: ${JSON.stringify(value)}`);
+    }
+  }
+
+  // Answer batching (see answerBatcher). A typo would silently mean the default window.
+  const batchWindow = env.ANSWER_BATCH_WINDOW_MS;
+  if (
+    !isBlank(batchWindow) &&
+    !(Number.isInteger(Number(batchWindow)) && Number(batchWindow) >= 0)
+  ) {
+    problems.push(
+      `ANSWER_BATCH_WINDOW_MS must be a non-negative integer, got: ${JSON.stringify(batchWindow)}`,
+    );
+  }
+  const batchMax = env.ANSWER_BATCH_MAX;
+  if (!isBlank(batchMax) && !(Number.isInteger(Number(batchMax)) && Number(batchMax) > 0)) {
+    problems.push(`ANSWER_BATCH_MAX must be a positive integer, got: ${JSON.stringify(batchMax)}`);
+  }
+
+  // Balance watching (see balanceWatcher). The threshold is parsed as a native amount, and a
+  // malformed one would otherwise throw from inside start(), after the catch-up.
+  const checkInterval = env.BALANCE_CHECK_INTERVAL_MS;
+  if (
+    !isBlank(checkInterval) &&
+    !(Number.isInteger(Number(checkInterval)) && Number(checkInterval) >= 0)
+  ) {
+    problems.push(
+      `BALANCE_CHECK_INTERVAL_MS must be a non-negative integer, got: ${JSON.stringify(checkInterval)}`,
+    );
+  }
+  const runwayHours = env.WALLET_RUNWAY_ALERT_HOURS;
+  if (!isBlank(runwayHours) && !(Number(runwayHours) > 0)) {
+    problems.push(
+      `WALLET_RUNWAY_ALERT_HOURS must be a positive number, got: ${JSON.stringify(runwayHours)}`,
+    );
+  }
+  const balanceFloor = env.WALLET_BALANCE_ALERT_THRESHOLD;
+  if (!isBlank(balanceFloor) && !/^\d+(\.\d{1,18})?$/.test(balanceFloor.trim())) {
+    problems.push(
+      `WALLET_BALANCE_ALERT_THRESHOLD must be an amount like 0.5, got: ${JSON.stringify(balanceFloor)}`,
+    );
+  }
+
+  // Alert routing (see alerting). A misspelt severity would route nothing to that channel, and
+  // the first anyone would hear of it is the incident that never paged.
+  for (const [name, value] of Object.entries(env)) {
+    if (!/^ALERT_[A-Z]+_SEVERITIES$/.test(name) || isBlank(value)) continue;
+    const listed = value.split(",").map((s) => s.trim().toLowerCase());
+    if (value.trim().toLowerCase() !== "none" && !listed.every((s) => SEVERITIES.includes(s))) {
+      problems.push(
+        `${name} must be "none" or a comma-separated list of ${SEVERITIES.join(", ")}, got: ${JSON.stringify(value)}`,
+      );
+    }
+  }
+  const cooldown = env.ALERT_COOLDOWN_MS;
+  if (!isBlank(cooldown) && !(Number.isInteger(Number(cooldown)) && Number(cooldown) >= 0)) {
+    problems.push(
+      `ALERT_COOLDOWN_MS must be a non-negative integer, got: ${JSON.stringify(cooldown)}`,
+    );
+  }
+  if (!isBlank(env.TELEGRAM_BOT_TOKEN) && isBlank(env.TELEGRAM_CHAT_ID)) {
+    problems.push("TELEGRAM_CHAT_ID is required with TELEGRAM_BOT_TOKEN");
+  }
+
+  // Also optional. An https:// URL pasted into a *_WS_RPC slot would not stop the oracle — the
+  // subscription would fail, back off and leave it polling — but it would do so with a warning
+  // every 30s and no hint that the scheme was the problem.
+  for (const [name, value] of Object.entries(env)) {
+    if (name.endsWith("_WS_RPC") && !isBlank(value) && !/^wss?:\/\//i.test(value.trim())) {
+      problems.push(`${name} must be a ws:// or wss:// URL`);
+    }
+  }
+
   if (problems.length) throw new ConfigError(problems);
 }
 
@@ -1,9 +1,14 @@
 const { Uploader } = require("@irys/upload");
 const { BaseEth } = require("@irys/upload-ethereum");
 const { sendAlert } = require("../alerting");
+const { StorageError, InsufficientFundsError, toStorageError } = require("../oracleErrors");
+const { fetchArweaveHeader, verifyArweaveData } = require("./integrity");
 
 let irysUploader;
 const graphqlEndpoint = "https://uploader.irys.xyz/graphql"; // Use the main query endpoint
+// Read gateways, in order. Irys' serves a file as soon as it is uploaded; arweave.net has it once
+// the bundle settles, and is where a fetch goes when Irys' gateway fails or serves bad bytes.
+const GATEWAYS = ["https://gateway.irys.xyz", "https://arweave.net"];
 
 /**
  * Initializes the Irys uploader instance and performs a proactive balance check/top-up.
@@ -33,11 +38,34 @@ async function initializeIrys() {
   await topUpIrysBalanceIfNeeded(); // Proactive check and fund on startup
 }
 
+/** The balance, in tokens, below which the Irys wallet is topped up (and someone is told). */
+function irysBalanceThreshold() {
+  return parseFloat(process.env.IRYS_BALANCE_ALERT_THRESHOLD) || 0.02;
+}
+
+/**
+ * The Irys balance, read without funding anything — for the balance watcher's periodic sample,
+ * which must not move money or alert as a side effect of looking.
+ *
+ * @returns {Promise<{ balance: number, token: string } | null>} null on devnet, where uploads
+ *   are free
+ */
+async function getIrysBalance() {
+  if (!irysUploader) throw new StorageError("irys", "Irys not initialized.");
+  if (process.env.IRYS_NETWORK === "devnet") return null;
+
+  const atomicBalance = await irysUploader.getBalance();
+  return {
+    balance: parseFloat(irysUploader.utils.fromAtomic(atomicBalance)),
+    token: irysUploader.token,
+  };
+}
+
 /**
  * Proactively checks the Irys balance and funds it if it falls below a threshold.
  */
 async function topUpIrysBalanceIfNeeded() {
-  if (!irysUploader) throw new Error("Irys not initialized.");
+  if (!irysUploader) throw new StorageError("irys", "Irys not initialized.");
 
   // Devnet uploads are free — no funding required.
   if (process.env.IRYS_NETWORK === "devnet") return;
@@ -47,7 +75,7 @@ async function topUpIrysBalanceIfNeeded() {
     const balanceConverted = parseFloat(irysUploader.utils.fromAtomic(atomicBalance));
     console.log(`Irys wallet balance: ${balanceConverted} ${irysUploader.token}`);
 
-    const threshold = parseFloat(process.env.IRYS_BALANCE_ALERT_THRESHOLD) || 0.02;
+    const threshold = irysBalanceThreshold();
 
     if (balanceConverted < threshold) {
       const topUpAmount = parseFloat(process.env.IRYS_TOP_UP_AMOUNT) || 0.05;
@@ -56,6 +84,7 @@ async function topUpIrysBalanceIfNeeded() {
       await sendAlert(
         "Irys Wallet Balance Low - Auto-Funding Initiated",
         `Balance of ${balanceConverted} ${irysUploader.token} is below threshold of ${threshold}. Attempting to add ${topUpAmount} ${irysUploader.token}.`,
+        { severity: "info" },
       );
 
       const fundTx = await irysUploader.fund(amountToFundAtomic);
@@ -65,6 +94,7 @@ async function topUpIrysBalanceIfNeeded() {
       await sendAlert(
         "Irys Wallet Auto-Fund Successful",
         `Successfully funded ${irysUploader.utils.fromAtomic(fundTx.quantity)} ${irysUploader.token}. New balance is ${newBalanceConverted} ${irysUploader.token}.`,
+        { severity: "info" },
       );
     }
   } catch (e) {
@@ -74,7 +104,7 @@ async function topUpIrysBalanceIfNeeded() {
 
     await sendAlert("CRITICAL: Irys Auto-Funding FAILED", alertMessage);
 
-    throw new Error(alertMessage);
+    throw new InsufficientFundsError("irys", alertMessage, { cause: e });
   }
 }
 
@@ -97,7 +127,10 @@ async function ensureBalanceIsSufficient(dataSizeBytes) {
     const finalBalance = await irysUploader.getBalance();
 
     if (priceAtomic.isGreaterThan(finalBalance)) {
-      throw new Error("Insufficient Irys balance even after attempting to top up.");
+      throw new InsufficientFundsError(
+        "irys",
+        "Insufficient Irys balance even after attempting to top up.",
+      );
     }
   }
 }
@@ -108,7 +141,7 @@ async function ensureBalanceIsSufficient(dataSizeBytes) {
  * @returns {Promise<string>} The Arweave transaction ID (CID).
  */
 async function uploadData(dataBuffer, tags = []) {
-  if (!irysUploader) throw new Error("Irys not initialized.");
+  if (!irysUploader) throw new StorageError("irys", "Irys not initialized.");
 
   try {
     // Proactive check to ensure balance is sufficient before attempting upload.
@@ -129,23 +162,57 @@ async function uploadData(dataBuffer, tags = []) {
 
     await sendAlert("CRITICAL: Irys Upload Failed", errorMessage);
 
-    throw e; // Re-throw to be handled by the calling event handler.
+    throw toStorageError("irys", e); // Re-throw to be handled by the calling event handler.
   }
 }
 
+/** The file's bytes from one gateway, or a typed error. */
+async function fetchFromGateway(gateway, cid) {
+  let response;
+  try {
+    response = await fetch(`${gateway}/${cid}`);
+  } catch (e) {
+    throw toStorageError("irys", e);
+  }
+
+  if (!response.ok) {
+    throw toStorageError(
+      "irys",
+      new Error(`Failed to fetch CID ${cid} from gateway. Status: ${response.status}`),
+      { status: response.status },
+    );
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+}
+
 /**
- * Fetches data from Arweave.
+ * Fetches data from Arweave, checked against the transaction's data root where it has one (see
+ * integrity.js), trying each gateway in turn until one serves bytes that pass. Irys data items —
+ * which is what uploadData writes — have none, and are returned unchecked: only the AES-GCM tag
+ * guards them.
  * @param {string} cid The Arweave transaction ID (CID) of the data to fetch.
  * @returns {Promise<string>} The raw data as a string.
+ * @throws The first gateway's error — IntegrityError for bad bytes — when every gateway fails.
  */
 async function fetchData(cid) {
-  const response = await fetch(`https://gateway.irys.xyz/${cid}`);
-
-  if (!response.ok) {
-    throw new Error(`Failed to fetch CID ${cid} from gateway. Status: ${response.status}`);
+  // Read alongside the data, and once for all gateways: the header is the same wherever the
+  // bytes come from.
+  const header = fetchArweaveHeader(cid);
+  let firstError = null;
+
+  for (const gateway of GATEWAYS) {
+    try {
+      const bytes = await fetchFromGateway(gateway, cid);
+      verifyArweaveData("irys", cid, bytes, await header);
+      return bytes.toString("utf-8");
+    } catch (e) {
+      firstError ??= e;
+      console.warn(`Fetch of ${cid} from ${gateway} failed: ${e.message}`);
+    }
   }
 
-  return response.text();
+  throw firstError;
 }
 
 /**
@@ -178,7 +245,11 @@ async function queryTransactionByTags(tags) {
       body: JSON.stringify({ query }),
     });
     if (!response.ok) {
-      throw new Error(`GraphQL query failed with status: ${response.status}`);
+      throw toStorageError(
+        "irys",
+        new Error(`GraphQL query failed with status: ${response.status}`),
+        { status: response.status },
+      );
     }
     const json = await response.json();
     const edges = json?.data?.transactions?.edges;
@@ -188,12 +259,15 @@ async function queryTransactionByTags(tags) {
     return null;
   } catch (error) {
     console.error("Error querying Irys GQL for tags:", error);
-    throw error;
+    throw toStorageError("irys", error);
   }
 }
 
 module.exports = {
   initializeIrys,
+  getIrysBalance,
+  irysBalanceThreshold,
+  topUpIrysBalanceIfNeeded,
   uploadData,
   fetchData,
   queryTransactionByTags,
@@ -1,6 +1,8 @@
 const { createAutoDriveApi } = require("@autonomys/auto-drive");
 const { NetworkId } = require("@autonomys/auto-utils");
 const { sendAlert } = require("../alerting");
+const { StorageError, InsufficientFundsError, toStorageError } = require("../oracleErrors");
+const { autoDriveFileName, verifyAutoDriveCid } = require("./integrity");
 
 let autoDriveApi = null;
 const API_BASE_URL = "https://mainnet.auto-drive.autonomys.xyz/api";
@@ -22,7 +24,7 @@ async function fetchAccountInfo() {
   const apiKey = process.env.AUTONOMYS_API_KEY;
 
   if (!apiKey) {
-    throw new Error("AUTONOMYS_API_KEY not found");
+    throw new StorageError("autonomys", "AUTONOMYS_API_KEY not found");
   }
 
   const response = await fetch(`${API_BASE_URL}/accounts/@me`, {
@@ -35,18 +37,34 @@ async function fetchAccountInfo() {
   });
 
   if (!response.ok) {
-    throw new Error(`Autonomys API error: ${response.status} ${response.statusText}`);
+    throw toStorageError(
+      "autonomys",
+      new Error(`Autonomys API error: ${response.status} ${response.statusText}`),
+      { status: response.status },
+    );
   }
 
   return await response.json();
 }
 
+/**
+ * The credit levels, in bytes, below which an alert fires (configurable via environment
+ * variables; default 10MB each). Shared with the balance watcher's periodic check.
+ * @returns {{ upload: number, download: number }}
+ */
+function creditThresholds() {
+  return {
+    upload: parseInt(process.env.AUTONOMYS_UPLOAD_CREDIT_THRESHOLD) || 10 * 1024 * 1024,
+    download: parseInt(process.env.AUTONOMYS_DOWNLOAD_CREDIT_THRESHOLD) || 10 * 1024 * 1024,
+  };
+}
+
 /**
  * Checks the Autonomys Auto Drive credits and sends an alert if low.
  */
 async function checkAutoDriveCredits() {
   if (!autoDriveApi) {
-    throw new Error("Autonomys Auto Drive not initialized.");
+    throw new StorageError("autonomys", "Autonomys Auto Drive not initialized.");
   }
 
   try {
@@ -68,12 +86,7 @@ async function checkAutoDriveCredits() {
       `Autonomys Credits - Upload: ${uploadCredits} (${uploadMB} MB), Download: ${downloadCredits} (${downloadMB})`,
     );
 
-    // Alert thresholds (configurable via environment variables)
-    // Default threshold: 10MB (10 * 1024 * 1024 bytes)
-    const uploadThreshold =
-      parseInt(process.env.AUTONOMYS_UPLOAD_CREDIT_THRESHOLD) || 10 * 1024 * 1024;
-    const downloadThreshold =
-      parseInt(process.env.AUTONOMYS_DOWNLOAD_CREDIT_THRESHOLD) || 10 * 1024 * 1024;
+    const { upload: uploadThreshold, download: downloadThreshold } = creditThresholds();
 
     if (uploadCredits < uploadThreshold) {
       await sendAlert(
@@ -127,7 +140,7 @@ async function initializeAutoDrive() {
  */
 async function ensureCreditsAreSufficient(dataSizeBytes) {
   if (!autoDriveApi) {
-    throw new Error("Autonomys Auto Drive not initialized.");
+    throw new StorageError("autonomys", "Autonomys Auto Drive not initialized.");
   }
 
   try {
@@ -147,7 +160,7 @@ async function ensureCreditsAreSufficient(dataSizeBytes) {
         `${errorMessage}\nPlease top up the account at https://ai3.storage/`,
       );
 
-      throw new Error(errorMessage);
+      throw new InsufficientFundsError("autonomys", errorMessage);
     }
   } catch (e) {
     console.error("Credit sufficiency check failed:", e);
@@ -164,15 +177,16 @@ async function ensureCreditsAreSufficient(dataSizeBytes) {
  */
 async function uploadData(dataBuffer, tags = []) {
   if (!autoDriveApi) {
-    throw new Error("Autonomys Auto Drive not initialized.");
+    throw new StorageError("autonomys", "Autonomys Auto Drive not initialized.");
   }
 
   try {
     // Check credits before upload
     await ensureCreditsAreSufficient(dataBuffer.length);
 
-    // Extract metadata from tags
-    let fileName = `file-${Date.now()}.json`;
+    // Extract metadata from tags. Without a File-Name the name comes from the bytes, so that
+    // fetchData can rebuild the root node the CID hashes and check the file against it.
+    let fileName = autoDriveFileName(dataBuffer);
     let mimeType = "application/json";
 
     for (const tag of tags) {
@@ -195,6 +209,7 @@ async function uploadData(dataBuffer, tags = []) {
     };
 
     const options = {
+      // Neither compressed nor encrypted: the root node fetchData rebuilds assumes both.
       compression: false,
       onProgress: (progress) => {
         // Log every 25% to avoid spamming logs
@@ -215,7 +230,7 @@ async function uploadData(dataBuffer, tags = []) {
 
     await sendAlert("CRITICAL: Autonomys Upload Failed", errorMessage);
 
-    throw e;
+    throw toStorageError("autonomys", e);
   }
 }
 
@@ -223,10 +238,11 @@ async function uploadData(dataBuffer, tags = []) {
  * Fetches data from Autonomys Auto Drive.
  * @param {string} cid The CID of the data to fetch.
  * @returns {Promise<string>} The raw data as a UTF-8 String (for compatibility with both Arweave and Autonomys logic).
+ * @throws {IntegrityError} when the CID can be checked against the bytes and they do not match.
  */
 async function fetchData(cid) {
   if (!autoDriveApi) {
-    throw new Error("Autonomys Auto Drive not initialized.");
+    throw new StorageError("autonomys", "Autonomys Auto Drive not initialized.");
   }
 
   try {
@@ -238,6 +254,10 @@ async function fetchData(cid) {
     }
     console.log(`Data fetched from Autonomys. CID: ${cid}, Size: ${fileBuffer.length} bytes`);
 
+    // Auto Drive CIDs hash the DAG node it built, not the file: this rebuilds the node under the
+    // name uploadData gave it. A file named otherwise only counts as unverified.
+    await verifyAutoDriveCid("autonomys", cid, fileBuffer);
+
     // Convert Buffer to String to match the Arweave implementation
     return fileBuffer.toString("utf-8");
   } catch (e) {
@@ -247,7 +267,7 @@ async function fetchData(cid) {
 
     await sendAlert("Autonomys Download Failed", errorMessage);
 
-    throw e;
+    throw toStorageError("autonomys", e);
   }
 }
 
@@ -258,7 +278,7 @@ async function fetchData(cid) {
  */
 async function queryTransactionByTags(tags) {
   if (!autoDriveApi) {
-    throw new Error("Autonomys Auto Drive not initialized.");
+    throw new StorageError("autonomys", "Autonomys Auto Drive not initialized.");
   }
 
   let searchValue = null;
@@ -309,7 +329,7 @@ async function queryTransactionByTags(tags) {
  */
 async function listMyFiles(page = 0, limit = 100) {
   if (!autoDriveApi) {
-    throw new Error("Autonomys Auto Drive not initialized.");
+    throw new StorageError("autonomys", "Autonomys Auto Drive not initialized.");
   }
 
   try {
@@ -331,6 +351,7 @@ module.exports = {
   queryTransactionByTags,
   listMyFiles,
   checkAutoDriveCredits,
+  creditThresholds,
   // Exported for the heartbeat's vitals snapshot, which needs the credit figures as DATA.
   // `checkAutoDriveCredits` is the wrong call there: it logs and fires `sendAlert` as side
   // effects, so sampling it every beat would turn a low-credit warning into a repeating alarm.
@@ -0,0 +1,242 @@
+/**
+ * A bounded on-disk cache of the files storage.js uploads and fetches, beneath the in-memory LRU
+ * that aiAgentOracle keeps of message files.
+ *
+ * WHY. rawMessageCache lives in memory, so a restart — every TEE redeploy, every crash — empties
+ * it, and the first prompt of each conversation afterwards refetches the whole chain back to its
+ * first message, one storage round trip (~500ms) per hop. The ROFL machine has a persistent disk
+ * (rofl.yaml, 9 GB) that outlives the process; keeping the files there makes a restart cost a
+ * disk read per hop instead.
+ *
+ * NOTHING SENSITIVE. What is cached is exactly what storage returned: the files are encrypted
+ * before upload, and the keys to them never touch this directory. Anyone who can read it learns
+ * no more than anyone who can read Autonomys or Arweave.
+ *
+ * One file per CID, named by the SHA-256 of the CID — Arweave ids are case-sensitive base64url,
+ * which a case-insensitive filesystem (a developer's macOS checkout) would fold together — and
+ * the file's size: `<sha256>.<bytes>`. Anything else in the directory is removed at startup.
+ *
+ * CRASH-SAFE. A file is written to a temporary name, fsynced and renamed into place. Without the
+ * fsync a power loss can persist the rename before the data, leaving the final name on a short
+ * or empty file; temporaries left by a crash are removed at startup. A cached file is never
+ * rewritten — a CID's content does not change.
+ *
+ * CHECKED ON READ. A file is served only if it is the size its name records, and, for a CID
+ * that hashes the file itself, only if it hashes to the CID (integrity.js's verifyCid, counted
+ * under backend "cache"). One that is not — a bad sector, a hand edit — is deleted and read as a
+ * miss, so storage serves it again and the cache rewrites it. Other CIDs (Autonomys, Arweave) are
+ * checked by size alone: rebuilding their nodes or fetching their headers would cost what the
+ * cache is there to save.
+ *
+ * BOUNDED BY SIZE. The total is kept under BLOB_CACHE_MAX_MB (default 1024) by evicting the
+ * least recently used files. Recency is the file's mtime, touched on every hit, so the order
+ * survives a restart: init() reads it back (the WARMUP, whose figures are in the heartbeat).
+ *
+ * The cache never fails a read: a file it cannot read or write is a miss, logged, and the caller
+ * fetches from storage as it would have without it. Until init() has run it is a miss for
+ * everything and stores nothing, so the sizes it keeps count each file once. BLOB_CACHE_MAX_MB=0
+ * turns it off, in which case every call is a no-op.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { verifyCid } = require("./integrity");
+
+const BYTES_PER_MB = 1024 * 1024;
+const DEFAULT_MAX_MB = 1024;
+const DEFAULT_DIR = path.resolve(__dirname, "../../blob-cache");
+
+/**
+ * @param {Record<string, string | undefined>} [env] defaults to `process.env`
+ * @returns {{ dir: string, maxBytes: number }}
+ */
+function blobCacheConfig(env = process.env) {
+  const maxMb = Number(env.BLOB_CACHE_MAX_MB?.trim() || NaN);
+  return {
+    dir: env.BLOB_CACHE_DIR?.trim() || DEFAULT_DIR,
+    maxBytes: (Number.isInteger(maxMb) && maxMb >= 0 ? maxMb : DEFAULT_MAX_MB) * BYTES_PER_MB,
+  };
+}
+
+const toMB = (bytes) => Math.round((bytes / BYTES_PER_MB) * 10) / 10;
+
+/**
+ * @param {object} opts
+ * @param {string} opts.dir
+ * @param {number} opts.maxBytes - 0 turns the cache off
+ * @param {object} [opts.fsImpl] - `fs/promises`
+ * @param {() => number} [opts.now]
+ * @param {object} [opts.logger] - anything with `log` and `warn`
+ */
+function createBlobCache({ dir, maxBytes, fsImpl = fs, now = Date.now, logger = console }) {
+  if (!maxBytes) {
+    return {
+      init: async () => null,
+      get: async () => null,
+      set: async () => {},
+      stats: () => null,
+    };
+  }
+
+  /** SHA-256 of the CID -> size in bytes, least recently used first */
+  const index = new Map();
+  let totalBytes = 0;
+  /** Set by init(); the warmup figures. */
+  let warmup = null;
+  let tmpCount = 0;
+  const counts = { hits: 0, misses: 0, writes: 0, evictions: 0, errors: 0 };
+
+  const cidKey = (cid) => crypto.createHash("sha256").update(cid).digest("hex");
+  const filePath = (key, size) => path.join(dir, `${key}.${size}`);
+
+  function forget(key) {
+    if (!index.has(key)) return;
+    totalBytes -= index.get(key);
+    index.delete(key);
+  }
+
+  /** Drop a file from the index and the disk. */
+  async function remove(key) {
+    const size = index.get(key);
+    forget(key);
+    await fsImpl.rm(filePath(key, size), { force: true }).catch(() => {});
+  }
+
+  /** Drop least recently used files until the total fits. */
+  async function evict() {
+    for (const [key] of index) {
+      if (totalBytes <= maxBytes) break;
+      counts.evictions += 1;
+      await remove(key);
+    }
+  }
+
+  function failed(what, error) {
+    counts.errors += 1;
+    logger.warn(`[BlobCache] ${what} failed; treating it as a miss: ${error.message}`);
+  }
+
+  return {
+    /**
+     * Read back what the directory holds, most recently used last, and remove what a crash left
+     * half-written: temporaries, and files not the size their names record. Resolves to the
+     * warmup figures; a directory that cannot be read is an empty cache, not an error.
+     */
+    async init() {
+      const startedAt = now();
+      try {
+        await fsImpl.mkdir(dir, { recursive: true });
+        const found = [];
+        for (const name of await fsImpl.readdir(dir)) {
+          const stat = await fsImpl.stat(path.join(dir, name));
+          if (!stat.isFile()) continue;
+          const [, key, size] = name.match(/^([0-9a-f]{64})\.(\d+)$/) ?? [];
+          if (key && stat.size === Number(size)) {
+            found.push({ key, size: stat.size, usedAt: stat.mtimeMs });
+          } else {
+            await fsImpl.rm(path.join(dir, name), { force: true });
+          }
+        }
+        found.sort((a, b) => a.usedAt - b.usedAt);
+        for (const { key, size } of found) {
+          index.set(key, size);
+          totalBytes += size;
+        }
+        await evict();
+      } catch (error) {
+        failed("Reading the cache directory", error);
+      }
+      warmup = {
+        entries: index.size,
+        sizeMB: toMB(totalBytes),
+        durationMs: now() - startedAt,
+      };
+      logger.log(
+        `[BlobCache] ${warmup.entries} files (${warmup.sizeMB} MB of ${toMB(maxBytes)} MB) ` +
+          `found in ${dir} in ${warmup.durationMs}ms.`,
+      );
+      return warmup;
+    },
+
+    /** @returns {Promise<string | null>} the cached file, or null (also when it fails a check) */
+    async get(cid) {
+      const key = cidKey(cid);
+      if (!warmup || !index.has(key)) {
+        counts.misses += 1;
+        return null;
+      }
+      const size = index.get(key);
+      try {
+        const bytes = await fsImpl.readFile(filePath(key, size));
+        if (bytes.length !== size) {
+          throw new Error(`${bytes.length} bytes on disk, ${size} written`);
+        }
+        verifyCid("cache", cid, bytes);
+        // Most recently used: last in the index now, and across a restart by its mtime.
+        index.delete(key);
+        index.set(key, size);
+        const at = new Date(now());
+        fsImpl.utimes(filePath(key, size), at, at).catch(() => {});
+        counts.hits += 1;
+        return bytes.toString("utf-8");
+      } catch (error) {
+        counts.misses += 1;
+        if (error.code === "ENOENT") {
+          forget(key);
+          return null;
+        }
+        failed(`Reading ${cid}`, error);
+        await remove(key);
+        return null;
+      }
+    },
+
+    /** Store a fetched file. Never rejects. */
+    async set(cid, data) {
+      const key = cidKey(cid);
+      const size = Buffer.byteLength(data);
+      if (!warmup || index.has(key) || size > maxBytes) return;
+
+      tmpCount += 1;
+      const tmpPath = path.join(dir, `${key}.${process.pid}.${tmpCount}.tmp`);
+      try {
+        await fsImpl.mkdir(dir, { recursive: true });
+        const file = await fsImpl.open(tmpPath, "w");
+        try {
+          await file.writeFile(data, "utf-8");
+          await file.sync();
+        } finally {
+          await file.close();
+        }
+        await fsImpl.rename(tmpPath, filePath(key, size));
+      } catch (error) {
+        await fsImpl.rm(tmpPath, { force: true }).catch(() => {});
+        failed(`Writing ${cid}`, error);
+        return;
+      }
+      if (!index.has(key)) totalBytes += size;
+      index.delete(key);
+      index.set(key, size);
+      counts.writes += 1;
+      await evict();
+    },
+
+    /**
+     * @returns {{ entries: number, sizeMB: number, maxMB: number, warmup: object | null,
+     *   hits: number, misses: number, writes: number, evictions: number, errors: number }}
+     *   counts are since start; warmup is null until init() has run
+     */
+    stats() {
+      return {
+        entries: index.size,
+        sizeMB: toMB(totalBytes),
+        maxMB: toMB(maxBytes),
+        warmup,
+        ...counts,
+      };
+    },
+  };
+}
+
+module.exports = { createBlobCache, blobCacheConfig, DEFAULT_MAX_MB };
@@ -0,0 +1,308 @@
+/**
+ * Checks that fetched bytes are the file that was asked for.
+ *
+ * WHY. A backend's fetchData returned whatever its gateway sent, and the only check on it was
+ * the AES-GCM tag in decryptSymmetrically. A truncated body, a bad gateway cache or a substituted
+ * file therefore surfaced as "unable to authenticate data" in the middle of reconstructHistory —
+ * a decrypt failure, which reads as a key problem and is investigated as one. The ids these
+ * backends hand out are content addresses; checking the bytes against them turns that into an
+ * IntegrityError naming the backend and the CID, raised before decryption, and lets the caller
+ * try another gateway or replica instead.
+ *
+ * WHAT CAN BE CHECKED FROM THE BYTES, and what cannot:
+ *
+ *   Raw-codec CIDv1 (bafkrei…, sha2-256; bafkr4i…, blake3). The multihash is the hash of the file
+ *   itself. The local IPFS node adds small files this way (cid-version=1 implies raw leaves), so
+ *   every localnet fetch is checked.
+ *
+ *   Arweave transaction ids. The id signs the header, and the header carries `data_root`, the
+ *   root of a merkle tree over the data's 256 KiB chunks. The header is read from an Arweave
+ *   gateway and the root recomputed from the bytes.
+ *
+ *   Irys uploads — every file the oracle writes to Arweave — are NOT checked. They are ANS-104
+ *   data items, not transactions, and never get a header with a data root. What pins a data item
+ *   to its bytes is its signature, over a deep hash of its owner, target, anchor, tags and data;
+ *   the id Irys returns is the base58 sha256 of that signature (43 or 44 characters, not an
+ *   Arweave id). The gateways serve only the data, and no index the oracle can reach serves the
+ *   signed fields exactly as they were signed — the anchor Irys picks at random is not in its
+ *   GraphQL — so there is nothing to rebuild the deep hash from. An id that looks like an
+ *   Arweave id is still looked up, finds no header, and counts as unverifiable; a 44-character
+ *   one is not looked up at all. Failing closed instead would make every Irys file unreadable.
+ *   Checking them needs the signed fields kept at upload time, or a fixed anchor derived from
+ *   the bytes (as autoDriveFileName is, below).
+ *
+ *   Autonomys CIDs (bafkr6i…) are blake3 under Autonomys' own multihash code (0x1f), of the root
+ *   DAG NODE that Auto Drive built server-side — a dag-pb node holding the file name and upload
+ *   options as well as the data. The oracle uploads without compression or encryption and under
+ *   autoDriveFileName, a name derived from the bytes, so the node is rebuilt from the bytes alone
+ *   (auto-drive's precomputeCid, the same DAG builder) and compared. A file that does not rebuild
+ *   counts as unverifiable, not as a mismatch: files uploaded before the name was derived, or
+ *   with a File-Name tag, were named otherwise, and nothing in the bytes tells them apart from
+ *   altered ones. dag-pb CIDs (bafybei…, files Kubo chunked) are unverifiable too.
+ *
+ * Unverifiable is not a failure: the GCM tag still guards those files, as it always did. Every
+ * outcome is counted in oracle_storage_integrity_checks_total, so how much of the traffic is
+ * actually checked is a number rather than an assumption.
+ */
+
+const { sha256 } = require("@noble/hashes/sha2.js");
+const { blake3 } = require("@noble/hashes/blake3.js");
+const { precomputeCid } = require("@autonomys/auto-drive");
+const { IntegrityError } = require("../oracleErrors");
+const { metrics } = require("../oracleMetrics");
+
+const RAW_CODEC = 0x55;
+/** Multihash code -> hash of the whole file, for the codes a raw CID can be checked under. */
+const RAW_HASHERS = new Map([
+  [0x12, sha256],
+  [0x1e, blake3],
+]);
+
+/** Autonomys' blake3 multihash code: the CID hashes Auto Drive's root node. */
+const AUTO_DRIVE_HASH = 0x1f;
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+/** Arweave's chunking (arweave-js merkle.ts): 256 KiB chunks, the last two evened out. */
+const MAX_CHUNK_SIZE = 256 * 1024;
+const MIN_CHUNK_SIZE = 32 * 1024;
+/** An Arweave transaction id: 32 bytes, base64url. */
+const ARWEAVE_ID = /^[A-Za-z0-9_-]{43}$/;
+/** How long a fetch waits for the header before it goes unverified. */
+const ARWEAVE_HEADER_TIMEOUT_MS = 10 * 1000;
+
+/** RFC 4648 base32, lowercase and unpadded, as multibase "b" writes it. Null on a bad symbol. */
+function decodeBase32(text) {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) return null;
+    buffer = ((buffer << 5) | value) & 0xfff;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/** An unsigned varint at `offset`: [value, next offset], or null past the end. */
+function readVarint(bytes, offset) {
+  let value = 0;
+  let shift = 0;
+  for (let i = offset; i < bytes.length && shift < 35; i += 1) {
+    value += (bytes[i] & 0x7f) * 2 ** shift;
+    if ((bytes[i] & 0x80) === 0) return [value, i + 1];
+    shift += 7;
+  }
+  return null;
+}
+
+/**
+ * The parts of a base32 CIDv1. Anything else — CIDv0, another multibase, an Arweave id — is null.
+ *
+ * @param {string} cid
+ * @returns {{ codec: number, hashCode: number, digest: Buffer } | null}
+ */
+function parseCid(cid) {
+  if (typeof cid !== "string" || !cid.startsWith("b")) return null;
+  const bytes = decodeBase32(cid.slice(1));
+  if (!bytes) return null;
+
+  const fields = [];
+  let offset = 0;
+  for (let i = 0; i < 4; i += 1) {
+    const read = readVarint(bytes, offset);
+    if (!read) return null;
+    fields.push(read[0]);
+    offset = read[1];
+  }
+  const [version, codec, hashCode, length] = fields;
+  if (version !== 1 || bytes.length - offset !== length) return null;
+  return { codec, hashCode, digest: bytes.subarray(offset) };
+}
+
+/**
+ * Check `bytes` against a CID.
+ *
+ * @param {string} backend - the backend that served them, for the error and the count
+ * @param {string} cid
+ * @param {Uint8Array} bytes
+ * @returns {boolean} true when checked, false when this CID cannot be checked from the bytes
+ * @throws {IntegrityError} when checked and they do not match
+ */
+function verifyCid(backend, cid, bytes) {
+  const parsed = parseCid(cid);
+  const hash = parsed?.codec === RAW_CODEC ? RAW_HASHERS.get(parsed.hashCode) : undefined;
+  if (!hash) {
+    metrics.storageIntegrity.inc({ backend, result: "unverifiable" });
+    return false;
+  }
+  if (!Buffer.from(hash(bytes)).equals(parsed.digest)) {
+    metrics.storageIntegrity.inc({ backend, result: "mismatch" });
+    throw new IntegrityError(
+      backend,
+      `${backend} returned ${bytes.length} bytes for ${cid} that do not hash to it.`,
+      { cid },
+    );
+  }
+  metrics.storageIntegrity.inc({ backend, result: "verified" });
+  return true;
+}
+
+/**
+ * The name the oracle gives `bytes` on Auto Drive. The root node hashes the name, so it is taken
+ * from the bytes: reading the file back is then all it takes to rebuild the node.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function autoDriveFileName(bytes) {
+  return `${Buffer.from(sha256(bytes)).toString("hex")}.json`;
+}
+
+/**
+ * Check `bytes` against an Auto Drive CID by rebuilding the root node they were uploaded as, under
+ * autoDriveFileName. Any other CID is left to verifyCid. A node that does not rebuild, or a
+ * rebuild that fails, leaves the file unverified (see the header for why it is not a mismatch).
+ *
+ * @param {string} backend
+ * @param {string} cid
+ * @param {Uint8Array} bytes
+ * @param {object} [opts]
+ * @param {(bytes: Buffer, name: string) => Promise<string>} [opts.rebuild]
+ * @returns {Promise<boolean>} true when checked
+ * @throws {IntegrityError} from verifyCid, for a raw CID that does not match
+ */
+async function verifyAutoDriveCid(backend, cid, bytes, { rebuild = precomputeCid } = {}) {
+  if (parseCid(cid)?.hashCode !== AUTO_DRIVE_HASH) return verifyCid(backend, cid, bytes);
+
+  let rebuilt = null;
+  try {
+    rebuilt = await rebuild(Buffer.from(bytes), autoDriveFileName(bytes));
+  } catch {
+    // Unverified, like any other node that does not rebuild.
+  }
+  const verified = rebuilt === cid;
+  metrics.storageIntegrity.inc({ backend, result: verified ? "verified" : "unverifiable" });
+  return verified;
+}
+
+/** `n` as a 32-byte big-endian "note", as Arweave hashes byte offsets. */
+function note(n) {
+  const buffer = Buffer.alloc(32);
+  buffer.writeUIntBE(n, 26, 6);
+  return buffer;
+}
+
+const hashAll = (...parts) => sha256(Buffer.concat(parts.map((part) => sha256(part))));
+
+/**
+ * The Arweave data root of `bytes`: the merkle root over its chunks, as a transaction's
+ * `data_root` commits to it.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Buffer}
+ */
+function arweaveDataRoot(bytes) {
+  const chunks = [];
+  let rest = Buffer.from(bytes);
+  let cursor = 0;
+  while (rest.length >= MAX_CHUNK_SIZE) {
+    let size = MAX_CHUNK_SIZE;
+    const next = rest.length - MAX_CHUNK_SIZE;
+    if (next > 0 && next < MIN_CHUNK_SIZE) size = Math.ceil(rest.length / 2);
+    chunks.push({ dataHash: sha256(rest.subarray(0, size)), max: cursor + size });
+    cursor += size;
+    rest = rest.subarray(size);
+  }
+  chunks.push({ dataHash: sha256(rest), max: cursor + rest.length });
+
+  let layer = chunks.map(({ dataHash, max }) => ({ id: hashAll(dataHash, note(max)), max }));
+  while (layer.length > 1) {
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      const [left, right] = [layer[i], layer[i + 1]];
+      next.push(right ? { id: hashAll(left.id, right.id, note(left.max)), max: right.max } : left);
+    }
+    layer = next;
+  }
+  return Buffer.from(layer[0].id);
+}
+
+/**
+ * An Arweave transaction's header, from `gateway`, or null when there is none to check against:
+ * the id is not a transaction (an Irys data item), or the gateway cannot be asked or does not
+ * answer within `timeoutMs`. Never throws — the check must never be the reason a readable file
+ * cannot be read, and the data waits for it. Separate from the check so it can be read while the
+ * data downloads.
+ *
+ * @param {string} id
+ * @param {object} [opts]
+ * @param {string} [opts.gateway]
+ * @param {number} [opts.timeoutMs]
+ * @param {typeof fetch} [opts.fetchImpl]
+ * @returns {Promise<{ data_root: string, data_size: string } | null>}
+ */
+async function fetchArweaveHeader(
+  id,
+  {
+    gateway = "https://arweave.net",
+    timeoutMs = ARWEAVE_HEADER_TIMEOUT_MS,
+    fetchImpl = fetch,
+  } = {},
+) {
+  if (!ARWEAVE_ID.test(id)) return null;
+  try {
+    const response = await fetchImpl(`${gateway}/tx/${id}`, {
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    return response.status === 200 ? await response.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check `bytes` against an Arweave transaction header's data root. A missing header, or one with
+ * no data root (format 1 transactions carry their data inline), leaves the file unverified.
+ *
+ * @param {string} backend
+ * @param {string} id
+ * @param {Uint8Array} bytes
+ * @param {{ data_root: string, data_size: string } | null} header - from fetchArweaveHeader
+ * @returns {boolean} true when checked
+ * @throws {IntegrityError}
+ */
+function verifyArweaveData(backend, id, bytes, header) {
+  if (!header?.data_root) {
+    metrics.storageIntegrity.inc({ backend, result: "unverifiable" });
+    return false;
+  }
+
+  const expected = Buffer.from(header.data_root, "base64url");
+  if (Number(header.data_size) !== bytes.length || !arweaveDataRoot(bytes).equals(expected)) {
+    metrics.storageIntegrity.inc({ backend, result: "mismatch" });
+    throw new IntegrityError(
+      backend,
+      `${backend} returned ${bytes.length} bytes for ${id} that do not match its data root ` +
+        `(${header.data_size} bytes).`,
+      { cid: id },
+    );
+  }
+  metrics.storageIntegrity.inc({ backend, result: "verified" });
+  return true;
+}
+
+module.exports = {
+  parseCid,
+  verifyCid,
+  autoDriveFileName,
+  verifyAutoDriveCid,
+  arweaveDataRoot,
+  fetchArweaveHeader,
+  verifyArweaveData,
+};
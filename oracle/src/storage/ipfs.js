@@ -19,11 +19,23 @@
  * layer only moves bytes.
  */
 
+const { StorageError, toStorageError } = require("../oracleErrors");
+const { verifyCid } = require("./integrity");
+
 let apiUrl = null;
 
 function ensureInitialized() {
   if (!apiUrl) {
-    throw new Error("Local IPFS provider not initialized.");
+    throw new StorageError("ipfs", "Local IPFS provider not initialized.");
+  }
+}
+
+/** POST to the Kubo API, typing a connection failure (the node restarting) as transient. */
+async function kuboPost(path, init = {}) {
+  try {
+    return await fetch(`${apiUrl}${path}`, { method: "POST", ...init });
+  } catch (e) {
+    throw toStorageError("ipfs", e);
   }
 }
 
@@ -60,22 +72,29 @@ async function uploadData(dataBuffer, _tags = []) {
   const form = new FormData();
   form.append("file", new Blob([dataBuffer]));
 
-  const res = await fetch(`${apiUrl}/api/v0/add?cid-version=1&pin=true`, {
-    method: "POST",
-    body: form,
-  });
+  const res = await kuboPost("/api/v0/add?cid-version=1&pin=true", { body: form });
   if (!res.ok) {
-    throw new Error(`IPFS add failed (status ${res.status}): ${await res.text()}`);
+    throw toStorageError(
+      "ipfs",
+      new Error(`IPFS add failed (status ${res.status}): ${await res.text()}`),
+      { status: res.status },
+    );
   }
 
   // Kubo returns newline-delimited JSON; the final line is the added file.
   const lines = (await res.text()).trim().split("\n").filter(Boolean);
   if (lines.length === 0) {
-    throw new Error("IPFS add returned an empty response body (expected NDJSON with a Hash).");
+    throw new StorageError(
+      "ipfs",
+      "IPFS add returned an empty response body (expected NDJSON with a Hash).",
+    );
   }
   const { Hash } = JSON.parse(lines[lines.length - 1]);
   if (!Hash) {
-    throw new Error(`IPFS add response missing Hash field: ${lines[lines.length - 1]}`);
+    throw new StorageError(
+      "ipfs",
+      `IPFS add response missing Hash field: ${lines[lines.length - 1]}`,
+    );
   }
   console.log(`Data uploaded to local IPFS ==> CID: ${Hash}`);
 
@@ -84,22 +103,30 @@ async function uploadData(dataBuffer, _tags = []) {
 
 /**
  * @notice Fetch data from the local IPFS node by CID.
+ * @dev The bytes are checked against the CID before they are decoded (see
+ *      integrity.js): Kubo adds our small payloads as raw sha2-256 blocks, so
+ *      the CID is the hash of exactly what `cat` returns.
  * @param {string} cid The CID of the data to fetch.
  * @returns {Promise<string>} The raw data as a UTF-8 string (matches the other
  *          providers, since payloads are AES-GCM ciphertext strings).
+ * @throws {IntegrityError} when the bytes do not hash to the CID.
  */
 async function fetchData(cid) {
   ensureInitialized();
 
-  const res = await fetch(`${apiUrl}/api/v0/cat?arg=${encodeURIComponent(cid)}`, {
-    method: "POST",
-  });
+  const res = await kuboPost(`/api/v0/cat?arg=${encodeURIComponent(cid)}`);
   if (!res.ok) {
-    throw new Error(`IPFS cat failed for ${cid} (status ${res.status}): ${await res.text()}`);
+    throw toStorageError(
+      "ipfs",
+      new Error(`IPFS cat failed for ${cid} (status ${res.status}): ${await res.text()}`),
+      { status: res.status },
+    );
   }
 
-  const data = await res.text();
-  console.log(`Data fetched from local IPFS. CID: ${cid}, Size: ${data.length} bytes`);
+  const bytes = Buffer.from(await res.arrayBuffer());
+  verifyCid("ipfs", cid, bytes);
+  const data = bytes.toString("utf-8");
+  console.log(`Data fetched from local IPFS. CID: ${cid}, Size: ${bytes.length} bytes`);
 
   return data;
 }
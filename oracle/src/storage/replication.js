@@ -0,0 +1,427 @@
+/**
+ * Replicated uploads: every file written to the primary backend is copied to the backends in
+ * STORAGE_REPLICAS as well, and a fetch can be served by whichever copy answers.
+ *
+ * WHY. A conversation is a chain of files, each pointing at its parent's CID, and
+ * reconstructHistory walks it back from the newest. One file lost by the one backend it was
+ * written to breaks every later turn of that conversation, and nothing else holds a copy.
+ *
+ * THE PRIMARY'S CID IS THE CID. The primary backend (STORAGE_PROVIDER) is written first and its
+ * CID is what goes on-chain and into the next file's parent pointer, exactly as without
+ * replication — the dApp reads those CIDs and knows nothing of replicas. Copies start only once
+ * the primary has the file (a failed primary upload is retried whole by the event handler, and
+ * copies of it would be paid-for orphans), and run in the background: an answer does not wait for
+ * its replicas. Each copy gets a CID of its own, recorded in the ALIAS MAP against the primary's.
+ *
+ * The alias map is an append-only JSON-lines file beside oracle-state.json, one line per copy,
+ * read back at startup. Append-only because it only ever grows and a line is written per upload:
+ * rewriting the whole map each time would cost more as it grows. Losing it loses no data, only
+ * the shortcut to the copies.
+ *
+ * READ ANY. fetch() tries the CID's own backend and every alias, fastest first by the latency
+ * each backend has shown on recent fetches (an exponentially weighted average; a failure counts
+ * as a very slow fetch, so a backend that is down drops to the back). A copy whose bytes fail their
+ * integrity check (integrity.js) is a failed fetch like any other. A CID with no aliases — any
+ * file from before replication — is fetched from its own backend only, as it always was.
+ *
+ * COPIES ARE DURABLE. Each copy is recorded in the COPY JOURNAL, a second JSON-lines file,
+ * before it starts, and marked done once its alias is recorded. A copy that fails is retried
+ * with backoff (COPY_RETRY_DELAY_MS, doubling) up to MAX_COPY_ATTEMPTS times, reading the file
+ * back from the primary rather than holding it in memory between attempts. A restart — a crash
+ * mid-copy, a redeploy while one waits — starts the unfinished copies again from the journal,
+ * each with its attempts counted afresh.
+ * They are not in the job store: its jobs are chain events, replayed from their receipts, while
+ * a copy belongs to no chain and needs only a CID. A copy given up on is logged and counted;
+ * the backend modules have already alerted on each upload failure, and the file is still on the
+ * primary. The replication report (report(), in the heartbeat) and the lag metrics say how far
+ * each replica trails.
+ */
+
+const fs = require("fs/promises");
+const { metrics } = require("../oracleMetrics");
+
+/** Weight of the newest fetch in a backend's latency average. */
+const LATENCY_WEIGHT = 0.3;
+/** What a failed fetch counts as, in ms: slower than any backend that answers. */
+const FAILED_FETCH_MS = 60 * 1000;
+/** The wait after a copy's first failed attempt; it doubles with each further one. */
+const COPY_RETRY_DELAY_MS = 60 * 1000;
+/** Attempts before a copy is given up on: the last comes about 8.5 hours after the first. */
+const MAX_COPY_ATTEMPTS = 10;
+
+/**
+ * Every copy of every replicated file, keyed by each of its CIDs.
+ *
+ * @param {object} opts
+ * @param {string} opts.filePath - the JSON-lines file
+ * @param {object} [opts.fsImpl] - `fs/promises`
+ */
+function createAliasStore({ filePath, fsImpl = fs }) {
+  /** cid -> Map(backend -> cid), one Map shared by every CID of the same file */
+  const groups = new Map();
+  let appending = Promise.resolve();
+
+  function link(primary, replica) {
+    let group = groups.get(primary.cid);
+    if (!group) {
+      group = new Map([[primary.backend, primary.cid]]);
+      groups.set(primary.cid, group);
+    }
+    group.set(replica.backend, replica.cid);
+    groups.set(replica.cid, group);
+  }
+
+  return {
+    /** Read the file, if there is one. A line that does not parse is skipped. */
+    async load() {
+      let text;
+      try {
+        text = await fsImpl.readFile(filePath, "utf-8");
+      } catch (error) {
+        if (error.code === "ENOENT") return 0;
+        throw error;
+      }
+      let count = 0;
+      for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          const { primary, replica } = JSON.parse(line);
+          link(primary, replica);
+          count += 1;
+        } catch {
+          // A torn last line from a crash mid-append; the rest are whole.
+        }
+      }
+      return count;
+    },
+
+    /**
+     * @param {{ backend: string, cid: string }} primary
+     * @param {{ backend: string, cid: string }} replica
+     */
+    add(primary, replica) {
+      link(primary, replica);
+      const line = `${JSON.stringify({ primary, replica })}\n`;
+      // In order, and past a failed append: that one's caller has already been told.
+      appending = appending.catch(() => {}).then(() => fsImpl.appendFile(filePath, line));
+      return appending;
+    },
+
+    /** @returns {Array<{ backend: string, cid: string }>} the file's other copies, if any */
+    aliasesOf(cid) {
+      const group = groups.get(cid);
+      if (!group) return [];
+      return [...group]
+        .filter(([, other]) => other !== cid)
+        .map(([backend, other]) => ({ backend, cid: other }));
+    },
+  };
+}
+
+/**
+ * Copies recorded and not yet done, so that a restart can finish them.
+ *
+ * @param {object} opts
+ * @param {string} opts.filePath - the JSON-lines file
+ * @param {object} [opts.fsImpl] - `fs/promises`
+ */
+function createCopyJournal({ filePath, fsImpl = fs }) {
+  let appending = Promise.resolve();
+  const key = ({ backend, cid }) => `${backend} ${cid}`;
+
+  function append(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    appending = appending.catch(() => {}).then(() => fsImpl.appendFile(filePath, line));
+    return appending;
+  }
+
+  return {
+    /**
+     * The copies not yet done, oldest first. Rewrites the file down to them, so it does not keep
+     * every copy ever made; call it before any copy is added. A line that does not parse is
+     * skipped.
+     *
+     * @returns {Promise<Array<{ backend: string, primary: string, cid: string, tags: Array,
+     *   at: number }>>}
+     */
+    async load() {
+      let text;
+      try {
+        text = await fsImpl.readFile(filePath, "utf-8");
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+      const open = new Map();
+      for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          const { pending, done } = JSON.parse(line);
+          if (pending) open.set(key(pending), pending);
+          if (done) open.delete(key(done));
+        } catch {
+          // A torn last line from a crash mid-append, as in the alias map.
+        }
+      }
+      const copies = [...open.values()];
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fsImpl.writeFile(
+        tmpPath,
+        copies.map((c) => `${JSON.stringify({ pending: c })}\n`).join(""),
+      );
+      await fsImpl.rename(tmpPath, filePath);
+      return copies;
+    },
+
+    /**
+     * @param {{ backend: string, primary: string, cid: string, tags: Array, at: number }} copy
+     *   `cid` is the primary's, `at` when the copy was first started
+     */
+    add(copy) {
+      return append({ pending: copy });
+    },
+
+    /** The copy of `cid` to `backend` needs no more attempts: made, or given up on. */
+    finish(backend, cid) {
+      return append({ done: { backend, cid } });
+    },
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {Record<string, { uploadData: Function, fetchData: Function }>} opts.backends - by name
+ * @param {string} opts.primary - the backend uploads go to first
+ * @param {string[]} [opts.replicas] - the backends each upload is copied to
+ * @param {ReturnType<typeof createAliasStore>} opts.aliases
+ * @param {ReturnType<typeof createCopyJournal>} [opts.journal] - without one, a copy is still
+ *   retried but does not outlive the process
+ * @param {number} [opts.retryDelayMs]
+ * @param {number} [opts.maxAttempts]
+ * @param {() => number} [opts.now]
+ * @param {object} [opts.logger] - anything with `log` and `warn`
+ */
+function createReplicator({
+  backends,
+  primary,
+  replicas = [],
+  aliases,
+  journal = null,
+  retryDelayMs = COPY_RETRY_DELAY_MS,
+  maxAttempts = MAX_COPY_ATTEMPTS,
+  now = Date.now,
+  logger = console,
+}) {
+  /** backend -> average fetch latency in ms, once it has been fetched from */
+  const latency = new Map();
+  /**
+   * backend -> { pending: Map(cid -> startedAt), replicated, retries, failed, lastLagSeconds };
+   * pending counts a copy from its first attempt to its last, waits between attempts included
+   */
+  const stats = new Map(
+    replicas.map((name) => [
+      name,
+      { pending: new Map(), replicated: 0, retries: 0, failed: 0, lastLagSeconds: null },
+    ]),
+  );
+  const inFlight = new Set();
+
+  function observeLatency(backend, ms) {
+    const previous = latency.get(backend);
+    latency.set(backend, previous === undefined ? ms : previous + LATENCY_WEIGHT * (ms - previous));
+  }
+
+  function track(task) {
+    inFlight.add(task);
+    task.finally(() => inFlight.delete(task));
+  }
+
+  /** The copy needs no more attempts: drop it from the report and the journal. */
+  function finish(name, job) {
+    const s = stats.get(name);
+    s.pending.delete(job.cid);
+    metrics.storageReplicationPending.set({ backend: name }, s.pending.size);
+    journal
+      ?.finish(name, job.cid)
+      .catch((error) =>
+        logger.warn(`[Replication] Could not journal ${job.cid}: ${error.message}`),
+      );
+  }
+
+  /**
+   * One attempt at copying `job.cid` to `name`: with the bytes in hand on the first, read back
+   * from the primary on every later one. A failure schedules the next attempt, or gives up.
+   */
+  async function attempt(name, job) {
+    const s = stats.get(name);
+    try {
+      const bytes =
+        job.dataBuffer ?? Buffer.from(await backends[primary].fetchData(job.cid), "utf-8");
+      const cid = await metrics.storageUpload.time({ backend: name }, () =>
+        backends[name].uploadData(bytes, job.tags),
+      );
+      await aliases.add({ backend: primary, cid: job.cid }, { backend: name, cid });
+      s.replicated += 1;
+      s.lastLagSeconds = (now() - job.at) / 1000;
+      metrics.storageReplicationLag.observe({ backend: name }, s.lastLagSeconds);
+      finish(name, job);
+    } catch (error) {
+      job.dataBuffer = null;
+      job.attempts += 1;
+      if (job.attempts >= maxAttempts) {
+        s.failed += 1;
+        logger.warn(
+          `[Replication] Copy of ${job.cid} to ${name} failed ${job.attempts} times; it stays ` +
+            `on ${primary} only: ${error.message}`,
+        );
+        finish(name, job);
+        return;
+      }
+      s.retries += 1;
+      const delay = retryDelayMs * 2 ** (job.attempts - 1);
+      logger.warn(
+        `[Replication] Copy of ${job.cid} to ${name} failed; retrying in ` +
+          `${Math.round(delay / 1000)}s: ${error.message}`,
+      );
+      setTimeout(() => track(attempt(name, job)), delay).unref?.();
+    }
+  }
+
+  function start(name, job) {
+    const s = stats.get(name);
+    s.pending.set(job.cid, job.at);
+    metrics.storageReplicationPending.set({ backend: name }, s.pending.size);
+    track(attempt(name, job));
+  }
+
+  return {
+    /**
+     * Upload to the primary, then start a copy to each replica, once it is in the journal.
+     *
+     * @returns {Promise<string>} the primary's CID, once the primary has the file
+     * @throws whatever the primary's upload threw; no copy is started
+     */
+    async upload(dataBuffer, tags = []) {
+      const cid = await metrics.storageUpload.time({ backend: primary }, () =>
+        backends[primary].uploadData(dataBuffer, tags),
+      );
+      for (const name of replicas) {
+        const job = { cid, tags, at: now(), attempts: 0, dataBuffer };
+        // Journalled before it starts, so a crash mid-copy leaves it for the next start; a
+        // journal that cannot be written costs only that, not the upload.
+        await journal
+          ?.add({ backend: name, primary, cid, tags, at: job.at })
+          .catch((error) =>
+            logger.warn(`[Replication] Could not journal ${cid}: ${error.message}`),
+          );
+        start(name, job);
+      }
+      return cid;
+    },
+
+    /**
+     * Start again the copies an earlier run journalled and did not finish. One that no longer
+     * applies — its backend dropped from STORAGE_REPLICAS, or its file written to a primary
+     * other than today's — is dropped from the journal instead.
+     *
+     * @returns {Promise<number>} how many were started
+     */
+    async resume() {
+      if (!journal) return 0;
+      let started = 0;
+      for (const copy of await journal.load()) {
+        if (!stats.has(copy.backend) || copy.primary !== primary) {
+          logger.warn(
+            `[Replication] Dropping the unfinished copy of ${copy.cid} to ${copy.backend}.`,
+          );
+          journal.finish(copy.backend, copy.cid).catch(() => {});
+          continue;
+        }
+        if (stats.get(copy.backend).pending.has(copy.cid)) continue;
+        start(copy.backend, { ...copy, attempts: 0, dataBuffer: null });
+        started += 1;
+      }
+      return started;
+    },
+
+    /**
+     * Fetch from the fastest copy that answers.
+     *
+     * @param {string} cid
+     * @param {string} backend - the backend `cid` itself belongs to
+     * @returns {Promise<string>}
+     * @throws the error from `cid`'s own backend when every copy fails
+     */
+    async fetch(cid, backend) {
+      const candidates = [{ backend, cid }, ...aliases.aliasesOf(cid)].filter(
+        (c) => backends[c.backend],
+      );
+      // Stable, so backends not yet measured keep their order: the CID's own first.
+      candidates.sort(
+        (a, b) => (latency.get(a.backend) ?? Infinity) - (latency.get(b.backend) ?? Infinity),
+      );
+
+      const errors = new Map();
+      for (const candidate of candidates) {
+        const startedAt = now();
+        try {
+          const data = await metrics.storageFetch.time({ backend: candidate.backend }, () =>
+            backends[candidate.backend].fetchData(candidate.cid),
+          );
+          observeLatency(candidate.backend, now() - startedAt);
+          if (candidate.cid !== cid) {
+            logger.log(`[Replication] ${cid} served by its ${candidate.backend} copy.`);
+          }
+          return data;
+        } catch (error) {
+          observeLatency(candidate.backend, FAILED_FETCH_MS);
+          errors.set(candidate.backend, error);
+        }
+      }
+      throw errors.get(backend) ?? errors.values().next().value;
+    },
+
+    /**
+     * How far each replica trails the primary.
+     *
+     * @returns {Record<string, { pending: number, oldestPendingSeconds: number | null,
+     *   replicated: number, retries: number, failed: number, lastLagSeconds: number | null }>} by
+     *   replica backend; counts are since start, and `failed` counts copies given up on
+     */
+    report() {
+      const at = now();
+      return Object.fromEntries(
+        [...stats].map(([name, s]) => {
+          const oldest = Math.min(...s.pending.values());
+          return [
+            name,
+            {
+              pending: s.pending.size,
+              oldestPendingSeconds: s.pending.size === 0 ? null : (at - oldest) / 1000,
+              replicated: s.replicated,
+              retries: s.retries,
+              failed: s.failed,
+              lastLagSeconds: s.lastLagSeconds,
+            },
+          ];
+        }),
+      );
+    },
+
+    /**
+     * Resolves once every copy attempt started so far has finished or failed. Retries scheduled
+     * since are not waited for.
+     */
+    async settled() {
+      await Promise.all([...inFlight]);
+    },
+  };
+}
+
+module.exports = {
+  createAliasStore,
+  createCopyJournal,
+  createReplicator,
+  COPY_RETRY_DELAY_MS,
+  MAX_COPY_ATTEMPTS,
+};
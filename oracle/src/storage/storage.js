@@ -2,6 +2,11 @@ const arweave = require("./arweave");
 const autonomys = require("./autonomys");
 const ipfs = require("./ipfs");
 const crypto = require("crypto");
+const path = require("path");
+const { StorageError } = require("../oracleErrors");
+const { metrics } = require("../oracleMetrics");
+const { createAliasStore, createCopyJournal, createReplicator } = require("./replication");
+const { createBlobCache, blobCacheConfig } = require("./blobCache");
 
 // Mock storage in-memory cache (for USE_MOCK_STORAGE mode)
 const mockStorageCache = new Map();
@@ -27,6 +32,44 @@ const USE_LOCAL_IPFS = !!LOCAL_IPFS_API_URL;
 // Both mock and local-IPFS modes resolve tags via the in-memory index.
 const USE_IN_MEMORY_TAG_INDEX = USE_MOCK_STORAGE || USE_LOCAL_IPFS;
 
+// Remote backends by the names STORAGE_PROVIDER and STORAGE_REPLICAS use.
+const BACKENDS = { autonomys, irys: arweave };
+const PRIMARY_BACKEND = process.env.STORAGE_PROVIDER === "irys" ? "irys" : "autonomys";
+
+/**
+ * The backends each upload is also copied to, from STORAGE_REPLICAS ("irys", "autonomys",
+ * comma-separated). The primary and unknown names are dropped; startupConfig reports them.
+ *
+ * @param {Record<string, string | undefined>} [env] defaults to `process.env`
+ * @returns {string[]}
+ */
+function storageReplicas(env = process.env) {
+  const names = (env.STORAGE_REPLICAS ?? "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => BACKENDS[name] && name !== PRIMARY_BACKEND);
+  return [...new Set(names)];
+}
+
+// Replication (see replication.js). With no STORAGE_REPLICAS it uploads to the primary alone and
+// fetches from the CID's own backend, exactly as before; the alias map is still read, so files
+// replicated by an earlier run can be fetched from their copies.
+const ALIAS_FILE_PATH = path.resolve(__dirname, "../../cid-aliases.jsonl");
+const COPY_JOURNAL_FILE_PATH = path.resolve(__dirname, "../../replica-copies.jsonl");
+const aliasStore = createAliasStore({ filePath: ALIAS_FILE_PATH });
+const replicator = createReplicator({
+  backends: BACKENDS,
+  primary: PRIMARY_BACKEND,
+  replicas: storageReplicas(),
+  aliases: aliasStore,
+  journal: createCopyJournal({ filePath: COPY_JOURNAL_FILE_PATH }),
+});
+
+// The on-disk tier of the history cache (see blobCache.js), for the remote backends: every file
+// uploaded or fetched is kept, so a restart reads conversation chains back from the disk rather
+// than from storage. Mock and local-IPFS runs start from nothing each time and skip it.
+const blobCache = createBlobCache(blobCacheConfig());
+
 // --- Provider Selection Logic ---
 
 /**
@@ -56,7 +99,7 @@ function getProviderFromCID(cid) {
     return arweave;
   }
 
-  throw new Error(`Unsupported CID format: ${cid}`);
+  throw new StorageError("storage", `Unsupported CID format: ${cid}`);
 }
 
 // --- Public API ---
@@ -79,7 +122,8 @@ async function initializeStorage() {
     return;
   }
 
-  if (process.env.STORAGE_PROVIDER === "irys") {
+  const replicas = storageReplicas();
+  if (process.env.STORAGE_PROVIDER === "irys" && !replicas.includes("autonomys")) {
     await arweave.initializeIrys();
     console.log("Storage providers initialized (Irys only — STORAGE_PROVIDER=irys).");
   } else {
@@ -87,10 +131,23 @@ async function initializeStorage() {
     await Promise.all([arweave.initializeIrys(), autonomys.initializeAutoDrive()]);
     console.log("Storage providers initialized (Arweave + Autonomys).");
   }
+
+  const aliases = await aliasStore.load();
+  // Copies an earlier run left unfinished; the backends they read and write are up by now.
+  const resumed = await replicator.resume();
+  if (replicas.length > 0 || aliases > 0) {
+    console.log(
+      `[Replication] Copying uploads from ${PRIMARY_BACKEND} to ${replicas.join(", ") || "none"}; ` +
+        `${aliases} copies known, ${resumed} unfinished copies resumed.`,
+    );
+  }
+
+  await blobCache.init();
 }
 
 /**
- * Uploads data using the primary (current) storage provider.
+ * Uploads data using the primary (current) storage provider, and starts a copy to each of
+ * STORAGE_REPLICAS in the background.
  * In MOCK mode, stores data in-memory and returns a deterministic CID.
  * @param {Buffer} dataBuffer The data to upload.
  * @param {Array} tags Optional metadata tags.
@@ -112,21 +169,26 @@ async function uploadData(dataBuffer, tags = []) {
   if (USE_LOCAL_IPFS) {
     // Real CID from the local node; record tags in the in-memory index so
     // queryTransactionByTags resolves within the run (IPFS has no tag query).
-    const cid = await ipfs.uploadData(dataBuffer, tags);
+    const cid = await metrics.storageUpload.time({ backend: "ipfs" }, () =>
+      ipfs.uploadData(dataBuffer, tags),
+    );
     if (Array.isArray(tags) && tags.length > 0) {
       mockTagIndex.push({ cid, tags });
     }
     return cid;
   }
 
-  if (process.env.STORAGE_PROVIDER === "irys") {
-    return arweave.uploadData(dataBuffer, tags);
-  }
-  return autonomys.uploadData(dataBuffer, tags);
+  // Timed per backend, in the replicator. Mock storage is not timed: its microseconds would only
+  // flatter the figures.
+  const cid = await replicator.upload(dataBuffer, tags);
+  // As fetchData would return it. A local write, and it never rejects.
+  await blobCache.set(cid, dataBuffer.toString("utf-8"));
+  return cid;
 }
 
 /**
- * Fetches data from the correct storage provider based on its CID.
+ * Fetches data from the on-disk cache, or else from the correct storage provider based on its
+ * CID, or from the fastest of its replicated copies.
  * In MOCK mode, retrieves data from in-memory cache.
  * @param {string} cid The Content ID of the data to fetch.
  * @returns {Promise<string>} The raw data as a String (for consistency).
@@ -147,11 +209,16 @@ async function fetchData(cid) {
     // Localnet routes EVERY CID to the local node (getProviderFromCID is bypassed):
     // all CIDs this run were produced by ipfs.uploadData. A stale `mock_…` CID from
     // a prior USE_MOCK_STORAGE run would 404 here, but each e2e run starts fresh.
-    return ipfs.fetchData(cid);
+    return metrics.storageFetch.time({ backend: "ipfs" }, () => ipfs.fetchData(cid));
   }
 
   const provider = getProviderFromCID(cid);
-  return provider.fetchData(cid);
+  const cached = await blobCache.get(cid);
+  if (cached !== null) return cached;
+
+  const data = await replicator.fetch(cid, provider === arweave ? "irys" : "autonomys");
+  await blobCache.set(cid, data);
+  return data;
 }
 
 /**
@@ -206,8 +273,75 @@ async function queryTransactionByTags(tags) {
   return null;
 }
 
+const BYTES_PER_MB = 1024 * 1024;
+const creditsMB = (bytes) => `${(bytes / BYTES_PER_MB).toFixed(2)} MB`;
+
+/**
+ * What the balance watcher samples for the storage that bills the oracle: the account uploadData
+ * pays from, and Autonomys' download credits, which fetchData spends. Irys is sampled only when
+ * it takes the uploads — as the read-only legacy store it is never charged. None in mock or
+ * local-IPFS mode.
+ *
+ * @returns {Array<import("../balanceWatcher").Gauge>}
+ */
+function fundingGauges() {
+  if (USE_MOCK_STORAGE || USE_LOCAL_IPFS) return [];
+
+  if (process.env.STORAGE_PROVIDER === "irys") {
+    return [
+      {
+        key: "irysBalance",
+        label: "Irys balance",
+        read: async () => (await arweave.getIrysBalance())?.balance ?? null,
+        threshold: arweave.irysBalanceThreshold(),
+        format: (balance) => balance.toFixed(4),
+        // Funds the wallet, and says so, itself.
+        onLow: () => arweave.topUpIrysBalanceIfNeeded(),
+      },
+    ];
+  }
+
+  const thresholds = autonomys.creditThresholds();
+  const topUp = "Please top up the account at https://ai3.storage/";
+  return [
+    {
+      key: "autoDriveUploadCredits",
+      label: "Autonomys upload credits",
+      read: async () => (await autonomys.fetchAccountInfo()).pendingUploadCredits,
+      threshold: thresholds.upload,
+      format: creditsMB,
+      hint: topUp,
+    },
+    {
+      key: "autoDriveDownloadCredits",
+      label: "Autonomys download credits",
+      read: async () => (await autonomys.fetchAccountInfo()).pendingDownloadCredits,
+      threshold: thresholds.download,
+      format: creditsMB,
+      hint: topUp,
+    },
+  ];
+}
+
+/**
+ * How far each STORAGE_REPLICAS backend trails the primary (see replication.js); empty without
+ * replication.
+ */
+function replicationReport() {
+  return replicator.report();
+}
+
+/** The on-disk cache's size, hit counts and warmup figures; null when it is off or unused. */
+function blobCacheStats() {
+  if (USE_MOCK_STORAGE || USE_LOCAL_IPFS) return null;
+  return blobCache.stats();
+}
+
 module.exports = {
   initializeStorage,
+  fundingGauges,
+  replicationReport,
+  blobCacheStats,
   uploadData,
   fetchData,
   queryTransactionByTags,
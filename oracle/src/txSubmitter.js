@@ -0,0 +1,195 @@
+/**
+ * How the oracle's contract writes are sent: `submitAnswer`, `submitBranch`,
+ * `submitConversationMetadata`, the escrow's `initiateAgentJob`, and `setOracle`.
+ *
+ * Two backends, chosen per chain (TX_SUBMITTER, or an ORACLE_CHAINS entry's `txSubmitter`):
+ *
+ *   ethers  the in-process wallet built from PRIVATE_KEY. The default, and the only choice off
+ *           Sapphire.
+ *   appd    ROFL appd's `/rofl/v1/tx/sign-submit`: the transaction is signed inside the TEE by
+ *           the app's own key, which never leaves it. appd submits to the Sapphire ParaTime it
+ *           runs on, so this backend exists only for Sapphire chains.
+ *
+ * With appd the transaction arrives from the app key's address, not PRIVATE_KEY's, so that is
+ * the address the contract must know as its oracle. appd has no endpoint that reports it; it is
+ * configured as ROFL_TX_SENDER_ADDRESS (the `from` of any transaction the app has already sent)
+ * and setOracleAddress registers it. PRIVATE_KEY stays in use either way — it is still the key
+ * that decrypts the session keys and signs the confidential view calls.
+ *
+ * Both backends resolve once the transaction is included, so the handlers' "submitted means
+ * mined" contract holds whichever one is in use. Neither makes its callers take turns for the
+ * whole of that wait: the wallet hands out nonces itself (nonceManager.js) and has any number of
+ * transactions in flight; appd keeps the nonces of the app key, so calls to it are made one at a
+ * time, but that lock is appd's own and holds up no other chain.
+ */
+
+const { Mutex } = require("async-mutex");
+const { submitTx, APPD_SOCKET_PATH } = require("./roflUtility");
+const { createNonceManager } = require("./nonceManager");
+const { metrics } = require("./oracleMetrics");
+
+const TX_SUBMITTERS = ["ethers", "appd"];
+
+/**
+ * appd needs a gas limit and the oracle cannot estimate one for it: Sapphire runs an unsigned
+ * estimate with a zero `from`, so every onlyOracle method would estimate as a revert. A fixed,
+ * generous limit, the same one setOracle has always been sent with.
+ */
+const APPD_GAS_LIMIT = 2000000;
+
+/**
+ * @typedef {object} TxSubmitter
+ * @property {"ethers" | "appd"} kind
+ * @property {string} address - the address the transactions are sent from: the one the contract
+ *   must have as its oracle
+ * @property {(contract: import("ethers").Contract, method: string, args: any[]) =>
+ *   Promise<{ hash: string }>} submit - send `contract.method(...args)` and wait for inclusion
+ */
+
+/**
+ * Sends through the contract's own signer, one call and one `wait()`, leaving nonces and fees to
+ * ethers. A dry-run contract (deadLetter.createDryRunContract) intercepts the call here, which is
+ * why the dry run always uses this rather than the wallet's nonce-managed submitter.
+ *
+ * @param {import("ethers").Signer} signer
+ * @returns {TxSubmitter}
+ */
+function createEthersSubmitter(signer) {
+  return {
+    kind: "ethers",
+    get address() {
+      return signer.address;
+    },
+    async submit(contract, method, args) {
+      const tx = await contract[method](...args);
+      const receipt = await tx.wait();
+      return { hash: receipt.hash };
+    },
+  };
+}
+
+/**
+ * Sends from the wallet with nonces and fees managed here, so writes overlap in the mempool
+ * (see nonceManager.js). The signer is the one the contract was built with — on Sapphire, the
+ * wrapped one, which encrypts each version of a transaction as it is sent.
+ *
+ * @param {import("ethers").Signer} signer
+ * @param {object} [opts] - passed to createNonceManager
+ * @returns {TxSubmitter}
+ */
+function createWalletSubmitter(signer, opts = {}) {
+  const nonces = createNonceManager({ signer, ...opts });
+  return {
+    kind: "ethers",
+    get address() {
+      return signer.address;
+    },
+    async submit(contract, method, args) {
+      const receipt = await nonces.send(contract, method, args);
+      return { hash: receipt.hash };
+    },
+  };
+}
+
+/**
+ * Sends through ROFL appd. Calldata is encrypted to the ParaTime (`encrypt`), as the Sapphire
+ * wrapper encrypts the ethers backend's — answers' CIDs are no more public one way than the other.
+ *
+ * @param {object} opts
+ * @param {string} opts.senderAddress - the app key's address (ROFL_TX_SENDER_ADDRESS)
+ * @param {string} [opts.socketPath]
+ * @param {number} [opts.gasLimit]
+ * @returns {TxSubmitter}
+ */
+function createAppdSubmitter({ senderAddress, socketPath = APPD_SOCKET_PATH, gasLimit }) {
+  if (!senderAddress) {
+    throw new Error("ROFL_TX_SENDER_ADDRESS is required to submit through appd.");
+  }
+  // appd picks the app key's nonce when it signs; two requests in flight at once can be given
+  // the same one.
+  const lock = new Mutex();
+  return {
+    kind: "appd",
+    address: senderAddress,
+    async submit(contract, method, args) {
+      const data = contract.interface.encodeFunctionData(method, args);
+      const to =
+        typeof contract.target === "string" ? contract.target : await contract.getAddress();
+      const hash = await lock.runExclusive(() =>
+        submitTx({ to, gas: gasLimit ?? APPD_GAS_LIMIT, value: 0, data }, socketPath, {
+          encrypt: true,
+        }),
+      );
+      return { hash };
+    },
+  };
+}
+
+/**
+ * The same submitter, with each write's time to inclusion recorded in
+ * oracle_tx_confirmation_seconds — by method, since a batched multicall and a lone setOracle are
+ * not the same wait.
+ *
+ * @param {TxSubmitter} submitter
+ * @param {string} chain - the chain's id, for the metric's label
+ * @returns {TxSubmitter}
+ */
+function withConfirmationTiming(submitter, chain) {
+  return {
+    kind: submitter.kind,
+    get address() {
+      return submitter.address;
+    },
+    submit(contract, method, args) {
+      return metrics.txConfirmation.time({ chain, kind: submitter.kind, method }, () =>
+        submitter.submit(contract, method, args),
+      );
+    },
+  };
+}
+
+/**
+ * The submitter a chain is configured for.
+ *
+ * @param {object} opts
+ * @param {string} [opts.kind] - "ethers" (default) or "appd"
+ * @param {boolean} opts.isSapphire
+ * @param {import("ethers").Signer} opts.signer - the PRIVATE_KEY wallet
+ * @param {import("ethers").Provider} [opts.provider] - the chain's; defaults to the signer's
+ * @param {string} [opts.senderAddress] - required for appd
+ * @param {string} [opts.socketPath]
+ * @param {string} [opts.chain] - the chain's id, to label its confirmation times
+ * @returns {TxSubmitter}
+ * @throws {Error} for an unknown kind, or appd on a chain appd cannot submit to
+ */
+function createTxSubmitter({
+  kind = "ethers",
+  isSapphire,
+  signer,
+  provider,
+  senderAddress,
+  socketPath,
+  chain = "default",
+}) {
+  if (kind === "ethers") {
+    return withConfirmationTiming(createWalletSubmitter(signer, { provider }), chain);
+  }
+  if (kind !== "appd") {
+    throw new Error(
+      `Unknown transaction submitter "${kind}" (expected ${TX_SUBMITTERS.join(" or ")}).`,
+    );
+  }
+  if (!isSapphire) {
+    throw new Error("The appd transaction submitter only works on Sapphire networks.");
+  }
+  return withConfirmationTiming(createAppdSubmitter({ senderAddress, socketPath }), chain);
+}
+
+module.exports = {
+  createTxSubmitter,
+  createEthersSubmitter,
+  createWalletSubmitter,
+  createAppdSubmitter,
+  TX_SUBMITTERS,
+  APPD_GAS_LIMIT,
+};
@@ -0,0 +1,454 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const fsSync = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  createAgentScheduler,
+  createFileTriggerStore,
+  compileSchedule,
+  nextCronTime,
+  parseCron,
+  MAX_CONSECUTIVE_FAILURES,
+  PAUSE_RETRY_MS,
+  MAX_PAUSE_RETRY_MS,
+} = require("../src/agentScheduler");
+
+// Recurring agent-job triggers.
+//
+// Every fire charges the user a prompt fee through the escrow, so the properties that matter are
+// all about NOT firing: never twice for one slot, never once per missed slot after downtime, and
+// not forever against a revert. Everything here runs under sinon's fake clock — `now` defaults
+// to Date.now, which the fake clock controls, exactly as the timer does.
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 0, 5, 12, 0, 0); // a Monday, noon UTC
+
+function memoryStore(initial = []) {
+  let saved = JSON.parse(JSON.stringify(initial));
+
+  return {
+    saves: 0,
+    async load() {
+      return JSON.parse(JSON.stringify(saved));
+    },
+    async save(triggers) {
+      this.saves += 1;
+      saved = JSON.parse(JSON.stringify(triggers));
+    },
+    snapshot() {
+      return saved;
+    },
+  };
+}
+
+const quiet = { log() {}, warn() {} };
+
+const JOB = {
+  triggerId: 7,
+  user: "0xUser",
+  jobId: 3,
+  schedule: { intervalMs: HOUR },
+  sealed: { key: "abcd", job: "iv.ciphertext" },
+  parent: { messageId: "7", messageCID: "cid_answer_7" },
+};
+
+describe("agentScheduler", () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: T0 });
+  });
+  afterEach(() => {
+    clock.restore();
+    sinon.restore();
+  });
+
+  describe("schedules", () => {
+    it("rejects an interval below the one-minute floor", () => {
+      // Seconds-for-milliseconds is the likely mistake, and it bills every fire.
+      expect(() => compileSchedule({ intervalMs: 60 })).to.throw(/minimum/);
+    });
+
+    it("rejects malformed and unsatisfiable cron expressions", () => {
+      expect(() => compileSchedule({ cron: "* * *" })).to.throw(/5 fields/);
+      expect(() => compileSchedule({ cron: "61 * * * *" })).to.throw(/minute/);
+      expect(() => compileSchedule({ cron: "0 0 31 2 *" })).to.throw(/never matches/);
+      expect(() => compileSchedule({})).to.throw(/intervalMs/);
+    });
+
+    it("finds the next matching minute in UTC", () => {
+      const weekdays9am = parseCron("0 9 * * 1-5");
+      // Monday noon → Tuesday 09:00.
+      expect(nextCronTime(weekdays9am, T0)).to.equal(Date.UTC(2026, 0, 6, 9, 0));
+      // Friday after 09:00 → skips the weekend to Monday.
+      expect(nextCronTime(weekdays9am, Date.UTC(2026, 0, 9, 10, 0))).to.equal(
+        Date.UTC(2026, 0, 12, 9, 0),
+      );
+    });
+
+    it("is strictly after the given instant, even on an exact match", () => {
+      const everyQuarter = parseCron("*/15 * * * *");
+      expect(nextCronTime(everyQuarter, T0)).to.equal(T0 + 15 * 60 * 1000);
+    });
+
+    it("fires on EITHER day field when both are restricted, as classic cron does", () => {
+      // The 1st of the month OR a Sunday. 2026-01-05 is a Monday; the next Sunday is the 11th.
+      const cron = parseCron("0 0 1 * 0");
+      expect(nextCronTime(cron, T0)).to.equal(Date.UTC(2026, 0, 11, 0, 0));
+    });
+  });
+
+  describe("register", () => {
+    it("persists the trigger under its job, with its first run's trigger id", async () => {
+      const store = memoryStore();
+      const scheduler = createAgentScheduler({ store, fire: sinon.stub(), logger: quiet });
+
+      await scheduler.register(JOB);
+
+      const [saved] = store.snapshot();
+      expect(saved).to.include({ triggerId: "7", jobId: "3", lastRunId: "7" });
+      expect(saved.sealed).to.deep.equal(JOB.sealed);
+      expect(saved.nextFireAt).to.equal(T0 + HOUR);
+    });
+
+    it("keeps one trigger per job, however many runs ask to be scheduled", async () => {
+      // Each fire re-submits the schedule, so every run it produces arrives back here under a
+      // NEW trigger id. Registering each would double the rate per fire.
+      const store = memoryStore();
+      const scheduler = createAgentScheduler({ store, fire: sinon.stub(), logger: quiet });
+
+      await scheduler.register(JOB);
+      await scheduler.register({ ...JOB, triggerId: 8 });
+
+      expect(store.snapshot()).to.have.length(1);
+      expect(store.snapshot()[0].triggerId).to.equal("7");
+    });
+
+    it("finds a job's trigger from any of its runs, and removes it by job", async () => {
+      // Two trigger ids, one job: the definition is the job's, whichever run is named.
+      const store = memoryStore();
+      const scheduler = createAgentScheduler({ store, fire: sinon.stub(), logger: quiet });
+
+      const first = await scheduler.register(JOB);
+      const second = await scheduler.register({
+        ...JOB,
+        triggerId: 8,
+        parent: { messageId: "8", messageCID: "cid_answer_8" },
+      });
+      await scheduler.register({ ...JOB, triggerId: 9, jobId: 4 });
+
+      expect(second).to.equal(first);
+      expect(store.snapshot().map((t) => [t.jobId, t.triggerId])).to.deep.equal([
+        ["3", "7"],
+        ["4", "9"],
+      ]);
+      expect(store.snapshot()[0].parent.messageId).to.equal("8");
+      expect(await scheduler.remove(3n)).to.be.true;
+      expect(store.snapshot().map((t) => t.jobId)).to.deep.equal(["4"]);
+    });
+
+    it("moves the parent to each later run's answer, never back", async () => {
+      const store = memoryStore();
+      const scheduler = createAgentScheduler({ store, fire: sinon.stub(), logger: quiet });
+      const run = (id) => ({
+        ...JOB,
+        triggerId: id,
+        parent: { messageId: String(id), messageCID: `cid_${id}` },
+      });
+
+      await scheduler.register(JOB);
+      await scheduler.register(run(12));
+      await scheduler.register(run(10));
+
+      expect(store.snapshot()[0].parent).to.deep.equal({ messageId: "12", messageCID: "cid_12" });
+    });
+
+    it("refuses an invalid schedule without touching the store", async () => {
+      const store = memoryStore();
+      const scheduler = createAgentScheduler({ store, fire: sinon.stub(), logger: quiet });
+
+      expect(() => scheduler.register({ ...JOB, schedule: { intervalMs: 5 } })).to.throw();
+      expect(store.saves).to.equal(0);
+    });
+  });
+
+  describe("firing", () => {
+    it("fires when due and again one interval later", async () => {
+      const fire = sinon.stub().resolves();
+      const scheduler = createAgentScheduler({
+        store: memoryStore(),
+        fire,
+        pollMs: 60 * 1000,
+        logger: quiet,
+      });
+      await scheduler.register(JOB);
+      await scheduler.start();
+
+      await clock.tickAsync(HOUR - 60 * 1000);
+      expect(fire.callCount).to.equal(0);
+
+      await clock.tickAsync(60 * 1000);
+      expect(fire.callCount).to.equal(1);
+      expect(fire.firstCall.args[0]).to.include({ triggerId: "7", jobId: "3" });
+
+      await clock.tickAsync(HOUR);
+      expect(fire.callCount).to.equal(2);
+      scheduler.stop();
+    });
+
+    it("persists the next fire time BEFORE firing, so a crash mid-fire cannot double-bill", async () => {
+      const store = memoryStore();
+      let nextFireAtWhileFiring;
+      const fire = sinon.stub().callsFake(async () => {
+        nextFireAtWhileFiring = store.snapshot()[0].nextFireAt;
+      });
+      const scheduler = createAgentScheduler({ store, fire, logger: quiet });
+      await scheduler.register(JOB);
+
+      clock.tick(HOUR);
+      await scheduler.tick();
+
+      expect(nextFireAtWhileFiring).to.equal(T0 + 2 * HOUR);
+    });
+
+    it("pauses a trigger after repeated failures, says so, and backs off", async () => {
+      const store = memoryStore();
+      const fire = sinon.stub().rejects(new Error("execution reverted: insufficient allowance"));
+      const sendAlert = sinon.stub().resolves();
+      const scheduler = createAgentScheduler({
+        store,
+        fire,
+        sendAlert,
+        label: "base-sepolia",
+        logger: quiet,
+      });
+      await scheduler.register(JOB);
+
+      for (let i = 0; i < MAX_CONSECUTIVE_FAILURES; i += 1) {
+        clock.tick(HOUR);
+        await scheduler.tick();
+      }
+
+      expect(store.snapshot()[0].paused).to.be.true;
+      expect(sendAlert.calledOnce).to.be.true;
+      const [title, message, options] = sendAlert.firstCall.args;
+      expect(title).to.equal("Agent Job Trigger Paused");
+      expect(message).to.include("job 3").and.to.include("insufficient allowance");
+      expect(options).to.deep.equal({
+        severity: "warning",
+        fingerprint: "Agent Job Trigger Paused:base-sepolia:7",
+        lasting: true,
+      });
+
+      // Not on its hourly slot any more: after PAUSE_RETRY_MS, then twice that.
+      const waits = [];
+      let last = Date.now();
+      while (waits.length < 3) {
+        clock.tick(60 * 1000);
+        if ((await scheduler.tick()) > 0) {
+          waits.push(Date.now() - last);
+          last = Date.now();
+        }
+      }
+      expect(waits).to.deep.equal([PAUSE_RETRY_MS, 2 * PAUSE_RETRY_MS, 4 * PAUSE_RETRY_MS]);
+      expect(sendAlert.calledOnce).to.be.true;
+    });
+
+    it("never waits longer than MAX_PAUSE_RETRY_MS between tries", async () => {
+      const store = memoryStore([
+        {
+          ...JOB,
+          triggerId: "7",
+          jobId: "3",
+          lastRunId: "7",
+          nextFireAt: T0,
+          consecutiveFailures: MAX_CONSECUTIVE_FAILURES + 20,
+          paused: true,
+        },
+      ]);
+      const fire = sinon.stub().rejects(new Error("nonce too low"));
+      const scheduler = createAgentScheduler({ store, fire, logger: quiet });
+
+      await scheduler.tick();
+
+      expect(store.snapshot()[0].nextFireAt).to.equal(T0 + MAX_PAUSE_RETRY_MS);
+    });
+
+    it("unpauses a trigger that runs again, and resolves its alert", async () => {
+      // As a trigger paused before retries existed was left on disk: due, and flagged.
+      const store = memoryStore([
+        {
+          ...JOB,
+          triggerId: "7",
+          jobId: "3",
+          lastRunId: "7",
+          nextFireAt: T0,
+          consecutiveFailures: MAX_CONSECUTIVE_FAILURES,
+          paused: true,
+        },
+      ]);
+      const fire = sinon.stub().resolves({ runId: "8" });
+      const resolveAlert = sinon.stub().resolves();
+      const scheduler = createAgentScheduler({
+        store,
+        fire,
+        resolveAlert,
+        label: "base-sepolia",
+        logger: quiet,
+      });
+
+      await scheduler.tick();
+
+      expect(fire.calledOnce).to.be.true;
+      expect(store.snapshot()[0]).to.include({
+        paused: false,
+        consecutiveFailures: 0,
+        lastRunId: "8",
+        nextFireAt: T0 + HOUR,
+      });
+      expect(resolveAlert.calledOnceWith("Agent Job Trigger Paused:base-sepolia:7")).to.be.true;
+    });
+
+    it("remembers each run's trigger id for the next fire", async () => {
+      const store = memoryStore();
+      const fire = sinon.stub().resolves({ runId: "8" });
+      const scheduler = createAgentScheduler({ store, fire, logger: quiet });
+      await scheduler.register(JOB);
+
+      clock.tick(HOUR);
+      await scheduler.tick();
+
+      expect(store.snapshot()[0].lastRunId).to.equal("8");
+    });
+
+    it("removes a trigger the escrow will not take another run for", async () => {
+      // A refused fee or a refunded run will not change on retry: no second attempt, no pause.
+      const store = memoryStore();
+      const fire = sinon
+        .stub()
+        .resolves({ stop: "the escrow refused the run (SpendingLimitExpired)" });
+      const scheduler = createAgentScheduler({ store, fire, logger: quiet });
+      await scheduler.register(JOB);
+
+      clock.tick(HOUR);
+      await scheduler.tick();
+      clock.tick(HOUR);
+      await scheduler.tick();
+
+      expect(fire.callCount).to.equal(1);
+      expect(store.snapshot()).to.deep.equal([]);
+    });
+
+    it("keeps ticking after the store throws", async () => {
+      const store = memoryStore();
+      const fire = sinon.stub().resolves();
+      const scheduler = createAgentScheduler({ store, fire, pollMs: 1000, logger: quiet });
+      await scheduler.register(JOB);
+      const save = sinon.stub(store, "save");
+      save.onFirstCall().rejects(new Error("EIO"));
+      save.callThrough();
+
+      clock.tick(HOUR);
+      await scheduler.start();
+      expect(fire.callCount).to.equal(0);
+
+      await clock.tickAsync(1000);
+      expect(fire.callCount).to.equal(1);
+      scheduler.stop();
+    });
+  });
+
+  describe("remove", () => {
+    it("drops a job's trigger, so it never fires again", async () => {
+      const store = memoryStore();
+      const fire = sinon.stub().resolves();
+      const scheduler = createAgentScheduler({ store, fire, logger: quiet });
+      await scheduler.register(JOB);
+
+      expect(await scheduler.remove(3n)).to.be.true;
+      expect(await scheduler.remove(3n)).to.be.false;
+      clock.tick(HOUR);
+      await scheduler.tick();
+
+      expect(fire.called).to.be.false;
+      expect(store.snapshot()).to.deep.equal([]);
+    });
+  });
+
+  describe("restart", () => {
+    it("catches up a missed slot ONCE on boot, then resumes the cadence from now", async () => {
+      const store = memoryStore();
+      const before = createAgentScheduler({ store, fire: sinon.stub(), logger: quiet });
+      await before.register(JOB);
+
+      // The TEE is down for a day: 24 hourly slots missed.
+      clock.tick(24 * HOUR + 5 * 60 * 1000);
+      const bootedAt = Date.now();
+
+      const fire = sinon.stub().resolves();
+      const after = createAgentScheduler({ store, fire, pollMs: 60 * 1000, logger: quiet });
+      await after.start();
+
+      expect(fire.callCount).to.equal(1);
+      expect(store.snapshot()[0].nextFireAt).to.equal(bootedAt + HOUR);
+
+      await clock.tickAsync(HOUR - 60 * 1000);
+      expect(fire.callCount).to.equal(1);
+      after.stop();
+    });
+
+    it("does not fire on boot when nothing was missed", async () => {
+      const store = memoryStore();
+      await createAgentScheduler({ store, fire: sinon.stub(), logger: quiet }).register(JOB);
+
+      const fire = sinon.stub().resolves();
+      const after = createAgentScheduler({ store, fire, logger: quiet });
+      await after.start();
+
+      expect(fire.called).to.be.false;
+      after.stop();
+    });
+  });
+});
+
+describe("createFileTriggerStore", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fsSync.mkdtempSync(path.join(os.tmpdir(), "agent-triggers-"));
+  });
+  afterEach(() => {
+    fsSync.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("reads an absent file as no triggers", async () => {
+    const store = createFileTriggerStore(path.join(dir, "agent-triggers.json"));
+    expect(await store.load()).to.deep.equal([]);
+  });
+
+  it("round-trips triggers and leaves no temp file behind", async () => {
+    const file = path.join(dir, "agent-triggers.json");
+    const store = createFileTriggerStore(file);
+
+    await store.save([{ triggerId: "7" }]);
+
+    expect(await store.load()).to.deep.equal([{ triggerId: "7" }]);
+    expect(fsSync.readdirSync(dir)).to.deep.equal(["agent-triggers.json"]);
+  });
+
+  it("refuses to read a corrupt file as empty", async () => {
+    // Treating it as [] would let the next save overwrite every trigger on disk.
+    const file = path.join(dir, "agent-triggers.json");
+    fsSync.writeFileSync(file, "{not json");
+
+    let error;
+    try {
+      await createFileTriggerStore(file).load();
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.instanceOf(SyntaxError);
+  });
+});
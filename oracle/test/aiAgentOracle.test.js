@@ -4,6 +4,14 @@ const { expect } = chai;
 const proxyquire = require("proxyquire").noCallThru();
 const crypto = require("crypto");
 const { ethers } = require("ethers");
+const {
+  createTempJobStore,
+  jobStoreStub,
+  removeTempJobStores,
+} = require("./helpers/jobStoreTestEnv");
+const { TransientStorageError, ContractRevertError } = require("../src/oracleErrors");
+const { DRY_RUN_CID } = require("../src/deadLetter");
+const { loadMessageFixtures, headFixture } = require("./helpers/messageFixtures");
 
 describe("aiAgentOracle", function () {
   let aiAgentOracle;
@@ -79,6 +87,8 @@ describe("aiAgentOracle", function () {
           RegenerationRequested: sinon.stub(),
           BranchRequested: sinon.stub(),
           MetadataUpdateRequested: sinon.stub(),
+          AgentJobSubmitted: sinon.stub(),
+          PromptCancelled: sinon.stub(),
         },
         // The interface is needed for retryFailedJobs to parse logs from receipts.
         interface: {
@@ -101,6 +111,9 @@ describe("aiAgentOracle", function () {
         }),
         fetchData: sinon.stub().resolves(createEncryptedString({}, FAKE_SESSION_KEY)),
         queryTransactionByTags: sinon.stub().resolves(null),
+        fundingGauges: sinon.stub().returns([]),
+        replicationReport: sinon.stub().returns({}),
+        blobCacheStats: sinon.stub().returns(null),
       },
       "./contractUtility": {
         initializeOracle: sinon.stub().returns(mockedOracleComponents),
@@ -110,6 +123,7 @@ describe("aiAgentOracle", function () {
       },
       "./alerting": {
         sendAlert: sinon.stub().resolves(),
+        resolveAlert: sinon.stub().resolves(),
       },
       "node-fetch": sinon.stub().resolves({
         ok: true,
@@ -153,9 +167,21 @@ describe("aiAgentOracle", function () {
         createConversationFile: sinon.stub().callsFake((data) => data),
         createConversationMetadataFile: sinon.stub().callsFake((data) => data),
         createMessageFile: sinon.stub().callsFake((data) => data),
+        createSummaryFile: sinon.stub().callsFake((data) => data),
         createSearchIndexDeltaFile: sinon.stub().callsFake((data) => data),
         generateKeywords: sinon.stub().returns([]),
       },
+      // The real scheduler persists next to oracle-state.json; keep tests off the disk.
+      "./agentScheduler": {
+        createAgentScheduler: sinon.stub().returns({
+          register: sinon.stub().resolves(),
+          remove: sinon.stub().resolves(true),
+          start: sinon.stub().resolves(),
+          stop: sinon.stub(),
+        }),
+        createFileTriggerStore: sinon.stub().returns({}),
+      },
+      "./jobStore": jobStoreStub(createTempJobStore()),
     };
 
     // Use proxyquire to load the module with our mocks.
@@ -176,6 +202,7 @@ describe("aiAgentOracle", function () {
 
   afterEach(() => {
     sinon.restore();
+    removeTempJobStores();
     // Clean up environment variables to ensure test isolation
     delete process.env.AI_PROVIDER;
     delete process.env.PRIVATE_KEY;
@@ -231,6 +258,418 @@ describe("aiAgentOracle", function () {
       expect(queryFilterStub.firstCall.args[1]).to.equal(8501);
       expect(queryFilterStub.firstCall.args[2]).to.equal(10000);
     });
+
+    it("never moves the cursor back when the confirmation depth was raised between runs", async () => {
+      // Processed up to 9998 at depth 0; now at depth 5 the confirmed head is 9995.
+      const components = stubs["./contractUtility"].initializeOracle();
+      aiAgentOracle.initForTest({ ...components, confirmationDepth: 5 });
+      stubs["fs/promises"].readFile
+        .withArgs(sinon.match(/oracle-state\.json$/))
+        .resolves(JSON.stringify({ lastProcessedBlock: 9998 }));
+      components.provider.getBlockNumber.resolves(10000);
+
+      await aiAgentOracle.start();
+
+      const saved = stubs["fs/promises"].writeFile.args
+        .filter(([file]) => /oracle-state\.json$/.test(file))
+        .map(([, body]) => JSON.parse(body).lastProcessedBlock);
+      expect(saved).to.not.be.empty;
+      expect(Math.min(...saved)).to.equal(9998);
+      expect(components.contract.queryFilter.called).to.be.false;
+    });
+  });
+
+  describe("multiple chains (ORACLE_CHAINS)", () => {
+    const SAPPHIRE_AGENT = `0x${"1".repeat(40)}`;
+    const BASE_AGENT = `0x${"2".repeat(40)}`;
+    let sapphire;
+    let base;
+    let multiChainOracle;
+
+    // One deployment's wallet, contract and RPC. Each chain gets its own stubs, so a call landing
+    // on the wrong one shows up as a call on the wrong object. Writes leave through the wallet's
+    // own sendTransaction (see nonceManager), so that is where they are looked for.
+    function chainComponents(target, latestBlock) {
+      const submitAnswer = sinon.stub();
+      submitAnswer.populateTransaction = sinon.stub().resolves({ to: target, data: "0x" });
+      const sendTransaction = sinon.stub().callsFake(async ({ nonce }) => ({
+        hash: "0xTx",
+        nonce,
+        wait: () => Promise.resolve({ hash: "0xTx", status: 1 }),
+      }));
+      const filters = {};
+      for (const name of [
+        "PromptSubmitted",
+        "RegenerationRequested",
+        "BranchRequested",
+        "MetadataUpdateRequested",
+        "AgentJobSubmitted",
+        "PromptCancelled",
+      ]) {
+        filters[name] = sinon.stub().returns(name);
+      }
+      return {
+        provider: {
+          getNetwork: sinon.stub().resolves({ chainId: 1 }),
+          getBlockNumber: sinon.stub().resolves(latestBlock),
+          getTransactionCount: sinon.stub().resolves(0),
+          getFeeData: sinon.stub().resolves({ gasPrice: 1n }),
+          getCode: sinon.stub().resolves("0x6080"),
+          getStorage: sinon.stub().resolves(ethers.ZeroHash),
+        },
+        signer: {
+          address: "0xOracleAddress",
+          getAddress: () => Promise.resolve("0xOracleAddress"),
+          sendTransaction,
+        },
+        contract: {
+          target,
+          submitAnswer,
+          isJobFinalized: sinon.stub().resolves(false),
+          oracle: sinon.stub().resolves("0xOracleAddress"),
+          queryFilter: sinon.stub().resolves([]),
+          filters,
+          interface: { parseLog: sinon.stub() },
+        },
+        isSapphire: false,
+      };
+    }
+
+    beforeEach(() => {
+      sapphire = chainComponents(SAPPHIRE_AGENT, 5000);
+      base = chainComponents(BASE_AGENT, 9000);
+      process.env.BASE_PRIVATE_KEY = ethers.Wallet.createRandom().privateKey;
+      process.env.ORACLE_CHAINS = JSON.stringify([
+        { id: "sapphire", network: "sapphire-testnet", contractAddress: SAPPHIRE_AGENT },
+        {
+          id: "base",
+          network: "baseSepolia",
+          contractAddress: BASE_AGENT,
+          privateKeyEnv: "BASE_PRIVATE_KEY",
+        },
+      ]);
+
+      const initializeOracle = sinon.stub();
+      initializeOracle.withArgs("sapphire-testnet").returns(sapphire);
+      initializeOracle.withArgs("baseSepolia").returns(base);
+      stubs["./contractUtility"] = { initializeOracle };
+      multiChainOracle = proxyquire("../src/aiAgentOracle", stubs);
+    });
+
+    afterEach(() => {
+      delete process.env.ORACLE_CHAINS;
+      delete process.env.BASE_PRIVATE_KEY;
+    });
+
+    it("builds each chain from its own network, contract and key", () => {
+      const { initializeOracle } = stubs["./contractUtility"];
+
+      sinon.assert.calledWith(
+        initializeOracle,
+        "sapphire-testnet",
+        process.env.PRIVATE_KEY,
+        SAPPHIRE_AGENT,
+      );
+      sinon.assert.calledWith(
+        initializeOracle,
+        "baseSepolia",
+        process.env.BASE_PRIVATE_KEY,
+        BASE_AGENT,
+      );
+    });
+
+    it("catches each chain up from its own cursor file", async () => {
+      stubs["fs/promises"].readFile
+        .withArgs(sinon.match(/oracle-state\.sapphire\.json$/))
+        .resolves(JSON.stringify({ lastProcessedBlock: 4900 }));
+
+      await multiChainOracle.start();
+
+      // Sapphire resumes from its cursor; Base has none, so it looks back from its own head —
+      // which, at baseSepolia's confirmation depth of 5, it stops short of.
+      expect(sapphire.contract.queryFilter.firstCall.args.slice(1)).to.deep.equal([4901, 5000]);
+      expect(base.contract.queryFilter.firstCall.args.slice(1)).to.deep.equal([7195, 8995]);
+
+      const cursors = stubs["fs/promises"].writeFile.args.filter(([file]) =>
+        /oracle-state\./.test(file),
+      );
+      expect(cursors.some(([f, body]) => /sapphire\.json$/.test(f) && body.includes("5000"))).to
+        .be.true;
+      expect(cursors.some(([f, body]) => /base\.json$/.test(f) && body.includes("8995"))).to.be
+        .true;
+      expect(cursors.some(([f]) => /oracle-state\.json$/.test(f))).to.be.false;
+    });
+
+    it("answers an event on the contract that emitted it", async () => {
+      const payload = ethers.toUtf8Bytes(
+        createEncryptedString({ promptText: "hi", isNewConversation: true }, FAKE_SESSION_KEY),
+      );
+      base.contract.queryFilter.withArgs("PromptSubmitted").resolves([
+        {
+          eventName: "PromptSubmitted",
+          args: ["0xUser", 1, 2, 3, payload, "0xKey"],
+          blockNumber: 8000,
+          transactionIndex: 0,
+          transactionHash: "0xbase",
+          getBlock: () => Promise.resolve({ timestamp: Date.now() }),
+        },
+      ]);
+
+      await multiChainOracle.start();
+
+      expect(base.signer.sendTransaction.calledOnce).to.be.true;
+      expect(base.signer.sendTransaction.firstCall.args[0].to).to.equal(BASE_AGENT);
+      expect(sapphire.signer.sendTransaction.called).to.be.false;
+    });
+
+    it("refuses to guess a chain for work dispatched outside one", async () => {
+      let error;
+      try {
+        await multiChainOracle.processPastEvents(1, 2);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.match(/No chain in scope/);
+      expect(sapphire.contract.queryFilter.called).to.be.false;
+      expect(base.contract.queryFilter.called).to.be.false;
+    });
+  });
+
+  describe("pollEvents with a WebSocket subscription", () => {
+    const { FakeWebSocket, until } = require("./helpers/fakeWebSocket");
+    let components;
+    let abort;
+
+    const promptArgs = () => [
+      "0xUser",
+      1,
+      2,
+      3,
+      ethers.toUtf8Bytes(
+        createEncryptedString({ promptText: "hi", isNewConversation: true }, FAKE_SESSION_KEY),
+      ),
+      "0xKey",
+    ];
+    // The same event as the node pushes it (hex positions) and as queryFilter returns it.
+    const rawLog = {
+      address: "0xMockedContractAddress",
+      topics: ["0xPromptSubmitted"],
+      data: "0x",
+      blockNumber: "0x65",
+      blockHash: "0xblock101",
+      transactionHash: "0xpushed",
+      transactionIndex: "0x0",
+      logIndex: "0x4",
+      removed: false,
+    };
+    const scannedEvent = () => ({
+      eventName: "PromptSubmitted",
+      args: promptArgs(),
+      blockNumber: 101,
+      transactionHash: "0xpushed",
+      index: 4,
+      getBlock: () => Promise.resolve({ timestamp: Date.now() }),
+    });
+
+    beforeEach(() => {
+      FakeWebSocket.reset();
+      global.WebSocket = FakeWebSocket;
+      components = stubs["./contractUtility"].initializeOracle();
+      components.provider.getBlockNumber.resolves(100);
+      components.provider.getBlock.resolves({ timestamp: Date.now() });
+      components.contract.queryFilter.resolves([]);
+      for (const name of Object.keys(components.contract.filters)) {
+        components.contract.filters[name].returns(name);
+      }
+      components.contract.interface.getEvent = (name) => ({ topicHash: `0x${name}` });
+      components.contract.interface.parseLog.returns({
+        name: "PromptSubmitted",
+        args: promptArgs(),
+      });
+      aiAgentOracle.initForTest({ ...components, wsUrl: "wss://rpc.example" });
+      abort = new AbortController();
+    });
+
+    afterEach(() => {
+      abort.abort();
+      delete global.WebSocket;
+    });
+
+    it("answers a pushed event without waiting for the next scan", async () => {
+      aiAgentOracle.pollEvents(100, { signal: abort.signal });
+      await until(() => FakeWebSocket.latest()?.sent.length === 1);
+      const socket = FakeWebSocket.latest();
+      expect(socket.sent[0].params[1]).to.deep.equal({
+        address: "0xMockedContractAddress",
+        topics: [
+          [
+            "0xPromptSubmitted",
+            "0xRegenerationRequested",
+            "0xBranchRequested",
+            "0xMetadataUpdateRequested",
+            "0xAgentJobSubmitted",
+            "0xPromptCancelled",
+          ],
+        ],
+      });
+      socket.acceptSubscription();
+
+      socket.pushLog(rawLog);
+
+      await until(() => components.contract.submitAnswer.calledOnce);
+      // Nothing was mined past the cursor as far as the scanner knows: the push alone did it.
+      expect(components.contract.queryFilter.called).to.be.false;
+      // ...and it leaves the cursor where the scan put it, so a restart re-scans block 101.
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(stubs["fs/promises"].writeFile.calledWith(sinon.match(/oracle-state\.json$/))).to.be
+        .false;
+    });
+
+    it("re-scans from the cursor on a drop, answering a pushed event once", async () => {
+      aiAgentOracle.pollEvents(100, { signal: abort.signal });
+      await until(() => FakeWebSocket.latest()?.sent.length === 1);
+      const socket = FakeWebSocket.latest();
+      socket.acceptSubscription();
+      socket.pushLog(rawLog);
+      await until(() => components.contract.submitAnswer.calledOnce);
+
+      // Block 101 is now visible to the scanner too, along with an event the socket never sent.
+      components.provider.getBlockNumber.resolves(102);
+      components.contract.queryFilter.withArgs("PromptSubmitted").resolves([
+        scannedEvent(),
+        { ...scannedEvent(), blockNumber: 102, transactionHash: "0xmissed", index: 0 },
+      ]);
+      socket.drop();
+
+      const writeFile = stubs["fs/promises"].writeFile;
+      await until(() =>
+        writeFile.calledWith(sinon.match(/oracle-state\.json$/), sinon.match("102")),
+      );
+      expect(components.contract.queryFilter.firstCall.args.slice(1)).to.deep.equal([101, 102]);
+      expect(components.contract.submitAnswer.callCount).to.equal(2);
+    });
+
+    it("ignores a log the node has taken back, and one the scan already covered", async () => {
+      components.provider.getBlockNumber.resolves(101);
+      aiAgentOracle.pollEvents(101, { signal: abort.signal });
+      await until(() => FakeWebSocket.latest()?.sent.length === 1);
+      const socket = FakeWebSocket.latest();
+      socket.acceptSubscription();
+
+      socket.pushLog({ ...rawLog, blockNumber: "0x66", removed: true });
+      socket.pushLog(rawLog); // block 101: at the cursor, so already scanned
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(components.contract.submitAnswer.called).to.be.false;
+    });
+  });
+
+  describe("pollEvents confirmation depth and reorgs", () => {
+    const { until } = require("./helpers/fakeWebSocket");
+    let components;
+    let abort;
+    // The chain as the node reports it now; a test rewrites history by editing it.
+    let canonical;
+
+    const promptEvent = (blockHash) => ({
+      eventName: "PromptSubmitted",
+      args: [
+        "0xUser",
+        1,
+        2,
+        3,
+        ethers.toUtf8Bytes(
+          createEncryptedString({ promptText: "hi", isNewConversation: true }, FAKE_SESSION_KEY),
+        ),
+        "0xKey",
+      ],
+      blockNumber: 101,
+      blockHash,
+      transactionHash: "0xprompt",
+      index: 0,
+      getBlock: () => Promise.resolve({ timestamp: Date.now() }),
+    });
+    const cursorWrites = () =>
+      stubs["fs/promises"].writeFile.args
+        .filter(([file]) => /oracle-state\.json$/.test(file))
+        .map(([, body]) => JSON.parse(body));
+
+    beforeEach(() => {
+      components = stubs["./contractUtility"].initializeOracle();
+      canonical = {};
+      components.provider.getBlock.callsFake(async (n) => ({
+        timestamp: Date.now(),
+        hash: canonical[n] ?? null,
+      }));
+      components.contract.queryFilter.resolves([]);
+      for (const name of Object.keys(components.contract.filters)) {
+        components.contract.filters[name].returns(name);
+      }
+      abort = new AbortController();
+    });
+
+    afterEach(() => abort.abort());
+
+    it("scans only blocks that have the chain's confirmation depth behind them", async () => {
+      aiAgentOracle.initForTest({ ...components, confirmationDepth: 2 });
+      components.provider.getBlockNumber.resolves(105);
+
+      aiAgentOracle.pollEvents(100, { signal: abort.signal });
+
+      await until(() => cursorWrites().length > 0);
+      expect(components.contract.queryFilter.firstCall.args.slice(1)).to.deep.equal([101, 103]);
+      expect(cursorWrites()[0].lastProcessedBlock).to.equal(103);
+    });
+
+    it("re-scans blocks replaced at the same height and answers the re-mined prompt", async () => {
+      // Processed up to 102 before the reorg; the head is still 102 after it, so only the hashes
+      // can tell that blocks 101 and 102 are not the ones the oracle saw.
+      canonical = { 100: "0xa100", 101: "0xb101", 102: "0xb102" };
+      aiAgentOracle.initForTest({
+        ...components,
+        blockHashes: { 100: "0xa100", 101: "0xa101", 102: "0xa102" },
+      });
+      components.provider.getBlockNumber.resolves(102);
+      // The prompt's answer was in the replaced blocks too, so it is no longer finalized.
+      components.contract.queryFilter.withArgs("PromptSubmitted").resolves([promptEvent("0xb101")]);
+
+      aiAgentOracle.pollEvents(102, { signal: abort.signal });
+
+      await until(() => cursorWrites().some((state) => state.lastProcessedBlock === 102));
+      expect(components.contract.queryFilter.firstCall.args.slice(1)).to.deep.equal([101, 102]);
+      expect(components.contract.submitAnswer.calledOnce).to.be.true;
+      expect(cursorWrites()[0]).to.deep.equal({
+        lastProcessedBlock: 100,
+        blockHashes: { 100: "0xa100" },
+      });
+      expect(cursorWrites().at(-1).blockHashes).to.deep.equal({
+        100: "0xa100",
+        101: "0xb101",
+        102: "0xb102",
+      });
+      sinon.assert.calledWithMatch(
+        stubs["./alerting"].sendAlert,
+        "Chain reorg detected — processed blocks replaced",
+      );
+    });
+
+    it("does not answer again a prompt whose answer survived the reorg", async () => {
+      canonical = { 100: "0xa100", 101: "0xb101", 102: "0xb102" };
+      aiAgentOracle.initForTest({
+        ...components,
+        blockHashes: { 100: "0xa100", 101: "0xa101", 102: "0xa102" },
+      });
+      components.provider.getBlockNumber.resolves(102);
+      components.contract.queryFilter.withArgs("PromptSubmitted").resolves([promptEvent("0xb101")]);
+      components.contract.isJobFinalized.resolves(true);
+
+      aiAgentOracle.pollEvents(102, { signal: abort.signal });
+
+      await until(() => cursorWrites().some((state) => state.lastProcessedBlock === 102));
+      expect(components.contract.isJobFinalized.called).to.be.true;
+      expect(components.contract.submitAnswer.called).to.be.false;
+    });
   });
 
   describe("queryAIModel Dispatcher", () => {
@@ -329,6 +768,75 @@ describe("aiAgentOracle", function () {
         "Error: Could not generate a response from the ChainGPT service.",
       );
     });
+
+    describe("local OpenAI-compatible tier", () => {
+      const LOCAL_URL = "http://fake-llama:8080/v1";
+
+      async function prompt() {
+        const payloadBytes = ethers.toUtf8Bytes(
+          createEncryptedString({ promptText: "test", isNewConversation: false }, FAKE_SESSION_KEY),
+        );
+        const fakeEvent = { getBlock: () => Promise.resolve({ timestamp: 1 }), blockNumber: 1 };
+        await aiAgentOracle.handlePrompt(
+          FAKE_USER_ADDRESS,
+          FAKE_CONVERSATION_ID,
+          FAKE_PROMPT_MESSAGE_ID,
+          FAKE_ANSWER_MESSAGE_ID,
+          payloadBytes,
+          FAKE_ROFL_KEY,
+          fakeEvent,
+        );
+      }
+      const callsTo = (pattern) =>
+        stubs["node-fetch"].getCalls().filter((c) => pattern.test(c.args[0]));
+
+      beforeEach(() => {
+        process.env.LOCAL_LLM_URL = LOCAL_URL;
+        process.env.LOCAL_LLM_MODEL = "qwen2.5-7b-instruct";
+        stubs["node-fetch"].withArgs(`${LOCAL_URL}/chat/completions`).resolves({
+          ok: true,
+          json: () => Promise.resolve({ choices: [{ message: { content: "Local answer" } }] }),
+        });
+      });
+
+      afterEach(() => {
+        delete process.env.LOCAL_LLM_URL;
+        delete process.env.LOCAL_LLM_MODEL;
+      });
+
+      it("answers from the local server when AI_PROVIDER is 'LocalLLM'", async () => {
+        process.env.AI_PROVIDER = "LocalLLM";
+
+        await prompt();
+
+        const [call] = callsTo(/\/chat\/completions$/);
+        expect(JSON.parse(call.args[1].body).model).to.equal("qwen2.5-7b-instruct");
+        expect(callsTo(/fake-ollama/)).to.be.empty;
+      });
+
+      it("is tried after ChainGPT and before Ollama when the hosted tiers fail", async () => {
+        // No AI_PROVIDER: the full dispatcher. ElizaOS has no agent and ChainGPT no key here.
+        await prompt();
+
+        expect(callsTo(/\/chat\/completions$/)).to.have.lengthOf(1);
+        expect(callsTo(/\/api\/chat$/)).to.be.empty;
+      });
+
+      it("classifies with the local server when there is no Ollama", async () => {
+        delete process.env.OLLAMA_URL;
+        stubs["node-fetch"].withArgs(`${LOCAL_URL}/chat/completions`).resolves({
+          ok: true,
+          json: () =>
+            Promise.resolve({ choices: [{ message: { content: '{"category":"ELIZAOS"}' } }] }),
+        });
+
+        await prompt();
+
+        const [router] = callsTo(/\/chat\/completions$/);
+        expect(JSON.parse(router.args[1].body)).to.include({ max_tokens: 64 });
+        expect(callsTo(/undefined\/api\/generate/)).to.be.empty;
+      });
+    });
   });
 
   describe("parseMockDelayMs (E2E delay sentinel)", () => {
@@ -954,6 +1462,24 @@ describe("aiAgentOracle", function () {
       }
     });
 
+    it("setOracleAddress registers the app key, through appd, on an appd chain", async () => {
+      const components = stubs["./contractUtility"].initializeOracle();
+      const appKey = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+      components.contract.oracle.resolves("0xOracleAddress"); // PRIVATE_KEY's, the old oracle
+      components.contract.setOracle.populateTransaction = sinon.stub().resolves({ data: "0xabcd" });
+      aiAgentOracle.initForTest({
+        ...components,
+        isSapphire: true,
+        txSubmitter: { kind: "appd", address: appKey, submit: sinon.stub() },
+      });
+
+      await aiAgentOracle.setOracleAddress();
+
+      expect(components.contract.setOracle.populateTransaction.calledOnceWith(appKey)).to.be.true;
+      expect(stubs["./roflUtility"].submitTx.firstCall.args[0]).to.include({ data: "0xabcd" });
+      expect(components.contract.setOracle.called).to.be.false;
+    });
+
     it("processPastEvents should correctly route all event types", async () => {
       const mockedContract = stubs["./contractUtility"].initializeOracle().contract;
       const getBlock = () => Promise.resolve({ timestamp: Date.now() });
@@ -1003,6 +1529,17 @@ describe("aiAgentOracle", function () {
       const metadataPayload = ethers.toUtf8Bytes(
         createEncryptedString({ title: "A New Title", isDeleted: true }, FAKE_SESSION_KEY),
       );
+      const agentJobPayload = ethers.toUtf8Bytes(
+        createEncryptedString(
+          {
+            promptText: "Scheduled check-in",
+            conversationId: "1",
+            promptMessageId: "2",
+            previousMessageCID: null,
+          },
+          FAKE_SESSION_KEY,
+        ),
+      );
 
       // Create fake events for each type with valid arguments and methods.
       const fakePromptEvent = {
@@ -1055,17 +1592,26 @@ describe("aiAgentOracle", function () {
         transactionIndex: 1,
         getBlock,
       };
+      const fakeAgentJobEvent = {
+        eventName: "AgentJobSubmitted",
+        args: [USER_ADDRESS, 7, 70, agentJobPayload, ROFL_ENCRYPTED_KEY],
+        blockNumber: 3,
+        transactionIndex: 2,
+        getBlock,
+      };
 
       // Make the queryFilter stub intelligent, returning the correct events for each filter.
       mockedContract.filters.PromptSubmitted.returns("PROMPT_FILTER");
       mockedContract.filters.RegenerationRequested.returns("REGEN_FILTER");
       mockedContract.filters.BranchRequested.returns("BRANCH_FILTER");
       mockedContract.filters.MetadataUpdateRequested.returns("META_FILTER");
+      mockedContract.filters.AgentJobSubmitted.returns("AGENT_JOB_FILTER");
       mockedContract.queryFilter.callsFake(async (filter) => {
         if (filter === "PROMPT_FILTER") return [fakePromptEvent];
         if (filter === "REGEN_FILTER") return [fakeRegenEvent];
         if (filter === "BRANCH_FILTER") return [fakeBranchEvent];
         if (filter === "META_FILTER") return [fakeMetadataEvent];
+        if (filter === "AGENT_JOB_FILTER") return [fakeAgentJobEvent];
         return [];
       });
 
@@ -1073,7 +1619,7 @@ describe("aiAgentOracle", function () {
       await aiAgentOracle.processPastEvents(1, 10);
 
       // Assert that the final contract submission method for each handler was called.
-      expect(mockedContract.submitAnswer.callCount).to.equal(2); // Prompt and Regen
+      expect(mockedContract.submitAnswer.callCount).to.equal(3); // Prompt, Regen and agent job
       expect(mockedContract.submitBranch.calledOnce).to.be.true;
       expect(mockedContract.submitConversationMetadata.calledOnce).to.be.true;
     });
@@ -1104,12 +1650,10 @@ describe("aiAgentOracle", function () {
           blockNumber: 101,
           transactionHash: "0xhash123",
         },
-        retryCount: 0,
         nextAttemptAt: Date.now() - 1000,
       };
-      stubs["fs/promises"].readFile
-        .withArgs(sinon.match(/failed-jobs\.json$/))
-        .resolves(JSON.stringify([fakeJob]));
+      const jobStore = stubs["./jobStore"].createJobStoreFromEnv();
+      await jobStore.enqueue(fakeJob);
       const mockedProvider = stubs["./contractUtility"].initializeOracle().provider;
       mockedProvider.getTransactionReceipt.resolves({
         logs: [
@@ -1135,21 +1679,18 @@ describe("aiAgentOracle", function () {
       // Assert that the ultimate side-effect (submitting an answer) happened.
       expect(mockedContract.submitAnswer.calledOnce).to.be.true;
 
-      const writeFileCall = stubs["fs/promises"].writeFile.firstCall.args;
-      expect(writeFileCall[0]).to.include("failed-jobs.json");
-      expect(JSON.parse(writeFileCall[1])).to.deep.equal([]);
+      // Acked: gone from the store entirely.
+      expect(await jobStore.list()).to.deep.equal([]);
     });
 
-    it("should drop a job after max retries are exceeded", async () => {
-      const fakeJob = {
+    it("should dead-letter a job after max retries are exceeded", async () => {
+      const jobStore = stubs["./jobStore"].createJobStoreFromEnv();
+      await jobStore.enqueue({
         eventName: "PromptSubmitted",
         event: { transactionHash: "0xhash123", blockNumber: 101, args: [] },
-        retryCount: 9, // This is the last attempt
+        attempts: 9, // This is the last attempt
         nextAttemptAt: Date.now() - 1000,
-      };
-      stubs["fs/promises"].readFile
-        .withArgs(sinon.match(/failed-jobs\.json$/))
-        .resolves(JSON.stringify([fakeJob]));
+      });
 
       const mockedProvider = stubs["./contractUtility"].initializeOracle().provider;
       // Simulate the job failing again (e.g., RPC is down)
@@ -1157,28 +1698,154 @@ describe("aiAgentOracle", function () {
 
       await aiAgentOracle.retryFailedJobs();
 
-      // Assert a critical alert was sent for the dropped job.
+      // Assert a critical alert was sent for the dead-lettered job, as an incident of its own.
+      sinon.assert.calledWithMatch(
+        stubs["./alerting"].sendAlert,
+        "CRITICAL: Job Failed Permanently",
+        sinon.match.string,
+        { fingerprint: sinon.match(/^CRITICAL: Job Failed Permanently:\w+:0x/) },
+      );
+
+      // Out of the retry rotation, but kept — with its history — for an operator.
+      expect(await jobStore.list({ status: ["pending", "running"] })).to.deep.equal([]);
+      const [dead] = await jobStore.list({ status: "dead" });
+      expect(dead.attempts).to.equal(10);
+      expect(dead.lastError).to.equal("RPC Down");
+      expect(dead.history.at(-1)).to.include({ attempt: 10, error: "RPC Down" });
+    });
+
+    it("should dead-letter a job at once when its retry reverts", async () => {
+      // A revert is final — the same call against the same state reverts the same way — so the
+      // remaining retries would only delay the alert.
+      const args = [
+        "0xUser",
+        1,
+        2,
+        3,
+        ethers.toUtf8Bytes(
+          createEncryptedString({ promptText: "hi", isNewConversation: true }, FAKE_SESSION_KEY),
+        ),
+        "key",
+      ];
+      const jobStore = stubs["./jobStore"].createJobStoreFromEnv();
+      await jobStore.enqueue({
+        eventName: "PromptSubmitted",
+        event: { args, blockNumber: 101, transactionHash: "0xhash123" },
+        nextAttemptAt: Date.now() - 1000,
+      });
+      const { provider: mockedProvider, contract: mockedContract } =
+        stubs["./contractUtility"].initializeOracle();
+      mockedProvider.getTransactionReceipt.resolves({
+        logs: [{ address: "0xMockedContractAddress", transactionHash: "0xhash123" }],
+        blockNumber: 101,
+      });
+      mockedProvider.getBlock.resolves({ timestamp: Date.now() });
+      mockedContract.interface.parseLog.returns({
+        name: "PromptSubmitted",
+        transactionHash: "0xhash123",
+        args,
+      });
+      mockedContract.submitAnswer.rejects(
+        Object.assign(new Error("execution reverted"), {
+          code: "CALL_EXCEPTION",
+          shortMessage: "execution reverted",
+          revert: { name: "InvalidAnswerId", args: [3n] },
+        }),
+      );
+
+      await aiAgentOracle.retryFailedJobs();
+
+      const [dead] = await jobStore.list({ status: "dead" });
+      expect(dead.attempts).to.equal(1);
       sinon.assert.calledWithMatch(
         stubs["./alerting"].sendAlert,
         "CRITICAL: Job Failed Permanently",
+        sinon.match("non-retryable ContractRevertError"),
       );
+    });
+
+    describe("replayJob", () => {
+      const args = () => [
+        "0xUser",
+        1,
+        2,
+        3,
+        ethers.toUtf8Bytes(
+          createEncryptedString({ promptText: "hi", isNewConversation: true }, FAKE_SESSION_KEY),
+        ),
+        "key",
+      ];
+      const deadJob = { eventName: "PromptSubmitted", transactionHash: "0xhash123" };
+
+      beforeEach(() => {
+        const { provider: mockedProvider, contract: mockedContract } =
+          stubs["./contractUtility"].initializeOracle();
+        mockedProvider.getTransactionReceipt.resolves({
+          logs: [{ address: "0xMockedContractAddress", transactionHash: "0xhash123" }],
+          blockNumber: 101,
+        });
+        mockedProvider.getBlock.resolves({ timestamp: Date.now() });
+        mockedContract.interface.parseLog.returns({
+          name: "PromptSubmitted",
+          transactionHash: "0xhash123",
+          args: args(),
+        });
+      });
+
+      it("runs the job through the same handler as the listener", async () => {
+        await aiAgentOracle.replayJob(deadJob);
+
+        const { contract } = stubs["./contractUtility"].initializeOracle();
+        expect(contract.submitAnswer.calledOnce).to.be.true;
+      });
+
+      it("simulates the submission in a dry run, and restores the live contract afterwards", async () => {
+        const { contract } = stubs["./contractUtility"].initializeOracle();
+        contract.interface.fragments = [
+          { type: "function", name: "submitAnswer", stateMutability: "nonpayable" },
+        ];
+        contract.submitAnswer.staticCall = sinon.stub().resolves();
+
+        await aiAgentOracle.replayJob(deadJob, { dryRun: true });
+
+        expect(contract.submitAnswer.staticCall.calledOnce).to.be.true;
+        expect(contract.submitAnswer.called).to.be.false;
+        // Nothing is uploaded either: the simulated answer carries the stand-in's CID.
+        expect(stubs["./storage/storage"].uploadData.called).to.be.false;
+        expect(contract.submitAnswer.staticCall.firstCall.args[2].answerMessageCID).to.equal(
+          DRY_RUN_CID,
+        );
+
+        await aiAgentOracle.replayJob(deadJob);
+        expect(contract.submitAnswer.calledOnce).to.be.true;
+        expect(stubs["./storage/storage"].uploadData.called).to.be.true;
+      });
+
+      it("throws a failure back to the operator instead of queueing or alerting", async () => {
+        stubs["./contractUtility"]
+          .initializeOracle()
+          .contract.submitAnswer.rejects(new Error("RPC Down"));
 
-      // Assert the job queue was emptied.
-      const writeFileCall = stubs["fs/promises"].writeFile.firstCall.args;
-      expect(writeFileCall[0]).to.include("failed-jobs.json");
-      expect(JSON.parse(writeFileCall[1])).to.deep.equal([]);
+        let error;
+        try {
+          await aiAgentOracle.replayJob(deadJob);
+        } catch (err) {
+          error = err;
+        }
+
+        expect(error.message).to.equal("RPC Down");
+        expect(await stubs["./jobStore"].createJobStoreFromEnv().list()).to.deep.equal([]);
+        sinon.assert.neverCalledWithMatch(stubs["./alerting"].sendAlert, "CRITICAL");
+      });
     });
 
     it("should re-queue a job if the event log cannot be parsed from the receipt", async () => {
-      const fakeJob = {
+      const jobStore = stubs["./jobStore"].createJobStoreFromEnv();
+      await jobStore.enqueue({
         eventName: "PromptSubmitted",
         event: { transactionHash: "0xhash123", blockNumber: 101, args: [] },
-        retryCount: 0,
         nextAttemptAt: Date.now() - 1000,
-      };
-      stubs["fs/promises"].readFile
-        .withArgs(sinon.match(/failed-jobs\.json$/))
-        .resolves(JSON.stringify([fakeJob]));
+      });
       const mockedProvider = stubs["./contractUtility"].initializeOracle().provider;
       mockedProvider.getTransactionReceipt.resolves({ logs: [{ address: "0xsomeOtherAddress" }] });
 
@@ -1190,38 +1857,35 @@ describe("aiAgentOracle", function () {
 
       // The job should fail and be re-queued, not dropped.
       expect(stubs["./alerting"].sendAlert.called).to.be.false;
-      const writeFileCall = stubs["fs/promises"].writeFile.firstCall.args;
-      const remainingJobs = JSON.parse(writeFileCall[1]);
+      const remainingJobs = await jobStore.list();
       expect(remainingJobs).to.have.lengthOf(1);
-      expect(remainingJobs[0].retryCount).to.equal(1);
+      expect(remainingJobs[0].status).to.equal("pending");
+      expect(remainingJobs[0].attempts).to.equal(1);
     });
 
     it("should correctly calculate exponential backoff for a failed retry", async () => {
       const clock = sinon.useFakeTimers();
       const now = Date.now();
 
-      const fakeJob = {
+      const jobStore = stubs["./jobStore"].createJobStoreFromEnv();
+      await jobStore.enqueue({
         eventName: "PromptSubmitted",
         event: { transactionHash: "0xhash123", blockNumber: 101, args: [] },
-        retryCount: 1, // Second retry attempt (first was #0)
+        attempts: 1, // Second retry attempt (first was #0)
         nextAttemptAt: now - 1000,
-      };
-      stubs["fs/promises"].readFile
-        .withArgs(sinon.match(/failed-jobs\.json$/))
-        .resolves(JSON.stringify([fakeJob]));
+      });
       stubs["./contractUtility"]
         .initializeOracle()
         .provider.getTransactionReceipt.rejects(new Error("RPC still down"));
 
       await aiAgentOracle.retryFailedJobs();
 
-      const writeFileCall = stubs["fs/promises"].writeFile.firstCall.args;
-      const remainingJobs = JSON.parse(writeFileCall[1]);
-      expect(remainingJobs[0].retryCount).to.equal(2);
+      const remainingJobs = await jobStore.list();
+      expect(remainingJobs[0].attempts).to.equal(2);
 
       const BASE_RETRY_DELAY_MS = 30 * 1000;
       const expectedDelay = BASE_RETRY_DELAY_MS * Math.pow(2, 2);
-      expect(remainingJobs[0].nextAttemptAt).to.be.closeTo(now + expectedDelay, 10);
+      expect(remainingJobs[0].nextAttemptAt).to.equal(now + expectedDelay);
 
       clock.restore();
     });
@@ -1381,6 +2045,145 @@ describe("aiAgentOracle", function () {
       expect(cidBundle.searchDeltaCID).to.include("fake_cid_");
     });
 
+    it("writes each new file's ancestorCIDs from the history it walked", async () => {
+      stubs["./storage/storage"].fetchData
+        .withArgs("fake_cid_prev_answer")
+        .resolves(
+          createEncryptedString(
+            { role: "assistant", content: "Answer 1", parentCID: "fake_cid_prev_prompt" },
+            FAKE_SESSION_KEY,
+          ),
+        )
+        .withArgs("fake_cid_prev_prompt")
+        .resolves(
+          createEncryptedString(
+            { role: "user", content: "Prompt 1", parentCID: null },
+            FAKE_SESSION_KEY,
+          ),
+        );
+      const clientPayload = {
+        promptText: "Follow up question",
+        isNewConversation: false,
+        previousMessageId: "msg_457",
+        previousMessageCID: "fake_cid_prev_answer",
+      };
+      const payloadBytes = ethers.toUtf8Bytes(
+        createEncryptedString(clientPayload, FAKE_SESSION_KEY),
+      );
+      const fakeEvent = { blockNumber: 2, getBlock: () => Promise.resolve({ timestamp: 1 }) };
+
+      await aiAgentOracle.handlePrompt("0xUser", 123, 458, 459, payloadBytes, "0xkey", fakeEvent);
+
+      const mockedContract = stubs["./contractUtility"].initializeOracle().contract;
+      const { promptMessageCID } = mockedContract.submitAnswer.firstCall.args[2];
+      const written = stubs["./formatters"].createMessageFile.getCalls().map((c) => c.args[0]);
+      const prompt = written.find((file) => file.role === "user");
+      const answer = written.find((file) => file.role === "assistant");
+      // Above each file's parent: the prompt's parent is the previous answer, the answer's the
+      // new prompt.
+      expect(prompt.ancestorCIDs).to.deep.equal(["fake_cid_prev_prompt"]);
+      expect(answer.ancestorCIDs).to.deep.equal([
+        "fake_cid_prev_answer",
+        "fake_cid_prev_prompt",
+      ]);
+      expect(answer.parentCID).to.equal(promptMessageCID);
+    });
+
+    it("links the answer to a summary of what fell out of the window", async () => {
+      // MOCK_AI: a deterministic summary, without a local model to write one.
+      process.env.MOCK_AI = "true";
+      try {
+        const mockAi = proxyquire("../src/aiAgentOracle", stubs);
+        mockAi.initForTest(stubs["./contractUtility"].initializeOracle());
+        const storage = stubs["./storage/storage"];
+        // cid_21 back to cid_0. The window (20) ends at cid_2; the summary covers cid_0.
+        for (let i = 0; i <= 21; i++) {
+          const msg = {
+            role: i % 2 ? "assistant" : "user",
+            content: `Message ${i}`,
+            parentCID: i > 0 ? `cid_${i - 1}` : null,
+            ...(i === 21 ? { summaryCID: "cid_summary" } : {}),
+          };
+          storage.fetchData
+            .withArgs(`cid_${i}`)
+            .resolves(createEncryptedString(msg, FAKE_SESSION_KEY));
+        }
+        storage.fetchData
+          .withArgs("cid_summary")
+          .resolves(
+            createEncryptedString(
+              { throughCID: "cid_0", content: "They asked about BTC." },
+              FAKE_SESSION_KEY,
+            ),
+          );
+        const clientPayload = {
+          promptText: "And now?",
+          isNewConversation: false,
+          previousMessageId: "msg_21",
+          previousMessageCID: "cid_21",
+        };
+        const payloadBytes = ethers.toUtf8Bytes(
+          createEncryptedString(clientPayload, FAKE_SESSION_KEY),
+        );
+        const fakeEvent = { blockNumber: 2, getBlock: () => Promise.resolve({ timestamp: 1 }) };
+
+        await mockAi.handlePrompt("0xUser", 123, 458, 459, payloadBytes, "0xkey", fakeEvent);
+
+        // Rolled from the previous summary and cid_1, the one message that fell out since.
+        const summaryFile = stubs["./formatters"].createSummaryFile.firstCall.args[0];
+        expect(summaryFile).to.include({
+          conversationId: "123",
+          throughCID: "cid_1",
+          previousSummaryCID: "cid_summary",
+        });
+        const summaryUpload = storage.uploadData.getCalls().find((call) => {
+          try {
+            return decryptSymmetrically(call.args[0].toString(), FAKE_SESSION_KEY).throughCID;
+          } catch (e) {
+            return false;
+          }
+        });
+        const answer = stubs["./formatters"].createMessageFile
+          .getCalls()
+          .map((c) => c.args[0])
+          .find((file) => file.role === "assistant");
+        expect(answer.summaryCID).to.equal(await summaryUpload.returnValue);
+      } finally {
+        delete process.env.MOCK_AI;
+      }
+    });
+
+    it("gives up on a summary from Ollama after the summary timeout", async () => {
+      const storage = stubs["./storage/storage"];
+      for (let i = 0; i <= 21; i++) {
+        const msg = {
+          role: i % 2 ? "assistant" : "user",
+          content: `Message ${i}`,
+          parentCID: i > 0 ? `cid_${i - 1}` : null,
+        };
+        storage.fetchData
+          .withArgs(`cid_${i}`)
+          .resolves(createEncryptedString(msg, FAKE_SESSION_KEY));
+      }
+      const payloadBytes = ethers.toUtf8Bytes(
+        createEncryptedString(
+          { promptText: "And now?", isNewConversation: false, previousMessageCID: "cid_21" },
+          FAKE_SESSION_KEY,
+        ),
+      );
+      const fakeEvent = { blockNumber: 2, getBlock: () => Promise.resolve({ timestamp: 1 }) };
+
+      await aiAgentOracle.handlePrompt("0xUser", 123, 458, 459, payloadBytes, "0xkey", fakeEvent);
+
+      const summaryRequest = stubs["node-fetch"]
+        .getCalls()
+        .find(
+          ({ args: [url, init] }) =>
+            url.endsWith("/api/generate") && init.body.includes("running summary"),
+        );
+      expect(summaryRequest.args[1].signal).to.be.an.instanceOf(AbortSignal);
+    });
+
     it("should produce an error message if the AI model fails", async () => {
       // Simulate the AI model's API being down.
       stubs["node-fetch"].resolves({
@@ -1672,11 +2475,314 @@ describe("aiAgentOracle", function () {
       expect(uploadedContent.title).to.equal(clientPayload.title);
       expect(uploadedContent.isDeleted).to.be.true;
     });
+
+    it("sends every write through the chain's submitter, not the wallet", async () => {
+      const components = stubs["./contractUtility"].initializeOracle();
+      const submit = sinon.stub().resolves({ hash: "0xAppdHash" });
+      aiAgentOracle.initForTest({
+        ...components,
+        txSubmitter: { kind: "appd", address: "0xAppKey", submit },
+      });
+      const payloadBytes = ethers.toUtf8Bytes(
+        createEncryptedString({ title: "Renamed", isDeleted: false }, FAKE_SESSION_KEY),
+      );
+
+      await aiAgentOracle.handleMetadataUpdate("0xUser", 123, payloadBytes, "0xkey", {
+        blockNumber: 5,
+      });
+
+      expect(submit.calledOnce).to.be.true;
+      const [contract, method, [conversationId, metadataCID]] = submit.firstCall.args;
+      expect(contract).to.equal(components.contract);
+      expect(method).to.equal("submitConversationMetadata");
+      expect(conversationId).to.equal(123);
+      expect(metadataCID).to.include("fake_cid_");
+      expect(components.contract.submitConversationMetadata.called).to.be.false;
+    });
+
+    describe("handleAgentJob", () => {
+      const user = "0xUser";
+      const jobId = 9;
+      const triggerId = 901;
+      const clientPayload = {
+        promptText: "Summarise today's moves in my watchlist",
+        conversationId: "123",
+        promptMessageId: "456",
+        previousMessageCID: "fake_cid_prev_answer",
+      };
+      const jobPayload = () =>
+        ethers.toUtf8Bytes(createEncryptedString(clientPayload, FAKE_SESSION_KEY));
+      const fakeEvent = () => ({
+        blockNumber: 6,
+        getBlock: () => Promise.resolve({ timestamp: Date.now() }),
+      });
+
+      it("answers into the anchor conversation under the trigger id", async () => {
+        await aiAgentOracle.handleAgentJob(
+          user,
+          jobId,
+          triggerId,
+          jobPayload(),
+          "0xkey",
+          fakeEvent(),
+        );
+
+        expect(stubs["./storage/storage"].fetchData.calledOnceWith("fake_cid_prev_answer")).to.be
+          .true;
+        expect(stubs["./storage/storage"].uploadData.callCount).to.equal(1);
+
+        const submitAnswerStub = stubs["./contractUtility"].initializeOracle().contract.submitAnswer;
+        expect(submitAnswerStub.calledOnce).to.be.true;
+        const [submittedPromptId, submittedAnswerId, cidBundle] = submitAnswerStub.firstCall.args;
+        expect(submittedPromptId).to.equal("456");
+        // The escrow is held under the trigger id, so only answering under it releases payment.
+        expect(submittedAnswerId).to.equal(triggerId);
+        expect(cidBundle.answerMessageCID).to.include("fake_cid_");
+        expect(cidBundle.promptMessageCID).to.equal("");
+
+        const uploadArgs = stubs["./storage/storage"].uploadData.firstCall.args;
+        const uploadedContent = decryptSymmetrically(uploadArgs[0].toString(), FAKE_SESSION_KEY);
+        expect(uploadedContent.id).to.equal(triggerId.toString());
+        expect(uploadedContent.parentId).to.equal("456");
+        expect(uploadedContent.parentCID).to.equal("fake_cid_prev_answer");
+        expect(uploadedContent.role).to.equal("assistant");
+      });
+
+      it("skips a trigger that is already finalized", async () => {
+        const { contract } = stubs["./contractUtility"].initializeOracle();
+        contract.isJobFinalized.resolves(true);
+
+        await aiAgentOracle.handleAgentJob(
+          user,
+          jobId,
+          triggerId,
+          jobPayload(),
+          "0xkey",
+          fakeEvent(),
+        );
+
+        expect(stubs["./storage/storage"].uploadData.called).to.be.false;
+        expect(contract.submitAnswer.called).to.be.false;
+      });
+
+      it("resolves a Sapphire job's missing key through its conversation's Key File", async () => {
+        const components = stubs["./contractUtility"].initializeOracle();
+        aiAgentOracle.initForTest({ ...components, isSapphire: true });
+        const storage = stubs["./storage/storage"];
+        storage.queryTransactionByTags.resolves("fake_key_cid");
+        storage.fetchData.callsFake(async (cid) =>
+          cid === "fake_key_cid"
+            ? "0xRoflEncryptedKeyFromStorage"
+            : createEncryptedString({}, FAKE_SESSION_KEY),
+        );
+
+        await aiAgentOracle.handleAgentJob(
+          user,
+          jobId,
+          triggerId,
+          JSON.stringify(clientPayload),
+          null,
+          fakeEvent(),
+        );
+
+        const queryArgs = storage.queryTransactionByTags.firstCall.args[0];
+        expect(queryArgs).to.deep.include({
+          name: "SenseAI-Key-For-Conversation",
+          value: `1-${clientPayload.conversationId}`,
+        });
+        expect(components.contract.submitAnswer.calledOnce).to.be.true;
+      });
+
+      it("drops an EVM job with no key as bad input, without looking for a Key File", async () => {
+        const { contract } = stubs["./contractUtility"].initializeOracle();
+
+        let error;
+        try {
+          await aiAgentOracle.handleAgentJob(user, jobId, triggerId, jobPayload(), "0x", fakeEvent());
+        } catch (err) {
+          error = err;
+        }
+
+        // "Validation Failed" is what isBadInputError keys on: dropped, not retried or alerted.
+        expect(error.message).to.include("Validation Failed for AgentJobSubmitted");
+        expect(stubs["./storage/storage"].queryTransactionByTags.called).to.be.false;
+        expect(contract.submitAnswer.called).to.be.false;
+      });
+
+      it("registers a recurring job only after its first run is answered", async () => {
+        const schedule = { intervalMs: 3600000 };
+        const payload = ethers.toUtf8Bytes(
+          createEncryptedString({ ...clientPayload, schedule }, FAKE_SESSION_KEY),
+        );
+        const scheduler = stubs["./agentScheduler"].createAgentScheduler();
+
+        await aiAgentOracle.handleAgentJob(user, jobId, triggerId, payload, "0xabcd", fakeEvent());
+
+        expect(scheduler.register.calledOnce).to.be.true;
+        const trigger = scheduler.register.firstCall.args[0];
+        expect(trigger).to.include({ triggerId, user, jobId });
+        expect(trigger.schedule).to.deep.equal(schedule);
+        // The next run threads off this one's answer.
+        const answerCID = stubs["./storage/storage"].uploadData.firstCall.returnValue;
+        expect(trigger.parent).to.deep.equal({
+          messageId: String(triggerId),
+          messageCID: await answerCID,
+        });
+        // Nothing of the payload is kept as it arrived: the key is sealed, the prompt encrypted.
+        expect(trigger).to.not.have.any.keys("payload", "roflEncryptedKey");
+        expect(trigger.sealed.key).to.equal(FAKE_ENCRYPTED_KEY.toString("hex"));
+        expect(trigger.sealed.job).to.not.include(clientPayload.promptText);
+        expect(decryptSymmetrically(trigger.sealed.job, FAKE_SESSION_KEY)).to.deep.equal({
+          promptText: clientPayload.promptText,
+          conversationId: "123",
+          schedule,
+        });
+      });
+
+      it("still completes an answered job when scheduling it fails", async () => {
+        const payload = ethers.toUtf8Bytes(
+          createEncryptedString(
+            { ...clientPayload, schedule: { cron: "0 9 * * 1" } },
+            FAKE_SESSION_KEY,
+          ),
+        );
+        const scheduler = stubs["./agentScheduler"].createAgentScheduler();
+        scheduler.register.rejects(new Error("disk full"));
+
+        // Must resolve: a rejection would push a paid, answered job back through the retry queue.
+        await aiAgentOracle.handleAgentJob(user, jobId, triggerId, payload, "0xabcd", fakeEvent());
+
+        expect(stubs["./contractUtility"].initializeOracle().contract.submitAnswer.calledOnce).to.be
+          .true;
+      });
+    });
+
+    describe("fireAgentTrigger", () => {
+      const ESCROW = ethers.Wallet.createRandom().address;
+      const escrowInterface = new ethers.Interface([
+        "function escrows(uint256) view returns (address, uint256, uint256, uint8)",
+        "error InsufficientSpendingLimitAllowance()",
+      ]);
+      let components;
+      let submit;
+      let escrowStatus;
+
+      function trigger() {
+        return {
+          triggerId: "901",
+          user: "0xUser",
+          jobId: "9",
+          lastRunId: "905",
+          parent: { messageId: "905", messageCID: "fake_cid_run_905" },
+          sealed: {
+            key: FAKE_ENCRYPTED_KEY.toString("hex"),
+            job: createEncryptedString(
+              { promptText: "Summarise my watchlist", conversationId: "123" },
+              FAKE_SESSION_KEY,
+            ),
+          },
+        };
+      }
+
+      beforeEach(() => {
+        components = stubs["./contractUtility"].initializeOracle();
+        components.contract.aiAgentEscrow = sinon.stub().resolves(ESCROW);
+        components.contract.interface.parseLog.returns({
+          name: "AgentJobSubmitted",
+          args: { triggerId: 906n },
+        });
+        components.provider.getTransactionReceipt = sinon.stub().resolves({ logs: [{}] });
+        escrowStatus = 1; // COMPLETE: the last run was answered and paid for
+        submit = sinon.stub().resolves({ hash: "0xRunTx" });
+        aiAgentOracle.initForTest({
+          ...components,
+          // The escrow's view call goes through the signer, as ethers sends it.
+          signer: {
+            call: async () =>
+              escrowInterface.encodeFunctionResult("escrows", [ESCROW, 1, 1, escrowStatus]),
+          },
+          txSubmitter: { kind: "ethers", address: "0xOracleAddress", submit },
+        });
+      });
+
+      it("threads each run off the previous run's answer", async () => {
+        const outcome = await aiAgentOracle.fireAgentTrigger(trigger());
+
+        expect(outcome).to.deep.equal({ runId: "906" });
+        const [escrow, method, [user, jobId, payload, roflKey]] = submit.firstCall.args;
+        expect(escrow.target).to.equal(ESCROW);
+        expect(method).to.equal("initiateAgentJob");
+        expect([user, jobId]).to.deep.equal(["0xUser", "9"]);
+        expect(Buffer.from(roflKey).equals(FAKE_ENCRYPTED_KEY)).to.be.true;
+        const sent = decryptSymmetrically(ethers.toUtf8String(payload), FAKE_SESSION_KEY);
+        expect(sent).to.deep.equal({
+          promptText: "Summarise my watchlist",
+          conversationId: "123",
+          promptMessageId: "905",
+          previousMessageCID: "fake_cid_run_905",
+        });
+      });
+
+      it("stops the job when its last run was cancelled or refunded", async () => {
+        escrowStatus = 2; // REFUNDED
+
+        const outcome = await aiAgentOracle.fireAgentTrigger(trigger());
+
+        expect(outcome.stop).to.include("run 905");
+        expect(submit.called).to.be.false;
+      });
+
+      it("stops the job when the escrow refuses the fee", async () => {
+        submit.rejects(
+          Object.assign(new Error("execution reverted"), {
+            code: "CALL_EXCEPTION",
+            data: escrowInterface.encodeErrorResult("InsufficientSpendingLimitAllowance"),
+          }),
+        );
+
+        const outcome = await aiAgentOracle.fireAgentTrigger(trigger());
+
+        expect(outcome.stop).to.include("InsufficientSpendingLimitAllowance");
+      });
+
+      it("counts a mined run as fired when its receipt cannot be read back", async () => {
+        // The run is billed by now; a failure here must not send the scheduler towards a pause.
+        components.provider.getTransactionReceipt.rejects(new Error("503 Service Unavailable"));
+
+        const outcome = await aiAgentOracle.fireAgentTrigger(trigger());
+
+        expect(outcome).to.deep.equal({ runId: null });
+        expect(submit.calledOnce).to.be.true;
+      });
+
+      it("throws any other failure back to the scheduler", async () => {
+        submit.rejects(new Error("nonce too low"));
+
+        let caught;
+        await aiAgentOracle.fireAgentTrigger(trigger()).catch((error) => (caught = error));
+
+        expect(caught.message).to.equal("nonce too low");
+      });
+    });
+
+    it("removes a scheduled job when one of its runs is cancelled", async () => {
+      const { contract } = stubs["./contractUtility"].initializeOracle();
+      contract.triggerToJob = sinon.stub().callsFake(async (id) => (id === 905 ? 9n : 0n));
+      const scheduler = stubs["./agentScheduler"].createAgentScheduler();
+
+      await aiAgentOracle.handleCancellation("0xUser", 456, { blockNumber: 7 });
+      expect(scheduler.remove.called).to.be.false;
+
+      await aiAgentOracle.handleCancellation("0xUser", 905, { blockNumber: 7 });
+      expect(scheduler.remove.calledOnceWith(9n)).to.be.true;
+    });
   });
 
   describe("Error Handling", () => {
     it("should add a job to the retry queue if a retryable error occurs", async () => {
-      stubs["./storage/storage"].uploadData.rejects(new Error("Irys is down"));
+      stubs["./storage/storage"].uploadData.rejects(
+        new TransientStorageError("irys", "Irys is down", { status: 503 }),
+      );
       const writeFileStub = stubs["fs/promises"].writeFile;
       const user = "0xUser";
       const conversationId = 123;
@@ -1715,24 +2821,20 @@ describe("aiAgentOracle", function () {
       // A retryable error should queue a job but not trigger a critical alert.
       expect(stubs["./alerting"].sendAlert.called).to.be.false;
 
-      const failedJobsCall = writeFileStub
-        .getCalls()
-        .find((call) => call.args[0].includes("failed-jobs.json"));
-      expect(failedJobsCall).to.not.be.undefined;
-      const jobQueue = JSON.parse(failedJobsCall.args[1]);
+      const jobQueue = await stubs["./jobStore"].createJobStoreFromEnv().list();
       expect(jobQueue).to.have.lengthOf(1);
       expect(jobQueue[0].eventName).to.equal("PromptSubmitted");
 
+      // Queued, but the cursor is left to the scan loop that dispatched the event.
       const stateFileCall = writeFileStub
         .getCalls()
         .find((call) => call.args[0].includes("oracle-state.json"));
-      expect(stateFileCall).to.not.be.undefined;
+      expect(stateFileCall).to.be.undefined;
     });
 
     it("should send a critical alert for a non-retryable error", async () => {
       // Simulate a fatal error like a decryption failure.
       stubs["./ecies"].eciesDecrypt.rejects(new Error("Decryption failed"));
-      const writeFileStub = stubs["fs/promises"].writeFile;
 
       const user = "0xUser";
       const conversationId = 1;
@@ -1758,10 +2860,97 @@ describe("aiAgentOracle", function () {
       sinon.assert.calledWithMatch(stubs["./alerting"].sendAlert, "CRITICAL: Oracle Fatal Error");
 
       // Assert that the job was NOT added to the retry queue.
-      const failedJobsCall = writeFileStub
-        .getCalls()
-        .find((call) => call.args[0].includes("failed-jobs.json"));
-      expect(failedJobsCall).to.be.undefined;
+      expect(await stubs["./jobStore"].createJobStoreFromEnv().list()).to.deep.equal([]);
+    });
+
+    it("should not retry an untyped error just because it names a storage provider", async () => {
+      // The old substring check retried anything mentioning "Irys" or "fetch" ten times.
+      const fakeEvent = {
+        blockNumber: 100,
+        transactionHash: "0xhash",
+        getBlock: () => Promise.resolve({ timestamp: Math.floor(Date.now() / 1000) }),
+        args: [],
+      };
+      const handler = sinon
+        .stub()
+        .rejects(new Error("Payload references Irys CID that failed to fetch"));
+
+      await aiAgentOracle.handleAndRecord("PromptSubmitted", handler, fakeEvent);
+
+      // Its own incident, so a second lost job is alerted rather than counted into this one.
+      sinon.assert.calledWithMatch(
+        stubs["./alerting"].sendAlert,
+        "CRITICAL: Oracle Fatal Error",
+        sinon.match.string,
+        { fingerprint: "CRITICAL: Oracle Fatal Error:PromptSubmitted:0xhash" },
+      );
+      const jobStore = stubs["./jobStore"].createJobStoreFromEnv();
+      expect(await jobStore.list({ status: ["pending", "running"] })).to.deep.equal([]);
+    });
+
+    it("should retry when the oracle wallet cannot pay for gas", async () => {
+      const fakeEvent = {
+        blockNumber: 100,
+        transactionHash: "0xhash",
+        getBlock: () => Promise.resolve({ timestamp: Math.floor(Date.now() / 1000) }),
+        args: [],
+      };
+      const handler = sinon.stub().rejects(
+        Object.assign(new Error("insufficient funds for intrinsic transaction cost"), {
+          code: "INSUFFICIENT_FUNDS",
+        }),
+      );
+
+      await aiAgentOracle.handleAndRecord("PromptSubmitted", handler, fakeEvent);
+
+      expect(await stubs["./jobStore"].createJobStoreFromEnv().list()).to.have.lengthOf(1);
+      expect(stubs["./alerting"].sendAlert.called).to.be.false;
+    });
+
+    it("should name the decoded custom error in the fatal alert for a revert", async () => {
+      const fakeEvent = {
+        blockNumber: 100,
+        transactionHash: "0xhash",
+        getBlock: () => Promise.resolve({ timestamp: Math.floor(Date.now() / 1000) }),
+        args: [],
+      };
+      const handler = sinon
+        .stub()
+        .rejects(new ContractRevertError("execution reverted", { errorName: "InvalidAnswerId" }));
+
+      await aiAgentOracle.handleAndRecord("PromptSubmitted", handler, fakeEvent);
+
+      sinon.assert.calledWithMatch(
+        stubs["./alerting"].sendAlert,
+        "CRITICAL: Oracle Fatal Error",
+        sinon.match("reverted with InvalidAnswerId"),
+      );
+      // Dead-lettered on the spot rather than retried, with the revert as its error.
+      const [dead] = await stubs["./jobStore"].createJobStoreFromEnv().list();
+      expect(dead).to.include({
+        status: "dead",
+        transactionHash: "0xhash",
+        lastError: "execution reverted",
+      });
+    });
+
+    it("should still alert when the fatal job cannot be dead-lettered", async () => {
+      const jobStore = stubs["./jobStore"].createJobStoreFromEnv();
+      sinon.stub(jobStore, "bury").rejects(new Error("disk full"));
+      const fakeEvent = {
+        blockNumber: 100,
+        transactionHash: "0xhash",
+        getBlock: () => Promise.resolve({ timestamp: Math.floor(Date.now() / 1000) }),
+        args: [],
+      };
+
+      await aiAgentOracle.handleAndRecord(
+        "PromptSubmitted",
+        sinon.stub().rejects(new Error("Decryption failed")),
+        fakeEvent,
+      );
+
+      sinon.assert.calledWithMatch(stubs["./alerting"].sendAlert, "CRITICAL: Oracle Fatal Error");
     });
 
     it("should trigger a high lag alert if event is too old", async () => {
@@ -1783,6 +2972,22 @@ describe("aiAgentOracle", function () {
         "High Oracle Processing Lag Detected",
       );
     });
+
+    it("resolves the lag alert once an event arrives fresh", async () => {
+      const fakeEvent = {
+        blockNumber: 1,
+        getBlock: () => Promise.resolve({ timestamp: Math.floor(Date.now() / 1000) - 10 }),
+        args: [],
+      };
+
+      await aiAgentOracle.handleAndRecord("TestEvent", sinon.stub().resolves(), fakeEvent);
+
+      sinon.assert.notCalled(stubs["./alerting"].sendAlert);
+      sinon.assert.calledWithMatch(
+        stubs["./alerting"].resolveAlert,
+        "High Oracle Processing Lag Detected",
+      );
+    });
   });
 
   describe("reconstructHistory", () => {
@@ -1878,5 +3083,129 @@ describe("aiAgentOracle", function () {
       // The oldest message should be the 6th one in the chain (25 - 20 + 1)
       expect(history[0].content).to.equal("Message 6");
     });
+
+    it("should walk a conversation written in every historical MessageFile shape", async () => {
+      // test/fixtures/messageFiles: one file per shape ever uploaded, chained oldest first.
+      const fixtures = loadMessageFixtures();
+      for (const [name, file] of Object.entries(fixtures)) {
+        stubs["./storage/storage"].fetchData
+          .withArgs(name)
+          .resolves(createEncryptedString(file, FAKE_SESSION_KEY));
+      }
+
+      const history = await aiAgentOracle.reconstructHistory(
+        headFixture(fixtures),
+        FAKE_SESSION_KEY,
+      );
+
+      const ordered = Object.values(fixtures).sort((a, b) => a.createdAt - b.createdAt);
+      expect(history).to.deep.equal(ordered.map(({ role, content }) => ({ role, content })));
+    });
+
+    it("fetches the whole window at once from the first file's ancestorCIDs", async () => {
+      const fetchData = stubs["./storage/storage"].fetchData;
+      const encrypted = (i) =>
+        createEncryptedString(
+          { role: "user", content: `Message ${i}`, parentCID: i > 1 ? `cid_${i - 1}` : null },
+          FAKE_SESSION_KEY,
+        );
+      let release;
+      const held = new Promise((resolve) => {
+        release = resolve;
+      });
+      for (let i = 1; i <= 4; i++) {
+        fetchData.withArgs(`cid_${i}`).callsFake(async () => {
+          await held;
+          return encrypted(i);
+        });
+      }
+      fetchData.withArgs("cid_5").resolves(
+        createEncryptedString(
+          {
+            role: "user",
+            content: "Message 5",
+            parentCID: "cid_4",
+            ancestorCIDs: ["cid_3", "cid_2", "cid_1"],
+          },
+          FAKE_SESSION_KEY,
+        ),
+      );
+
+      const walking = aiAgentOracle.walkHistory("cid_5", FAKE_SESSION_KEY);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      // Every ancestor requested while none has come back: one round trip, not four.
+      expect(fetchData.callCount).to.equal(5);
+      release();
+      const { history, cids } = await walking;
+      expect(history.map((m) => m.content)).to.deep.equal(
+        [1, 2, 3, 4, 5].map((i) => `Message ${i}`),
+      );
+      expect(cids).to.deep.equal(["cid_5", "cid_4", "cid_3", "cid_2", "cid_1"]);
+      expect(fetchData.callCount).to.equal(5);
+    });
+
+    it("follows parentCID past a file with no list; a wrong list changes nothing", async () => {
+      const fetchData = stubs["./storage/storage"].fetchData;
+      fetchData
+        .withArgs("cid_3")
+        .resolves(
+          createEncryptedString(
+            { role: "user", content: "Three", parentCID: "cid_2", ancestorCIDs: ["cid_gone"] },
+            FAKE_SESSION_KEY,
+          ),
+        )
+        .withArgs("cid_2")
+        .resolves(
+          createEncryptedString(
+            { role: "user", content: "Two", parentCID: "cid_1" },
+            FAKE_SESSION_KEY,
+          ),
+        )
+        .withArgs("cid_1")
+        .resolves(
+          createEncryptedString(
+            { role: "user", content: "One", parentCID: null },
+            FAKE_SESSION_KEY,
+          ),
+        )
+        .withArgs("cid_gone")
+        .rejects(new Error("CID not found"));
+
+      const history = await aiAgentOracle.reconstructHistory("cid_3", FAKE_SESSION_KEY);
+
+      expect(history.map((m) => m.content)).to.deep.equal(["One", "Two", "Three"]);
+      expect(fetchData.calledWith("cid_gone")).to.be.true;
+    });
+
+    it("reports the newest summary linked in the window and the message below it", async () => {
+      const fetchData = stubs["./storage/storage"].fetchData;
+      for (let i = 1; i <= 25; i++) {
+        const msg = {
+          role: i % 2 ? "user" : "assistant",
+          content: `Message ${i}`,
+          parentCID: i > 1 ? `cid_${i - 1}` : null,
+          ...(i % 2 ? {} : { summaryCID: `summary_${i}` }),
+        };
+        fetchData.withArgs(`cid_${i}`).resolves(createEncryptedString(msg, FAKE_SESSION_KEY));
+      }
+
+      const full = await aiAgentOracle.walkHistory("cid_25", FAKE_SESSION_KEY);
+      const short = await aiAgentOracle.walkHistory("cid_5", FAKE_SESSION_KEY);
+
+      expect(full).to.include({ summaryCID: "summary_24", olderCID: "cid_5" });
+      // The whole conversation fits: nothing below the window to summarise.
+      expect(short).to.include({ summaryCID: "summary_4", olderCID: null });
+    });
+
+    it("ancestorsAbove takes the CIDs above the parent, one window's worth", () => {
+      const walked = Array.from({ length: 25 }, (_, i) => `cid_${25 - i}`);
+
+      expect(aiAgentOracle.ancestorsAbove(walked, "cid_25")).to.have.lengthOf(18);
+      expect(aiAgentOracle.ancestorsAbove(walked, "cid_25")[0]).to.equal("cid_24");
+      expect(aiAgentOracle.ancestorsAbove(walked, "cid_3")).to.deep.equal(["cid_2", "cid_1"]);
+      expect(aiAgentOracle.ancestorsAbove(walked, "cid_unknown")).to.deep.equal([]);
+      expect(aiAgentOracle.ancestorsAbove(walked, null)).to.deep.equal([]);
+    });
   });
 });
@@ -224,3 +224,287 @@ describe("alerting", function () {
     });
   });
 });
+
+// The HTTP channels post to a local stub server, so each test sees exactly the request a real
+// webhook, PagerDuty or Telegram would have received.
+describe("alert channels", function () {
+  const http = require("node:http");
+
+  const CHANNEL_ENV = [
+    "SLACK_ACCESS_TOKEN",
+    "SLACK_ALERT_CHANNEL",
+    "ALERT_WEBHOOK_URL",
+    "ALERT_WEBHOOK_SECRET",
+    "PAGERDUTY_ROUTING_KEY",
+    "PAGERDUTY_EVENTS_URL",
+    "TELEGRAM_BOT_TOKEN",
+    "TELEGRAM_CHAT_ID",
+    "TELEGRAM_API_URL",
+    "ALERT_SLACK_SEVERITIES",
+    "ALERT_WEBHOOK_SEVERITIES",
+    "ALERT_PAGERDUTY_SEVERITIES",
+    "ALERT_COOLDOWN_MS",
+  ];
+
+  let server;
+  let baseUrl;
+  let requests;
+  // Set per test: the status the stub server answers a path with.
+  let statusFor;
+  let alerting;
+  let slackStub;
+
+  before((done) => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => {
+        body += chunk;
+      });
+      req.on("end", () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(statusFor(req.url));
+        res.end("{}");
+      });
+    });
+    server.listen(0, "127.0.0.1", () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after((done) => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    statusFor = () => 200;
+    sinon.stub(console, "error");
+    sinon.stub(console, "log");
+    slackStub = { chat: { postMessage: sinon.stub().resolves() } };
+    alerting = proxyquire("../src/alerting", {
+      "@slack/web-api": { WebClient: sinon.stub().returns(slackStub) },
+    });
+    process.env.ALERT_WEBHOOK_URL = `${baseUrl}/hook`;
+    process.env.PAGERDUTY_ROUTING_KEY = "routing-key";
+    process.env.PAGERDUTY_EVENTS_URL = `${baseUrl}/v2/enqueue`;
+    process.env.TELEGRAM_BOT_TOKEN = "123:abc";
+    process.env.TELEGRAM_CHAT_ID = "-100200";
+    process.env.TELEGRAM_API_URL = baseUrl;
+    // Every alert here is about routing, and some repeat a title; grouping is tested below.
+    process.env.ALERT_COOLDOWN_MS = "0";
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    for (const name of CHANNEL_ENV) delete process.env[name];
+  });
+
+  const requestTo = (path) => requests.find((r) => r.url === path);
+
+  it("sends a critical alert to the webhook, PagerDuty and Telegram", async () => {
+    process.env.ALERT_WEBHOOK_SECRET = "s3cret";
+
+    await alerting.sendAlert("CRITICAL: Oracle Fatal Error", "it broke");
+
+    const hook = requestTo("/hook");
+    expect(hook.headers.authorization).to.equal("Bearer s3cret");
+    expect(hook.body).to.include({
+      title: "CRITICAL: Oracle Fatal Error",
+      message: "it broke",
+      severity: "critical",
+      source: "oracle",
+    });
+
+    const page = requestTo("/v2/enqueue").body;
+    expect(page).to.include({ routing_key: "routing-key", event_action: "trigger" });
+    expect(page.payload).to.include({
+      summary: "CRITICAL: Oracle Fatal Error",
+      severity: "critical",
+    });
+    expect(page.payload.custom_details).to.deep.equal({ message: "it broke" });
+
+    const telegram = requestTo("/bot123:abc/sendMessage").body;
+    expect(telegram.chat_id).to.equal("-100200");
+    expect(telegram.text).to.include("CRITICAL: Oracle Fatal Error").and.to.include("it broke");
+  });
+
+  it("pages only for critical alerts unless routed otherwise", async () => {
+    await alerting.sendAlert("High Oracle Processing Lag Detected", "behind");
+    expect(requestTo("/v2/enqueue")).to.be.undefined;
+    expect(requestTo("/hook").body.severity).to.equal("warning");
+
+    process.env.ALERT_PAGERDUTY_SEVERITIES = "critical, warning";
+    await alerting.sendAlert("High Oracle Processing Lag Detected", "behind");
+    expect(requestTo("/v2/enqueue").body.payload.severity).to.equal("warning");
+  });
+
+  it("routes each channel by its own severities, and 'none' turns one off", async () => {
+    process.env.SLACK_ACCESS_TOKEN = "fake-slack-token";
+    process.env.SLACK_ALERT_CHANNEL = "#fake-channel";
+    process.env.ALERT_SLACK_SEVERITIES = "critical";
+    process.env.ALERT_WEBHOOK_SEVERITIES = "none";
+
+    await alerting.sendAlert("Irys Wallet Auto-Fund Successful", "funded", { severity: "info" });
+
+    expect(slackStub.chat.postMessage.called).to.be.false;
+    expect(requestTo("/hook")).to.be.undefined;
+    expect(requestTo("/bot123:abc/sendMessage").body.text).to.include("Severity: info");
+  });
+
+  it("reports a channel that fails without holding up the others", async () => {
+    statusFor = (url) => (url === "/hook" ? 500 : 200);
+
+    await alerting.sendAlert("CRITICAL: Oracle Fatal Error", "it broke");
+
+    expect(requestTo("/bot123:abc/sendMessage")).to.exist;
+    expect(
+      console.error.calledWith("Failed to send webhook alert:", "responded with status 500: {}"),
+    ).to.be.true;
+  });
+
+  it("sends to a registered channel like any built-in one", async () => {
+    const send = sinon.stub().resolves();
+    alerting.registerAlertChannel("opsgenie", { send, defaultSeverities: ["warning"] });
+
+    await alerting.sendAlert("Oracle Catch-up Failed", "retrying");
+    await alerting.sendAlert("CRITICAL: Oracle Fatal Error", "it broke");
+
+    expect(send.calledOnceWith("Oracle Catch-up Failed", "retrying", "warning")).to.be.true;
+  });
+
+  it("closes the PagerDuty incident when the alert resolves", async () => {
+    await alerting.sendAlert("CRITICAL: Retry Queue Unavailable", "db down");
+    await alerting.resolveAlert("CRITICAL: Retry Queue Unavailable", "queueing again");
+
+    const [trigger, resolve] = requests.filter((r) => r.url === "/v2/enqueue").map((r) => r.body);
+    expect(resolve).to.deep.equal({
+      routing_key: "routing-key",
+      event_action: "resolve",
+      dedup_key: trigger.dedup_key,
+    });
+    const hooks = requests.filter((r) => r.url === "/hook").map((r) => r.body);
+    expect(hooks[1]).to.include({ title: "RESOLVED: Retry Queue Unavailable", status: "resolved" });
+    expect(hooks[1].message).to.include("queueing again");
+  });
+});
+
+describe("alert grouping", function () {
+  const { createAlertDeduper } = require("../src/alerting");
+  const COOLDOWN = 15 * 60 * 1000;
+
+  let clock;
+  let deliver;
+  let deduper;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+    deliver = sinon.stub().resolves();
+    deduper = createAlertDeduper({ cooldownMs: COOLDOWN, deliver });
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  const LAG = "High Oracle Processing Lag Detected";
+  const lag = (minutes) => ["lag", LAG, `${minutes} min`, "warning"];
+
+  it("sends the first of a burst, then one summary of the rest after the cooldown", async () => {
+    for (let i = 1; i <= 300; i += 1) await deduper.trigger(...lag(i));
+
+    expect(deliver.calledOnce).to.be.true;
+    expect(deliver.firstCall.args).to.deep.equal([
+      "High Oracle Processing Lag Detected",
+      "1 min",
+      "warning",
+      { fingerprint: "lag", occurrences: 1 },
+    ]);
+
+    await clock.tickAsync(COOLDOWN);
+
+    expect(deliver.calledTwice).to.be.true;
+    const [title, message, severity, context] = deliver.secondCall.args;
+    expect(title).to.equal("High Oracle Processing Lag Detected (299 more occurrences)");
+    expect(message).to.include("300 min");
+    expect(severity).to.equal("warning");
+    expect(context).to.deep.equal({ fingerprint: "lag", occurrences: 299 });
+  });
+
+  it("ends a quiet window silently and sends the next occurrence at once", async () => {
+    await deduper.trigger(...lag(1));
+    await clock.tickAsync(COOLDOWN);
+    expect(deliver.calledOnce).to.be.true;
+
+    await deduper.trigger(...lag(2));
+    expect(deliver.calledTwice).to.be.true;
+  });
+
+  it("forgets an incident whose window ended quietly", async () => {
+    for (let i = 0; i < 50; i += 1) {
+      await deduper.trigger(`job:${i}`, "CRITICAL: Job Failed Permanently", `job ${i}`, "critical");
+    }
+    expect(deduper.size()).to.equal(50);
+
+    await clock.tickAsync(COOLDOWN);
+
+    expect(deduper.size()).to.equal(0);
+    await deduper.resolve("job:1", "Replayed.");
+    expect(deliver.callCount).to.equal(50);
+  });
+
+  it("keeps a lasting incident open through a quiet window until it is resolved", async () => {
+    await deduper.trigger("low", "Oracle Wallet Running Low: base", "0.01 ETH", "warning", true);
+    await clock.tickAsync(3 * COOLDOWN);
+
+    expect(deduper.size()).to.equal(1);
+    await deduper.resolve("low", "Funded.");
+    expect(deliver.secondCall.args[0]).to.equal("RESOLVED: Oracle Wallet Running Low: base");
+    expect(deduper.size()).to.equal(0);
+  });
+
+  it("keeps different alerts apart", async () => {
+    await deduper.trigger(...lag(1));
+    await deduper.trigger("reorg", "Chain reorg detected", "rewound", "warning");
+
+    expect(deliver.calledTwice).to.be.true;
+  });
+
+  it("resolves an open incident once, counting repeats not yet summarised", async () => {
+    await deduper.trigger(...lag(1));
+    await deduper.trigger(...lag(2));
+    await clock.tickAsync(5 * 60 * 1000);
+
+    await deduper.resolve("lag", "Caught up.");
+    await deduper.resolve("lag", "Caught up.");
+
+    expect(deliver.calledTwice).to.be.true;
+    const [title, message, severity, context] = deliver.secondCall.args;
+    expect(title).to.equal("RESOLVED: High Oracle Processing Lag Detected");
+    expect(message).to.equal("Resolved after 5 min and 2 occurrences.\n\nCaught up.");
+    expect(severity).to.equal("warning");
+    expect(context).to.deep.equal({ fingerprint: "lag", resolved: true, occurrences: 2 });
+
+    // The summary those repeats would have had is not sent after the resolution.
+    await clock.tickAsync(COOLDOWN);
+    expect(deliver.calledTwice).to.be.true;
+  });
+
+  it("sends nothing when asked to resolve what never fired", async () => {
+    await deduper.resolve("lag", "Caught up.");
+
+    expect(deliver.called).to.be.false;
+  });
+
+  it("sends every occurrence with no cooldown, and still resolves", async () => {
+    deduper = createAlertDeduper({ cooldownMs: 0, deliver });
+
+    await deduper.trigger(...lag(1));
+    await deduper.trigger(...lag(2));
+    await deduper.resolve("lag");
+
+    expect(deliver.callCount).to.equal(3);
+    expect(deliver.thirdCall.args[2]).to.equal("warning");
+  });
+});
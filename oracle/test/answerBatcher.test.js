@@ -0,0 +1,186 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const { ethers, makeError } = require("ethers");
+
+const {
+  createAnswerBatcher,
+  answerBatchConfig,
+  hasMulticall,
+  MULTICALL_SELECTOR,
+} = require("../src/answerBatcher");
+
+// The contract and submitter are stubs; the calldata in a batch is the real ABI encoding, so a
+// batch is checked for exactly the submitAnswer calls it carries.
+
+describe("answerBatcher", () => {
+  const AGENT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+  const abi = [
+    "function submitAnswer(uint256 _promptMessageId, uint256 _answerMessageId, string _cids)",
+    "function isJobFinalized(uint256 _id) view returns (bool)",
+    "error JobAlreadyFinalized()",
+  ];
+  const iface = new ethers.Interface(abi);
+  const WITH_MULTICALL = `0x60806040526004361063${MULTICALL_SELECTOR}14610046`;
+  const WITHOUT_MULTICALL = "0x6080604052600436106100";
+  const quietLogger = { log: () => {}, warn: sinon.stub() };
+
+  let contract;
+  let provider;
+  let txSubmitter;
+
+  const answer = (id) => [BigInt(id), BigInt(id) + 1000n, `cids-${id}`];
+  const reverted = () =>
+    makeError("execution reverted", "CALL_EXCEPTION", {
+      data: iface.getError("JobAlreadyFinalized").selector,
+    });
+
+  function batcher(opts = {}) {
+    return createAnswerBatcher({
+      contract,
+      txSubmitter,
+      provider,
+      windowMs: 20,
+      logger: quietLogger,
+      ...opts,
+    });
+  }
+
+  beforeEach(() => {
+    quietLogger.warn.resetHistory();
+    contract = {
+      target: AGENT,
+      interface: iface,
+      runner: null,
+      isJobFinalized: sinon.stub().resolves(false),
+    };
+    provider = {
+      getCode: sinon.stub().resolves(WITH_MULTICALL),
+      getStorage: sinon.stub().resolves(ethers.ZeroHash),
+    };
+    txSubmitter = { submit: sinon.stub().resolves({ hash: "0xtx" }) };
+  });
+
+  it("sends answers ready within the window as one multicall", async () => {
+    const b = batcher();
+
+    const results = await Promise.all([b.submit(answer(1)), b.submit(answer(2))]);
+
+    expect(results).to.deep.equal([{ hash: "0xtx" }, { hash: "0xtx" }]);
+    expect(txSubmitter.submit.calledOnce).to.be.true;
+    const [batchContract, method, [calls]] = txSubmitter.submit.firstCall.args;
+    expect(batchContract.target).to.equal(AGENT);
+    expect(method).to.equal("multicall");
+    expect(calls).to.deep.equal([
+      iface.encodeFunctionData("submitAnswer", answer(1)),
+      iface.encodeFunctionData("submitAnswer", answer(2)),
+    ]);
+  });
+
+  it("sends each answer alone and at once when the contract has no multicall", async () => {
+    provider.getCode.resolves(WITHOUT_MULTICALL);
+    const b = batcher({ windowMs: 60 * 1000 });
+
+    await Promise.all([b.submit(answer(1)), b.submit(answer(2))]);
+    await b.submit(answer(3));
+
+    expect(txSubmitter.submit.callCount).to.equal(3);
+    expect(txSubmitter.submit.firstCall.args.slice(1)).to.deep.equal(["submitAnswer", answer(1)]);
+    expect(provider.getCode.calledOnce).to.be.true;
+  });
+
+  it("looks for multicall in the implementation behind an ERC-1967 proxy", async () => {
+    const IMPLEMENTATION = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+    // ERC1967Proxy's runtime code: a fallback that delegatecalls, with no selectors of its own.
+    const PROXY_CODE = "0x608060405261000c61000e565b005b61001e610019610020565b610058565b565b";
+    provider.getCode.withArgs(AGENT).resolves(PROXY_CODE);
+    provider.getCode.withArgs(IMPLEMENTATION).resolves(WITH_MULTICALL);
+    const slot = provider.getStorage.withArgs(
+      AGENT,
+      "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc",
+    );
+    slot.resolves(ethers.zeroPadValue(IMPLEMENTATION, 32));
+
+    expect(await hasMulticall(provider, AGENT)).to.be.true;
+    provider.getCode.withArgs(IMPLEMENTATION).resolves(WITHOUT_MULTICALL);
+    expect(await hasMulticall(provider, AGENT)).to.be.false;
+    // Without a proxy the slot is empty, and the address's own code is read.
+    slot.resolves(ethers.ZeroHash);
+    provider.getCode.withArgs(AGENT).resolves(WITH_MULTICALL);
+    expect(await hasMulticall(provider, AGENT)).to.be.true;
+  });
+
+  it("does not hold a full batch for the rest of the window", async () => {
+    const b = batcher({ windowMs: 60 * 1000, maxBatch: 2 });
+
+    await Promise.all([b.submit(answer(1)), b.submit(answer(2))]);
+
+    expect(txSubmitter.submit.calledOnce).to.be.true;
+  });
+
+  it("takes a cancelled answer out of the batch and tells its caller", async () => {
+    contract.isJobFinalized.withArgs(1002n).resolves(true);
+    const b = batcher();
+
+    const results = await Promise.all([
+      b.submit(answer(1)),
+      b.submit(answer(2)),
+      b.submit(answer(3)),
+    ]);
+
+    expect(results[1]).to.deep.equal({ finalized: true });
+    const [, , [calls]] = txSubmitter.submit.firstCall.args;
+    expect(calls).to.have.lengthOf(2);
+    expect(calls).to.not.include(iface.encodeFunctionData("submitAnswer", answer(2)));
+  });
+
+  it("sends an answer left alone in its batch as a plain submitAnswer", async () => {
+    contract.isJobFinalized.withArgs(1001n).resolves(true);
+    const b = batcher();
+
+    const results = await Promise.all([b.submit(answer(1)), b.submit(answer(2))]);
+
+    expect(results).to.deep.equal([{ finalized: true }, { hash: "0xtx" }]);
+    expect(txSubmitter.submit.firstCall.args.slice(1)).to.deep.equal(["submitAnswer", answer(2)]);
+  });
+
+  it("when a batch reverts, sends each answer alone so only the bad one fails", async () => {
+    txSubmitter.submit.withArgs(sinon.match.any, "multicall").rejects(reverted());
+    txSubmitter.submit.withArgs(contract, "submitAnswer", answer(2)).rejects(reverted());
+    const b = batcher();
+
+    const [first, second] = await Promise.allSettled([b.submit(answer(1)), b.submit(answer(2))]);
+
+    expect(first).to.deep.equal({ status: "fulfilled", value: { hash: "0xtx" } });
+    expect(second.status).to.equal("rejected");
+    expect(second.reason.code).to.equal("CALL_EXCEPTION");
+    // Each answer is checked again before it is sent alone.
+    expect(contract.isJobFinalized.withArgs(1001n).calledTwice).to.be.true;
+  });
+
+  it("fails every caller, without re-sending, when a batch fails another way", async () => {
+    const down = makeError("could not coalesce error", "SERVER_ERROR");
+    txSubmitter.submit.rejects(down);
+    const b = batcher();
+
+    const results = await Promise.allSettled([b.submit(answer(1)), b.submit(answer(2))]);
+
+    expect(results.map((r) => r.reason)).to.deep.equal([down, down]);
+    expect(txSubmitter.submit.calledOnce).to.be.true;
+  });
+
+  it("never batches when told not to, and never reads the code", async () => {
+    const b = batcher({ multicall: false });
+
+    await Promise.all([b.submit(answer(1)), b.submit(answer(2))]);
+
+    expect(txSubmitter.submit.callCount).to.equal(2);
+    expect(provider.getCode.called).to.be.false;
+  });
+
+  it("reads the window and batch size from the environment", () => {
+    expect(answerBatchConfig({})).to.deep.equal({ windowMs: 1000, maxBatch: 10 });
+    expect(answerBatchConfig({ ANSWER_BATCH_WINDOW_MS: "0", ANSWER_BATCH_MAX: "4" })).to.deep.equal(
+      { windowMs: 0, maxBatch: 4 },
+    );
+  });
+});
@@ -0,0 +1,290 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const http = require("http");
+const crypto = require("crypto");
+
+const {
+  createAnswerStreamer,
+  createSseSink,
+  startAnswerStreamServer,
+  streamId,
+  NOOP_STREAM,
+} = require("../src/answerStream");
+
+// Streaming answer delivery over an encrypted side channel.
+//
+// Two properties carry the feature. Every payload leaves the oracle encrypted under the
+// conversation's session key — the SSE endpoint is unauthenticated, so that is the ONLY thing
+// keeping one user's reasoning from another. And nothing about the stream can affect the answer:
+// publishing never throws, and a closed stream stays closed.
+
+const SESSION_KEY = crypto.randomBytes(32);
+
+/** The oracle's MessageFile envelope, reproduced so the test can decrypt what it streams. */
+function encrypt(data, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(data), "utf8"),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+  return `${iv.toString("base64")}.${ciphertext.toString("base64")}`;
+}
+
+function decrypt(envelope, key) {
+  const [ivB64, bodyB64] = envelope.split(".");
+  const body = Buffer.from(bodyB64, "base64");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(ivB64, "base64"));
+  decipher.setAuthTag(body.subarray(body.length - 16));
+  return JSON.parse(
+    Buffer.concat([decipher.update(body.subarray(0, body.length - 16)), decipher.final()]),
+  );
+}
+
+function recordingSink() {
+  return {
+    published: [],
+    closed: [],
+    publish(id, c) {
+      this.published.push({ id, ...c });
+    },
+    close(id) {
+      this.closed.push(id);
+    },
+  };
+}
+
+describe("answerStream", () => {
+  afterEach(() => sinon.restore());
+
+  describe("createAnswerStreamer", () => {
+    it("hands out no-op handles when no sink is configured", () => {
+      const streamer = createAnswerStreamer({ sink: null, encrypt });
+      expect(streamer.enabled).to.equal(false);
+      expect(streamer.open(1, SESSION_KEY)).to.equal(NOOP_STREAM);
+    });
+
+    it("encrypts every payload under the session key, with only type and seq in the clear", () => {
+      const sink = recordingSink();
+      const stream = createAnswerStreamer({ sink, encrypt }).open(458, SESSION_KEY);
+
+      stream.sources([{ title: "Macro sentiment" }]);
+      stream.reasoning("Checking funding rates");
+      stream.draft("BTC is range-bound.");
+      stream.close();
+
+      expect(sink.published.map((c) => [c.id, c.seq, c.type])).to.deep.equal([
+        ["458", 1, "sources"],
+        ["458", 2, "reasoning"],
+        ["458", 3, "draft"],
+        ["458", 4, "end"],
+      ]);
+      expect(JSON.stringify(sink.published)).to.not.include("funding");
+      expect(decrypt(sink.published[1].payload, SESSION_KEY)).to.deep.equal({
+        type: "reasoning",
+        data: "Checking funding rates",
+      });
+      expect(sink.published[3]).to.not.have.property("payload");
+      expect(sink.closed).to.deep.equal(["458"]);
+    });
+
+    it("ignores empty signals and anything sent after close", () => {
+      const sink = recordingSink();
+      const stream = createAnswerStreamer({ sink, encrypt }).open(1, SESSION_KEY);
+
+      stream.sources([]);
+      stream.reasoning("   ");
+      stream.close();
+      stream.close();
+      stream.draft("late");
+
+      expect(sink.published.map((c) => c.type)).to.deep.equal(["end"]);
+      expect(sink.closed).to.have.length(1);
+    });
+
+    it("never throws into the answer path, whatever the sink or encryption does", () => {
+      const sink = {
+        publish: sinon.stub().throws(new Error("socket hang up")),
+        close: sinon.stub().throws(new Error("already gone")),
+      };
+      const streamer = createAnswerStreamer({ sink, encrypt, logger: { warn() {} } });
+      const stream = streamer.open(1, Buffer.alloc(3)); // a bad key makes encrypt throw too
+
+      expect(() => {
+        stream.reasoning("thinking");
+        stream.close();
+      }).to.not.throw();
+    });
+  });
+
+  describe("createSseSink", () => {
+    function fakeResponse() {
+      const res = {
+        body: "",
+        ended: false,
+        writeHead: sinon.stub().returnsThis(),
+        write(text) {
+          this.body += text;
+        },
+        end() {
+          this.ended = true;
+        },
+        on() {},
+      };
+      return res;
+    }
+
+    it("replays buffered chunks to a late subscriber, honouring Last-Event-ID", () => {
+      const sink = createSseSink();
+      sink.publish("7", { seq: 1, type: "sources", payload: "a" });
+      sink.publish("7", { seq: 2, type: "reasoning", payload: "b" });
+
+      const res = fakeResponse();
+      sink.subscribe("7", res, 1);
+
+      expect(res.body).to.equal(
+        `id: 2\nevent: reasoning\ndata: ${JSON.stringify({ seq: 2, type: "reasoning", payload: "b" })}\n\n`,
+      );
+      expect(res.ended).to.equal(false);
+    });
+
+    it("ends live subscribers on close, and still replays the finished stream", () => {
+      const clock = sinon.useFakeTimers();
+      const sink = createSseSink({ lingerMs: 1000 });
+      const live = fakeResponse();
+      sink.subscribe("7", live);
+      sink.publish("7", { seq: 1, type: "end" });
+      sink.close("7");
+      expect(live.ended).to.equal(true);
+
+      const late = fakeResponse();
+      sink.subscribe("7", late);
+      expect(late.body).to.include("event: end");
+      expect(late.ended).to.equal(true);
+
+      clock.tick(1000);
+      expect(sink.size()).to.equal(0);
+    });
+
+    it("bounds the number of streams held, evicting the oldest", () => {
+      const sink = createSseSink({ maxStreams: 2 });
+      sink.publish("1", { seq: 1, type: "draft" });
+      sink.publish("2", { seq: 1, type: "draft" });
+      sink.publish("3", { seq: 1, type: "draft" });
+
+      expect(sink.size()).to.equal(2);
+    });
+
+    it("lets a subscriber wait for a stream without creating it or evicting one", () => {
+      const sink = createSseSink({ maxStreams: 1 });
+      sink.publish("1", { seq: 1, type: "draft" });
+
+      const early = fakeResponse();
+      sink.subscribe("2", early);
+      expect(sink.size()).to.equal(1);
+      expect(sink.waiting()).to.equal(1);
+      sink.publish("1", { seq: 2, type: "draft" });
+      sink.subscribe("1", fakeResponse());
+      expect(sink.size()).to.equal(1);
+
+      // Its stream starts: the waiting subscriber is attached and sees it from the first chunk.
+      sink.publish("2", { seq: 1, type: "sources", payload: "a" });
+      expect(sink.waiting()).to.equal(0);
+      expect(early.body).to.include("event: sources");
+    });
+
+    it("turns subscribers away past the waiting cap, and lets a waiting one go in time", () => {
+      const clock = sinon.useFakeTimers();
+      const sink = createSseSink({ maxWaiting: 1, waitMs: 30 * 1000 });
+      const first = fakeResponse();
+      const second = fakeResponse();
+
+      sink.subscribe("2", first);
+      sink.subscribe("3", second);
+      expect(second.writeHead.firstCall.args).to.deep.equal([503, { "Retry-After": "30" }]);
+      expect(second.ended).to.equal(true);
+
+      clock.tick(30 * 1000);
+      expect(first.ended).to.equal(true);
+      expect(sink.waiting()).to.equal(0);
+    });
+  });
+
+  describe("startAnswerStreamServer", () => {
+    let server;
+
+    afterEach((done) => {
+      if (server) server.close(() => done());
+      else done();
+      server = null;
+    });
+
+    function get(path, headers = {}) {
+      return new Promise((resolve, reject) => {
+        const { port } = server.address();
+        http
+          .get({ port, path, headers }, (res) => {
+            let body = "";
+            res.on("data", (d) => (body += d));
+            res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body }));
+          })
+          .on("error", reject);
+      });
+    }
+
+    it("serves a finished stream end-to-end as decryptable SSE", async () => {
+      const sink = createSseSink();
+      server = await startAnswerStreamServer({ port: 0, sink, logger: { log() {} } });
+      const stream = createAnswerStreamer({ sink, encrypt }).open(
+        streamId("sapphire", 458),
+        SESSION_KEY,
+      );
+      stream.reasoning("Comparing ETH/BTC");
+      stream.close();
+
+      const res = await get("/chains/sapphire/answers/458/stream");
+
+      expect(res.status).to.equal(200);
+      expect(res.headers["content-type"]).to.equal("text/event-stream");
+      expect(res.headers["access-control-allow-origin"]).to.equal("*");
+      const events = res.body.trim().split("\n\n");
+      expect(events).to.have.length(2);
+      const first = JSON.parse(events[0].split("data: ")[1]);
+      expect(decrypt(first.payload, SESSION_KEY).data).to.equal("Comparing ETH/BTC");
+      expect(events[1]).to.include("event: end");
+    });
+
+    it("keys streams by chain, with the short path for the one chain served", async () => {
+      const sink = createSseSink();
+      const streamer = createAnswerStreamer({ sink, encrypt });
+      streamer.open(streamId("sapphire", 7), SESSION_KEY).close();
+      streamer.open(streamId("base", 7), SESSION_KEY).draft("from base");
+      server = await startAnswerStreamServer({
+        port: 0,
+        sink,
+        defaultChainId: "sapphire",
+        logger: { log() {} },
+      });
+
+      const res = await get("/answers/7/stream");
+
+      expect(res.body).to.include("event: end");
+      expect(res.body).to.not.include("event: draft");
+    });
+
+    it("404s anything that is not a stream path", async () => {
+      server = await startAnswerStreamServer({
+        port: 0,
+        sink: createSseSink(),
+        logger: { log() {} },
+      });
+
+      expect((await get("/answers/abc/stream")).status).to.equal(404);
+      expect((await get("/chains/Base!/answers/7/stream")).status).to.equal(404);
+      // Serving several chains, the short path cannot say which one it means.
+      expect((await get("/answers/7/stream")).status).to.equal(404);
+      expect((await get("/")).status).to.equal(404);
+    });
+  });
+});
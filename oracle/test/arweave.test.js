@@ -2,6 +2,7 @@ const chai = require("chai");
 const sinon = require("sinon");
 const { expect } = chai;
 const proxyquire = require("proxyquire");
+const { TransientStorageError, IntegrityError } = require("../src/oracleErrors");
 
 describe("arweave storage utility", function () {
   let arweaveModule;
@@ -45,7 +46,9 @@ describe("arweave storage utility", function () {
       },
       "node-fetch": sinon.stub().resolves({
         ok: true,
+        status: 200,
         text: () => Promise.resolve("some data"),
+        arrayBuffer: () => Promise.resolve(new TextEncoder().encode("some data").buffer),
         json: () =>
           Promise.resolve({
             data: { transactions: { edges: [{ node: { id: "gql_tx_id" } }] } },
@@ -163,7 +166,10 @@ describe("arweave storage utility", function () {
         await arweaveModule.uploadData(Buffer.from("test"));
         expect.fail("Upload should have thrown an error");
       } catch (error) {
-        expect(error).to.equal(uploadError);
+        // Typed for the retry decision, with the SDK's error kept as the cause.
+        expect(error).to.be.instanceOf(TransientStorageError);
+        expect(error.cause).to.equal(uploadError);
+        expect(error.message).to.equal("Network timeout");
         expect(stubs["../alerting"].sendAlert.calledOnceWith("CRITICAL: Irys Upload Failed")).to.be
           .true;
       }
@@ -184,9 +190,83 @@ describe("arweave storage utility", function () {
         expect.fail("Should have thrown an error for a failed fetch");
       } catch (error) {
         expect(error.message).to.include("Status: 502");
+        expect(error).to.include({ provider: "irys", status: 502, retryable: true });
       }
     });
 
+    it("fetchData should not mark a missing CID as retryable", async () => {
+      stubs["node-fetch"].resolves({ ok: false, status: 404 });
+      try {
+        await arweaveModule.fetchData("some_cid");
+        expect.fail("Should have thrown an error for a missing CID");
+      } catch (error) {
+        expect(error).to.include({ provider: "irys", status: 404, retryable: false });
+      }
+    });
+
+    it("fetchData should fall back to arweave.net when the Irys gateway fails", async () => {
+      stubs["node-fetch"].onFirstCall().resolves({ ok: false, status: 502 });
+
+      expect(await arweaveModule.fetchData("some_cid")).to.equal("some data");
+      expect(stubs["node-fetch"].secondCall.args[0]).to.equal("https://arweave.net/some_cid");
+    });
+
+    it("fetchData should skip a gateway serving bytes that miss the data root", async () => {
+      const id = "t".repeat(43);
+      const bytesOf = (text) => () => Promise.resolve(new TextEncoder().encode(text).buffer);
+      stubs["node-fetch"].callsFake(async (url) => {
+        if (url === `https://arweave.net/tx/${id}`) {
+          return {
+            status: 200,
+            // The data root of "ciphertext" (see integrity.test.js).
+            json: async () => ({
+              data_root: "GZsiOn5-ORPfzix_T544MCVsiNx4X_iixMt0hkBXZI8",
+              data_size: "10",
+            }),
+          };
+        }
+        const served = url.startsWith("https://gateway.irys.xyz") ? "ciphertexT" : "ciphertext";
+        return { ok: true, status: 200, arrayBuffer: bytesOf(served) };
+      });
+
+      expect(await arweaveModule.fetchData(id)).to.equal("ciphertext");
+    });
+
+    it("fetchData should throw IntegrityError when no gateway serves matching bytes", async () => {
+      const id = "t".repeat(43);
+      stubs["node-fetch"].callsFake(async (url) =>
+        url.includes("/tx/")
+          ? { status: 200, json: async () => ({ data_root: "AAAA", data_size: "9" }) }
+          : { ok: true, status: 200, arrayBuffer: async () => Buffer.from("some data") },
+      );
+
+      const error = await arweaveModule.fetchData(id).catch((e) => e);
+
+      expect(error).to.be.instanceOf(IntegrityError);
+      expect(error).to.include({ provider: "irys", cid: id, retryable: true });
+    });
+
+    it("fetchData returns a bundled Irys data item unchecked: it has no header", async () => {
+      // Real data item ids (@irys/bundles createData, Ethereum signer): base58 sha256 of the
+      // signature, one 44 characters long and one 43 — the length of an Arweave id.
+      const ids = [
+        "5qEj7KKZRaAGXV8PXE4ZpVk3WPMhSLSyP2AAjMJjumz3",
+        "MaPaDaKCAvkKrcPLGBF4sPuiniSwY8vuzaYqc3EBEXa",
+      ];
+      stubs["node-fetch"].callsFake(async (url) =>
+        url.includes("/tx/")
+          ? { status: 404 }
+          : { ok: true, status: 200, arrayBuffer: async () => Buffer.from("ciphertexT") },
+      );
+
+      for (const id of ids) {
+        // Altered or not, the bytes come back as served.
+        expect(await arweaveModule.fetchData(id)).to.equal("ciphertexT");
+      }
+      const headerLookups = stubs["node-fetch"].args.filter(([url]) => url.includes("/tx/"));
+      expect(headerLookups.map(([url]) => url)).to.deep.equal([`https://arweave.net/tx/${ids[1]}`]);
+    });
+
     it("queryTransactionByTags should send a correctly formatted GQL query", async () => {
       const tags = [{ name: "Content-Type", value: "application/json" }];
       await arweaveModule.queryTransactionByTags(tags);
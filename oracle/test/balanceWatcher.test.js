@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const { ethers } = require("ethers");
+
+const { createBalanceWatcher, balanceWatchConfig, spendPerHour } = require("../src/balanceWatcher");
+
+// The provider and clock are stubs, so each check reads whatever balance the test has queued
+// at whatever time it says.
+
+describe("balanceWatcher", () => {
+  const WALLET = "0x0DECafC0ffee00000000000000000000000009a12";
+  const HOUR = 60 * 60 * 1000;
+  const quietLogger = { log: () => {}, warn: sinon.stub() };
+
+  let clock;
+  let provider;
+  let sendAlert;
+  let resolveAlert;
+
+  function watcher(opts = {}) {
+    return createBalanceWatcher({
+      wallets: [{ label: "sapphire", provider, address: WALLET }],
+      sendAlert,
+      resolveAlert,
+      now: () => clock,
+      logger: quietLogger,
+      ...opts,
+    });
+  }
+
+  /** Check at each hour offset, with the balance (in ether) given for it. */
+  async function checkAt(w, readings) {
+    let last;
+    for (const [hours, ether] of readings) {
+      clock = hours * HOUR;
+      provider.getBalance.resolves(ethers.parseEther(ether));
+      last = await w.check();
+    }
+    return last;
+  }
+
+  beforeEach(() => {
+    quietLogger.warn.resetHistory();
+    clock = 0;
+    provider = { getBalance: sinon.stub() };
+    sendAlert = sinon.stub().resolves();
+    resolveAlert = sinon.stub().resolves();
+  });
+
+  it("estimates runway from what the wallet has spent", async () => {
+    const w = watcher();
+
+    const snapshot = await checkAt(w, [
+      [0, "1.0"],
+      [1, "0.9"],
+      [2, "0.8"],
+    ]);
+
+    expect(snapshot.wallets.sapphire).to.deep.equal({
+      address: WALLET,
+      balance: 0.8,
+      spendPerHour: 0.1,
+      runwayHours: 8,
+    });
+    expect(w.snapshot()).to.equal(snapshot);
+  });
+
+  it("does not count a top-up as negative spend", () => {
+    const samples = [
+      { at: 0, wei: 10n },
+      { at: HOUR, wei: 6n },
+      { at: 2 * HOUR, wei: 100n },
+      { at: 3 * HOUR, wei: 98n },
+    ];
+
+    expect(spendPerHour(samples)).to.equal(2n);
+  });
+
+  it("has no rate, and so no runway alert, until it has enough history", async () => {
+    const w = watcher();
+
+    const snapshot = await checkAt(w, [
+      [0, "1.0"],
+      [0.25, "0.1"],
+    ]);
+
+    expect(snapshot.wallets.sapphire.runwayHours).to.equal(null);
+    expect(sendAlert.called).to.be.false;
+  });
+
+  it("alerts once when the runway falls short, resolves it, and alerts again after", async () => {
+    const w = watcher({ runwayAlertHours: 48 });
+
+    // Short from the first rate (9h), and still short an hour later: one alert.
+    await checkAt(w, [
+      [0, "1.0"],
+      [1, "0.9"],
+      [2, "0.8"],
+    ]);
+    expect(sendAlert.calledOnce).to.be.true;
+    const [title, message, options] = sendAlert.firstCall.args;
+    expect(title).to.include("sapphire");
+    expect(message).to.include(WALLET).and.to.include("about 9h");
+    // Sent once for the whole episode, so alerting must keep it open for the resolution.
+    expect(options).to.deep.equal({ lasting: true });
+
+    // Topped up, then spending again: healthy, so a later shortfall would be a new episode.
+    await checkAt(w, [[3, "50.0"]]);
+    await checkAt(w, [[4, "49.9"]]);
+    expect(sendAlert.calledOnce).to.be.true;
+    expect(resolveAlert.calledOnceWith(title)).to.be.true;
+    await checkAt(w, [[5, "0.3"]]);
+    expect(sendAlert.calledTwice).to.be.true;
+  });
+
+  it("alerts below a fixed floor even before there is a rate", async () => {
+    const w = watcher({ balanceAlertWei: ethers.parseEther("0.5") });
+
+    await checkAt(w, [[0, "0.4"]]);
+
+    expect(sendAlert.calledOnce).to.be.true;
+    expect(sendAlert.firstCall.args[1]).to.include("No spend rate yet");
+  });
+
+  it("alerts on a low storage gauge, or lets the gauge handle it", async () => {
+    const credits = {
+      key: "autoDriveUploadCredits",
+      label: "Auto-Drive upload credits",
+      read: async () => 1024,
+      threshold: 4096,
+      hint: "Top it up.",
+    };
+    const irys = {
+      key: "irysBalance",
+      label: "Irys balance",
+      read: async () => 0.01,
+      threshold: 0.02,
+      onLow: sinon.stub().resolves(),
+    };
+    const w = watcher({ wallets: [], gauges: [credits, irys] });
+
+    const snapshot = await w.check();
+
+    expect(snapshot).to.include({ autoDriveUploadCredits: 1024, irysBalance: 0.01 });
+    expect(sendAlert.calledOnce).to.be.true;
+    expect(sendAlert.firstCall.args[1]).to.include("1024").and.to.include("Top it up.");
+    expect(irys.onLow.calledOnce).to.be.true;
+  });
+
+  it("reports a reading that fails as null and still checks the rest", async () => {
+    provider.getBalance.rejects(new Error("rpc down"));
+    const gauge = { key: "irysBalance", label: "Irys balance", read: async () => 1, threshold: 0 };
+    const w = watcher({ gauges: [gauge] });
+
+    const snapshot = await w.check();
+
+    expect(snapshot.wallets.sapphire).to.equal(null);
+    expect(snapshot.irysBalance).to.equal(1);
+    expect(quietLogger.warn.firstCall.args[0]).to.include("rpc down");
+  });
+
+  it("stays stopped when stopped during its first check", async () => {
+    const timers = sinon.useFakeTimers();
+    try {
+      let finishCheck;
+      provider.getBalance.returns(new Promise((resolve) => (finishCheck = resolve)));
+      const w = watcher({ intervalMs: 1000 });
+
+      w.start();
+      w.stop();
+      finishCheck(ethers.parseEther("1"));
+      await timers.tickAsync(5000);
+
+      expect(provider.getBalance.callCount).to.equal(1);
+    } finally {
+      timers.restore();
+    }
+  });
+
+  it("reads its settings from the environment", () => {
+    expect(balanceWatchConfig({})).to.deep.equal({
+      intervalMs: 5 * 60 * 1000,
+      runwayAlertHours: 48,
+      balanceAlertWei: null,
+    });
+    expect(
+      balanceWatchConfig({
+        BALANCE_CHECK_INTERVAL_MS: "0",
+        WALLET_RUNWAY_ALERT_HOURS: "12",
+        WALLET_BALANCE_ALERT_THRESHOLD: "0.25",
+      }),
+    ).to.deep.equal({ intervalMs: 0, runwayAlertHours: 12, balanceAlertWei: 250000000000000000n });
+  });
+});
@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+const { createBlobCache, blobCacheConfig, DEFAULT_MAX_MB } = require("../src/storage/blobCache");
+
+const sha256Hex = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+// A real directory under the OS temp dir: what a restart reads back is what is checked.
+
+describe("blobCache", () => {
+  const quietLogger = { log: () => {}, warn: sinon.stub() };
+  let dir;
+
+  function cache(opts = {}) {
+    return createBlobCache({ dir, maxBytes: 1024, logger: quietLogger, ...opts });
+  }
+
+  beforeEach(async () => {
+    quietLogger.warn.resetHistory();
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "blob-cache-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("keeps a file across a restart and reports what it found", async () => {
+    const before = cache();
+    await before.init();
+    await before.set("bafkr6icid", "ciphertext");
+
+    const after = cache();
+    expect(await after.get("bafkr6icid")).to.equal(null);
+    expect(await after.init()).to.include({ entries: 1 });
+    expect(await after.get("bafkr6icid")).to.equal("ciphertext");
+    expect(after.stats()).to.include({ entries: 1, hits: 1, misses: 1, writes: 0 });
+  });
+
+  it("stores nothing before init, so a file is never counted twice", async () => {
+    const c = cache();
+    await c.set("cid", "ciphertext");
+
+    expect(await fs.readdir(dir)).to.deep.equal([]);
+  });
+
+  it("evicts the least recently used files to stay under its size", async () => {
+    let clock = Date.now();
+    const c = cache({ maxBytes: 25, now: () => clock });
+    await c.init();
+    await c.set("a", "0123456789");
+    await c.set("b", "0123456789");
+    clock += 60 * 1000;
+    await c.get("a");
+    await c.set("c", "0123456789");
+
+    expect(await c.get("b")).to.equal(null);
+    expect(await c.get("a")).to.equal("0123456789");
+    expect(c.stats()).to.include({ entries: 2, evictions: 1 });
+
+    // The order survives a restart: "a" was used last, so a smaller cache keeps it.
+    const smaller = cache({ maxBytes: 15 });
+    await smaller.init();
+    expect(await smaller.get("a")).to.equal("0123456789");
+    expect(smaller.stats()).to.include({ entries: 1, evictions: 1 });
+  });
+
+  it("removes a write a crash left half-done, and skips a file larger than the cache", async () => {
+    await fs.writeFile(path.join(dir, "abc.123.1.tmp"), "half a fi");
+    const c = cache({ maxBytes: 5 });
+    await c.init();
+    await c.set("cid", "0123456789");
+
+    expect(await fs.readdir(dir)).to.deep.equal([]);
+    expect(c.stats()).to.include({ entries: 0, writes: 0 });
+  });
+
+  it("treats a failed write as a miss rather than an error", async () => {
+    const fsImpl = { ...fs, open: sinon.stub().rejects(new Error("ENOSPC: disk full")) };
+    const c = cache({ fsImpl });
+    await c.init();
+
+    await c.set("cid", "ciphertext");
+
+    expect(await c.get("cid")).to.equal(null);
+    expect(c.stats()).to.include({ errors: 1, writes: 0 });
+    expect(quietLogger.warn.firstCall.args[0]).to.include("disk full");
+  });
+
+  it("fsyncs a file before renaming it into place", async () => {
+    const order = [];
+    const fsImpl = {
+      ...fs,
+      open: async (...args) => {
+        const file = await fs.open(...args);
+        const sync = file.sync.bind(file);
+        file.sync = () => order.push("sync") && sync();
+        return file;
+      },
+      rename: (...args) => order.push("rename") && fs.rename(...args),
+    };
+    const c = cache({ fsImpl });
+    await c.init();
+
+    await c.set("cid", "ciphertext");
+
+    expect(order).to.deep.equal(["sync", "rename"]);
+    expect(await fs.readdir(dir)).to.deep.equal([`${sha256Hex("cid")}.10`]);
+  });
+
+  it("drops a file that is not the size it was written at, or does not hash to its CID", async () => {
+    // The sha2-256 raw CID of "hello" (`ipfs add --cid-version=1 --raw-leaves`).
+    const HELLO = "bafkreibm6jg3ux5qumhcn2b3flc3tyu6dmlb4xa7u5bf44yegnrjhc4yeq";
+    const c = cache();
+    await c.init();
+    await c.set("cid", "ciphertext");
+    await c.set(HELLO, "hello");
+    await fs.writeFile(path.join(dir, `${sha256Hex("cid")}.10`), "cipher");
+    await fs.writeFile(path.join(dir, `${sha256Hex(HELLO)}.5`), "jello");
+
+    expect(await c.get("cid")).to.equal(null);
+    expect(await c.get(HELLO)).to.equal(null);
+    expect(await fs.readdir(dir)).to.deep.equal([]);
+    expect(c.stats()).to.include({ entries: 0, misses: 2, errors: 2 });
+
+    // Storage serves it again, and it is cached again.
+    await c.set(HELLO, "hello");
+    expect(await c.get(HELLO)).to.equal("hello");
+  });
+
+  it("removes at startup a file shorter than its name says, and any file it did not name", async () => {
+    await fs.writeFile(path.join(dir, `${sha256Hex("cid")}.10`), "cipher");
+    await fs.writeFile(path.join(dir, sha256Hex("old")), "written before sizes were in names");
+    const c = cache();
+
+    expect(await c.init()).to.include({ entries: 0 });
+    expect(await fs.readdir(dir)).to.deep.equal([]);
+  });
+
+  it("does nothing at all when its size is 0", async () => {
+    const c = cache({ maxBytes: 0 });
+
+    expect(await c.init()).to.equal(null);
+    await c.set("cid", "ciphertext");
+    expect(await c.get("cid")).to.equal(null);
+    expect(c.stats()).to.equal(null);
+    expect(await fs.readdir(dir)).to.deep.equal([]);
+  });
+
+  it("reads its directory and size from the environment", () => {
+    expect(blobCacheConfig({}).maxBytes).to.equal(DEFAULT_MAX_MB * 1024 * 1024);
+    expect(blobCacheConfig({ BLOB_CACHE_MAX_MB: "0" }).maxBytes).to.equal(0);
+    expect(blobCacheConfig({ BLOB_CACHE_DIR: "/storage/blobs" }).dir).to.equal("/storage/blobs");
+  });
+});
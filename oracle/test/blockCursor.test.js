@@ -4,7 +4,15 @@ const chai = require("chai");
 
 const { expect } = chai;
 
-const { reconcileCursor } = require("../src/blockCursor");
+const {
+  reconcileCursor,
+  confirmationDepthFor,
+  confirmedHead,
+  recordBlockHash,
+  findReorg,
+  forgetBlocksAbove,
+  MAX_TRACKED_BLOCKS,
+} = require("../src/blockCursor");
 
 describe("reconcileCursor (reorg/revert-aware polling cursor)", function () {
   it("leaves the cursor unchanged on a normal forward chain", () => {
@@ -31,3 +39,92 @@ describe("reconcileCursor (reorg/revert-aware polling cursor)", function () {
     expect(reconcileCursor(5, 0)).to.be.at.least(0);
   });
 });
+
+describe("confirmation depth", function () {
+  it("waits on Base and not on Sapphire, whose blocks are final at once", () => {
+    expect(confirmationDepthFor("base")).to.equal(5);
+    expect(confirmationDepthFor("sapphire")).to.equal(0);
+    expect(confirmationDepthFor("base-localnet")).to.equal(0);
+  });
+
+  it("lets an explicit depth win, and is cautious about a network it does not know", () => {
+    expect(confirmationDepthFor("sapphire", 3)).to.equal(3);
+    expect(confirmationDepthFor("base", 0)).to.equal(0);
+    expect(confirmationDepthFor("somewhere-new")).to.equal(5);
+  });
+
+  it("stops the scan depth blocks short of the head, never below genesis", () => {
+    expect(confirmedHead(100, 5)).to.equal(95);
+    expect(confirmedHead(100, 0)).to.equal(100);
+    expect(confirmedHead(3, 5)).to.equal(0);
+  });
+});
+
+describe("block hash tracking (same-height reorgs)", function () {
+  // The chain as the node currently reports it; tests rewrite history by editing it.
+  function chainOf(hashes) {
+    const canonical = { ...hashes };
+    const fetched = [];
+    return {
+      canonical,
+      fetched,
+      hashAt: async (n) => {
+        fetched.push(n);
+        return canonical[n] ?? null;
+      },
+    };
+  }
+
+  it("keeps only the newest MAX_TRACKED_BLOCKS hashes, and skips missing ones", () => {
+    const hashes = {};
+    for (let n = 1; n <= MAX_TRACKED_BLOCKS + 10; n += 1) recordBlockHash(hashes, n, `0x${n}`);
+    recordBlockHash(hashes, 9999, undefined);
+
+    const kept = Object.keys(hashes).map(Number);
+    expect(kept).to.have.lengthOf(MAX_TRACKED_BLOCKS);
+    expect(Math.min(...kept)).to.equal(11);
+    expect(hashes).to.not.have.property("9999");
+  });
+
+  it("reports nothing, after one lookup, while the chain agrees", async () => {
+    const hashes = { 10: "0xa10", 20: "0xa20", 30: "0xa30" };
+    const chain = chainOf(hashes);
+
+    expect(await findReorg(hashes, chain.hashAt)).to.equal(null);
+    expect(chain.fetched).to.deep.equal([30]);
+  });
+
+  it("finds the common ancestor when blocks are replaced at the same height", async () => {
+    // The head never moved below the cursor — reconcileCursor sees nothing here.
+    const hashes = { 10: "0xa10", 20: "0xa20", 30: "0xa30" };
+    const chain = chainOf({ 10: "0xa10", 20: "0xb20", 30: "0xb30" });
+
+    expect(await findReorg(hashes, chain.hashAt)).to.deep.equal({
+      ancestor: 10,
+      replaced: [30, 20],
+    });
+  });
+
+  it("treats a block the chain no longer has as replaced", async () => {
+    const hashes = { 10: "0xa10", 20: "0xa20" };
+    const chain = chainOf({ 10: "0xa10" }); // head reverted to below 20
+
+    expect(await findReorg(hashes, chain.hashAt)).to.deep.equal({ ancestor: 10, replaced: [20] });
+  });
+
+  it("rewinds below the oldest tracked block on a reorg deeper than the history", async () => {
+    const hashes = { 10: "0xa10", 20: "0xa20" };
+    const chain = chainOf({ 10: "0xb10", 20: "0xb20" });
+
+    expect(await findReorg(hashes, chain.hashAt)).to.deep.equal({
+      ancestor: 9,
+      replaced: [20, 10],
+    });
+  });
+
+  it("forgets the replaced blocks once the cursor is rewound", () => {
+    const hashes = { 10: "0xa10", 20: "0xa20", 30: "0xa30" };
+    forgetBlocksAbove(hashes, 10);
+    expect(hashes).to.deep.equal({ 10: "0xa10" });
+  });
+});
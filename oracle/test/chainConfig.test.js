@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const path = require("path");
+
+const {
+  loadChainConfigs,
+  parseChainList,
+  selectChain,
+  DEFAULT_CHAIN_ID,
+} = require("../src/chainConfig");
+
+// Which deployments the oracle serves, and where each keeps its state.
+//
+// The property that matters most is the single-chain default: an oracle upgraded without setting
+// ORACLE_CHAINS must find its existing cursor, retry queue and triggers exactly where it left
+// them. Everything a multi-chain entry owns must be its own.
+
+const ADDRESS_A = `0x${"a".repeat(40)}`;
+const ADDRESS_B = `0x${"b".repeat(40)}`;
+
+describe("chainConfig", () => {
+  describe("loadChainConfigs", () => {
+    it("describes one chain from the single-chain variables, at the legacy paths", () => {
+      const [chain, ...rest] = loadChainConfigs({
+        NETWORK_NAME: "baseSepolia",
+        AI_AGENT_CONTRACT_ADDRESS: ADDRESS_A,
+        PRIVATE_KEY: "0xkey",
+      });
+
+      expect(rest).to.be.empty;
+      expect(chain).to.include({
+        id: DEFAULT_CHAIN_ID,
+        networkName: "baseSepolia",
+        contractAddress: ADDRESS_A,
+        privateKey: "0xkey",
+        jobTable: "oracle_jobs",
+      });
+      expect(path.basename(chain.stateFilePath)).to.equal("oracle-state.json");
+      expect(path.basename(chain.jobStoreFilePath)).to.equal("oracle-jobs.json");
+      expect(path.basename(chain.triggersFilePath)).to.equal("agent-triggers.json");
+    });
+
+    it("gives every listed chain its own key, cursor, job store and triggers", () => {
+      const chains = loadChainConfigs({
+        NETWORK_NAME: "ignored",
+        PRIVATE_KEY: "0xsapphire",
+        BASE_KEY: "0xbase",
+        ORACLE_CHAINS: JSON.stringify([
+          { id: "sapphire", network: "sapphire", contractAddress: ADDRESS_A },
+          { id: "base", network: "base", contractAddress: ADDRESS_B, privateKeyEnv: "BASE_KEY" },
+        ]),
+      });
+
+      expect(chains.map((c) => [c.id, c.networkName, c.privateKey])).to.deep.equal([
+        ["sapphire", "sapphire", "0xsapphire"],
+        ["base", "base", "0xbase"],
+      ]);
+      expect(chains[1].jobTable).to.equal("oracle_jobs_base");
+      expect(path.basename(chains[1].stateFilePath)).to.equal("oracle-state.base.json");
+      expect(path.basename(chains[1].jobStoreFilePath)).to.equal("oracle-jobs.base.json");
+      expect(path.basename(chains[1].triggersFilePath)).to.equal("agent-triggers.base.json");
+    });
+
+    it("waits the network's confirmation depth unless told otherwise", () => {
+      const single = (extra) =>
+        loadChainConfigs({ NETWORK_NAME: "baseSepolia", ...extra })[0].confirmationDepth;
+      expect(single({})).to.equal(5);
+      expect(single({ CONFIRMATION_DEPTH: "12" })).to.equal(12);
+      expect(single({ CONFIRMATION_DEPTH: "0" })).to.equal(0);
+      expect(() => single({ CONFIRMATION_DEPTH: "-1" })).to.throw(/^CONFIRMATION_DEPTH must be/);
+
+      const listed = loadChainConfigs({
+        CONFIRMATION_DEPTH: "12", // the single-chain variable; entries carry their own
+        ORACLE_CHAINS: JSON.stringify([
+          { id: "sapphire", network: "sapphire", contractAddress: ADDRESS_A },
+          { id: "base", network: "base", contractAddress: ADDRESS_B, confirmationDepth: 2 },
+        ]),
+      });
+      expect(listed.map((c) => c.confirmationDepth)).to.deep.equal([0, 2]);
+    });
+
+    it("sends through the ethers wallet unless the chain asks for appd", () => {
+      const single = (extra) =>
+        loadChainConfigs({ NETWORK_NAME: "sapphire", ...extra })[0].txSubmitter;
+      expect(single({})).to.equal("ethers");
+      expect(single({ TX_SUBMITTER: "appd" })).to.equal("appd");
+      expect(() => single({ TX_SUBMITTER: "rofl" })).to.throw(/^TX_SUBMITTER is "rofl"/);
+
+      const listed = loadChainConfigs({
+        TX_SUBMITTER: "appd", // the single-chain variable; entries carry their own
+        ORACLE_CHAINS: JSON.stringify([
+          { id: "sapphire", network: "sapphire", contractAddress: ADDRESS_A, txSubmitter: "appd" },
+          { id: "base", network: "base", contractAddress: ADDRESS_B },
+        ]),
+      });
+      expect(listed.map((c) => c.txSubmitter)).to.deep.equal(["appd", "ethers"]);
+    });
+
+    it("names the variable when the list is malformed", () => {
+      expect(() => loadChainConfigs({ ORACLE_CHAINS: "sapphire,base" })).to.throw(
+        /^ORACLE_CHAINS is not valid JSON/,
+      );
+    });
+  });
+
+  describe("parseChainList", () => {
+    const entry = (extra = {}) => ({
+      id: "base",
+      network: "base",
+      contractAddress: ADDRESS_B,
+      ...extra,
+    });
+
+    it("defaults the key variable to PRIVATE_KEY", () => {
+      expect(parseChainList(JSON.stringify([entry()]))[0].privateKeyEnv).to.equal("PRIVATE_KEY");
+    });
+
+    it("rejects ids that are unsafe in a file or table name, and duplicates", () => {
+      for (const id of ["Base", "base-mainnet", "1base", "", "x".repeat(33)]) {
+        expect(() => parseChainList(JSON.stringify([entry({ id })])), id).to.throw(/has id/);
+      }
+      expect(() => parseChainList(JSON.stringify([entry(), entry()]))).to.throw(
+        'id "base" appears more than once',
+      );
+    });
+
+    it("rejects an empty list and entries missing a field", () => {
+      expect(() => parseChainList("[]")).to.throw(/non-empty JSON array/);
+      expect(() => parseChainList(JSON.stringify([entry({ network: undefined })]))).to.throw(
+        'entry "base" needs a string "network"',
+      );
+      expect(() => parseChainList(JSON.stringify([entry({ confirmationDepth: "3" })]))).to.throw(
+        'entry "base" needs a non-negative integer "confirmationDepth"',
+      );
+      expect(() => parseChainList(JSON.stringify([entry({ txSubmitter: "tee" })]))).to.throw(
+        'entry "base" has "txSubmitter" "tee"',
+      );
+    });
+  });
+
+  describe("selectChain", () => {
+    const one = [{ id: "default" }];
+    const two = [{ id: "sapphire" }, { id: "base" }];
+
+    it("picks the only chain without being told, and needs an id otherwise", () => {
+      expect(selectChain(one)).to.equal(one[0]);
+      expect(selectChain(two, "base")).to.equal(two[1]);
+      expect(() => selectChain(two)).to.throw("Several chains are configured (sapphire, base)");
+      expect(() => selectChain(two, "polygon")).to.throw('No chain "polygon" is configured');
+    });
+  });
+});
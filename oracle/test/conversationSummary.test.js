@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+
+const {
+  createConversationSummaries,
+  summaryConfig,
+  summaryPrompt,
+  withSummary,
+  MAX_GAP_MESSAGES,
+} = require("../src/conversationSummary");
+
+describe("conversationSummary", () => {
+  const KEY = Buffer.alloc(32, 1);
+  const previous = {
+    cid: "cid_summary",
+    content: "They compared BTC and ETH.",
+    throughCID: "cid_0",
+  };
+  let messages;
+  let deps;
+
+  /** cid_1 … cid_n, each the parent of the next, alternating user and assistant. */
+  function chain(n) {
+    for (let i = 1; i <= n; i++) {
+      messages.set(`cid_${i}`, {
+        role: i % 2 ? "user" : "assistant",
+        content: `Message ${i}`,
+        parentCID: i > 1 ? `cid_${i - 1}` : "cid_0",
+      });
+    }
+  }
+
+  function summaries(overrides = {}) {
+    return createConversationSummaries({ enabled: true, ...deps, ...overrides });
+  }
+
+  beforeEach(() => {
+    messages = new Map();
+    deps = {
+      generate: sinon.stub().resolves("  They compared BTC and ETH, then asked about SOL.  "),
+      readMessage: sinon.stub().callsFake(async (cid) => {
+        if (!messages.has(cid)) throw new Error(`CID ${cid} not found`);
+        return messages.get(cid);
+      }),
+      readFile: sinon
+        .stub()
+        .resolves({ throughCID: "cid_0", content: "They compared BTC and ETH." }),
+      writeFile: sinon.stub().resolves("cid_new_summary"),
+      createSummaryFile: (fields) => ({ schemaVersion: 1, ...fields }),
+      logger: { log: () => {}, warn: sinon.stub() },
+    };
+  });
+
+  describe("roll", () => {
+    it("folds the messages that fell out since the last summary into a new one", async () => {
+      chain(3);
+
+      const cid = await summaries().roll({
+        conversationId: "conv_1",
+        summary: previous,
+        olderCID: "cid_2",
+        sessionKey: KEY,
+      });
+
+      expect(cid).to.equal("cid_new_summary");
+      const prompt = deps.generate.firstCall.args[0];
+      expect(prompt).to.include("They compared BTC and ETH.");
+      expect(prompt).to.include("user: Message 1\n\nassistant: Message 2");
+      expect(prompt).to.not.include("Message 3");
+      const [file, sessionKey] = deps.writeFile.firstCall.args;
+      expect(sessionKey).to.equal(KEY);
+      expect(file).to.deep.include({
+        conversationId: "conv_1",
+        throughCID: "cid_2",
+        previousSummaryCID: "cid_summary",
+        content: "They compared BTC and ETH, then asked about SOL.",
+      });
+    });
+
+    it("links the same summary again when nothing new has fallen out", async () => {
+      const s = summaries();
+      const args = { conversationId: "conv_1", sessionKey: KEY };
+
+      expect(await s.roll({ ...args, summary: previous, olderCID: "cid_0" })).to.equal(
+        "cid_summary",
+      );
+      // Still inside the window: nothing to summarise, and no summary to link.
+      expect(await s.roll({ ...args, summary: null, olderCID: null })).to.equal(null);
+      expect(deps.generate.called).to.be.false;
+    });
+
+    it("starts a first summary from at most MAX_GAP_MESSAGES below the window", async () => {
+      chain(MAX_GAP_MESSAGES + 5);
+
+      await summaries().roll({
+        conversationId: "conv_1",
+        summary: null,
+        olderCID: `cid_${MAX_GAP_MESSAGES + 5}`,
+        sessionKey: KEY,
+      });
+
+      expect(deps.readMessage.callCount).to.equal(MAX_GAP_MESSAGES);
+      expect(deps.generate.firstCall.args[0]).to.include("Summary so far:\n(none)");
+      expect(deps.writeFile.firstCall.args[0].previousSummaryCID).to.equal(null);
+    });
+
+    it("links the previous summary when a message is unreadable or the model fails", async () => {
+      chain(2);
+      messages.delete("cid_1");
+      const args = { conversationId: "conv_1", summary: previous, sessionKey: KEY };
+
+      expect(await summaries().roll({ ...args, olderCID: "cid_2" })).to.equal("cid_summary");
+      messages.clear();
+      chain(2);
+      deps.generate.resolves("   ");
+      expect(await summaries().roll({ ...args, olderCID: "cid_2" })).to.equal("cid_summary");
+
+      expect(deps.writeFile.called).to.be.false;
+      expect(deps.logger.warn.callCount).to.equal(2);
+    });
+
+    it("does not hold the answer past its timeout", async () => {
+      chain(2);
+      deps.generate = sinon.stub().returns(new Promise(() => {}));
+
+      const cid = await summaries({ timeoutMs: 10 }).roll({
+        conversationId: "conv_1",
+        summary: previous,
+        olderCID: "cid_2",
+        sessionKey: KEY,
+      });
+
+      expect(cid).to.equal("cid_summary");
+    });
+  });
+
+  describe("load", () => {
+    it("reads a SummaryFile, and goes without one it cannot read", async () => {
+      const s = summaries();
+
+      expect(await s.load("cid_summary", KEY)).to.deep.equal(previous);
+      expect(await s.load(null, KEY)).to.equal(null);
+      deps.readFile.resolves({ role: "user", content: "not a summary" });
+      expect(await s.load("cid_message", KEY)).to.equal(null);
+      deps.readFile.rejects(new Error("unable to authenticate data"));
+      expect(await s.load("cid_summary", KEY)).to.equal(null);
+      expect(deps.logger.warn.callCount).to.equal(2);
+    });
+  });
+
+  it("does nothing when turned off", async () => {
+    const s = createConversationSummaries({ enabled: false, ...deps });
+
+    expect(await s.load("cid_summary", KEY)).to.equal(null);
+    expect(await s.roll({ summary: null, olderCID: "cid_2", sessionKey: KEY })).to.equal(null);
+    expect(deps.readFile.called || deps.generate.called).to.be.false;
+  });
+
+  it("puts the summary in front of the history as a user turn", () => {
+    const history = [{ role: "assistant", content: "Message 2" }];
+
+    const withIt = withSummary(history, previous);
+
+    expect(withIt).to.have.lengthOf(2);
+    expect(withIt[0].role).to.equal("user");
+    expect(withIt[0].content).to.include("They compared BTC and ETH.");
+    const without = withSummary(history, null);
+    expect(without).to.deep.equal(history);
+    expect(without).to.not.equal(history);
+  });
+
+  it("is on unless CONVERSATION_SUMMARY_ENABLED is false", () => {
+    expect(summaryConfig({}).enabled).to.be.true;
+    expect(summaryConfig({ CONVERSATION_SUMMARY_ENABLED: "false" }).enabled).to.be.false;
+    expect(summaryPrompt(null, [])).to.include("(none)");
+  });
+});
@@ -0,0 +1,163 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const { ethers } = require("ethers");
+
+const {
+  namedArgs,
+  formatJob,
+  formatJobLine,
+  findJob,
+  createDryRunContract,
+  createDryRunEffects,
+  DRY_RUN_TX_HASH,
+  DRY_RUN_CID,
+} = require("../src/deadLetter");
+
+// What the operator CLI shows of a job, and the stand-ins a dry-run replay runs against.
+//
+// The dry run is the part that must not be wrong: a write that slips through it is a real
+// transaction the operator was told would not be sent.
+
+const iface = new ethers.Interface([
+  "event PromptSubmitted(address indexed user, uint256 indexed conversationId, uint256 promptMessageId, uint256 answerMessageId, bytes encryptedPayload, bytes roflEncryptedKey)",
+  "function submitAnswer(uint256 promptMessageId, uint256 answerMessageId, string cid)",
+  "function isJobFinalized(uint256 jobId) view returns (bool)",
+]);
+
+function job(extra = {}) {
+  return {
+    id: 3,
+    eventName: "PromptSubmitted",
+    transactionHash: "0xAbC",
+    blockNumber: 101,
+    args: ["0xUser", "1", "2", "3", `0x${"ab".repeat(300)}`, "0x12"],
+    status: "dead",
+    attempts: 10,
+    nextAttemptAt: 0,
+    lastError: "Irys upload failed: 502",
+    history: [{ attempt: 10, at: Date.UTC(2026, 0, 5), error: "Irys upload failed: 502" }],
+    createdAt: Date.UTC(2026, 0, 4),
+    ...extra,
+  };
+}
+
+describe("deadLetter", () => {
+  afterEach(() => sinon.restore());
+
+  describe("namedArgs / formatJob", () => {
+    it("names the stored args from the event ABI and shortens encrypted blobs", () => {
+      expect(namedArgs(job(), iface).map((a) => a.name)).to.deep.equal([
+        "user",
+        "conversationId",
+        "promptMessageId",
+        "answerMessageId",
+        "encryptedPayload",
+        "roflEncryptedKey",
+      ]);
+      expect(namedArgs(job(), iface)[4].value).to.equal("0xabababababababab… (300 bytes)");
+    });
+
+    it("falls back to positions without an ABI that knows the event", () => {
+      expect(namedArgs(job(), null)[0]).to.deep.equal({ name: "arg0", value: "0xUser" });
+      expect(namedArgs(job({ eventName: "Unknown" }), iface)[1].name).to.equal("arg1");
+    });
+
+    it("shows the last error and every attempt", () => {
+      const text = formatJob(job(), iface);
+
+      expect(text).to.include("last error:    Irys upload failed: 502");
+      expect(text).to.include("conversationId: 1");
+      expect(text).to.include("#10  2026-01-05T00:00:00.000Z  Irys upload failed: 502");
+      expect(formatJobLine(job())).to.match(/^\s+3 {2}dead.*0xAbC {2}Irys upload failed: 502$/);
+    });
+  });
+
+  describe("findJob", () => {
+    const jobs = [
+      job({ id: 1, transactionHash: "0xaaa", eventName: "BranchRequested" }),
+      job({ id: 2, transactionHash: "0xaaa", eventName: "MetadataUpdateRequested" }),
+      job({ id: 3 }),
+    ];
+
+    it("matches the hash case-insensitively", () => {
+      expect(findJob(jobs, "0xabc").id).to.equal(3);
+    });
+
+    it("needs the event name when one transaction queued several jobs", () => {
+      expect(() => findJob(jobs, "0xaaa")).to.throw(/several jobs.*--event/);
+      expect(findJob(jobs, "0xaaa", "MetadataUpdateRequested").id).to.equal(2);
+    });
+
+    it("says so when nothing matches", () => {
+      expect(() => findJob(jobs, "0xfff")).to.throw("No job for transaction 0xfff.");
+    });
+  });
+
+  describe("createDryRunContract", () => {
+    function fakeContract() {
+      const submitAnswer = sinon.stub().rejects(new Error("must not be sent"));
+      submitAnswer.staticCall = sinon.stub().resolves();
+      return {
+        interface: iface,
+        target: "0xAgent",
+        submitAnswer,
+        isJobFinalized: sinon.stub().resolves(false),
+      };
+    }
+
+    it("simulates writes instead of sending them", async () => {
+      const live = fakeContract();
+      const dry = createDryRunContract(live, { log() {} });
+
+      const tx = await dry.submitAnswer(2, 3, "bafy");
+      const receipt = await tx.wait();
+
+      expect(live.submitAnswer.called).to.equal(false);
+      expect(live.submitAnswer.staticCall.calledOnceWith(2, 3, "bafy")).to.equal(true);
+      expect(receipt.hash).to.equal(DRY_RUN_TX_HASH);
+    });
+
+    it("surfaces the revert a real send would hit", async () => {
+      const live = fakeContract();
+      live.submitAnswer.staticCall.rejects(new Error("execution reverted: JobAlreadyFinalized"));
+      const dry = createDryRunContract(live, { log() {} });
+
+      let error;
+      try {
+        await dry.submitAnswer(2, 3, "bafy");
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.include("JobAlreadyFinalized");
+      expect(live.submitAnswer.called).to.equal(false);
+    });
+
+    it("passes views and plain properties straight through", async () => {
+      const live = fakeContract();
+      const dry = createDryRunContract(live, { log() {} });
+
+      expect(await dry.isJobFinalized(3)).to.equal(false);
+      expect(live.isJobFinalized.calledOnce).to.equal(true);
+      expect(dry.target).to.equal("0xAgent");
+    });
+  });
+
+  describe("createDryRunEffects", () => {
+    it("uploads, records and schedules nothing, and says what it skipped", async () => {
+      const log = sinon.stub();
+      const effects = createDryRunEffects({ log });
+
+      expect(await effects.uploadData(Buffer.from("ciphertext"))).to.equal(DRY_RUN_CID);
+      await effects.recordAnswerActivity({ answerMessageId: 3n, kind: "answer" });
+      await effects.agentScheduler.register({ jobId: "7", triggerId: "3" });
+      expect(await effects.agentScheduler.remove("7")).to.equal(false);
+
+      expect(log.args.map(([message]) => message)).to.deep.equal([
+        "[dry-run] Upload of 10 bytes skipped.",
+        "[dry-run] answer for answer 3 not recorded.",
+        "[dry-run] Trigger for agent job 7 not registered.",
+        "[dry-run] Trigger for agent job 7 not removed.",
+      ]);
+    });
+  });
+});
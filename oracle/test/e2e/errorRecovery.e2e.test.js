@@ -8,6 +8,7 @@ const {
   cleanupOracleTestEnv,
   makeFakeEvent,
 } = require("./helpers");
+const { TransientStorageError, toStorageError } = require("../../src/oracleErrors");
 
 describe("E2E: Error Recovery", function () {
   let aiAgentOracle;
@@ -23,10 +24,12 @@ describe("E2E: Error Recovery", function () {
     cleanupOracleTestEnv();
   });
 
+  const jobStore = () => stubs["./jobStore"].createJobStoreFromEnv();
+
   describe("Storage Upload Failure → Retry Queue", function () {
-    it("queues Autonomys failures with blockNumber, txHash, and retryCount=0", async function () {
+    it("queues Autonomys failures with blockNumber, txHash, and attempts=0", async function () {
       stubs["./storage/storage"].uploadData.rejects(
-        new Error("Autonomys network unreachable"),
+        new TransientStorageError("autonomys", "Autonomys network unreachable"),
       );
 
       const clientPayload = {
@@ -47,26 +50,26 @@ describe("E2E: Error Recovery", function () {
         fakeEvent,
       );
 
-      const failedJobsWrite = stubs["fs/promises"].writeFile
-        .getCalls()
-        .find((c) => c.args[0].includes("failed-jobs.json"));
-      expect(failedJobsWrite, "failed-jobs.json should be written").to.not.be.undefined;
-
-      const jobs = JSON.parse(failedJobsWrite.args[1]);
+      const jobs = await jobStore().list();
       expect(jobs).to.have.lengthOf(1);
       expect(jobs[0]).to.deep.include({
         eventName: "PromptSubmitted",
-        retryCount: 0,
+        status: "pending",
+        attempts: 0,
       });
-      expect(jobs[0].event.blockNumber).to.equal(7000);
-      expect(jobs[0].event.transactionHash).to.equal("0xautonomystx");
+      expect(jobs[0].blockNumber).to.equal(7000);
+      expect(jobs[0].transactionHash).to.equal("0xautonomystx");
       expect(jobs[0].nextAttemptAt).to.be.a("number");
       expect(jobs[0].nextAttemptAt).to.be.greaterThan(Date.now());
+      // The original failure is the first entry of the job's attempt history.
+      expect(jobs[0].history).to.have.lengthOf(1);
+      expect(jobs[0].history[0].attempt).to.equal(0);
+      expect(jobs[0].history[0].error).to.include("Autonomys network unreachable");
     });
 
     it("queues Irys 502 errors as retryable", async function () {
       stubs["./storage/storage"].uploadData.rejects(
-        new Error("Irys upload failed: 502 Bad Gateway"),
+        toStorageError("irys", new Error("Irys upload failed: 502 Bad Gateway"), { status: 502 }),
       );
 
       const payloadBytes = ethers.toUtf8Bytes(
@@ -86,15 +89,16 @@ describe("E2E: Error Recovery", function () {
         fakeEvent,
       );
 
-      const failedJobsWrite = stubs["fs/promises"].writeFile
-        .getCalls()
-        .find((c) => c.args[0].includes("failed-jobs.json"));
-      expect(failedJobsWrite, "Irys failure should be queued").to.not.be.undefined;
+      expect(await jobStore().list(), "Irys failure should be queued").to.have.lengthOf(1);
     });
 
     it("queues ETIMEDOUT storage errors as retryable", async function () {
+      // As the provider's catch types a socket timeout: the code, not the wording, decides.
       stubs["./storage/storage"].uploadData.rejects(
-        new Error("ETIMEDOUT: connection timed out to storage node"),
+        toStorageError(
+          "autonomys",
+          Object.assign(new Error("connect ETIMEDOUT 10.0.0.7:443"), { code: "ETIMEDOUT" }),
+        ),
       );
 
       const payloadBytes = ethers.toUtf8Bytes(
@@ -114,12 +118,8 @@ describe("E2E: Error Recovery", function () {
         fakeEvent,
       );
 
-      const failedJobsWrite = stubs["fs/promises"].writeFile
-        .getCalls()
-        .find((c) => c.args[0].includes("failed-jobs.json"));
-      expect(failedJobsWrite, "ETIMEDOUT should be queued").to.not.be.undefined;
-
-      const jobs = JSON.parse(failedJobsWrite.args[1]);
+      const jobs = await jobStore().list();
+      expect(jobs, "ETIMEDOUT should be queued").to.have.lengthOf(1);
       expect(jobs[0].eventName).to.equal("PromptSubmitted");
     });
   });
@@ -153,29 +153,15 @@ describe("E2E: Error Recovery", function () {
         args: fakeArgs,
       });
 
-      const failedJobs = [{
+      await jobStore().enqueue({
         eventName: "PromptSubmitted",
-        event: {
-          args: fakeArgs.map((a) => (typeof a === "object" ? "0x" : a)),
-          blockNumber: 7000,
-          transactionHash: "0xretrytx",
-        },
-        retryCount: 0,
+        event: { args: fakeArgs, blockNumber: 7000, transactionHash: "0xretrytx" },
         nextAttemptAt: 0,
-      }];
-
-      stubs["fs/promises"].readFile
-        .withArgs(sinon.match(/failed-jobs\.json$/), "utf-8")
-        .resolves(JSON.stringify(failedJobs));
+      });
 
       await aiAgentOracle.retryFailedJobs();
 
-      const writeCall = stubs["fs/promises"].writeFile
-        .getCalls()
-        .find((c) => c.args[0].includes("failed-jobs.json"));
-      expect(writeCall, "failed-jobs.json should be rewritten").to.not.be.undefined;
-
-      const remaining = JSON.parse(writeCall.args[1]);
+      const remaining = await jobStore().list();
       expect(remaining).to.be.an("array").with.lengthOf(0);
     });
 
@@ -186,29 +172,22 @@ describe("E2E: Error Recovery", function () {
         new Error("RPC temporarily unavailable"),
       );
 
-      const failedJobs = [{
+      await jobStore().enqueue({
         eventName: "PromptSubmitted",
         event: {
           args: ["0xUser", 1, 600, 601, "0x", "0xkey"],
           blockNumber: 8000,
           transactionHash: "0xbackofftx",
         },
-        retryCount: 2,
+        attempts: 2,
         nextAttemptAt: 0,
-      }];
-
-      stubs["fs/promises"].readFile
-        .withArgs(sinon.match(/failed-jobs\.json$/), "utf-8")
-        .resolves(JSON.stringify(failedJobs));
+      });
 
       await aiAgentOracle.retryFailedJobs();
 
-      const writeCall = stubs["fs/promises"].writeFile
-        .getCalls()
-        .find((c) => c.args[0].includes("failed-jobs.json"));
-      const remaining = JSON.parse(writeCall.args[1]);
+      const remaining = await jobStore().list();
       expect(remaining).to.have.lengthOf(1);
-      expect(remaining[0].retryCount).to.equal(3);
+      expect(remaining[0].attempts).to.equal(3);
 
       // base 30s * 2^3 = 240s = 240000ms — deterministic with frozen clock
       const expectedDelay = 30000 * Math.pow(2, 3);
@@ -217,33 +196,28 @@ describe("E2E: Error Recovery", function () {
       clock.restore();
     });
 
-    it("drops job and sends CRITICAL alert after 10 retries exhausted", async function () {
+    it("dead-letters job and sends CRITICAL alert after 10 retries exhausted", async function () {
       mockedOracleComponents.provider.getTransactionReceipt.rejects(
         new Error("Permanently broken RPC"),
       );
 
-      const failedJobs = [{
+      await jobStore().enqueue({
         eventName: "PromptSubmitted",
         event: {
           args: ["0xUser", 1, 700, 701, "0x", "0xkey"],
           blockNumber: 9000,
           transactionHash: "0xmaxtx",
         },
-        retryCount: 9,
+        attempts: 9,
         nextAttemptAt: 0,
-      }];
-
-      stubs["fs/promises"].readFile
-        .withArgs(sinon.match(/failed-jobs\.json$/), "utf-8")
-        .resolves(JSON.stringify(failedJobs));
+      });
 
       await aiAgentOracle.retryFailedJobs();
 
-      const writeCall = stubs["fs/promises"].writeFile
-        .getCalls()
-        .find((c) => c.args[0].includes("failed-jobs.json"));
-      const remaining = JSON.parse(writeCall.args[1]);
-      expect(remaining).to.have.lengthOf(0);
+      expect(await jobStore().list({ status: ["pending", "running"] })).to.have.lengthOf(0);
+      const dead = await jobStore().list({ status: "dead" });
+      expect(dead).to.have.lengthOf(1);
+      expect(dead[0].transactionHash).to.equal("0xmaxtx");
 
       expect(stubs["./alerting"].sendAlert.calledOnce).to.be.true;
       expect(stubs["./alerting"].sendAlert.firstCall.args[0]).to.include("CRITICAL");
@@ -251,28 +225,22 @@ describe("E2E: Error Recovery", function () {
     });
 
     it("leaves jobs in queue that are not yet due for retry", async function () {
-      const failedJobs = [{
+      const queued = await jobStore().enqueue({
         eventName: "PromptSubmitted",
         event: {
           args: ["0xUser", 1, 800, 801, "0x", "0xkey"],
           blockNumber: 9500,
           transactionHash: "0xnotyettx",
         },
-        retryCount: 1,
+        attempts: 1,
         nextAttemptAt: Date.now() + 60000,
-      }];
-
-      stubs["fs/promises"].readFile
-        .withArgs(sinon.match(/failed-jobs\.json$/), "utf-8")
-        .resolves(JSON.stringify(failedJobs));
+      });
 
       await aiAgentOracle.retryFailedJobs();
 
-      // No writes — nothing was processed
-      const writeCall = stubs["fs/promises"].writeFile
-        .getCalls()
-        .find((c) => c.args[0].includes("failed-jobs.json"));
-      expect(writeCall).to.be.undefined;
+      // Untouched — nothing was processed
+      expect(mockedOracleComponents.provider.getTransactionReceipt.called).to.be.false;
+      expect(await jobStore().list()).to.deep.equal([queued]);
     });
   });
 
@@ -301,43 +269,50 @@ describe("E2E: Error Recovery", function () {
 
       expect(stubs["./alerting"].sendAlert.calledOnce).to.be.true;
 
-      // Not queued to retry
-      const failedJobsWrite = stubs["fs/promises"].writeFile
-        .getCalls()
-        .find((c) => c.args[0].includes("failed-jobs.json"));
-      expect(failedJobsWrite).to.be.undefined;
+      // Not queued to retry — dead-lettered for an operator to inspect and replay
+      expect(await jobStore().list({ status: ["pending", "running"] })).to.deep.equal([]);
+      const [dead] = await jobStore().list({ status: "dead" });
+      expect(dead).to.include({ eventName: "PromptSubmitted", attempts: 0 });
     });
   });
 
-  describe("Failed Jobs File Resilience", function () {
-    it("treats empty object {} in failed-jobs.json as no jobs", async function () {
-      stubs["fs/promises"].readFile
-        .withArgs(sinon.match(/failed-jobs\.json$/), "utf-8")
-        .resolves("{}");
+  describe("Job Store Resilience", function () {
+    it("skips the sweep without throwing when the store cannot be read", async function () {
+      sinon.stub(jobStore(), "claimDue").rejects(new SyntaxError("Unexpected token n in JSON"));
 
       await aiAgentOracle.retryFailedJobs();
 
-      const writeCall = stubs["fs/promises"].writeFile
-        .getCalls()
-        .find((c) => c.args[0].includes("failed-jobs.json"));
-      expect(writeCall).to.be.undefined;
+      expect(mockedOracleComponents.provider.getTransactionReceipt.called).to.be.false;
     });
 
-    it("handles missing failed-jobs.json without throwing", async function () {
-      stubs["fs/promises"].readFile
-        .withArgs(sinon.match(/failed-jobs\.json$/), "utf-8")
-        .rejects(new Error("ENOENT: no such file or directory"));
+    it("alerts rather than silently losing the job when the store refuses an enqueue", async function () {
+      sinon.stub(jobStore(), "enqueue").rejects(new Error("EROFS: read-only file system"));
+      stubs["./storage/storage"].uploadData.rejects(
+        new TransientStorageError("autonomys", "Autonomys network unreachable"),
+      );
 
-      await aiAgentOracle.retryFailedJobs();
-      // No assertion needed — test passes if no exception thrown
-    });
+      const payloadBytes = ethers.toUtf8Bytes(
+        createEncryptedString(
+          { promptText: "Test store down", isNewConversation: true, previousMessageId: null, previousMessageCID: null },
+          SESSION_KEY,
+        ),
+      );
+      const fakeEvent = makeFakeEvent(9900, {
+        transactionHash: "0xstoredowntx",
+        args: ["0xUser", 1, 950, 951, payloadBytes, "0xkey"],
+      });
 
-    it("handles corrupt JSON in failed-jobs.json without throwing", async function () {
-      stubs["fs/promises"].readFile
-        .withArgs(sinon.match(/failed-jobs\.json$/), "utf-8")
-        .resolves("{not valid json!!!");
+      await aiAgentOracle.handleAndRecord(
+        "PromptSubmitted", aiAgentOracle.handlePrompt,
+        "0xUser", 1, 950, 951, payloadBytes, "0xkey",
+        fakeEvent,
+      );
 
-      await aiAgentOracle.retryFailedJobs();
+      sinon.assert.calledWithMatch(
+        stubs["./alerting"].sendAlert,
+        "CRITICAL: Retry Queue Unavailable",
+        sinon.match("0xstoredowntx"),
+      );
     });
   });
 });
@@ -2,6 +2,11 @@ const sinon = require("sinon");
 const crypto = require("crypto");
 const { ethers } = require("ethers");
 const proxyquire = require("proxyquire").noCallThru();
+const {
+  createTempJobStore,
+  jobStoreStub,
+  removeTempJobStores,
+} = require("../helpers/jobStoreTestEnv");
 
 function createEncryptedString(dataObject, key) {
   const iv = crypto.randomBytes(12);
@@ -43,6 +48,8 @@ function createMockedOracleComponents() {
         RegenerationRequested: sinon.stub(),
         BranchRequested: sinon.stub(),
         MetadataUpdateRequested: sinon.stub(),
+        AgentJobSubmitted: sinon.stub(),
+        PromptCancelled: sinon.stub(),
       },
       interface: {
         parseLog: sinon.stub(),
@@ -64,6 +71,9 @@ function createStubs(sessionKey) {
       }),
       fetchData: sinon.stub().resolves(createEncryptedString({}, sessionKey)),
       queryTransactionByTags: sinon.stub().resolves(null),
+      fundingGauges: sinon.stub().returns([]),
+      replicationReport: sinon.stub().returns({}),
+      blobCacheStats: sinon.stub().returns(null),
     },
     "./contractUtility": {
       initializeOracle: sinon.stub(),
@@ -73,6 +83,7 @@ function createStubs(sessionKey) {
     },
     "./alerting": {
       sendAlert: sinon.stub().resolves(),
+      resolveAlert: sinon.stub().resolves(),
     },
     "node-fetch": sinon.stub().resolves({
       ok: true,
@@ -128,9 +139,22 @@ function createStubs(sessionKey) {
       createConversationFile: sinon.stub().callsFake((data) => data),
       createConversationMetadataFile: sinon.stub().callsFake((data) => data),
       createMessageFile: sinon.stub().callsFake((data) => data),
+      createSummaryFile: sinon.stub().callsFake((data) => data),
       createSearchIndexDeltaFile: sinon.stub().callsFake((data) => data),
       generateKeywords: sinon.stub().returns([]),
     },
+    // The real scheduler persists next to oracle-state.json; keep tests off the disk.
+    "./agentScheduler": {
+      createAgentScheduler: sinon.stub().returns({
+        register: sinon.stub().resolves(),
+        remove: sinon.stub().resolves(true),
+        start: sinon.stub().resolves(),
+        stop: sinon.stub(),
+      }),
+      createFileTriggerStore: sinon.stub().returns({}),
+    },
+    // The real job store, on a temp file; reach it via createJobStoreFromEnv().
+    "./jobStore": jobStoreStub(createTempJobStore()),
   };
 }
 
@@ -164,6 +188,7 @@ function setupOracleTestEnv(sessionKey) {
 
 function cleanupOracleTestEnv() {
   sinon.restore();
+  removeTempJobStores();
   delete process.env.AI_PROVIDER;
   delete process.env.PRIVATE_KEY;
   // RESTORED, not deleted. contractUtility.initializeOracle reads this at MODULE LOAD, so
@@ -8,6 +8,7 @@ const {
   cleanupOracleTestEnv,
   makeFakeEvent,
 } = require("./helpers");
+const { TransientStorageError } = require("../../src/oracleErrors");
 
 describe("E2E: Oracle Event Listener", function () {
   let aiAgentOracle;
@@ -97,7 +98,7 @@ describe("E2E: Oracle Event Listener", function () {
   });
 
   describe("handleAndRecord Error Classification", function () {
-    it("drops malformed payloads silently and advances block checkpoint", async function () {
+    it("drops malformed payloads silently and leaves the block checkpoint to the scan", async function () {
       const malformedPayload = ethers.toUtf8Bytes("not-encrypted-at-all");
       const fakeEvent = makeFakeEvent(6000, {
         args: ["0xUser", 1, 300, 301, malformedPayload, "0xkey"],
@@ -109,26 +110,23 @@ describe("E2E: Oracle Event Listener", function () {
         fakeEvent,
       );
 
-      // Block checkpoint saved
+      // Only the scan loop moves the checkpoint, once its whole range is settled
       const stateWrite = stubs["fs/promises"].writeFile
         .getCalls()
         .find((c) => c.args[0].includes("oracle-state.json"));
-      expect(stateWrite).to.not.be.undefined;
-      const state = JSON.parse(stateWrite.args[1]);
-      expect(state.lastProcessedBlock).to.equal(6000);
+      expect(stateWrite).to.be.undefined;
 
       // No retry queue entry
-      const failedJobsWrite = stubs["fs/promises"].writeFile
-        .getCalls()
-        .find((c) => c.args[0].includes("failed-jobs.json"));
-      expect(failedJobsWrite).to.be.undefined;
+      expect(await stubs["./jobStore"].createJobStoreFromEnv().list()).to.deep.equal([]);
 
       // No alert sent for malformed payloads
       expect(stubs["./alerting"].sendAlert.called).to.be.false;
     });
 
     it("queues retryable Autonomys storage errors with correct metadata", async function () {
-      stubs["./storage/storage"].uploadData.rejects(new Error("Autonomys upload timeout"));
+      stubs["./storage/storage"].uploadData.rejects(
+        new TransientStorageError("autonomys", "Autonomys upload timeout"),
+      );
 
       const clientPayload = {
         promptText: "Test storage failure",
@@ -148,26 +146,21 @@ describe("E2E: Oracle Event Listener", function () {
         fakeEvent,
       );
 
-      const failedJobsWrite = stubs["fs/promises"].writeFile
-        .getCalls()
-        .find((c) => c.args[0].includes("failed-jobs.json"));
-      expect(failedJobsWrite).to.not.be.undefined;
-
-      const failedJobs = JSON.parse(failedJobsWrite.args[1]);
+      const failedJobs = await stubs["./jobStore"].createJobStoreFromEnv().list();
       expect(failedJobs).to.have.lengthOf(1);
       expect(failedJobs[0]).to.deep.include({
         eventName: "PromptSubmitted",
-        retryCount: 0,
+        attempts: 0,
       });
-      expect(failedJobs[0].event.blockNumber).to.equal(6001);
-      expect(failedJobs[0].event.transactionHash).to.equal("0xfaketxhash");
+      expect(failedJobs[0].blockNumber).to.equal(6001);
+      expect(failedJobs[0].transactionHash).to.equal("0xfaketxhash");
       expect(failedJobs[0].nextAttemptAt).to.be.a("number");
 
-      // Block checkpoint also saved
+      // The checkpoint is the scan loop's to move, not the handler's
       const stateWrite = stubs["fs/promises"].writeFile
         .getCalls()
         .find((c) => c.args[0].includes("oracle-state.json"));
-      expect(stateWrite).to.not.be.undefined;
+      expect(stateWrite).to.be.undefined;
     });
 
     it("sends CRITICAL alert and captures Sentry exception for non-retryable errors", async function () {
@@ -226,7 +219,9 @@ describe("E2E: Oracle Event Listener", function () {
         .onFirstCall().resolves(events)
         .onSecondCall().resolves([])
         .onThirdCall().resolves([])
-        .onCall(3).resolves([]);
+        .onCall(3).resolves([])
+        .onCall(4).resolves([])
+        .onCall(5).resolves([]);
 
       // The handlers will fail (bad payload) but handleAndRecord silently drops invalid payloads
       await aiAgentOracle.processPastEvents(1000, 1004);
@@ -272,7 +267,9 @@ describe("E2E: Oracle Event Listener", function () {
         .onFirstCall().resolves([eventA, eventB, eventC])
         .onSecondCall().resolves([])
         .onThirdCall().resolves([])
-        .onCall(3).resolves([]);
+        .onCall(3).resolves([])
+        .onCall(4).resolves([])
+        .onCall(5).resolves([]);
 
       await aiAgentOracle.processPastEvents(1999, 2000);
 
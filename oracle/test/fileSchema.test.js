@@ -0,0 +1,76 @@
+const { expect } = require("chai");
+
+const { SCHEMA_VERSION, upgradeMessageFile } = require("../src/fileSchema");
+const { createMessageFile } = require("../src/formatters");
+const { loadMessageFixtures } = require("./helpers/messageFixtures");
+
+// Every MessageFile shape that was ever uploaded must still read as the current one: storage is
+// immutable, and reconstructHistory walks a conversation's oldest answers with today's code.
+
+describe("fileSchema", () => {
+  const fixtures = loadMessageFixtures();
+
+  it("has a fixture for every version up to the current one", () => {
+    const versions = new Set(Object.values(fixtures).map((file) => file.schemaVersion ?? 0));
+    for (let v = 0; v <= SCHEMA_VERSION; v += 1) {
+      expect(versions, `no fixture for schemaVersion ${v}`).to.include(v);
+    }
+  });
+
+  Object.entries(fixtures).forEach(([name, raw]) => {
+    it(`upgrades ${name} to the current shape, keeping what it said`, () => {
+      const snapshot = JSON.parse(JSON.stringify(raw));
+
+      const file = upgradeMessageFile(raw);
+
+      expect(file.schemaVersion).to.equal(SCHEMA_VERSION);
+      expect(file).to.include({
+        id: raw.id,
+        role: raw.role,
+        content: raw.content,
+        parentCID: raw.parentCID,
+      });
+      if (file.role === "assistant") {
+        expect(file.sources).to.deep.equal(raw.sources ?? []);
+        expect(file.reasoning).to.deep.equal(raw.reasoning ?? []);
+        expect(file.reasoningDuration).to.equal(raw.reasoningDuration);
+      } else {
+        expect(file).to.not.have.any.keys("sources", "reasoning");
+      }
+      // The raw file may be the cached copy; upgrading must not change it.
+      expect(raw).to.deep.equal(snapshot);
+    });
+  });
+
+  it("reads back exactly what createMessageFile writes today", () => {
+    const answer = createMessageFile({
+      id: "msg_9",
+      conversationId: "conv_1",
+      parentId: "msg_8",
+      parentCID: "cid_8",
+      createdAt: 1717000000000,
+      role: "assistant",
+      content: "Hello",
+      sources: [{ title: "Docs", url: "https://docs.oasis.io" }],
+    });
+
+    expect(upgradeMessageFile(answer)).to.deep.equal(answer);
+  });
+
+  it("passes a file from a newer writer through untouched", () => {
+    const future = { schemaVersion: SCHEMA_VERSION + 1, role: "user", content: "hi", extra: 1 };
+
+    expect(upgradeMessageFile(future)).to.equal(future);
+  });
+
+  it("rejects what cannot be walked", () => {
+    expect(() => upgradeMessageFile(null)).to.throw("not an object");
+    expect(() => upgradeMessageFile({ role: "user", content: "hi", schemaVersion: "1" })).to.throw(
+      "invalid schemaVersion",
+    );
+    expect(() => upgradeMessageFile({ content: "hi" })).to.throw("no role or content");
+    expect(() => upgradeMessageFile({ role: "user", content: "hi", parentCID: 7 })).to.throw(
+      "invalid parentCID",
+    );
+  });
+});
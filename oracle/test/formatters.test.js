@@ -3,9 +3,11 @@ const {
   createConversationFile,
   createConversationMetadataFile,
   createMessageFile,
+  createSummaryFile,
   createSearchIndexDeltaFile,
   generateKeywords,
 } = require("../src/formatters");
+const { SCHEMA_VERSION } = require("../src/fileSchema");
 
 describe("formatters", function () {
   const now = Date.now();
@@ -19,6 +21,7 @@ describe("formatters", function () {
         roflEncryptedKey: "0xkey",
       });
       expect(file).to.deep.equal({
+        schemaVersion: SCHEMA_VERSION,
         id: "conv_123",
         ownerAddress: "0xabc",
         createdAt: now,
@@ -48,6 +51,7 @@ describe("formatters", function () {
         lastUpdatedAt: now,
       });
       expect(file).to.deep.equal({
+        schemaVersion: SCHEMA_VERSION,
         title: "Test Title",
         isDeleted: false,
         lastUpdatedAt: now,
@@ -67,6 +71,7 @@ describe("formatters", function () {
         content: "Hello AI",
       });
       expect(file).to.deep.equal({
+        schemaVersion: SCHEMA_VERSION,
         id: "msg_1",
         conversationId: "conv_1",
         parentId: null,
@@ -94,6 +99,7 @@ describe("formatters", function () {
         reasoningDuration: 5,
       });
       expect(file).to.deep.equal({
+        schemaVersion: SCHEMA_VERSION,
         id: "msg_2",
         conversationId: "conv_1",
         parentId: "msg_1",
@@ -106,6 +112,65 @@ describe("formatters", function () {
         reasoningDuration: 5,
       });
     });
+
+    it("should write ancestorCIDs only for a message with a parent", () => {
+      const base = { id: "msg_3", conversationId: "conv_1", createdAt: now, role: "user" };
+
+      const file = createMessageFile({
+        ...base,
+        parentId: "msg_2",
+        parentCID: "cid_2",
+        ancestorCIDs: ["cid_1"],
+        content: "Again",
+      });
+      const root = createMessageFile({
+        ...base,
+        parentId: null,
+        parentCID: null,
+        ancestorCIDs: ["cid_1"],
+        content: "Hi",
+      });
+
+      expect(file.ancestorCIDs).to.deep.equal(["cid_1"]);
+      expect(root).to.not.have.property("ancestorCIDs");
+    });
+
+    it("should link an answer's summary only when there is one", () => {
+      const base = {
+        id: "msg_4",
+        conversationId: "conv_1",
+        parentId: "msg_3",
+        parentCID: "cid_3",
+        createdAt: now,
+        role: "assistant",
+        content: "Answer",
+      };
+
+      expect(createMessageFile({ ...base, summaryCID: "cid_summary" }).summaryCID).to.equal(
+        "cid_summary",
+      );
+      expect(createMessageFile({ ...base, summaryCID: null })).to.not.have.property("summaryCID");
+    });
+  });
+
+  describe("createSummaryFile", () => {
+    it("should create a summary file correctly", () => {
+      const file = createSummaryFile({
+        conversationId: "conv_1",
+        throughCID: "cid_2",
+        previousSummaryCID: null,
+        createdAt: now,
+        content: "They asked about BTC.",
+      });
+      expect(file).to.deep.equal({
+        schemaVersion: SCHEMA_VERSION,
+        conversationId: "conv_1",
+        throughCID: "cid_2",
+        previousSummaryCID: null,
+        createdAt: now,
+        content: "They asked about BTC.",
+      });
+    });
   });
 
   describe("generateKeywords", () => {
@@ -136,6 +201,7 @@ describe("formatters", function () {
       });
       expect(file).to.deep.equal({
         msg_456: {
+          schemaVersion: SCHEMA_VERSION,
           cid: "conv_123",
           c: "test search index",
         },
@@ -0,0 +1,78 @@
+// A WHATWG-shaped WebSocket the test drives by hand: it records what the code under test sends,
+// and the test plays the node's side with `receive` and `drop`. Every instance ever constructed
+// is kept, so a reconnect shows up as a second socket.
+
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    this.closed = false;
+    this.listeners = {};
+    FakeWebSocket.instances.push(this);
+    // Like the real one: "open" arrives after the constructor returns.
+    setImmediate(() => this.emit("open", {}));
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] ??= []).push(listener);
+  }
+
+  emit(type, event) {
+    for (const listener of this.listeners[type] ?? []) listener(event);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    setImmediate(() => this.emit("close", {}));
+  }
+
+  /** The node sends `message`. */
+  receive(message) {
+    this.emit("message", { data: JSON.stringify(message) });
+  }
+
+  /** The node accepts the subscription request. */
+  acceptSubscription(id = "0xsub") {
+    this.receive({ jsonrpc: "2.0", id: this.sent[0].id, result: id });
+  }
+
+  /** The node pushes a log on subscription `id`. */
+  pushLog(log, id = "0xsub") {
+    this.receive({
+      jsonrpc: "2.0",
+      method: "eth_subscription",
+      params: { subscription: id, result: log },
+    });
+  }
+
+  /** The connection drops from the node's side. */
+  drop() {
+    this.closed = true;
+    this.emit("close", {});
+  }
+
+  static reset() {
+    FakeWebSocket.instances = [];
+  }
+
+  static latest() {
+    return FakeWebSocket.instances.at(-1);
+  }
+}
+FakeWebSocket.instances = [];
+
+/** Resolves once `predicate()` is true, polling; rejects after `timeoutMs`. */
+async function until(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error("condition not met in time");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+module.exports = { FakeWebSocket, until };
@@ -0,0 +1,27 @@
+// A real file-backed job store over a throwaway directory, for the suites that load the oracle
+// through proxyquire. Handing the oracle the REAL store (rather than a stub) means those tests
+// assert what ended up queued — attempts, backoff, dead letters — instead of which calls were made.
+
+const fsSync = require("fs");
+const os = require("os");
+const path = require("path");
+const jobStore = require("../../src/jobStore");
+
+const dirs = [];
+
+function createTempJobStore(opts = {}) {
+  const dir = fsSync.mkdtempSync(path.join(os.tmpdir(), "oracle-jobs-"));
+  dirs.push(dir);
+  return jobStore.createFileJobStore({ filePath: path.join(dir, "oracle-jobs.json"), ...opts });
+}
+
+/** The `./jobStore` entry for a proxyquire stub set, wired to `store`. */
+function jobStoreStub(store) {
+  return { ...jobStore, createJobStoreFromEnv: () => store };
+}
+
+function removeTempJobStores() {
+  while (dirs.length) fsSync.rmSync(dirs.pop(), { recursive: true, force: true });
+}
+
+module.exports = { createTempJobStore, jobStoreStub, removeTempJobStores };
@@ -0,0 +1,28 @@
+// The historical MessageFiles in test/fixtures/messageFiles, keyed by file name without `.json`.
+// Each one's parentCID names the fixture before it, so together they are one conversation whose
+// head is the fixture nothing else points at.
+
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURE_DIR = path.join(__dirname, "..", "fixtures", "messageFiles");
+
+function loadMessageFixtures() {
+  const fixtures = {};
+  for (const name of fs.readdirSync(FIXTURE_DIR)) {
+    if (!name.endsWith(".json")) continue;
+    fixtures[path.basename(name, ".json")] = JSON.parse(
+      fs.readFileSync(path.join(FIXTURE_DIR, name), "utf8"),
+    );
+  }
+  return fixtures;
+}
+
+function headFixture(fixtures) {
+  const parents = new Set(Object.values(fixtures).map((file) => file.parentCID));
+  const heads = Object.keys(fixtures).filter((name) => !parents.has(name));
+  if (heads.length !== 1) throw new Error(`Fixtures must form one chain; heads: ${heads}`);
+  return heads[0];
+}
+
+module.exports = { loadMessageFixtures, headFixture };
@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const { sha256 } = require("@noble/hashes/sha2.js");
+const { blake3 } = require("@noble/hashes/blake3.js");
+
+const { IntegrityError } = require("../src/oracleErrors");
+const {
+  parseCid,
+  verifyCid,
+  autoDriveFileName,
+  verifyAutoDriveCid,
+  arweaveDataRoot,
+  fetchArweaveHeader,
+  verifyArweaveData,
+} = require("../src/storage/integrity");
+
+// Expected data roots come from arweave-js (computeRootHash), so this follows Arweave's chunking
+// and not just its own reading of it.
+
+/** A raw-codec CIDv1 over `hashCode`, written out by hand: 0x01 0x55 code length digest. */
+function rawCid(hashCode, digest) {
+  const bytes = Buffer.from([0x01, 0x55, hashCode, digest.length, ...digest]);
+  const alphabet = "abcdefghijklmnopqrstuvwxyz234567";
+  let bits = "";
+  for (const byte of bytes) bits += byte.toString(2).padStart(8, "0");
+  let out = "b";
+  for (let i = 0; i < bits.length; i += 5) {
+    out += alphabet[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return out;
+}
+
+describe("storage integrity", () => {
+  const bytes = Buffer.from("ciphertext");
+
+  describe("verifyCid", () => {
+    it("parses a CIDv1 into its codec, hash code and digest", () => {
+      const cid = rawCid(0x12, sha256(bytes));
+
+      expect(cid.startsWith("bafkrei")).to.be.true;
+      expect(parseCid(cid)).to.deep.include({ codec: 0x55, hashCode: 0x12 });
+      expect(parseCid("QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG")).to.be.null;
+      expect(parseCid("bafkreiabc")).to.be.null;
+    });
+
+    it("checks raw sha2-256 and blake3 CIDs against the bytes", () => {
+      expect(verifyCid("ipfs", rawCid(0x12, sha256(bytes)), bytes)).to.be.true;
+      expect(verifyCid("ipfs", rawCid(0x1e, blake3(bytes)), bytes)).to.be.true;
+    });
+
+    it("throws a retryable IntegrityError when the bytes do not hash to the CID", () => {
+      const cid = rawCid(0x12, sha256(bytes));
+
+      let caught;
+      try {
+        verifyCid("ipfs", cid, Buffer.from("ciphertexT"));
+      } catch (error) {
+        caught = error;
+      }
+
+      expect(caught).to.be.instanceOf(IntegrityError);
+      expect(caught).to.include({ provider: "ipfs", cid, retryable: true });
+    });
+
+    it("leaves an Auto Drive CID unverified: it hashes the DAG node, not the file", () => {
+      const autonomysCid = "bafkr6ie7n4nebhxjttdlbz6qdhgdxhzzrmyhcqdutl4n6g3eo6fgp3jumy";
+
+      expect(parseCid(autonomysCid)).to.deep.include({ codec: 0x55, hashCode: 0x1f });
+      expect(verifyCid("autonomys", autonomysCid, bytes)).to.be.false;
+    });
+  });
+
+  describe("Auto Drive root node", () => {
+    // Built by auto-drive's own precomputeCid, the DAG builder Auto Drive uses for the upload.
+    it("rebuilds the root node of a file uploaded under the name taken from its bytes", async () => {
+      const name = autoDriveFileName(bytes);
+      const { precomputeCid } = require("@autonomys/auto-drive");
+      const cid = await precomputeCid(bytes, name);
+
+      expect(name).to.equal(`${Buffer.from(sha256(bytes)).toString("hex")}.json`);
+      expect(parseCid(cid)).to.deep.include({ codec: 0x55, hashCode: 0x1f });
+      expect(await verifyAutoDriveCid("autonomys", cid, bytes)).to.be.true;
+      expect(await verifyAutoDriveCid("autonomys", cid, Buffer.from("ciphertexT"))).to.be.false;
+    });
+
+    it("leaves a file named otherwise, or a failed rebuild, unverified", async () => {
+      const { precomputeCid } = require("@autonomys/auto-drive");
+      const legacyCid = await precomputeCid(bytes, "file-1700000000000.json");
+      const failing = sinon.stub().rejects(new Error("no blockstore"));
+
+      expect(await verifyAutoDriveCid("autonomys", legacyCid, bytes)).to.be.false;
+      expect(await verifyAutoDriveCid("autonomys", legacyCid, bytes, { rebuild: failing })).to.be
+        .false;
+    });
+
+    it("checks any other CID as verifyCid does", async () => {
+      const rebuild = sinon.stub();
+
+      expect(await verifyAutoDriveCid("autonomys", rawCid(0x12, sha256(bytes)), bytes, { rebuild }))
+        .to.be.true;
+      expect(rebuild.called).to.be.false;
+    });
+  });
+
+  describe("Arweave data root", () => {
+    const id = "a".repeat(43);
+
+    it("computes Arweave's merkle root for one chunk and for evened-out chunks", () => {
+      expect(arweaveDataRoot(bytes).toString("base64url")).to.equal(
+        "GZsiOn5-ORPfzix_T544MCVsiNx4X_iixMt0hkBXZI8",
+      );
+      expect(arweaveDataRoot(Buffer.alloc(300 * 1024, 7)).toString("base64url")).to.equal(
+        "eLu4Mk5SnWz3HsMVe7spv0op2dExLWCJ2KGVa-im2_M",
+      );
+    });
+
+    it("checks the bytes against the header's root and size", () => {
+      const header = { data_root: arweaveDataRoot(bytes).toString("base64url"), data_size: "10" };
+
+      expect(verifyArweaveData("irys", id, bytes, header)).to.be.true;
+      expect(() => verifyArweaveData("irys", id, Buffer.from("ciphertexT"), header)).to.throw(
+        IntegrityError,
+      );
+      expect(() => verifyArweaveData("irys", id, Buffer.from("cipher"), header)).to.throw(
+        IntegrityError,
+      );
+    });
+
+    it("leaves a file with no header, or no data root in it, unverified", () => {
+      expect(verifyArweaveData("irys", id, bytes, null)).to.be.false;
+      expect(verifyArweaveData("irys", id, bytes, { data_root: "", data_size: "10" })).to.be.false;
+    });
+
+    it("reads the header; a data item or an unreachable gateway has none", async () => {
+      const header = { data_root: "root", data_size: "10" };
+      const fetchImpl = sinon.stub();
+      fetchImpl.onFirstCall().resolves({ status: 200, json: async () => header });
+      fetchImpl.onSecondCall().resolves({ status: 404 });
+      fetchImpl.onThirdCall().rejects(new TypeError("fetch failed"));
+
+      expect(await fetchArweaveHeader(id, { fetchImpl })).to.deep.equal(header);
+      expect(fetchImpl.firstCall.args[0]).to.equal(`https://arweave.net/tx/${id}`);
+      expect(await fetchArweaveHeader(id, { fetchImpl })).to.be.null;
+      expect(await fetchArweaveHeader(id, { fetchImpl })).to.be.null;
+
+      // Not an Arweave id at all (Irys' 44-character ids): nothing to ask.
+      expect(await fetchArweaveHeader(`${id}b`, { fetchImpl })).to.be.null;
+      expect(fetchImpl.callCount).to.equal(3);
+    });
+
+    it("gives up on a gateway that does not answer, leaving the file unverified", async () => {
+      // What fetch does when its signal fires: rejects with the signal's reason.
+      const fetchImpl = (url, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener("abort", () => reject(signal.reason));
+        });
+
+      expect(await fetchArweaveHeader(id, { fetchImpl, timeoutMs: 10 })).to.be.null;
+    });
+  });
+});
@@ -8,6 +8,7 @@ chai.use(chaiAsPromised.default ?? chaiAsPromised);
 const { expect } = chai;
 
 const ipfs = require("../src/storage/ipfs");
+const { IntegrityError } = require("../src/oracleErrors");
 
 describe("local IPFS provider (ipfs.js)", function () {
   afterEach(() => sinon.restore());
@@ -47,7 +48,10 @@ describe("local IPFS provider (ipfs.js)", function () {
         return { ok: true, json: async () => ({ Version: "0.17.0" }) };
       }
       expect(url).to.contain("/api/v0/cat?arg=bafkreiabc");
-      return { ok: true, text: async () => "decrypted-elsewhere-ciphertext" };
+      return {
+        ok: true,
+        arrayBuffer: async () => new TextEncoder().encode("decrypted-elsewhere-ciphertext").buffer,
+      };
     });
 
     await ipfs.initialize("http://localhost:5001");
@@ -68,7 +72,7 @@ describe("local IPFS provider (ipfs.js)", function () {
         return { ok: true, text: async () => '{"Name":"f","Hash":"bafkreiround","Size":"1"}' };
       }
       // cat returns what was stored
-      return { ok: true, text: async () => stored };
+      return { ok: true, arrayBuffer: async () => new TextEncoder().encode(stored).buffer };
     });
 
     await ipfs.initialize("http://localhost:5001");
@@ -79,6 +83,26 @@ describe("local IPFS provider (ipfs.js)", function () {
     expect(back).to.equal(payload);
   });
 
+  it("fetchData rejects bytes that do not hash to a raw CID", async () => {
+    // sha2-256 of "hello world", as Kubo would add it (cid-version=1, raw leaves).
+    const cid = "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e";
+    let served = "hello world";
+    sinon.stub(global, "fetch").callsFake(async (url) => {
+      if (url.endsWith("/api/v0/version")) {
+        return { ok: true, json: async () => ({ Version: "0.17.0" }) };
+      }
+      return { ok: true, arrayBuffer: async () => new TextEncoder().encode(served).buffer };
+    });
+
+    await ipfs.initialize("http://localhost:5001");
+    expect(await ipfs.fetchData(cid)).to.equal("hello world");
+
+    served = "hello worlD";
+    const error = await ipfs.fetchData(cid).catch((e) => e);
+    expect(error).to.be.instanceOf(IntegrityError);
+    expect(error).to.include({ provider: "ipfs", cid });
+  });
+
   it("throws a clear error when Kubo is unreachable", async () => {
     sinon
       .stub(global, "fetch")
@@ -0,0 +1,391 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const fsSync = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  createFileJobStore,
+  createPostgresJobStore,
+  migrateLegacyFailedJobs,
+  MAX_RETRIES,
+  BASE_RETRY_DELAY_MS,
+} = require("../src/jobStore");
+
+// The durable retry queue.
+//
+// What it replaced lost jobs when two handlers failed at once, so the properties that matter are
+// about never losing or double-running one: concurrent enqueues all land, a claimed job is not
+// claimed again until its lease lapses, and a job out of retries is parked rather than dropped.
+// Every test injects its own clock.
+
+const T0 = Date.UTC(2026, 0, 5, 12, 0, 0);
+
+function event(n, extra = {}) {
+  return { transactionHash: `0xtx${n}`, blockNumber: 100 + n, args: ["0xUser", 1n, 2n], ...extra };
+}
+
+describe("jobStore", () => {
+  let dir;
+  let filePath;
+  let clock;
+  let store;
+
+  beforeEach(() => {
+    dir = fsSync.mkdtempSync(path.join(os.tmpdir(), "oracle-jobs-"));
+    filePath = path.join(dir, "oracle-jobs.json");
+    clock = { t: T0, now: () => clock.t };
+    store = createFileJobStore({ filePath, now: clock.now });
+  });
+  afterEach(() => {
+    fsSync.rmSync(dir, { recursive: true, force: true });
+    sinon.restore();
+  });
+
+  describe("createFileJobStore", () => {
+    it("keeps every job when many handlers fail at once", async () => {
+      // The failed-jobs.json race: five concurrent read-modify-writes, and only the last survived.
+      await Promise.all(
+        [1, 2, 3, 4, 5].map((n) =>
+          store.enqueue({ eventName: "PromptSubmitted", event: event(n) }),
+        ),
+      );
+
+      const reread = createFileJobStore({ filePath, now: clock.now });
+      expect((await reread.list()).map((j) => j.transactionHash).sort()).to.deep.equal([
+        "0xtx1",
+        "0xtx2",
+        "0xtx3",
+        "0xtx4",
+        "0xtx5",
+      ]);
+      expect(new Set((await reread.list()).map((j) => j.id)).size).to.equal(5);
+    });
+
+    it("records the original failure and serialises BigInt args", async () => {
+      const job = await store.enqueue({
+        eventName: "PromptSubmitted",
+        event: event(1),
+        error: new Error("Irys upload failed: 502"),
+      });
+
+      expect(job).to.include({
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: T0 + BASE_RETRY_DELAY_MS,
+      });
+      expect(job.args).to.deep.equal(["0xUser", "1", "2"]);
+      expect(job.history).to.deep.equal([{ attempt: 0, at: T0, error: "Irys upload failed: 502" }]);
+    });
+
+    it("queues an event once, however often it is enqueued", async () => {
+      const first = await store.enqueue({ eventName: "PromptSubmitted", event: event(1) });
+      const again = await store.enqueue({ eventName: "PromptSubmitted", event: event(1) });
+
+      expect(again.id).to.equal(first.id);
+      expect(await store.list()).to.have.length(1);
+    });
+
+    it("claims only due jobs, and does not hand a claimed job out twice", async () => {
+      await store.enqueue({ eventName: "PromptSubmitted", event: event(1) });
+      expect(await store.claimDue()).to.deep.equal([]);
+
+      clock.t += BASE_RETRY_DELAY_MS;
+      const [claimed] = await store.claimDue();
+      expect(claimed).to.include({ transactionHash: "0xtx1", status: "running" });
+      expect(await store.claimDue()).to.deep.equal([]);
+    });
+
+    it("hands a claimed job out again once its lease lapses", async () => {
+      // The process died mid-retry: nothing will ack or fail it.
+      const leased = createFileJobStore({ filePath, now: clock.now, leaseMs: 60 * 1000 });
+      await leased.enqueue({ eventName: "PromptSubmitted", event: event(1), nextAttemptAt: T0 });
+      expect(await leased.claimDue()).to.have.length(1);
+
+      clock.t += 60 * 1000;
+      expect(await leased.claimDue()).to.have.length(1);
+    });
+
+    it("forgets a job once it is acked", async () => {
+      const job = await store.enqueue({
+        eventName: "PromptSubmitted",
+        event: event(1),
+        nextAttemptAt: T0,
+      });
+      await store.claimDue();
+      await store.ack(job.id);
+
+      expect(await store.list()).to.deep.equal([]);
+    });
+
+    it("backs off exponentially and keeps a history of every attempt", async () => {
+      const job = await store.enqueue({
+        eventName: "PromptSubmitted",
+        event: event(1),
+        nextAttemptAt: T0,
+      });
+      await store.claimDue();
+
+      clock.t += 5;
+      const failed = await store.fail(job.id, new Error("RPC Down"));
+
+      expect(failed).to.include({ status: "pending", attempts: 1, lastError: "RPC Down" });
+      expect(failed.nextAttemptAt).to.equal(T0 + 5 + BASE_RETRY_DELAY_MS * 2);
+      expect(failed.history).to.deep.equal([{ attempt: 1, at: T0 + 5, error: "RPC Down" }]);
+    });
+
+    it("dead-letters a job after MAX_RETRIES failed retries, and never claims it again", async () => {
+      const job = await store.enqueue({
+        eventName: "PromptSubmitted",
+        event: event(1),
+        nextAttemptAt: T0,
+      });
+
+      let last;
+      for (let i = 0; i < MAX_RETRIES; i += 1) {
+        expect(await store.claimDue(), `retry ${i + 1} should be claimable`).to.have.length(1);
+        last = await store.fail(job.id, new Error(`attempt ${i + 1}`));
+        clock.t = last.nextAttemptAt;
+      }
+
+      expect(last).to.include({ status: "dead", attempts: MAX_RETRIES });
+      expect(last.history).to.have.length(MAX_RETRIES);
+      clock.t += 365 * 24 * 60 * 60 * 1000;
+      expect(await store.claimDue()).to.deep.equal([]);
+      expect(await store.list({ status: "dead" })).to.have.length(1);
+    });
+
+    it("dead-letters at once a failure the caller knows is permanent", async () => {
+      const job = await store.enqueue({
+        eventName: "PromptSubmitted",
+        event: event(1),
+        nextAttemptAt: T0,
+      });
+      await store.claimDue();
+
+      const failed = await store.fail(job.id, new Error("execution reverted"), {
+        retryable: false,
+      });
+
+      expect(failed).to.include({ status: "dead", attempts: 1, lastError: "execution reverted" });
+    });
+
+    it("buries a fatal event straight into the dead-letter queue", async () => {
+      const dead = await store.bury({
+        eventName: "PromptSubmitted",
+        event: event(1),
+        error: new Error("Decryption failed"),
+      });
+
+      expect(dead).to.include({ status: "dead", attempts: 0, lastError: "Decryption failed" });
+      expect(dead.args).to.deep.equal(["0xUser", "1", "2"]);
+      expect(dead.history).to.deep.equal([{ attempt: 0, at: T0, error: "Decryption failed" }]);
+      clock.t += 365 * 24 * 60 * 60 * 1000;
+      expect(await store.claimDue()).to.deep.equal([]);
+    });
+
+    it("buries an already-queued event in place, keeping its history", async () => {
+      const queued = await store.enqueue({
+        eventName: "PromptSubmitted",
+        event: event(1),
+        error: new Error("Irys down"),
+      });
+
+      const dead = await store.bury({
+        eventName: "PromptSubmitted",
+        event: event(1),
+        error: new Error("execution reverted"),
+      });
+
+      expect(dead.id).to.equal(queued.id);
+      expect(dead.status).to.equal("dead");
+      expect(dead.history.map((h) => h.error)).to.deep.equal(["Irys down", "execution reverted"]);
+      expect(await store.list()).to.have.length(1);
+    });
+
+    it("refuses to read a corrupt file as an empty queue", async () => {
+      // Treating it as empty would let the next save overwrite every job on disk.
+      fsSync.writeFileSync(filePath, "{not json");
+
+      let error;
+      try {
+        await store.list();
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.instanceOf(SyntaxError);
+      expect(fsSync.readFileSync(filePath, "utf-8")).to.equal("{not json");
+    });
+
+    it("does not rewrite the file on an empty sweep", async () => {
+      await store.enqueue({ eventName: "PromptSubmitted", event: event(1) });
+      fsSync.utimesSync(filePath, new Date(0), new Date(0));
+
+      await store.claimDue();
+
+      expect(fsSync.statSync(filePath).mtimeMs).to.equal(0);
+    });
+  });
+
+  describe("migrateLegacyFailedJobs", () => {
+    let legacyPath;
+
+    beforeEach(() => {
+      legacyPath = path.join(dir, "failed-jobs.json");
+    });
+
+    it("imports an older oracle's queue with its retry counts, then moves the file aside", async () => {
+      fsSync.writeFileSync(
+        legacyPath,
+        JSON.stringify([
+          {
+            eventName: "PromptSubmitted",
+            event: { args: [], blockNumber: 7000, transactionHash: "0xold" },
+            retryCount: 3,
+            nextAttemptAt: T0 + 1000,
+          },
+        ]),
+      );
+
+      expect(await migrateLegacyFailedJobs({ store, filePath: legacyPath })).to.equal(1);
+
+      const [job] = await store.list();
+      expect(job).to.include({ transactionHash: "0xold", attempts: 3, nextAttemptAt: T0 + 1000 });
+      expect(fsSync.existsSync(legacyPath)).to.be.false;
+      expect(fsSync.existsSync(`${legacyPath}.migrated`)).to.be.true;
+    });
+
+    it("treats {} as no jobs, as the old reader did", async () => {
+      fsSync.writeFileSync(legacyPath, "{}");
+
+      expect(await migrateLegacyFailedJobs({ store, filePath: legacyPath })).to.equal(0);
+      expect(await store.list()).to.deep.equal([]);
+    });
+
+    it("does nothing when there is no legacy file, or it is corrupt", async () => {
+      expect(await migrateLegacyFailedJobs({ store, filePath: legacyPath })).to.equal(0);
+
+      fsSync.writeFileSync(legacyPath, "{not valid json!!!");
+      expect(await migrateLegacyFailedJobs({ store, filePath: legacyPath })).to.equal(0);
+      // Left where it is for a human to look at.
+      expect(fsSync.existsSync(legacyPath)).to.be.true;
+    });
+  });
+
+  describe("createPostgresJobStore", () => {
+    function fakePool(rowsFor = () => []) {
+      const pool = {
+        queries: [],
+        query: sinon.stub().callsFake(async (sql, params) => {
+          pool.queries.push({ sql, params });
+          return { rows: rowsFor(sql, params) };
+        }),
+      };
+      return pool;
+    }
+
+    it("creates its table once, before the first statement, however many race to it", async () => {
+      const pool = fakePool();
+      const pg = createPostgresJobStore({ pool, now: clock.now });
+
+      await Promise.all([pg.list(), pg.claimDue()]);
+
+      const ddl = pool.queries.filter((q) => q.sql.includes("CREATE TABLE"));
+      expect(ddl).to.have.length(1);
+      expect(pool.queries[0].sql).to.include("CREATE TABLE IF NOT EXISTS oracle_jobs");
+    });
+
+    it("keeps a chain's jobs in that chain's own table", async () => {
+      const pool = fakePool();
+      const pg = createPostgresJobStore({ pool, now: clock.now, table: "oracle_jobs_base" });
+
+      await pg.claimDue();
+      await pg.ack(1);
+
+      expect(pool.queries[0].sql).to.include("CREATE TABLE IF NOT EXISTS oracle_jobs_base (");
+      expect(pool.queries[0].sql).to.include("oracle_jobs_base_due_idx ON oracle_jobs_base");
+      for (const { sql } of pool.queries.slice(1)) {
+        expect(sql.match(/oracle_jobs\w*/g)).to.satisfy((names) =>
+          names.every((n) => n === "oracle_jobs_base"),
+        );
+      }
+    });
+
+    it("claims with SKIP LOCKED under a lease timed by the injected clock", async () => {
+      const pool = fakePool();
+      const pg = createPostgresJobStore({ pool, now: clock.now, leaseMs: 1000 });
+
+      await pg.claimDue({ limit: 7 });
+
+      const claim = pool.queries.at(-1);
+      expect(claim.sql).to.include("FOR UPDATE SKIP LOCKED");
+      expect(claim.params).to.deep.equal([T0, T0 + 1000, 7]);
+    });
+
+    it("buries with an upsert, so a queued job is dead-lettered in place", async () => {
+      const pool = fakePool((sql) =>
+        sql.includes("INSERT INTO oracle_jobs") ? [{ id: "4", status: "dead" }] : [],
+      );
+      const pg = createPostgresJobStore({ pool, now: clock.now });
+
+      const job = await pg.bury({
+        eventName: "PromptSubmitted",
+        event: event(1),
+        error: new Error("Decryption failed"),
+      });
+
+      const insert = pool.queries.at(-1);
+      expect(insert.sql).to.include("ON CONFLICT (event_name, transaction_hash) DO UPDATE");
+      expect(insert.params).to.deep.equal([
+        "PromptSubmitted",
+        "0xtx1",
+        101,
+        JSON.stringify(["0xUser", "1", "2"]),
+        T0,
+        "Decryption failed",
+      ]);
+      expect(job).to.include({ id: 4, status: "dead" });
+    });
+
+    it("maps rows back to the same job shape as the file store", async () => {
+      const row = {
+        id: "12",
+        event_name: "PromptSubmitted",
+        transaction_hash: "0xtx1",
+        block_number: "101",
+        args: ["0xUser", "1"],
+        status: "dead",
+        attempts: 10,
+        next_attempt_at: String(T0),
+        lease_until: null,
+        last_error: "RPC Down",
+        history: [{ attempt: 10, at: T0, error: "RPC Down" }],
+        created_at: String(T0),
+        updated_at: String(T0),
+      };
+      const pg = createPostgresJobStore({
+        pool: fakePool((sql) => (sql.includes("UPDATE oracle_jobs") ? [row] : [])),
+        now: clock.now,
+        maxRetries: 10,
+      });
+
+      const job = await pg.fail(12, new Error("RPC Down"));
+
+      expect(job).to.deep.equal({
+        id: 12,
+        eventName: "PromptSubmitted",
+        transactionHash: "0xtx1",
+        blockNumber: 101,
+        args: ["0xUser", "1"],
+        status: "dead",
+        attempts: 10,
+        nextAttemptAt: T0,
+        leaseUntil: null,
+        lastError: "RPC Down",
+        history: [{ attempt: 10, at: T0, error: "RPC Down" }],
+        createdAt: T0,
+        updatedAt: T0,
+      });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const http = require("http");
+
+const { localLlmConfig, chatCompletion } = require("../src/localLlm");
+const { ProviderUnavailableError } = require("../src/oracleErrors");
+
+// The OpenAI-compatible tier, against a real HTTP server standing in for llama.cpp / vLLM.
+//
+// What matters is the wire shape those servers accept, and that each way of failing comes out
+// typed so the dispatcher fails over (and a handler retries) only when asking again could help.
+
+describe("localLlm", () => {
+  let server;
+  let baseUrl;
+  let requests;
+  // Set per test: how the stub server answers.
+  let respond;
+
+  before((done) => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => {
+        body += chunk;
+      });
+      req.on("end", () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+        respond(res);
+      });
+    });
+    server.listen(0, "127.0.0.1", () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+      done();
+    });
+  });
+
+  after((done) => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  const completion = (content) => (res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ choices: [{ index: 0, message: { role: "assistant", content } }] }));
+  };
+  const config = (extra = {}) => ({
+    baseUrl,
+    model: "qwen2.5-7b-instruct",
+    apiKey: null,
+    timeoutMs: 2000,
+    maxTokens: 256,
+    ...extra,
+  });
+  const history = [{ role: "user", content: "What is Sapphire?" }];
+
+  async function failure(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error("expected a rejection");
+  }
+
+  describe("localLlmConfig", () => {
+    it("is null without LOCAL_LLM_URL, so the tier is skipped", () => {
+      expect(localLlmConfig({})).to.equal(null);
+      expect(localLlmConfig({ LOCAL_LLM_URL: "  " })).to.equal(null);
+    });
+
+    it("reads the model, key and limits, with defaults for the ones left unset", () => {
+      expect(
+        localLlmConfig({
+          LOCAL_LLM_URL: "http://llama:8080/v1/",
+          LOCAL_LLM_MODEL: "gemma-3-4b-it",
+          LOCAL_LLM_API_KEY: "sk-local",
+          LOCAL_LLM_MAX_TOKENS: "512",
+        }),
+      ).to.deep.equal({
+        baseUrl: "http://llama:8080/v1",
+        model: "gemma-3-4b-it",
+        apiKey: "sk-local",
+        timeoutMs: 60000,
+        maxTokens: 512,
+      });
+    });
+  });
+
+  describe("chatCompletion", () => {
+    it("posts the conversation in the chat-completions shape and returns the answer", async () => {
+      respond = completion("Sapphire is a confidential EVM.");
+
+      const answer = await chatCompletion(history, config({ apiKey: "sk-local" }));
+
+      expect(answer).to.equal("Sapphire is a confidential EVM.");
+      expect(requests).to.have.lengthOf(1);
+      const [request] = requests;
+      expect(request.method).to.equal("POST");
+      expect(request.url).to.equal("/v1/chat/completions");
+      expect(request.headers.authorization).to.equal("Bearer sk-local");
+      expect(JSON.parse(request.body)).to.deep.equal({
+        model: "qwen2.5-7b-instruct",
+        messages: history,
+        max_tokens: 256,
+        stream: false,
+      });
+    });
+
+    it("sends no Authorization header without a key, and asks for JSON when told to", async () => {
+      respond = completion('{"category":"TRADABLE"}');
+
+      await chatCompletion(history, config(), { json: true, maxTokens: 64, temperature: 0.1 });
+
+      const [request] = requests;
+      expect(request.headers).to.not.have.property("authorization");
+      expect(JSON.parse(request.body)).to.include({ max_tokens: 64, temperature: 0.1 });
+      expect(JSON.parse(request.body).response_format).to.deep.equal({ type: "json_object" });
+    });
+
+    it("drops a reasoning model's <think> block", async () => {
+      respond = completion("<think>\nThe user wants a definition.\n</think>\n\nAn L1.");
+
+      expect(await chatCompletion(history, config())).to.equal("An L1.");
+    });
+
+    it("types a 5xx or 429 as ProviderUnavailableError, and leaves a 4xx plain", async () => {
+      respond = (res) => {
+        res.writeHead(503);
+        res.end("loading model");
+      };
+      const unavailable = await failure(chatCompletion(history, config()));
+      expect(unavailable).to.be.instanceOf(ProviderUnavailableError);
+      expect(unavailable).to.include({ provider: "local", status: 503 });
+
+      respond = (res) => {
+        res.writeHead(400);
+        res.end("context length exceeded");
+      };
+      const rejected = await failure(chatCompletion(history, config()));
+      expect(rejected).to.not.be.instanceOf(ProviderUnavailableError);
+      expect(rejected.message).to.include("400");
+    });
+
+    it("gives up after the timeout, as an unavailable provider", async () => {
+      respond = () => {}; // never answers
+
+      const error = await failure(chatCompletion(history, config({ timeoutMs: 100 })));
+
+      expect(error).to.be.instanceOf(ProviderUnavailableError);
+    });
+
+    it("types an unreachable server as unavailable", async () => {
+      const error = await failure(
+        chatCompletion(history, config({ baseUrl: "http://127.0.0.1:1/v1" })),
+      );
+
+      expect(error).to.be.instanceOf(ProviderUnavailableError);
+    });
+
+    it("rejects a response with no message content", async () => {
+      respond = (res) => {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ choices: [] }));
+      };
+
+      const error = await failure(chatCompletion(history, config()));
+
+      expect(error.message).to.equal("Local LLM server returned no message content.");
+    });
+  });
+});
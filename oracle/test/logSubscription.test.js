@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+
+const { createLogSubscription } = require("../src/logSubscription");
+const { FakeWebSocket, until } = require("./helpers/fakeWebSocket");
+
+// The WebSocket side of the event listener. What matters is the failure handling: a dropped
+// socket must be reported (so the poll loop takes over), retried, and re-subscribed — and every
+// new subscription reported, because that is the poll loop's cue to reconcile from its cursor.
+
+const FILTER = { address: "0xAgent", topics: [["0xtopic"]] };
+const quiet = { log() {}, warn() {} };
+
+describe("logSubscription", () => {
+  let subscription;
+
+  beforeEach(() => FakeWebSocket.reset());
+  afterEach(() => {
+    subscription?.stop();
+    sinon.restore();
+  });
+
+  function subscribe(opts = {}) {
+    subscription = createLogSubscription({
+      url: "wss://rpc.example",
+      filter: FILTER,
+      onLog: () => {},
+      WebSocketImpl: FakeWebSocket,
+      reconnectDelayMs: 1,
+      logger: quiet,
+      ...opts,
+    });
+    return subscription;
+  }
+
+  it("subscribes to the filter's logs once the socket opens", async () => {
+    subscribe();
+    const socket = FakeWebSocket.latest();
+
+    await until(() => socket.sent.length === 1);
+
+    expect(socket.url).to.equal("wss://rpc.example");
+    expect(socket.sent[0]).to.deep.include({ method: "eth_subscribe", params: ["logs", FILTER] });
+  });
+
+  it("reports the subscription, then hands over only that subscription's logs", async () => {
+    const onLog = sinon.stub();
+    const onConnect = sinon.stub();
+    subscribe({ onLog, onConnect });
+    const socket = FakeWebSocket.latest();
+    await until(() => socket.sent.length === 1);
+
+    socket.pushLog({ blockNumber: "0x1" }); // before the node has answered: not ours yet
+    socket.acceptSubscription("0xsub");
+    socket.pushLog({ blockNumber: "0x2" }, "0xother");
+    socket.pushLog({ blockNumber: "0x3" });
+
+    expect(onConnect.calledOnce).to.equal(true);
+    expect(subscription.connected).to.equal(true);
+    expect(onLog.args).to.deep.equal([[{ blockNumber: "0x3" }]]);
+  });
+
+  it("reports a drop, reconnects and re-subscribes, and reports the new subscription", async () => {
+    const onConnect = sinon.stub();
+    const onDisconnect = sinon.stub();
+    subscribe({ onConnect, onDisconnect });
+    const first = FakeWebSocket.latest();
+    await until(() => first.sent.length === 1);
+    first.acceptSubscription();
+
+    first.drop();
+
+    expect(onDisconnect.calledOnce).to.equal(true);
+    expect(subscription.connected).to.equal(false);
+
+    await until(() => FakeWebSocket.instances.length === 2);
+    const second = FakeWebSocket.latest();
+    await until(() => second.sent.length === 1);
+    second.acceptSubscription("0xsub2");
+
+    expect(onConnect.calledTwice).to.equal(true);
+    expect(subscription.connected).to.equal(true);
+  });
+
+  it("keeps retrying a node that refuses eth_subscribe, without reporting a connection", async () => {
+    const onConnect = sinon.stub();
+    const onDisconnect = sinon.stub();
+    subscribe({ onConnect, onDisconnect });
+    const socket = FakeWebSocket.latest();
+    await until(() => socket.sent.length === 1);
+
+    socket.receive({ jsonrpc: "2.0", id: 1, error: { message: "method not found" } });
+
+    await until(() => FakeWebSocket.instances.length === 2);
+    expect(socket.closed).to.equal(true);
+    expect(onConnect.called).to.equal(false);
+    expect(onDisconnect.called).to.equal(false);
+  });
+
+  it("stops reconnecting once stopped", async () => {
+    subscribe();
+    const socket = FakeWebSocket.latest();
+    await until(() => socket.sent.length === 1);
+
+    subscription.stop();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    expect(socket.closed).to.equal(true);
+    expect(FakeWebSocket.instances).to.have.length(1);
+  });
+
+  it("refuses to start without a WebSocket implementation", () => {
+    expect(() => subscribe({ WebSocketImpl: null })).to.throw(/No WebSocket implementation/);
+  });
+});
@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const { makeError } = require("ethers");
+
+const { createNonceManager, feesFor, bumpFees } = require("../src/nonceManager");
+const { ProviderUnavailableError } = require("../src/oracleErrors");
+
+// The wallet and node are stubs: what is checked is which nonce and fees each send carries, and
+// when, not what a real node would make of them.
+
+describe("nonceManager", () => {
+  const AGENT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+  const quietLogger = { log: () => {}, warn: sinon.stub() };
+
+  let provider;
+  let signer;
+  let contract;
+  let sentCount;
+
+  // A transaction response whose wait() the test controls.
+  function txResponse(hash, nonce, wait = sinon.stub().resolves({ hash, status: 1 })) {
+    return { hash, nonce, gasLimit: 90000n, wait };
+  }
+
+  function fresh(opts = {}) {
+    return createNonceManager({ signer, provider, logger: quietLogger, ...opts });
+  }
+
+  beforeEach(() => {
+    quietLogger.warn.resetHistory();
+    sentCount = 0;
+    provider = {
+      getTransactionCount: sinon.stub().resolves(5),
+      getFeeData: sinon.stub().resolves({
+        gasPrice: 3n,
+        maxFeePerGas: 100n,
+        maxPriorityFeePerGas: 2n,
+      }),
+    };
+    signer = {
+      address: "0xwallet",
+      getAddress: async () => "0xwallet",
+      sendTransaction: sinon.stub().callsFake(async (tx) => {
+        sentCount += 1;
+        return txResponse(`0xtx${sentCount}`, tx.nonce);
+      }),
+    };
+    contract = {
+      submitAnswer: {
+        populateTransaction: async (...args) => ({ to: AGENT, data: `0xcall-${args.join("-")}` }),
+      },
+    };
+  });
+
+  describe("send", () => {
+    it("broadcasts the next write before the previous one is mined", async () => {
+      let mineFirst;
+      signer.sendTransaction.onFirstCall().callsFake(async (tx) =>
+        txResponse(
+          "0xfirst",
+          tx.nonce,
+          sinon.stub().returns(
+            new Promise((resolve) => {
+              mineFirst = () => resolve({ hash: "0xfirst", status: 1 });
+            }),
+          ),
+        ),
+      );
+      const nonces = fresh();
+
+      const first = nonces.send(contract, "submitAnswer", [1]);
+      const second = await nonces.send(contract, "submitAnswer", [2]);
+
+      expect(second.hash).to.equal("0xtx1");
+      expect(signer.sendTransaction.secondCall.args[0].nonce).to.equal(6);
+      mineFirst();
+      expect((await first).hash).to.equal("0xfirst");
+      expect(signer.sendTransaction.firstCall.args[0].nonce).to.equal(5);
+      // The count is read once, not once per transaction.
+      expect(provider.getTransactionCount.callCount).to.equal(2);
+    });
+
+    it("continues after transactions a previous run left pending", async () => {
+      provider.getTransactionCount.withArgs("0xwallet", "pending").resolves(9);
+      provider.getTransactionCount.withArgs("0xwallet", "latest").resolves(7);
+
+      await fresh().send(contract, "submitAnswer", [1]);
+
+      expect(signer.sendTransaction.firstCall.args[0].nonce).to.equal(9);
+      expect(quietLogger.warn.firstCall.args[0]).to.include("2 transaction(s)");
+    });
+
+    it("sends EIP-1559 fees with headroom on the cap", async () => {
+      await fresh().send(contract, "submitAnswer", [1]);
+
+      const sent = signer.sendTransaction.firstCall.args[0];
+      expect(sent).to.include({ to: AGENT, data: "0xcall-1", nonce: 5 });
+      expect(sent.maxFeePerGas).to.equal(120n);
+      expect(sent.maxPriorityFeePerGas).to.equal(2n);
+      expect(sent).to.not.have.property("gasPrice");
+    });
+
+    it("re-reads the count and retries once when the node rejects the nonce", async () => {
+      signer.sendTransaction
+        .onFirstCall()
+        .rejects(makeError("nonce has already been used", "NONCE_EXPIRED"));
+      provider.getTransactionCount.resolves(5);
+      provider.getTransactionCount.onCall(2).resolves(8);
+      provider.getTransactionCount.onCall(3).resolves(8);
+
+      const receipt = await fresh().send(contract, "submitAnswer", [1]);
+
+      expect(receipt.hash).to.equal("0xtx1");
+      expect(signer.sendTransaction.secondCall.args[0].nonce).to.equal(8);
+    });
+
+    it("keeps the nonce when the call reverts before it is broadcast", async () => {
+      const revert = makeError("execution reverted", "CALL_EXCEPTION");
+      signer.sendTransaction.onFirstCall().rejects(revert);
+      const nonces = fresh();
+
+      let error;
+      try {
+        await nonces.send(contract, "submitAnswer", [1]);
+      } catch (e) {
+        error = e;
+      }
+      await nonces.send(contract, "submitAnswer", [2]);
+
+      expect(error).to.equal(revert);
+      expect(signer.sendTransaction.secondCall.args[0].nonce).to.equal(5);
+      expect(provider.getTransactionCount.callCount).to.equal(2);
+    });
+
+    it("re-sends a stuck transaction with the same nonce and higher fees", async () => {
+      const stuck = sinon.stub().rejects(makeError("wait for transaction timeout", "TIMEOUT"));
+      signer.sendTransaction
+        .onFirstCall()
+        .callsFake(async (tx) => txResponse("0xstuck", tx.nonce, stuck));
+
+      const receipt = await fresh({ stuckAfterMs: 10 }).send(contract, "submitAnswer", [1]);
+
+      expect(stuck.firstCall.args).to.deep.equal([1, 10]);
+      const resent = signer.sendTransaction.secondCall.args[0];
+      expect(resent).to.include({ nonce: 5, gasLimit: 90000n, data: "0xcall-1" });
+      expect(resent.maxFeePerGas).to.equal(150n);
+      expect(resent.maxPriorityFeePerGas).to.equal(2n);
+      expect(receipt.hash).to.equal("0xtx1");
+    });
+
+    it("takes the receipt of whichever version was mined", async () => {
+      const minedFirst = { hash: "0xstuck", status: 1 };
+      signer.sendTransaction
+        .onFirstCall()
+        .callsFake(async (tx) =>
+          txResponse(
+            "0xstuck",
+            tx.nonce,
+            sinon.stub().rejects(makeError("wait for transaction timeout", "TIMEOUT")),
+          ),
+        );
+      signer.sendTransaction.onSecondCall().callsFake(async (tx) =>
+        txResponse(
+          "0xbumped",
+          tx.nonce,
+          sinon.stub().rejects(
+            makeError("transaction was replaced", "TRANSACTION_REPLACED", {
+              reason: "replaced",
+              hash: "0xstuck",
+              receipt: minedFirst,
+            }),
+          ),
+        ),
+      );
+
+      const receipt = await fresh({ stuckAfterMs: 10 }).send(contract, "submitAnswer", [1]);
+
+      expect(receipt).to.equal(minedFirst);
+    });
+
+    it("gives up, retryably, once every bump has gone unmined", async () => {
+      signer.sendTransaction.callsFake(async (tx) =>
+        txResponse(
+          `0xstuck${tx.maxFeePerGas}`,
+          tx.nonce,
+          sinon.stub().rejects(makeError("wait for transaction timeout", "TIMEOUT")),
+        ),
+      );
+
+      let error;
+      try {
+        await fresh({ stuckAfterMs: 10, maxBumps: 2 }).send(contract, "submitAnswer", [1]);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.instanceOf(ProviderUnavailableError);
+      expect(error.retryable).to.be.true;
+      expect(signer.sendTransaction.callCount).to.equal(3);
+      expect(error.message).to.include("after 2 fee bumps");
+    });
+  });
+
+  describe("fees", () => {
+    it("falls back to a legacy gas price when the chain reports no base fee", async () => {
+      provider.getFeeData.resolves({
+        gasPrice: 7n,
+        maxFeePerGas: null,
+        maxPriorityFeePerGas: null,
+      });
+
+      const fees = await feesFor(provider);
+
+      expect(fees).to.deep.equal({ gasPrice: 7n });
+      expect(bumpFees(fees)).to.deep.equal({ gasPrice: 8n });
+    });
+
+    it("raises the tip to the configured floor, and the cap with it", async () => {
+      provider.getFeeData.resolves({ gasPrice: 1n, maxFeePerGas: 10n, maxPriorityFeePerGas: 1n });
+
+      expect(await feesFor(provider, { minPriorityFee: 50n })).to.deep.equal({
+        maxFeePerGas: 50n,
+        maxPriorityFeePerGas: 50n,
+      });
+    });
+  });
+});
@@ -0,0 +1,183 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+  OracleError,
+  StorageError,
+  TransientStorageError,
+  IntegrityError,
+  InsufficientFundsError,
+  ProviderUnavailableError,
+  ContractRevertError,
+  toStorageError,
+  toProviderError,
+  classifyChainError,
+  isNetworkFailure,
+  isRetryable,
+} = require("../src/oracleErrors");
+
+// The typed failures the retry decision is made from.
+//
+// What matters is that the retry decision follows the class, never the message: an error that
+// merely mentions "Irys" or "502" must not be retried, and a socket timeout must be, however the
+// SDK words it.
+
+describe("oracleErrors", () => {
+  describe("classes", () => {
+    it("carries retryability on the class, with the message left as it was", () => {
+      const cases = [
+        [new StorageError("irys", "Irys not initialized."), false],
+        [new TransientStorageError("autonomys", "Auto Drive 503"), true],
+        [new IntegrityError("irys", "bytes do not match", { cid: "abc" }), true],
+        [new InsufficientFundsError("irys", "Insufficient Irys balance"), true],
+        [new ProviderUnavailableError("chaingpt", "ChainGPT API responded with status: 503"), true],
+        [new ContractRevertError("execution reverted"), false],
+      ];
+
+      for (const [error, retryable] of cases) {
+        expect(error, error.name).to.be.instanceOf(OracleError);
+        expect(error, error.name).to.be.instanceOf(Error);
+        expect(error.retryable, error.name).to.equal(retryable);
+        expect(isRetryable(error), error.name).to.equal(retryable);
+      }
+      expect(new TransientStorageError("irys", "x")).to.be.instanceOf(StorageError);
+      expect(new IntegrityError("ipfs", "x", { cid: "bafk" })).to.include({ cid: "bafk" });
+      expect(new ContractRevertError("execution reverted").message).to.equal("execution reverted");
+    });
+
+    it("names each error after its class and keeps what failed in properties", () => {
+      const cause = new Error("socket hang up");
+      const error = new TransientStorageError("irys", "upload failed", { status: 502, cause });
+
+      expect(error.name).to.equal("TransientStorageError");
+      expect(error).to.include({ provider: "irys", status: 502 });
+      expect(error.cause).to.equal(cause);
+      expect(new InsufficientFundsError("oracle wallet", "x").account).to.equal("oracle wallet");
+    });
+
+    it("never treats an untyped error as retryable, whatever it says", () => {
+      expect(isRetryable(new Error("Irys upload failed: 502 Bad Gateway"))).to.equal(false);
+      expect(isRetryable(new Error("ETIMEDOUT"))).to.equal(false);
+      expect(isRetryable(undefined)).to.equal(false);
+    });
+  });
+
+  describe("isNetworkFailure", () => {
+    it("recognises socket codes, aborts, and global fetch's wrapped failures", () => {
+      const reset = Object.assign(new Error("read ECONNRESET"), { code: "ECONNRESET" });
+
+      expect(isNetworkFailure(reset)).to.equal(true);
+      expect(isNetworkFailure(new TypeError("fetch failed", { cause: reset }))).to.equal(true);
+      expect(
+        isNetworkFailure(Object.assign(new Error("aborted"), { name: "AbortError" })),
+      ).to.equal(true);
+      expect(isNetworkFailure(new Error("ECONNRESET in the message only"))).to.equal(false);
+    });
+  });
+
+  describe("toStorageError", () => {
+    it("decides by HTTP status when there is one", () => {
+      for (const status of [408, 429, 500, 502, 503]) {
+        expect(toStorageError("irys", new Error("x"), { status }), String(status)).to.be.instanceOf(
+          TransientStorageError,
+        );
+      }
+      for (const status of [400, 401, 404]) {
+        const error = toStorageError("irys", new Error("x"), { status });
+        expect(error, String(status)).to.be.instanceOf(StorageError);
+        expect(error.retryable, String(status)).to.equal(false);
+      }
+    });
+
+    it("treats a failure without a status as transient unless marked permanent", () => {
+      expect(toStorageError("autonomys", new Error("SDK blew up")).retryable).to.equal(true);
+      expect(
+        toStorageError("autonomys", new Error("bad config"), { permanent: true }).retryable,
+      ).to.equal(false);
+
+      const timeout = Object.assign(new Error("connect ETIMEDOUT"), { code: "ETIMEDOUT" });
+      expect(toStorageError("autonomys", timeout, { permanent: true }).retryable).to.equal(true);
+    });
+
+    it("passes an already-typed error through untouched", () => {
+      const funds = new InsufficientFundsError("irys", "Insufficient Irys balance");
+      expect(toStorageError("irys", funds)).to.equal(funds);
+    });
+  });
+
+  describe("toProviderError", () => {
+    it("types an outage and leaves everything else alone", () => {
+      const down = toProviderError("ollama", new Error("status 503"), { status: 503 });
+      expect(down).to.be.instanceOf(ProviderUnavailableError);
+      expect(down).to.include({ provider: "ollama", status: 503 });
+
+      const refused = new Error("Ollama server responded with status: 400");
+      expect(toProviderError("ollama", refused, { status: 400 })).to.equal(refused);
+    });
+  });
+
+  describe("classifyChainError", () => {
+    const iface = new ethers.Interface([
+      "error JobAlreadyFinalized(uint256 answerMessageId)",
+      "function submitAnswer(uint256,uint256,string)",
+    ]);
+
+    it("types an unfunded wallet as InsufficientFundsError", () => {
+      const error = classifyChainError({
+        code: "INSUFFICIENT_FUNDS",
+        shortMessage: "insufficient funds for intrinsic transaction cost",
+        message: "insufficient funds for intrinsic transaction cost (transaction=...)",
+      });
+
+      expect(error).to.be.instanceOf(InsufficientFundsError);
+      expect(error.account).to.equal("oracle wallet");
+      expect(error.message).to.equal("insufficient funds for intrinsic transaction cost");
+    });
+
+    it("keeps the custom error ethers already decoded", () => {
+      const error = classifyChainError({
+        code: "CALL_EXCEPTION",
+        shortMessage: 'execution reverted: "JobAlreadyFinalized(7)"',
+        revert: { name: "JobAlreadyFinalized", args: [7n] },
+      });
+
+      expect(error).to.be.instanceOf(ContractRevertError);
+      expect(error).to.deep.include({ errorName: "JobAlreadyFinalized", errorArgs: [7n] });
+      expect(isRetryable(error)).to.equal(false);
+    });
+
+    it("decodes the custom error from raw revert data through the contract interface", () => {
+      const data = iface.encodeErrorResult("JobAlreadyFinalized", [42n]);
+
+      const error = classifyChainError(
+        { code: "CALL_EXCEPTION", info: { error: { data } } },
+        iface,
+      );
+
+      expect(error.errorName).to.equal("JobAlreadyFinalized");
+      expect(error.errorArgs).to.deep.equal([42n]);
+    });
+
+    it("leaves a revert it cannot decode as a bare revert", () => {
+      const error = classifyChainError({ code: "CALL_EXCEPTION", data: "0xdeadbeef" }, iface);
+
+      expect(error).to.be.instanceOf(ContractRevertError);
+      expect(error.errorName).to.equal(null);
+    });
+
+    it("types an unreachable RPC as ProviderUnavailableError", () => {
+      const error = classifyChainError({ code: "SERVER_ERROR", shortMessage: "bad response" });
+
+      expect(error).to.be.instanceOf(ProviderUnavailableError);
+      expect(error.provider).to.equal("rpc");
+    });
+
+    it("returns anything else unchanged, typed errors included", () => {
+      const plain = new Error("Decryption failed");
+      const typed = new TransientStorageError("irys", "x");
+
+      expect(classifyChainError(plain, iface)).to.equal(plain);
+      expect(classifyChainError(typed, iface)).to.equal(typed);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const http = require("http");
+
+const {
+  createHealth,
+  healthConfig,
+  startHealthServer,
+  DEFAULT_POLL_STALE_MS,
+} = require("../src/oracleHealth");
+
+// The clock is a stub, so a loop goes stale when the test says; the server runs on a free port.
+
+describe("oracleHealth", () => {
+  const MINUTE = 60 * 1000;
+  let clock;
+
+  function health() {
+    const h = createHealth({ pollStaleMs: 10 * MINUTE, now: () => clock });
+    h.expect({ steps: ["storage", "setOracle:base"], chains: ["base"] });
+    return h;
+  }
+
+  beforeEach(() => {
+    clock = 0;
+  });
+
+  describe("createHealth", () => {
+    it("is live but not ready while starting up", () => {
+      const h = health();
+      h.done("storage");
+
+      expect(h.liveness().live).to.be.true;
+      expect(h.readiness()).to.deep.equal({
+        ready: false,
+        steps: { storage: true, "setOracle:base": false },
+        polls: { base: { lastPollAt: null, stale: false } },
+      });
+    });
+
+    it("is ready once every step is done and every loop has polled", () => {
+      const h = health();
+      h.done("storage");
+      h.done("setOracle:base");
+      h.polled("base");
+
+      expect(h.readiness().ready).to.be.true;
+    });
+
+    it("fails both probes when a loop that was polling stops", () => {
+      const h = health();
+      h.done("storage");
+      h.done("setOracle:base");
+      h.polled("base");
+
+      clock = 11 * MINUTE;
+
+      expect(h.liveness()).to.deep.equal({
+        live: false,
+        polls: { base: { lastPollAt: new Date(0).toISOString(), stale: true } },
+      });
+      expect(h.readiness().ready).to.be.false;
+
+      h.polled("base");
+      expect(h.liveness().live).to.be.true;
+      expect(h.readiness().ready).to.be.true;
+    });
+
+    it("reads the stale limit from the environment", () => {
+      expect(healthConfig({})).to.deep.equal({ pollStaleMs: DEFAULT_POLL_STALE_MS });
+      expect(healthConfig({ HEALTH_POLL_STALE_MS: "60000" })).to.deep.equal({ pollStaleMs: 60000 });
+      expect(healthConfig({ HEALTH_POLL_STALE_MS: "0" })).to.deep.equal({
+        pollStaleMs: DEFAULT_POLL_STALE_MS,
+      });
+    });
+  });
+
+  describe("startHealthServer", () => {
+    let server;
+
+    afterEach((done) => {
+      if (server) server.close(() => done());
+      else done();
+      server = null;
+    });
+
+    function get(path) {
+      return new Promise((resolve, reject) => {
+        http
+          .get({ port: server.address().port, path }, (res) => {
+            let body = "";
+            res.on("data", (d) => (body += d));
+            res.on("end", () => resolve({ status: res.statusCode, body }));
+          })
+          .on("error", reject);
+      });
+    }
+
+    async function serve(h, vitals) {
+      server = await startHealthServer({ port: 0, health: h, vitals, logger: { log() {} } });
+    }
+
+    it("answers 200 to /healthz and 503 to /readyz during startup", async () => {
+      const vitals = sinon.stub().resolves({ chainHead: 100 });
+      await serve(health(), vitals);
+
+      const live = await get("/healthz");
+      const ready = await get("/readyz");
+
+      expect(live.status).to.equal(200);
+      expect(JSON.parse(live.body).status).to.equal("ok");
+      expect(ready.status).to.equal(503);
+      expect(JSON.parse(ready.body).steps).to.deep.equal({
+        storage: false,
+        "setOracle:base": false,
+      });
+      expect(vitals.called).to.be.false;
+      expect((await get("/metrics")).status).to.equal(404);
+    });
+
+    it("adds the vitals with ?verbose, without failing the probe when they fail", async () => {
+      const h = health();
+      h.done("storage");
+      h.done("setOracle:base");
+      h.polled("base");
+      const vitals = sinon.stub();
+      vitals.onFirstCall().resolves({ chainHead: 100 });
+      vitals.onSecondCall().rejects(new Error("rpc down"));
+      await serve(h, vitals);
+
+      const first = await get("/readyz?verbose");
+      const second = await get("/readyz?verbose");
+
+      expect(first.status).to.equal(200);
+      expect(JSON.parse(first.body).vitals).to.deep.equal({ chainHead: 100 });
+      expect(second.status).to.equal(200);
+      expect(JSON.parse(second.body).vitals).to.deep.equal({ error: "rpc down" });
+    });
+  });
+});
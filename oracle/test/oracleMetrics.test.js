@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const http = require("http");
+
+const { createRegistry, createOracleMetrics, startMetricsServer } = require("../src/oracleMetrics");
+
+// The exposition text is checked line by line, as Prometheus would parse it; the server runs on
+// a free port.
+
+describe("oracleMetrics", () => {
+  const quietLogger = { log() {}, warn: sinon.stub() };
+
+  beforeEach(() => quietLogger.warn.resetHistory());
+
+  describe("createRegistry", () => {
+    it("renders counters and gauges with their help, type and labels", async () => {
+      const registry = createRegistry();
+      const served = registry.counter("served_total", "Answers served.");
+      const lag = registry.gauge("lag_blocks", "Blocks behind.");
+
+      served.inc({ tier: "elizaos" });
+      served.inc({ tier: "elizaos" }, 2);
+      served.inc({ tier: 'say "hi"' });
+      lag.set({ chain: "base" }, 7);
+      lag.set({ chain: "base" }, 3);
+
+      expect((await registry.render()).split("\n")).to.deep.equal([
+        "# HELP served_total Answers served.",
+        "# TYPE served_total counter",
+        'served_total{tier="elizaos"} 3',
+        'served_total{tier="say \\"hi\\""} 1',
+        "# HELP lag_blocks Blocks behind.",
+        "# TYPE lag_blocks gauge",
+        'lag_blocks{chain="base"} 3',
+        "",
+      ]);
+      expect(served.value({ tier: "elizaos" })).to.equal(3);
+    });
+
+    it("counts observations into cumulative buckets", async () => {
+      const registry = createRegistry();
+      const h = registry.histogram("upload_seconds", "Upload time.", [1, 5]);
+
+      h.observe({ backend: "ipfs" }, 0.5);
+      h.observe({ backend: "ipfs" }, 3);
+      h.observe({ backend: "ipfs" }, 9);
+
+      const text = await registry.render();
+      expect(text).to.include('upload_seconds_bucket{backend="ipfs",le="1"} 1\n');
+      expect(text).to.include('upload_seconds_bucket{backend="ipfs",le="5"} 2\n');
+      expect(text).to.include('upload_seconds_bucket{backend="ipfs",le="+Inf"} 3\n');
+      expect(text).to.include('upload_seconds_sum{backend="ipfs"} 12.5\n');
+      expect(text).to.include('upload_seconds_count{backend="ipfs"} 3\n');
+    });
+
+    it("times a call by its outcome and passes its result or error through", async () => {
+      const registry = createRegistry();
+      const h = registry.histogram("fetch_seconds", "Fetch time.", [60]);
+
+      expect(await h.time({ backend: "irys" }, async () => "data")).to.equal("data");
+      const failure = new Error("gateway down");
+      let caught;
+      try {
+        await h.time({ backend: "irys" }, async () => {
+          throw failure;
+        });
+      } catch (error) {
+        caught = error;
+      }
+
+      expect(caught).to.equal(failure);
+      const text = await registry.render();
+      expect(text).to.include('fetch_seconds_count{backend="irys",outcome="ok"} 1');
+      expect(text).to.include('fetch_seconds_count{backend="irys",outcome="error"} 1');
+    });
+
+    it("skips a collector that fails and still serves the rest", async () => {
+      const registry = createRegistry();
+      const size = registry.gauge("queue_size", "Queued.");
+      registry.collect(async () => {
+        throw new Error("retry store down");
+      });
+      registry.collect(() => size.set({}, 4));
+
+      const text = await registry.render(quietLogger);
+
+      expect(text).to.include("queue_size 4\n");
+      expect(quietLogger.warn.firstCall.args[0]).to.include("retry store down");
+    });
+
+    it("refuses the same name twice", () => {
+      const registry = createRegistry();
+      registry.gauge("queue_size", "Queued.");
+
+      expect(() => registry.counter("queue_size", "Again.")).to.throw("already registered");
+    });
+  });
+
+  describe("startMetricsServer", () => {
+    let server;
+
+    afterEach((done) => {
+      if (server) server.close(() => done());
+      else done();
+      server = null;
+    });
+
+    function get(path) {
+      return new Promise((resolve, reject) => {
+        http
+          .get({ port: server.address().port, path }, (res) => {
+            let body = "";
+            res.on("data", (d) => (body += d));
+            res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body }));
+          })
+          .on("error", reject);
+      });
+    }
+
+    it("serves the oracle's metrics at /metrics and nothing else", async () => {
+      const metrics = createOracleMetrics();
+      metrics.chainHeadLag.set({ chain: "default" }, 12);
+      server = await startMetricsServer({
+        port: 0,
+        registry: metrics.registry,
+        logger: quietLogger,
+      });
+
+      const res = await get("/metrics");
+
+      expect(res.status).to.equal(200);
+      expect(res.headers["content-type"]).to.equal("text/plain; version=0.0.4; charset=utf-8");
+      expect(res.body).to.include('oracle_chain_head_lag_blocks{chain="default"} 12\n');
+      expect(res.body).to.include("# TYPE oracle_tx_confirmation_seconds histogram");
+      expect((await get("/")).status).to.equal(404);
+    });
+  });
+});
@@ -79,6 +79,65 @@ describe("collectVitals", () => {
     expect(withoutTally.providers).to.equal(null);
   });
 
+  it("carries the watcher's runway for the reported wallet, and the Irys balance", async () => {
+    const { collectVitals } = load();
+    const deps = OK_DEPS();
+    deps.readBalances = async () => ({
+      wallets: {
+        base: { address: "0xSomeOtherChain", spendPerHour: 9, runwayHours: 1 },
+        sapphire: { address: deps.walletAddress, spendPerHour: 0.002, runwayHours: 24.96 },
+      },
+      irysBalance: 0.031,
+    });
+
+    const v = await collectVitals(deps);
+    expect(v.walletSpendPerHourEth).to.equal(0.002);
+    expect(v.walletRunwayHours).to.equal(24.96);
+    expect(v.irysBalance).to.equal(0.031);
+
+    // Before the watcher's first check there is no snapshot at all.
+    deps.readBalances = async () => null;
+    const early = await collectVitals(deps);
+    expect(early.walletRunwayHours).to.equal(null);
+    expect(early.irysBalance).to.equal(null);
+  });
+
+  it("carries the storage replication report, and null without replicas", async () => {
+    const { collectVitals } = load();
+    const deps = OK_DEPS();
+    const report = {
+      irys: { pending: 1, oldestPendingSeconds: 4, replicated: 9, failed: 0, lastLagSeconds: 2.5 },
+    };
+    deps.readReplication = async () => report;
+
+    expect((await collectVitals(deps)).storageReplication).to.deep.equal(report);
+
+    deps.readReplication = async () => ({});
+    expect((await collectVitals(deps)).storageReplication).to.equal(null);
+  });
+
+  it("carries the on-disk cache's figures, and null when it is off", async () => {
+    const { collectVitals } = load();
+    const deps = OK_DEPS();
+    const stats = {
+      entries: 120,
+      sizeMB: 0.4,
+      maxMB: 1024,
+      warmup: { entries: 100, sizeMB: 0.3, durationMs: 42 },
+      hits: 30,
+      misses: 20,
+      writes: 20,
+      evictions: 0,
+      errors: 0,
+    };
+    deps.readBlobCache = async () => stats;
+
+    expect((await collectVitals(deps)).blobCache).to.deep.equal(stats);
+
+    deps.readBlobCache = async () => null;
+    expect((await collectVitals(deps)).blobCache).to.equal(null);
+  });
+
   it("never throws when EVERY probe fails, and reports nulls instead", async () => {
     const { collectVitals } = load();
     const boom = () => {
@@ -91,6 +150,7 @@ describe("collectVitals", () => {
       readState: boom,
       readFailedJobs: boom,
       fetchAccountInfo: boom,
+      readBalances: boom,
       diskPath: "/definitely/not/a/real/path/xyzzy",
     });
 
@@ -101,6 +161,7 @@ describe("collectVitals", () => {
     expect(v.walletBalanceEth).to.equal(null);
     expect(v.failedJobsCount).to.equal(null);
     expect(v.autoDriveUploadCredits).to.equal(null);
+    expect(v.walletRunwayHours).to.equal(null);
 
     // Process vitals come from `process`/`os` and cannot fail — they must still be present,
     // which is the whole point of degrading per-probe rather than per-snapshot.
@@ -3,6 +3,7 @@ const sinon = require("sinon");
 
 const {
   sanitizeAnswer,
+  sanitizeDraft,
   _setSanitizerForTests,
   _resetForTests,
 } = require("../src/outboundSanitizer");
@@ -262,4 +263,36 @@ describe("outboundSanitizer", () => {
       "second answer, long enough to matter [clean]",
     );
   });
+
+  describe("sanitizeDraft (streaming side channel)", () => {
+    // The opposite fallback from sanitizeAnswer: a draft can always be dropped, because the paid
+    // answer follows on-chain regardless. So every failure mode withholds rather than degrades.
+
+    it("passes accepted drafts through cleaned", async () => {
+      _setSanitizerForTests((text) => text.replace(/<\/?response>/g, "").trim());
+      expect(await sanitizeDraft("<response>Checking BTC funding…</response>")).to.equal(
+        "Checking BTC funding…",
+      );
+    });
+
+    it("withholds a rejected draft instead of sending it raw", async () => {
+      _setSanitizerForTests(() => null);
+      expect(await sanitizeDraft("{{agentName}} should now respond")).to.equal(null);
+    });
+
+    it("withholds when the sanitiser throws", async () => {
+      _setSanitizerForTests(() => {
+        throw new Error("boom");
+      });
+      expect(await sanitizeDraft("anything")).to.equal(null);
+    });
+
+    it("withholds EVERYTHING when the Brain cannot be loaded", async () => {
+      // sanitizeAnswer ships the original here; a draft must not, or an unconfigured deploy would
+      // stream every unsanitised emission.
+      sinon.stub(console, "error");
+      _setSanitizerForTests(null, { loadFails: true });
+      expect(await sanitizeDraft("Bitcoin is consolidating near $61k.")).to.equal(null);
+    });
+  });
 });
@@ -29,6 +29,7 @@ describe("providerTally", () => {
       tradable: 0,
       elizaos: 0,
       chaingpt: 0,
+      local: 0,
       deepseek: 0,
       mock: 0,
       none: 0,
@@ -0,0 +1,236 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+const {
+  createAliasStore,
+  createCopyJournal,
+  createReplicator,
+} = require("../src/storage/replication");
+const { IntegrityError } = require("../src/oracleErrors");
+
+// The backends are stubs; the alias map and the copy journal are real files in a temp directory,
+// so what a restart would read back is what is checked.
+
+describe("storage replication", () => {
+  const quietLogger = { log: () => {}, warn: sinon.stub() };
+  let dir;
+  let aliases;
+  let journal;
+  let autonomys;
+  let irys;
+
+  function replicator(opts = {}) {
+    return createReplicator({
+      backends: { autonomys, irys },
+      primary: "autonomys",
+      replicas: ["irys"],
+      aliases,
+      journal,
+      logger: quietLogger,
+      ...opts,
+    });
+  }
+
+  beforeEach(async () => {
+    quietLogger.warn.resetHistory();
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "cid-aliases-"));
+    aliases = createAliasStore({ filePath: path.join(dir, "cid-aliases.jsonl") });
+    journal = createCopyJournal({ filePath: path.join(dir, "replica-copies.jsonl") });
+    autonomys = {
+      uploadData: sinon.stub().resolves("auto_cid"),
+      fetchData: sinon.stub().resolves("from autonomys"),
+    };
+    irys = {
+      uploadData: sinon.stub().resolves("irys_cid"),
+      fetchData: sinon.stub().resolves("from irys"),
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("returns the primary's CID and copies the file to each replica", async () => {
+    const r = replicator();
+    const data = Buffer.from("message");
+    const tags = [{ name: "File-Name", value: "m.json" }];
+
+    expect(await r.upload(data, tags)).to.equal("auto_cid");
+    await r.settled();
+
+    expect(irys.uploadData.calledOnceWith(data, tags)).to.be.true;
+    expect(aliases.aliasesOf("auto_cid")).to.deep.equal([{ backend: "irys", cid: "irys_cid" }]);
+    expect(aliases.aliasesOf("irys_cid")).to.deep.equal([
+      { backend: "autonomys", cid: "auto_cid" },
+    ]);
+    expect(r.report().irys).to.include({ pending: 0, replicated: 1, failed: 0 });
+  });
+
+  it("starts no copy when the primary upload fails", async () => {
+    autonomys.uploadData.rejects(new Error("no credits"));
+    const r = replicator();
+
+    let caught;
+    try {
+      await r.upload(Buffer.from("message"));
+    } catch (error) {
+      caught = error;
+    }
+
+    expect(caught.message).to.equal("no credits");
+    expect(irys.uploadData.called).to.be.false;
+  });
+
+  it("counts a copy given up on without failing the upload", async () => {
+    irys.uploadData.rejects(new Error("irys down"));
+    const r = replicator({ maxAttempts: 1 });
+
+    expect(await r.upload(Buffer.from("message"))).to.equal("auto_cid");
+    await r.settled();
+
+    expect(r.report().irys).to.include({ pending: 0, replicated: 0, retries: 0, failed: 1 });
+    expect(aliases.aliasesOf("auto_cid")).to.deep.equal([]);
+    expect(quietLogger.warn.firstCall.args[0]).to.include("irys down");
+    expect(await journal.load()).to.deep.equal([]);
+  });
+
+  describe("retrying a failed copy", () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ toFake: ["setTimeout", "Date"] });
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it("tries again after a backoff, reading the file back from the primary", async () => {
+      irys.uploadData.onFirstCall().rejects(new Error("irys down"));
+      irys.uploadData.onSecondCall().rejects(new Error("irys still down"));
+      autonomys.fetchData.resolves("message");
+      const r = replicator({ retryDelayMs: 1000 });
+
+      await r.upload(Buffer.from("message"));
+      await r.settled();
+      expect(r.report().irys).to.include({ pending: 1, retries: 1, failed: 0 });
+
+      await clock.tickAsync(1000);
+      await r.settled();
+      expect(irys.uploadData.callCount).to.equal(2);
+      // The second wait is twice the first.
+      await clock.tickAsync(1999);
+      expect(irys.uploadData.callCount).to.equal(2);
+      await clock.tickAsync(1);
+      await r.settled();
+
+      expect(irys.uploadData.thirdCall.args[0]).to.deep.equal(Buffer.from("message"));
+      expect(autonomys.fetchData.calledWith("auto_cid")).to.be.true;
+      expect(aliases.aliasesOf("auto_cid")).to.deep.equal([{ backend: "irys", cid: "irys_cid" }]);
+      expect(r.report().irys).to.include({ pending: 0, replicated: 1, retries: 2, failed: 0 });
+    });
+  });
+
+  it("finishes after a restart the copies the last run left unfinished", async () => {
+    irys.uploadData.returns(new Promise(() => {}));
+    await replicator().upload(Buffer.from("message"), [{ name: "File-Name", value: "m.json" }]);
+    await journal.add({ backend: "arweave", primary: "autonomys", cid: "a2", tags: [], at: 0 });
+
+    // The process dies with both copies open. The next one reads them back:
+    irys.uploadData.resolves("irys_cid");
+    autonomys.fetchData.resolves("message");
+    journal = createCopyJournal({ filePath: path.join(dir, "replica-copies.jsonl") });
+    const r = replicator();
+
+    expect(await r.resume()).to.equal(1);
+    await r.settled();
+
+    expect(irys.uploadData.lastCall.args).to.deep.equal([
+      Buffer.from("message"),
+      [{ name: "File-Name", value: "m.json" }],
+    ]);
+    expect(aliases.aliasesOf("auto_cid")).to.deep.equal([{ backend: "irys", cid: "irys_cid" }]);
+    // Done with the first, and no longer a replica for the second.
+    expect(await journal.load()).to.deep.equal([]);
+  });
+
+  it("reports a copy still in flight and how long it has been waiting", async () => {
+    let clock = 0;
+    let finish;
+    irys.uploadData.returns(new Promise((resolve) => (finish = resolve)));
+    const r = replicator({ now: () => clock });
+
+    await r.upload(Buffer.from("message"));
+    clock = 4000;
+
+    expect(r.report().irys).to.deep.equal({
+      pending: 1,
+      oldestPendingSeconds: 4,
+      replicated: 0,
+      retries: 0,
+      failed: 0,
+      lastLagSeconds: null,
+    });
+    clock = 5000;
+    finish("irys_cid");
+    await r.settled();
+    expect(r.report().irys).to.include({ pending: 0, lastLagSeconds: 5 });
+  });
+
+  it("fetches from a copy when the CID's own backend fails, then prefers the copy", async () => {
+    const r = replicator();
+    await r.upload(Buffer.from("message"));
+    await r.settled();
+    autonomys.fetchData.rejects(new Error("gateway 500"));
+
+    expect(await r.fetch("auto_cid", "autonomys")).to.equal("from irys");
+    expect(irys.fetchData.calledOnceWith("irys_cid")).to.be.true;
+
+    // The failure counted as a very slow fetch, so the copy is tried first next time.
+    autonomys.fetchData.resetHistory();
+    expect(await r.fetch("auto_cid", "autonomys")).to.equal("from irys");
+    expect(autonomys.fetchData.called).to.be.false;
+  });
+
+  it("fetches from a copy when the own backend serves bytes that fail verification", async () => {
+    const r = replicator();
+    await r.upload(Buffer.from("message"));
+    await r.settled();
+    autonomys.fetchData.rejects(new IntegrityError("autonomys", "bad bytes", { cid: "auto_cid" }));
+
+    expect(await r.fetch("auto_cid", "autonomys")).to.equal("from irys");
+  });
+
+  it("fetches an unreplicated CID from its own backend only, and throws its error", async () => {
+    const gone = new Error("not found");
+    autonomys.fetchData.rejects(gone);
+    const r = replicator();
+
+    let caught;
+    try {
+      await r.fetch("old_cid", "autonomys");
+    } catch (error) {
+      caught = error;
+    }
+
+    expect(caught).to.equal(gone);
+    expect(irys.fetchData.called).to.be.false;
+  });
+
+  it("reads the alias map back after a restart, skipping a torn last line", async () => {
+    const r = replicator();
+    await r.upload(Buffer.from("message"));
+    await r.settled();
+    await aliases.add({ backend: "autonomys", cid: "a2" }, { backend: "irys", cid: "i2" });
+    await fs.appendFile(path.join(dir, "cid-aliases.jsonl"), '{"primary":{"backend":"auto');
+
+    const reloaded = createAliasStore({ filePath: path.join(dir, "cid-aliases.jsonl") });
+
+    expect(await reloaded.load()).to.equal(2);
+    expect(reloaded.aliasesOf("auto_cid")).to.deep.equal([{ backend: "irys", cid: "irys_cid" }]);
+    expect(reloaded.aliasesOf("i2")).to.deep.equal([{ backend: "autonomys", cid: "a2" }]);
+  });
+});
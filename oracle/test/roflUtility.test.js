@@ -5,6 +5,11 @@ const fs = require("fs");
 const http = require("http");
 const cbor = require("cbor");
 const { fetchKey, submitTx } = require("../src/roflUtility");
+const {
+  ContractRevertError,
+  InsufficientFundsError,
+  ProviderUnavailableError,
+} = require("../src/oracleErrors");
 
 describe("roflUtility", function () {
   let server;
@@ -75,6 +80,7 @@ describe("roflUtility", function () {
       } catch (error) {
         expect(error).to.be.an("Error");
         expect(error.message).to.include("Status 500");
+        expect(error).to.be.instanceOf(ProviderUnavailableError);
       }
     });
   });
@@ -88,6 +94,22 @@ describe("roflUtility", function () {
       expect(txHash).to.equal("0x123abc");
     });
 
+    it("logs the method, recipient and size, never the calldata", async () => {
+      const log = sinon.stub(console, "log");
+      mockResponse = { tx_hash: "0x123abc" };
+      try {
+        await submitTx({ ...tx, data: "0xa9059cbb" + "ab".repeat(64) }, socketPath);
+      } finally {
+        log.restore();
+      }
+
+      const lines = log.getCalls().map((call) => call.args.join(" "));
+      expect(lines.join("\n")).to.not.include("abab");
+      expect(lines).to.include(
+        "  Posting 0xa9059cbb to 0x123 (68 bytes) to /rofl/v1/tx/sign-submit",
+      );
+    });
+
     it("should return data when present in the response", async () => {
       mockResponse = { data: "0x456def" };
       const txHash = await submitTx(tx, socketPath);
@@ -106,6 +128,23 @@ describe("roflUtility", function () {
       } catch (error) {
         expect(error).to.be.an("Error");
         expect(error.message).to.equal(`Transaction reverted: ${errorMessage}`);
+        // The contract's own reason, not the gas wallet: final, so never retried.
+        expect(error).to.be.instanceOf(ContractRevertError);
+      }
+    });
+
+    it("should type a gas wallet that cannot pay as retryable", async () => {
+      mockResponse = cbor
+        .encode({ message: "insufficient funds for gas * price + value" })
+        .toString("hex");
+      responseIsCbor = true;
+
+      try {
+        await submitTx(tx, socketPath);
+        assert.fail("Expected submitTx to throw but it did not.");
+      } catch (error) {
+        expect(error).to.be.instanceOf(InsufficientFundsError);
+        expect(error.retryable).to.equal(true);
       }
     });
 
@@ -129,6 +168,8 @@ describe("roflUtility", function () {
       } catch (error) {
         expect(error).to.be.an("Error");
         expect(error.message).to.include("connect ENOENT /invalid/socket/path");
+        // appd restarting: unavailable, not a rejected transaction.
+        expect(error).to.be.instanceOf(ProviderUnavailableError);
       }
     });
   });
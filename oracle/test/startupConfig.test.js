@@ -271,6 +271,27 @@ describe("startup config validation", () => {
     ).to.not.throw();
   });
 
+  it("demands the Autonomys key from Irys replicating to Autonomys, and checks the names", () => {
+    const irys = {
+      USE_MOCK_STORAGE: undefined,
+      STORAGE_PROVIDER: "irys",
+      IRYS_PAYMENT_PRIVATE_KEY: "0xabc",
+    };
+    expect(() => validateConfig(baseEnv({ ...irys, STORAGE_REPLICAS: "autonomys" }))).to.throw(
+      ConfigError,
+      /AUTONOMYS_API_KEY/,
+    );
+    expect(() =>
+      validateConfig(
+        baseEnv({ ...irys, STORAGE_REPLICAS: "autonomys", AUTONOMYS_API_KEY: "ak-123" }),
+      ),
+    ).to.not.throw();
+    for (const replicas of ["arweave", "irys"]) {
+      const env = baseEnv({ ...irys, STORAGE_REPLICAS: replicas });
+      expect(() => validateConfig(env), replicas).to.throw(ConfigError, /STORAGE_REPLICAS/);
+    }
+  });
+
   it("skips storage credentials in LOCAL_IPFS mode", () => {
     // storage.js has TWO early returns before any credential is touched — USE_MOCK_STORAGE and
     // USE_LOCAL_IPFS (`const USE_LOCAL_IPFS = !!LOCAL_IPFS_API_URL`). Demanding an Irys key here
@@ -321,4 +342,290 @@ describe("startup config validation", () => {
       expect(err.message).to.include("PRIVATE_KEY");
     }
   });
+
+  it("rejects an ANSWER_STREAM_PORT that listen() would refuse, and ignores it when unset", () => {
+    expect(() => validateConfig(baseEnv({ ANSWER_STREAM_PORT: "8787" }))).to.not.throw();
+    expect(() => validateConfig(baseEnv({ ANSWER_STREAM_PORT: "" }))).to.not.throw();
+    for (const value of ["http://0.0.0.0:8787", "70000", "0"]) {
+      expect(() => validateConfig(baseEnv({ ANSWER_STREAM_PORT: value })), value).to.throw(
+        ConfigError,
+        /ANSWER_STREAM_PORT/,
+      );
+    }
+  });
+
+  it("rejects a METRICS_PORT that listen() would refuse or the answer stream already has", () => {
+    expect(() => validateConfig(baseEnv({ METRICS_PORT: "9464" }))).to.not.throw();
+    expect(() => validateConfig(baseEnv({ METRICS_PORT: "" }))).to.not.throw();
+    for (const env of [
+      { METRICS_PORT: "70000" },
+      { METRICS_PORT: "8787", ANSWER_STREAM_PORT: "8787" },
+    ]) {
+      expect(() => validateConfig(baseEnv(env)), JSON.stringify(env)).to.throw(
+        ConfigError,
+        /METRICS_PORT/,
+      );
+    }
+  });
+
+  it("rejects a HEALTH_PORT another server has, and a HEALTH_POLL_STALE_MS of no time", () => {
+    expect(() =>
+      validateConfig(baseEnv({ HEALTH_PORT: "8080", HEALTH_POLL_STALE_MS: "600000" })),
+    ).to.not.throw();
+    for (const env of [
+      { HEALTH_PORT: "9464", METRICS_PORT: "9464" },
+      { HEALTH_PORT: "8080", HEALTH_POLL_STALE_MS: "0" },
+    ]) {
+      expect(() => validateConfig(baseEnv(env)), JSON.stringify(env)).to.throw(
+        ConfigError,
+        /HEALTH_/,
+      );
+    }
+  });
+
+  it("rejects a CONFIRMATION_DEPTH that is not a block count", () => {
+    expect(() => validateConfig(baseEnv({ CONFIRMATION_DEPTH: "3" }))).to.not.throw();
+    for (const value of ["-1", "2.5", "five"]) {
+      expect(() => validateConfig(baseEnv({ CONFIRMATION_DEPTH: value })), value).to.throw(
+        ConfigError,
+        /CONFIRMATION_DEPTH must be a non-negative integer/,
+      );
+    }
+  });
+
+  it("accepts a zero batch window, but not a batch of none", () => {
+    expect(() =>
+      validateConfig(baseEnv({ ANSWER_BATCH_WINDOW_MS: "0", ANSWER_BATCH_MAX: "5" })),
+    ).to.not.throw();
+
+    let error;
+    try {
+      validateConfig(baseEnv({ ANSWER_BATCH_WINDOW_MS: "1s", ANSWER_BATCH_MAX: "0" }));
+    } catch (e) {
+      error = e;
+    }
+    expect(error.problems).to.deep.equal([
+      'ANSWER_BATCH_WINDOW_MS must be a non-negative integer, got: "1s"',
+      'ANSWER_BATCH_MAX must be a positive integer, got: "0"',
+    ]);
+  });
+
+  it("rejects balance alert settings the watcher could not use", () => {
+    expect(() =>
+      validateConfig(
+        baseEnv({ BALANCE_CHECK_INTERVAL_MS: "0", WALLET_BALANCE_ALERT_THRESHOLD: "0.25" }),
+      ),
+    ).to.not.throw();
+
+    let error;
+    try {
+      validateConfig(
+        baseEnv({ WALLET_RUNWAY_ALERT_HOURS: "-1", WALLET_BALANCE_ALERT_THRESHOLD: "0.1 ETH" }),
+      );
+    } catch (e) {
+      error = e;
+    }
+    expect(error.problems).to.deep.equal([
+      'WALLET_RUNWAY_ALERT_HOURS must be a positive number, got: "-1"',
+      'WALLET_BALANCE_ALERT_THRESHOLD must be an amount like 0.5, got: "0.1 ETH"',
+    ]);
+  });
+
+  it("requires LOCAL_LLM_URL for AI_PROVIDER=LocalLLM, and sane limits when set", () => {
+    expect(() =>
+      validateConfig(
+        baseEnv({ AI_PROVIDER: "LocalLLM", LOCAL_LLM_URL: "http://llama:8080/v1" }),
+      ),
+    ).to.not.throw();
+
+    let error;
+    try {
+      validateConfig(
+        baseEnv({ AI_PROVIDER: "LocalLLM", LOCAL_LLM_URL: "", LOCAL_LLM_MAX_TOKENS: "lots" }),
+      );
+    } catch (e) {
+      error = e;
+    }
+    expect(error.problems).to.deep.equal([
+      "LOCAL_LLM_URL is missing or empty, but AI_PROVIDER is LocalLLM",
+      'LOCAL_LLM_MAX_TOKENS must be a positive integer, got: "lots"',
+    ]);
+  });
+
+  it("rejects alert routing to a severity that does not exist", () => {
+    expect(() =>
+      validateConfig(
+        baseEnv({
+          ALERT_PAGERDUTY_SEVERITIES: "critical, warning",
+          ALERT_WEBHOOK_SEVERITIES: "none",
+        }),
+      ),
+    ).to.not.throw();
+
+    let error;
+    try {
+      validateConfig(baseEnv({ ALERT_PAGERDUTY_SEVERITIES: "critical,high" }));
+    } catch (e) {
+      error = e;
+    }
+    expect(error.problems).to.deep.equal([
+      'ALERT_PAGERDUTY_SEVERITIES must be "none" or a comma-separated list of critical, warning, ' +
+        'info, got: "critical,high"',
+    ]);
+  });
+
+  it("rejects a blob cache size that is not a whole number of megabytes", () => {
+    expect(() => validateConfig(baseEnv({ BLOB_CACHE_MAX_MB: "0" }))).to.not.throw();
+
+    let error;
+    try {
+      validateConfig(baseEnv({ BLOB_CACHE_MAX_MB: "1GB" }));
+    } catch (e) {
+      error = e;
+    }
+    expect(error.problems).to.deep.equal([
+      'BLOB_CACHE_MAX_MB must be a non-negative integer, got: "1GB"',
+    ]);
+  });
+
+  it("rejects an alert cooldown that is not a millisecond count", () => {
+    expect(() => validateConfig(baseEnv({ ALERT_COOLDOWN_MS: "0" }))).to.not.throw();
+
+    let error;
+    try {
+      validateConfig(baseEnv({ ALERT_COOLDOWN_MS: "15m" }));
+    } catch (e) {
+      error = e;
+    }
+    expect(error.problems).to.deep.equal([
+      'ALERT_COOLDOWN_MS must be a non-negative integer, got: "15m"',
+    ]);
+  });
+
+  it("requires a Telegram chat to go with the bot token", () => {
+    let error;
+    try {
+      validateConfig(baseEnv({ TELEGRAM_BOT_TOKEN: "123:abc" }));
+    } catch (e) {
+      error = e;
+    }
+    expect(error.problems).to.deep.equal(["TELEGRAM_CHAT_ID is required with TELEGRAM_BOT_TOKEN"]);
+  });
+
+  it("rejects a *_WS_RPC that is not a WebSocket URL, without echoing it", () => {
+    expect(() =>
+      validateConfig(baseEnv({ BASE_SEPOLIA_TESTNET_WS_RPC: "wss://base-sepolia.example/ws" })),
+    ).to.not.throw();
+    expect(() => validateConfig(baseEnv({ BASE_MAINNET_WS_RPC: "" }))).to.not.throw();
+
+    let error;
+    try {
+      validateConfig(baseEnv({ BASE_MAINNET_WS_RPC: "https://base.example/v2/secret-key" }));
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(ConfigError);
+    expect(error.problems).to.deep.equal(["BASE_MAINNET_WS_RPC must be a ws:// or wss:// URL"]);
+  });
+
+  it("allows TX_SUBMITTER=appd only on Sapphire, and only with the address it sends from", () => {
+    const sapphireEnv = (overrides) =>
+      baseEnv({ NETWORK_NAME: "sapphire-testnet", TX_SUBMITTER: "appd", ...overrides });
+    const sender = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    expect(() => validateConfig(sapphireEnv({ ROFL_TX_SENDER_ADDRESS: sender }))).to.not.throw();
+
+    let error;
+    try {
+      validateConfig(baseEnv({ TX_SUBMITTER: "appd" }));
+    } catch (e) {
+      error = e;
+    }
+    expect(error.problems).to.deep.equal([
+      'TX_SUBMITTER submits through appd, which only writes to Sapphire, not "baseSepolia"',
+      "ROFL_TX_SENDER_ADDRESS is missing or empty, but TX_SUBMITTER submits through appd",
+    ]);
+
+    expect(() => validateConfig(sapphireEnv({ ROFL_TX_SENDER_ADDRESS: "0x1234" }))).to.throw(
+      ConfigError,
+      /ROFL_TX_SENDER_ADDRESS "0x1234" is not a valid address/,
+    );
+    expect(() => validateConfig(baseEnv({ TX_SUBMITTER: "tee" }))).to.throw(
+      ConfigError,
+      'TX_SUBMITTER must be one of ethers, appd, got: "tee"',
+    );
+  });
+
+  describe("ORACLE_CHAINS", () => {
+    const SAPPHIRE_KEY = "0x8b3a350cf5c34c9194ca85829a2df0ec3153be0318b5e2d3348e872092edffba";
+
+    /** Two chains replacing the single-chain trio, each with its own key variable. */
+    function multiChainEnv(chains, overrides = {}) {
+      return {
+        ORACLE_CHAINS: JSON.stringify(chains),
+        PRIVATE_KEY: SAPPHIRE_KEY,
+        BASE_PRIVATE_KEY: baseEnv().PRIVATE_KEY,
+        USE_MOCK_STORAGE: "true",
+        ...overrides,
+      };
+    }
+    const sapphire = {
+      id: "sapphire",
+      network: "sapphire-testnet",
+      contractAddress: baseEnv().AI_AGENT_CONTRACT_ADDRESS,
+    };
+    const base = {
+      id: "base",
+      network: "baseSepolia",
+      contractAddress: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+      privateKeyEnv: "BASE_PRIVATE_KEY",
+    };
+
+    it("replaces NETWORK_NAME / AI_AGENT_CONTRACT_ADDRESS when set", () => {
+      expect(() => validateConfig(multiChainEnv([sapphire, base]))).to.not.throw();
+    });
+
+    it("checks every entry the way it checks the single-chain variables", () => {
+      try {
+        validateConfig(
+          multiChainEnv(
+            [
+              { ...sapphire, network: "sapphire-mainnet" },
+              { ...base, contractAddress: "0xYourAIAgentAddressHere" },
+            ],
+            { BASE_PRIVATE_KEY: "your_private_key_here" },
+          ),
+        );
+        expect.fail("expected a ConfigError");
+      } catch (err) {
+        expect(err).to.be.instanceOf(ConfigError);
+        expect(err.problems).to.have.length(3);
+        expect(err.message).to.include('ORACLE_CHAINS "sapphire" network "sapphire-mainnet"');
+        expect(err.message).to.include('ORACLE_CHAINS "base" contractAddress is still the');
+        expect(err.message).to.include("BASE_PRIVATE_KEY is still the example-file placeholder");
+      }
+    });
+
+    it("names the key variable an entry points at when it is missing", () => {
+      expect(() =>
+        validateConfig(multiChainEnv([sapphire, base], { BASE_PRIVATE_KEY: undefined })),
+      ).to.throw(ConfigError, 'BASE_PRIVATE_KEY (the key for chain "base") is missing');
+    });
+
+    it("checks an entry that submits through appd", () => {
+      expect(() =>
+        validateConfig(
+          multiChainEnv([{ ...sapphire, txSubmitter: "appd" }, { ...base, txSubmitter: "appd" }]),
+        ),
+      ).to.throw(ConfigError, 'chain "base" submits through appd, which only writes to Sapphire');
+    });
+
+    it("reports a malformed list instead of starting with part of it", () => {
+      for (const value of ["[{", "[]", JSON.stringify([sapphire, sapphire])]) {
+        expect(() => validateConfig(multiChainEnv([], { ORACLE_CHAINS: value })), value).to.throw(
+          ConfigError,
+          /ORACLE_CHAINS/,
+        );
+      }
+    });
+  });
 });
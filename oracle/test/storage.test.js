@@ -28,6 +28,8 @@ describe("storage router", function () {
     storage = proxyquire("../src/storage/storage", {
       "./arweave": arweaveStub,
       "./autonomys": autonomysStub,
+      // Off: these tests are about routing, and must not write a cache into the checkout.
+      "./blobCache": { blobCacheConfig: () => ({ maxBytes: 0 }) },
     });
   });
 
@@ -87,6 +89,123 @@ describe("storage router", function () {
   });
 });
 
+describe("storage router — replicated (STORAGE_REPLICAS set)", function () {
+  let storage;
+  let arweaveStub;
+  let autonomysStub;
+  let fsStub;
+
+  beforeEach(() => {
+    // Read at module load, like the mode flags.
+    process.env.STORAGE_REPLICAS = "irys";
+
+    arweaveStub = {
+      initializeIrys: sinon.stub().resolves(),
+      uploadData: sinon.stub().resolves("arweave_cid_123"),
+      fetchData: sinon.stub().resolves("arweave_data"),
+    };
+    autonomysStub = {
+      initializeAutoDrive: sinon.stub().resolves(),
+      uploadData: sinon.stub().resolves("autonomys_cid_123"),
+      fetchData: sinon.stub().rejects(new Error("Auto Drive lost it")),
+    };
+    // The alias map's file, so the test writes nothing beside the real oracle-state.json.
+    fsStub = {
+      readFile: sinon.stub().rejects(Object.assign(new Error("absent"), { code: "ENOENT" })),
+      appendFile: sinon.stub().resolves(),
+    };
+    const { createAliasStore } = require("../src/storage/replication");
+
+    storage = proxyquire("../src/storage/storage", {
+      "./arweave": arweaveStub,
+      "./autonomys": autonomysStub,
+      "./replication": {
+        createAliasStore: (opts) => createAliasStore({ ...opts, fsImpl: fsStub }),
+        createCopyJournal: () => ({
+          load: async () => [],
+          add: async () => {},
+          finish: async () => {},
+        }),
+      },
+      "./blobCache": { blobCacheConfig: () => ({ maxBytes: 0 }) },
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.STORAGE_REPLICAS;
+    sinon.restore();
+  });
+
+  it("copies each upload to Irys and fetches the copy when Autonomys fails", async () => {
+    const autonomysCid = `bafkr6i${"a".repeat(52)}`;
+    autonomysStub.uploadData.resolves(autonomysCid);
+    await storage.initializeStorage();
+
+    expect(await storage.uploadData(Buffer.from("answer"))).to.equal(autonomysCid);
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(arweaveStub.uploadData.calledOnce).to.be.true;
+    expect(fsStub.appendFile.calledOnce).to.be.true;
+
+    expect(await storage.fetchData(autonomysCid)).to.equal("arweave_data");
+    expect(arweaveStub.fetchData.calledOnceWith("arweave_cid_123")).to.be.true;
+    expect(storage.replicationReport().irys).to.include({ replicated: 1, failed: 0 });
+  });
+});
+
+describe("storage router — on-disk cache", function () {
+  const fs = require("fs/promises");
+  const os = require("os");
+  const path = require("path");
+  const autonomysCid = `bafkr6i${"b".repeat(52)}`;
+  let dir;
+  let autonomysStub;
+
+  /** A fresh module, as after a restart; the cache directory is what carries over. */
+  function load() {
+    autonomysStub = {
+      initializeAutoDrive: sinon.stub().resolves(),
+      uploadData: sinon.stub().resolves(autonomysCid),
+      fetchData: sinon.stub().resolves("from autonomys"),
+    };
+    return proxyquire("../src/storage/storage", {
+      "./arweave": { initializeIrys: sinon.stub().resolves() },
+      "./autonomys": autonomysStub,
+      "./blobCache": { blobCacheConfig: () => ({ dir, maxBytes: 1024 * 1024 }) },
+      "./replication": {
+        createAliasStore: () => ({ load: async () => 0, add: async () => {}, aliasesOf: () => [] }),
+        createCopyJournal: () => ({
+          load: async () => [],
+          add: async () => {},
+          finish: async () => {},
+        }),
+      },
+    });
+  }
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "blob-cache-"));
+  });
+
+  afterEach(async () => {
+    sinon.restore();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("serves an uploaded file from disk after a restart, without fetching it", async () => {
+    const before = load();
+    await before.initializeStorage();
+    await before.uploadData(Buffer.from("encrypted answer"));
+
+    const after = load();
+    await after.initializeStorage();
+
+    expect(await after.fetchData(autonomysCid)).to.equal("encrypted answer");
+    expect(autonomysStub.fetchData.called).to.be.false;
+    expect(after.blobCacheStats()).to.include({ entries: 1, hits: 1 });
+    expect(after.blobCacheStats().warmup).to.include({ entries: 1 });
+  });
+});
+
 describe("storage router — local IPFS mode (LOCAL_IPFS_API_URL set)", function () {
   let storage;
   let ipfsStub;
@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const cbor = require("cbor");
+const { ethers } = require("ethers");
+
+const { createTxSubmitter, createEthersSubmitter, APPD_GAS_LIMIT } = require("../src/txSubmitter");
+const { ContractRevertError } = require("../src/oracleErrors");
+const { metrics } = require("../src/oracleMetrics");
+
+// Both ways a write can leave the oracle. The appd backend runs against a fake appd listening on
+// a real unix socket, so what is checked is the request appd would actually receive.
+
+describe("txSubmitter", () => {
+  const AGENT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+  const APP_KEY = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const abi = ["function submitAnswer(uint256 _promptId, uint256 _answerId, string _cidBundle)"];
+
+  describe("ethers", () => {
+    it("calls the contract method, waits for the receipt, and reports the wallet", async () => {
+      const wait = sinon.stub().resolves({ hash: "0xreceipt" });
+      const contract = { submitAnswer: sinon.stub().resolves({ wait }) };
+
+      const submitter = createEthersSubmitter({ address: "0xwallet" });
+      const result = await submitter.submit(contract, "submitAnswer", [1n, 2n, "cids"]);
+
+      expect(submitter.address).to.equal("0xwallet");
+      expect(contract.submitAnswer.calledOnceWithExactly(1n, 2n, "cids")).to.be.true;
+      expect(wait.calledOnce).to.be.true;
+      expect(result).to.deep.equal({ hash: "0xreceipt" });
+    });
+  });
+
+  describe("appd", () => {
+    const socketPath = path.join(os.tmpdir(), `appd-tx-${process.pid}.sock`);
+    let server;
+    let requests;
+    let respond;
+
+    beforeEach((done) => {
+      if (fs.existsSync(socketPath)) fs.unlinkSync(socketPath);
+      requests = [];
+      server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => {
+          body += chunk;
+        });
+        req.on("end", () => {
+          requests.push({ url: req.url, body: JSON.parse(body) });
+          respond(res);
+        });
+      });
+      server.listen(socketPath, done);
+    });
+
+    afterEach((done) => {
+      server.close(() => {
+        if (fs.existsSync(socketPath)) fs.unlinkSync(socketPath);
+        done();
+      });
+    });
+
+    const contract = () => new ethers.Contract(AGENT, abi);
+    const appd = () =>
+      createTxSubmitter({
+        kind: "appd",
+        isSapphire: true,
+        signer: { address: "0xwallet" },
+        senderAddress: APP_KEY,
+        socketPath,
+      });
+
+    it("has appd sign and submit the encoded call, encrypted, from the app key", async () => {
+      respond = (res) => res.end(JSON.stringify({ tx_hash: "0xappd" }));
+
+      const submitter = appd();
+      const result = await submitter.submit(contract(), "submitAnswer", [1n, 2n, "cids"]);
+
+      expect(submitter.address).to.equal(APP_KEY);
+      expect(result).to.deep.equal({ hash: "0xappd" });
+      expect(requests).to.have.lengthOf(1);
+      const [{ url, body }] = requests;
+      expect(url).to.equal("/rofl/v1/tx/sign-submit");
+      expect(body).to.deep.equal({
+        tx: {
+          kind: "eth",
+          data: {
+            gas_limit: APPD_GAS_LIMIT,
+            to: AGENT.slice(2),
+            value: 0,
+            data: new ethers.Interface(abi)
+              .encodeFunctionData("submitAnswer", [1n, 2n, "cids"])
+              .slice(2),
+          },
+        },
+        encrypt: true,
+      });
+    });
+
+    it("records how long each write took, by chain and method", async () => {
+      respond = (res) => res.end(JSON.stringify({ tx_hash: "0xappd" }));
+      const submitter = createTxSubmitter({
+        kind: "appd",
+        isSapphire: true,
+        senderAddress: APP_KEY,
+        socketPath,
+        chain: "timed-chain",
+      });
+
+      await submitter.submit(contract(), "submitAnswer", [1n, 2n, "cids"]);
+
+      expect(submitter.address).to.equal(APP_KEY);
+      expect(await metrics.registry.render()).to.include(
+        'oracle_tx_confirmation_seconds_count{chain="timed-chain",kind="appd",' +
+          'method="submitAnswer",outcome="ok"} 1',
+      );
+    });
+
+    it("makes one appd call at a time, since appd picks the app key's nonce", async () => {
+      let open = 0;
+      let mostOpen = 0;
+      server.on("request", () => {
+        open += 1;
+        mostOpen = Math.max(mostOpen, open);
+      });
+      respond = (res) =>
+        setTimeout(() => {
+          open -= 1;
+          res.end(JSON.stringify({ tx_hash: `0xappd${requests.length}` }));
+        }, 20);
+
+      const submitter = appd();
+      const results = await Promise.all([
+        submitter.submit(contract(), "submitAnswer", [1n, 2n, "a"]),
+        submitter.submit(contract(), "submitAnswer", [3n, 4n, "b"]),
+      ]);
+
+      expect(mostOpen).to.equal(1);
+      expect(results.map((r) => r.hash)).to.deep.equal(["0xappd1", "0xappd2"]);
+    });
+
+    it("surfaces a revert appd reports as a ContractRevertError", async () => {
+      respond = (res) =>
+        res.end(cbor.encode({ message: "reverted: JobAlreadyFinalized" }).toString("hex"));
+
+      let error;
+      try {
+        await appd().submit(contract(), "submitAnswer", [1n, 2n, "cids"]);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.instanceOf(ContractRevertError);
+      expect(error.message).to.include("JobAlreadyFinalized");
+    });
+  });
+
+  describe("createTxSubmitter", () => {
+    it("defaults to the ethers wallet", () => {
+      expect(createTxSubmitter({ isSapphire: false, signer: { address: "0xw" } }).kind).to.equal(
+        "ethers",
+      );
+    });
+
+    it("refuses appd off Sapphire, without a sender address, or an unknown kind", () => {
+      const signer = { address: "0xw" };
+      expect(() =>
+        createTxSubmitter({ kind: "appd", isSapphire: false, signer, senderAddress: APP_KEY }),
+      ).to.throw("only works on Sapphire");
+      expect(() => createTxSubmitter({ kind: "appd", isSapphire: true, signer })).to.throw(
+        "ROFL_TX_SENDER_ADDRESS is required",
+      );
+      expect(() => createTxSubmitter({ kind: "tee", isSapphire: true, signer })).to.throw(
+        'Unknown transaction submitter "tee"',
+      );
+    });
+  });
+});